@@ -0,0 +1,522 @@
+#!/usr/bin/env node
+/**
+ * meta-gen - the server's generation pipeline and audit checks for build pipelines, without the HTTP server.
+ *
+ *   meta-gen generate <url | keyword | list file | .html file | directory>... [--format json|csv] [--out file]
+ *   meta-gen lint [directory] [--format text|json]    exits 1 on missing, duplicate or over-length tags
+ *   meta-gen fix <suggestions.csv|.json> [--dry-run]  writes the chosen title / description into the files
+ *   meta-gen eval <fixtures dir> [--provider mock|recorded|live] [--compare report.json]
+ *                                                     scores the prompt templates against saved pages
+ *
+ * Providers, profiles and the cache are configured through the same environment (.env) as the server.
+ * `generate` keeps no history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { parseCsvObjects, toCsv, stripFormulaGuard } = require('../lib/csv');
+const { pageRecord, buildAuditReport, DEFAULT_THRESHOLDS } = require('../lib/audit');
+const { extractTitle, extractMetaDescription, extractRobots } = require('../lib/extract');
+const { CONTENT_TYPES, loadPromptLibrary } = require('../lib/prompts');
+
+const USAGE = `Usage: meta-gen <command> [options]
+
+Commands:
+  generate <input>...   Generate titles, descriptions and slugs. Each input is a URL, a keyword, an .html file,
+                        a directory of .html files, or a list file (one URL or keyword per line, or a CSV
+                        with url / keyword / note columns)
+  lint [dir]            Check the built .html files under dir (default .) for missing, duplicate and
+                        over-length titles and descriptions; exits 1 when any are found
+  fix <suggestions>     Rewrite <title> and <meta name="description"> in place from a CSV or JSON file
+                        written by "generate" (edit its title / description columns to choose)
+  eval <dir>            Run the prompt templates against the saved .html pages under dir and score the
+                        outputs on the output constraints (counts, lengths, keyword, slug format)
+
+Options:
+  --format <f>          generate: json (default) or csv; lint, eval: text (default) or json
+  --out <file>          generate, eval: write here instead of stdout
+  --note, --language, --slug-style, --profile, --content-type, --generator
+                        generate: as in POST /v1/generate (--generator heuristic works offline)
+  --social              generate: add Open Graph, Twitter and JSON-LD output
+  --concurrency <n>     generate: pages at a time (default 2)
+  --base-url <url>      URL the site is served at, for .html files (default http://localhost/)
+  --root <dir>          Site root the .html paths are relative to (default: the directory given, or .)
+  --title-min/--title-max/--meta-min/--meta-max <n>
+                        lint: length limits in characters (defaults ${DEFAULT_THRESHOLDS.titleMin}/${DEFAULT_THRESHOLDS.titleMax}/${DEFAULT_THRESHOLDS.metaMin}/${DEFAULT_THRESHOLDS.metaMax})
+  --dry-run             fix: show the changes without writing
+  --provider <p>        eval: mock (default; deterministic, follows only what the prompt asks for),
+                        recorded (replay --recordings) or live (the configured providers)
+  --recordings <file>   eval: recorded model outputs, keyed by prompt (default prompt-recordings.json)
+  --record              eval: with --provider recorded, call the live providers for prompts without a
+                        recording and add them to the file
+  --templates <list>    eval: templates to run, e.g. product,homepage@1 (default: the current version of
+                        every content type; "auto" uses the type detected for each page)
+  --all-versions        eval: every version of every template
+  --prompts <dir>       eval: load the templates from dir instead of PROMPTS_DIR / prompts/
+  --compare <report>    eval: show the score changes against a report saved with --format json
+  --min-score <pct>     eval: exit 1 when the overall score is below pct (0-100)
+  --quiet               No progress on stderr
+`;
+
+const OPTIONS = {
+  format: { type: 'string' },
+  out: { type: 'string', short: 'o' },
+  note: { type: 'string' },
+  language: { type: 'string' },
+  'slug-style': { type: 'string' },
+  profile: { type: 'string' },
+  'content-type': { type: 'string' },
+  generator: { type: 'string' },
+  social: { type: 'boolean' },
+  concurrency: { type: 'string' },
+  'base-url': { type: 'string' },
+  root: { type: 'string' },
+  'title-min': { type: 'string' },
+  'title-max': { type: 'string' },
+  'meta-min': { type: 'string' },
+  'meta-max': { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  provider: { type: 'string' },
+  recordings: { type: 'string' },
+  record: { type: 'boolean' },
+  templates: { type: 'string' },
+  'all-versions': { type: 'boolean' },
+  prompts: { type: 'string' },
+  compare: { type: 'string' },
+  'min-score': { type: 'string' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Audit issues that fail `lint`; the rest (too short, H1 problems) are warnings
+const LINT_ERRORS = ['title_missing', 'title_too_long', 'title_duplicate', 'meta_missing', 'meta_too_long', 'meta_duplicate'];
+
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+function positiveInt(v, name) {
+  if (v === undefined) return undefined;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) throw usageError(`--${name} must be a positive integer`);
+  return n;
+}
+
+// -------------------- files -------------------- //
+
+const isHtml = file => /\.html?$/i.test(file);
+
+// .html files under dir, sorted; dot directories and node_modules are skipped
+function htmlFiles(dir) {
+  const out = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && entry.name !== 'node_modules') out.push(...htmlFiles(full));
+    } else if (isHtml(entry.name)) {
+      out.push(full);
+    }
+  });
+  return out.sort();
+}
+
+function baseUrl(opts) {
+  const raw = opts['base-url'] || 'http://localhost/';
+  if (!/^https?:\/\/[^\s/]+/i.test(raw)) throw usageError('--base-url must be a full http(s) URL');
+  return raw.endsWith('/') ? raw : `${raw}/`;
+}
+
+// URL a built file is served at: <base>/<path relative to root>, index.html dropped
+function fileUrl(file, root, base) {
+  const rel = path.relative(root, file).split(path.sep).join('/');
+  return new URL(rel.replace(/(^|\/)index\.html?$/i, '$1'), base).href;
+}
+
+// The file under root that serves `url` (path/, path/index.html, path.html or path itself)
+function urlFile(url, root) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url).pathname);
+  } catch (e) {
+    return null;
+  }
+  const rel = pathname.replace(/^\/+/, '');
+  const candidates = !rel || rel.endsWith('/')
+    ? [path.join(root, rel, 'index.html')]
+    : [path.join(root, rel), path.join(root, rel, 'index.html'), path.join(root, `${rel}.html`)];
+  return candidates.find(f => isHtml(f) && fs.existsSync(f) && fs.statSync(f).isFile()) || null;
+}
+
+const displayPath = file => path.relative(process.cwd(), file) || file;
+
+// noindex pages (404s, redirect stubs, drafts) never show in results
+const indexable = html => extractRobots(html).index;
+
+// -------------------- generate -------------------- //
+
+// Work items from the command line: { type: url|keyword, url?, keyword?, note?, ... , file? }
+function generateItems(args, opts) {
+  const { normalizeBatchItem, batchItemsFromCsv } = require('../server');
+  const shared = { note: opts.note || '', language: opts.language, slugStyle: opts['slug-style'], profile: opts.profile, contentType: opts['content-type'], generator: opts.generator };
+  const base = baseUrl(opts);
+  const items = [];
+  const addFile = (file, root) => {
+    items.push({ type: 'url', url: fileUrl(file, root, base), keyword: '', ...shared, file });
+  };
+  args.forEach(arg => {
+    if (/^https?:\/\//i.test(arg)) return items.push(normalizeBatchItem(arg, { type: 'url', ...shared }));
+    if (!fs.existsSync(arg)) return items.push(normalizeBatchItem(arg, { type: 'keyword', ...shared }));
+    if (fs.statSync(arg).isDirectory()) {
+      const files = htmlFiles(arg).filter(f => indexable(fs.readFileSync(f, 'utf8')));
+      if (!files.length) throw usageError(`No indexable .html files under ${arg}`);
+      return files.forEach(f => addFile(f, opts.root || arg));
+    }
+    if (isHtml(arg)) return addFile(arg, opts.root || path.dirname(arg));
+    const listed = batchItemsFromCsv(fs.readFileSync(arg, 'utf8')).map(i => normalizeBatchItem(i, { type: 'auto', ...shared })).filter(Boolean);
+    if (!listed.length) throw usageError(`No URLs or keywords in ${arg}`);
+    return items.push(...listed);
+  });
+  return items.filter(Boolean);
+}
+
+async function runGenerate(args, opts) {
+  const format = opts.format || 'json';
+  if (!['json', 'csv'].includes(format)) throw usageError('--format must be json or csv');
+  if (!args.length) throw usageError('generate needs at least one URL, keyword, file or directory');
+  const contentType = opts['content-type'];
+  if (contentType !== undefined && contentType !== 'auto' && !CONTENT_TYPES.includes(contentType)) {
+    throw usageError(`--content-type must be auto or one of ${CONTENT_TYPES.join(', ')}`);
+  }
+  if (opts.generator !== undefined && !['auto', 'ai', 'heuristic'].includes(opts.generator)) {
+    throw usageError('--generator must be auto, ai or heuristic');
+  }
+  const concurrency = positiveInt(opts.concurrency, 'concurrency') || 2;
+  const items = generateItems(args, opts);
+  const { generateFromUrl, generateFromKeyword, generationResult } = require('../server');
+
+  const rows = new Array(items.length);
+  let next = 0;
+  let finished = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      const item = items[i];
+      const label = item.file ? displayPath(item.file) : (item.url || item.keyword);
+      const source = { file: item.file ? displayPath(item.file) : null, url: item.url || null, keyword: item.keyword || null };
+      try {
+        const input = { ...item, mode: opts.social ? 'full' : 'basic' };
+        const payload = item.type === 'url'
+          ? await generateFromUrl(input, item.file ? { html: fs.readFileSync(item.file, 'utf8') } : {})
+          : await generateFromKeyword(input);
+        const result = generationResult(payload, { type: item.type, keyword: item.keyword, url: item.url });
+        rows[i] = {
+          ...source,
+          title: result.titles.length ? result.titles[0].text : '',
+          description: result.descriptions.length ? result.descriptions[0].text : '',
+          slug: result.slug.text,
+          result
+        };
+      } catch (err) {
+        rows[i] = { ...source, error: err.message, code: err.code || null };
+      }
+      finished++;
+      if (!opts.quiet) process.stderr.write(`[${finished}/${items.length}] ${rows[i].error ? `failed: ${rows[i].error}` : 'ok'} ${label}\n`);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+  let output;
+  if (format === 'json') {
+    output = `${JSON.stringify(rows, null, 2)}\n`;
+  } else {
+    const flat = rows.map(r => {
+      const row = { ...r, provider: r.result ? r.result.provider : '', error: r.error || '' };
+      if (r.result) {
+        r.result.titles.slice(1, 5).forEach((c, n) => { row[`title_${n + 2}`] = c.text; });
+        r.result.descriptions.slice(1, 3).forEach((c, n) => { row[`description_${n + 2}`] = c.text; });
+      }
+      return row;
+    });
+    output = toCsv(flat, ['file', 'url', 'keyword', 'title', 'description', 'slug',
+      'title_2', 'title_3', 'title_4', 'title_5', 'description_2', 'description_3', 'provider', 'error']);
+  }
+  if (opts.out) fs.writeFileSync(opts.out, output);
+  else process.stdout.write(output);
+  return rows.some(r => r.error) ? 1 : 0;
+}
+
+// -------------------- lint -------------------- //
+
+function runLint(args, opts) {
+  const format = opts.format || 'text';
+  if (!['text', 'json'].includes(format)) throw usageError('--format must be text or json');
+  const dir = args[0] || '.';
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw usageError(`${dir} is not a directory`);
+  const root = opts.root || dir;
+  const base = baseUrl(opts);
+  const thresholds = {};
+  [['title-min', 'titleMin'], ['title-max', 'titleMax'], ['meta-min', 'metaMin'], ['meta-max', 'metaMax']].forEach(([flag, key]) => {
+    const n = positiveInt(opts[flag], flag);
+    if (n !== undefined) thresholds[key] = n;
+  });
+
+  const records = htmlFiles(dir).map(file => {
+    const html = fs.readFileSync(file, 'utf8');
+    if (!indexable(html)) return { url: displayPath(file), skipped: 'noindex' };
+    return pageRecord(displayPath(file), { ok: true, status: 200, contentType: 'text/html', body: html, url: fileUrl(file, root, base) });
+  });
+  const report = buildAuditReport(records, thresholds);
+  const files = report.pages.filter(p => !p.skipped).map(p => ({
+    file: p.url,
+    title: p.title,
+    description: p.description,
+    errors: p.issues.filter(i => LINT_ERRORS.includes(i.code)),
+    warnings: p.issues.filter(i => !LINT_ERRORS.includes(i.code))
+  }));
+  const errors = files.reduce((n, f) => n + f.errors.length, 0);
+  const warnings = files.reduce((n, f) => n + f.warnings.length, 0);
+
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify({ thresholds: report.thresholds, errors, warnings, skipped: report.summary.skipped, files }, null, 2)}\n`);
+  } else {
+    files.filter(f => f.errors.length || f.warnings.length).forEach(f => {
+      process.stdout.write(`${f.file}\n`);
+      f.errors.forEach(i => process.stdout.write(`  error    ${i.code.padEnd(18)} ${i.message}\n`));
+      f.warnings.forEach(i => process.stdout.write(`  warning  ${i.code.padEnd(18)} ${i.message}\n`));
+    });
+    process.stdout.write(`${errors} error(s), ${warnings} warning(s) in ${files.length} file(s)${report.summary.skipped ? ` (${report.summary.skipped} noindex skipped)` : ''}\n`);
+  }
+  return errors ? 1 : 0;
+}
+
+// -------------------- fix -------------------- //
+
+const escapeText = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttr = s => escapeText(s).replace(/"/g, '&quot;');
+
+/**
+ * `html` with its <title> and <meta name="description"> set (added to <head> when missing).
+ * Only those tags are touched, so the rest of the file keeps its exact formatting.
+ */
+function rewriteHead(html, { title, description }) {
+  const head = html.match(/<head\b[^>]*>[\s\S]*?<\/head>/i);
+  if (!head) throw new Error('no <head> element');
+  let out = head[0];
+  const open = out.match(/^<head\b[^>]*>/i)[0];
+  if (title) {
+    const tag = `<title>${escapeText(title)}</title>`;
+    out = /<title\b[^>]*>[\s\S]*?<\/title>/i.test(out)
+      ? out.replace(/<title\b[^>]*>[\s\S]*?<\/title>/i, () => tag)
+      : out.replace(open, () => `${open}\n${tag}`);
+  }
+  if (description) {
+    const metas = out.match(/<meta\b[^>]*>/gi) || [];
+    const existing = metas.find(m => /\bname\s*=\s*["']?description["']?(?=[\s/>])/i.test(m));
+    if (existing) {
+      const content = /\bcontent\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i;
+      const updated = content.test(existing)
+        ? existing.replace(content, () => `content="${escapeAttr(description)}"`)
+        : existing.replace(/\s*\/?>$/, end => ` content="${escapeAttr(description)}"${end}`);
+      out = out.replace(existing, () => updated);
+    } else {
+      const tag = `<meta name="description" content="${escapeAttr(description)}">`;
+      // next to the title, on its own line with the title's indentation
+      const indent = (out.match(/([ \t]*)<title\b/i) || ['', ''])[1];
+      out = /<\/title>/i.test(out) ? out.replace(/<\/title>/i, end => `${end}\n${indent}${tag}`) : out.replace(open, () => `${open}\n${tag}`);
+    }
+  }
+  return html.slice(0, head.index) + out + html.slice(head.index + head[0].length);
+}
+
+function readSuggestions(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.json$/i.test(file)) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data.items;
+    if (!Array.isArray(list)) throw usageError(`${file} must hold an array of { file | url, title, description }`);
+    return list;
+  }
+  // CSV written by "generate" guards texts that start like a formula
+  return parseCsvObjects(text).map(row => Object.fromEntries(Object.entries(row).map(([k, v]) => [k, stripFormulaGuard(v)])));
+}
+
+function runFix(args, opts) {
+  if (args.length !== 1) throw usageError('fix needs one suggestions file (CSV or JSON written by "generate")');
+  const rows = readSuggestions(args[0]);
+  const root = opts.root || '.';
+  let failed = 0;
+  let changed = 0;
+  rows.forEach(row => {
+    if (!row || row.error) return;
+    const title = String(row.title || '').trim();
+    const description = String(row.description || '').trim();
+    if (!title && !description) return;
+    const file = row.file ? path.resolve(row.file) : (row.url ? urlFile(row.url, root) : null);
+    const label = row.file || row.url || '(no file or url)';
+    if (!file || !fs.existsSync(file)) {
+      failed++;
+      process.stderr.write(`${label}: no such file${row.url && !row.file ? ` under ${root}` : ''}\n`);
+      return;
+    }
+    try {
+      const html = fs.readFileSync(file, 'utf8');
+      const before = { title: extractTitle(html) || '', description: extractMetaDescription(html) || '' };
+      const wanted = {
+        title: title && title !== before.title ? title : '',
+        description: description && description !== before.description ? description : ''
+      };
+      if (!wanted.title && !wanted.description) return;
+      if (!opts['dry-run']) fs.writeFileSync(file, rewriteHead(html, wanted));
+      changed++;
+      process.stdout.write(`${displayPath(file)}\n`);
+      if (wanted.title) process.stdout.write(`  title        "${before.title}" -> "${wanted.title}"\n`);
+      if (wanted.description) process.stdout.write(`  description  "${before.description}" -> "${wanted.description}"\n`);
+    } catch (err) {
+      failed++;
+      process.stderr.write(`${label}: ${err.message}\n`);
+    }
+  });
+  process.stdout.write(`${changed} file(s) ${opts['dry-run'] ? 'would change' : 'changed'}${failed ? `, ${failed} failed` : ''}\n`);
+  return failed ? 1 : 0;
+}
+
+// -------------------- eval -------------------- //
+
+const pct = r => (r === null || r === undefined ? '   -  ' : `${(r * 100).toFixed(1).padStart(5)}%`);
+const signedPct = d => (d === null ? 'new' : `${d > 0 ? '+' : ''}${(d * 100).toFixed(1)}`);
+
+// --templates "product,homepage@2,auto" / --all-versions -> [{ contentType, version }]
+function evalTargets(library, opts) {
+  if (opts.templates && opts['all-versions']) throw usageError('use --templates or --all-versions, not both');
+  if (opts['all-versions']) {
+    return library.list().flatMap(t => t.versions.map(version => ({ contentType: t.contentType, version })));
+  }
+  if (!opts.templates) return library.list().map(t => ({ contentType: t.contentType, version: t.current }));
+  return opts.templates.split(',').map(s => s.trim()).filter(Boolean).map(spec => {
+    if (spec === 'auto') return { contentType: null, version: undefined };
+    const [contentType, v] = spec.split('@');
+    if (!CONTENT_TYPES.includes(contentType)) throw usageError(`--templates: unknown content type "${contentType}" (one of auto, ${CONTENT_TYPES.join(', ')})`);
+    const version = v === undefined ? undefined : parseInt(v.replace(/^v/i, ''), 10);
+    if (Number.isNaN(version)) throw usageError(`--templates: bad version in "${spec}"`);
+    if (version !== undefined && !library.list().find(t => t.contentType === contentType).versions.includes(version)) {
+      throw usageError(`--templates: there is no v${version} template for ${contentType}`);
+    }
+    return { contentType, version };
+  });
+}
+
+function evalProvider(opts) {
+  const { createMockProvider, createRecordedProvider } = require('../lib/prompt-eval');
+  const kind = opts.provider || 'mock';
+  if (!['mock', 'recorded', 'live'].includes(kind)) throw usageError('--provider must be mock, recorded or live');
+  if (opts.record && kind !== 'recorded') throw usageError('--record needs --provider recorded');
+  if (kind === 'mock') return createMockProvider();
+  const live = kind === 'live' || opts.record ? require('../server').providers : null;
+  if (kind === 'live') return { name: 'live', generate: prompt => live.generate(prompt) };
+  return createRecordedProvider(opts.recordings || 'prompt-recordings.json', { live, record: !!opts.record });
+}
+
+function formatEvalReport(report, comparison) {
+  const lines = [];
+  report.fixtures.forEach(f => {
+    const scores = f.results.map(r => `${r.template} ${r.missing ? 'missing' : (r.error ? 'error' : pct(r.score).trim())}`);
+    lines.push(`${f.fixture}${f.detected ? ` [${f.detected.contentType}: ${f.detected.reason}]` : ''}`);
+    lines.push(`  ${scores.join('  ')}`);
+    f.results.filter(r => r.error).forEach(r => lines.push(`  ${r.template}: ${r.error}`));
+  });
+  lines.push('');
+  lines.push(`${'template'.padEnd(20)} runs  parsed   valid   score${comparison ? '  change' : ''}`);
+  report.templates.forEach(t => {
+    const change = comparison ? comparison.templates.find(c => c.template === t.template) : null;
+    lines.push(`${t.template.padEnd(20)} ${String(t.runs).padStart(4)}  ${pct(t.parsedRate)}  ${pct(t.validRate)}  ${pct(t.score)}${change ? `  ${signedPct(change.delta)}${change.against && change.against !== t.template ? ` vs ${change.against}` : ''}` : ''}${t.missing ? `  (${t.missing} missing)` : ''}`);
+    const weak = Object.entries(t.checks).filter(([, c]) => c.rate < 1).map(([name, c]) => `${name} ${pct(c.rate).trim()}`);
+    if (weak.length) lines.push(`${''.padEnd(22)}failing: ${weak.join(', ')}`);
+    if (change) change.checks.filter(c => c.delta).forEach(c => lines.push(`${''.padEnd(22)}${c.check} ${pct(c.before).trim()} -> ${pct(c.after).trim()}`));
+  });
+  lines.push('');
+  lines.push(`Overall score ${pct(report.score).trim()} over ${report.runs} run(s) with the ${report.provider} provider${report.missing ? `, ${report.missing} without a recording` : ''}${comparison && comparison.delta !== null ? ` (${signedPct(comparison.delta)} points)` : ''}`);
+  return `${lines.join('\n')}\n`;
+}
+
+async function runEval(args, opts) {
+  const format = opts.format || 'text';
+  if (!['text', 'json'].includes(format)) throw usageError('--format must be text or json');
+  if (args.length !== 1) throw usageError('eval needs one directory of saved .html pages');
+  const dir = args[0];
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw usageError(`${dir} is not a directory`);
+  let minScore;
+  if (opts['min-score'] !== undefined) {
+    minScore = Number(opts['min-score']);
+    if (!(minScore >= 0 && minScore <= 100)) throw usageError('--min-score must be a percentage between 0 and 100');
+  }
+  const previous = opts.compare ? JSON.parse(fs.readFileSync(opts.compare, 'utf8')) : null;
+  const root = opts.root || dir;
+  const base = baseUrl(opts);
+  const fixtures = htmlFiles(dir).map(file => ({ name: displayPath(file), url: fileUrl(file, root, base), html: fs.readFileSync(file, 'utf8') }));
+  if (!fixtures.length) throw usageError(`No .html files under ${dir}`);
+
+  // --prompts: a working copy of the templates; otherwise the ones the server would use
+  const library = loadPromptLibrary(opts.prompts ? { dir: opts.prompts } : undefined);
+  const { promptForPage } = require('../server');
+  const { evaluatePrompts, compareReports } = require('../lib/prompt-eval');
+  const targets = evalTargets(library, opts);
+  const provider = evalProvider(opts);
+  const report = await evaluatePrompts({
+    fixtures,
+    targets,
+    provider,
+    preparePrompt: (fixture, target) => promptForPage(fixture.html, {
+      url: fixture.url, contentType: target.contentType, version: target.version, library
+    }),
+    onRun: run => {
+      if (opts.quiet) return;
+      const outcome = run.missing ? 'missing' : (run.error ? `failed: ${run.error}` : pct(run.score).trim());
+      process.stderr.write(`${run.template} ${outcome} ${run.fixture.name}\n`);
+    }
+  });
+  if (provider.save) {
+    const added = provider.save();
+    if (added && !opts.quiet) process.stderr.write(`${added} new recording(s) saved to ${opts.recordings || 'prompt-recordings.json'}\n`);
+  }
+  report.templatesDir = library.dir;
+  report.fingerprint = library.fingerprint;
+  const comparison = previous ? compareReports(previous, report) : null;
+  const output = format === 'json'
+    ? `${JSON.stringify(comparison ? { ...report, comparison } : report, null, 2)}\n`
+    : formatEvalReport(report, comparison);
+  if (opts.out) fs.writeFileSync(opts.out, output);
+  else process.stdout.write(output);
+  if (minScore !== undefined && (report.score === null || report.score * 100 < minScore)) return 1;
+  return 0;
+}
+
+// -------------------- main -------------------- //
+
+async function main(argv) {
+  const { values: opts, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+  if (opts.help || !command) {
+    process.stdout.write(USAGE);
+    return command || opts.help ? 0 : 2;
+  }
+  if (command === 'generate' || command === 'eval') {
+    // set before the server module loads: no history, and stdout is kept for the output
+    process.env.HISTORY_DB = process.env.HISTORY_DB || ':memory:';
+    // server logs (JSON lines) go to stdout below "warn"
+    process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+    return command === 'eval' ? runEval(args, opts) : runGenerate(args, opts);
+  }
+  if (command === 'lint') return runLint(args, opts);
+  if (command === 'fix') return runFix(args, opts);
+  throw usageError(`Unknown command "${command}"`);
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(err => {
+    process.stderr.write(`meta-gen: ${err.message}\n${err.usage || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? '\nRun "meta-gen --help" for usage.\n' : ''}`);
+    process.exit(2);
+  });
@@ -0,0 +1,87 @@
+/**
+ * The /v1 error envelope: { error, code, reason?, detail? } where `code` is one of a fixed set.
+ *
+ * Route handlers keep raising the errors they always did (err.code such as BLOCKED_ADDRESS,
+ * WP_AUTH_FAILED or UNKNOWN_PROFILE, or none at all); toEnvelope() maps them onto a stable code
+ * and its HTTP status, keeping the original code as `reason`.
+ */
+
+const { logger } = require('./log');
+
+const ERROR_STATUS = {
+  INVALID_INPUT: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  FETCH_FAILED: 422,
+  PUBLISH_FAILED: 422,
+  QUOTA_EXCEEDED: 429,
+  RATE_LIMITED: 429,
+  PROVIDER_EXHAUSTED: 502,
+  INTERNAL: 500
+};
+
+// err.code values of lib/safe-fetch.js (INVALID_URL is the caller's mistake, so it stays INVALID_INPUT)
+const FETCH_CODES = ['BLOCKED_ADDRESS', 'TOO_MANY_REDIRECTS', 'RESPONSE_TOO_LARGE', 'TIMEOUT', 'HTTP_ERROR', 'NOT_HTML', 'FETCH_FAILED'];
+const AUTH_CODES = ['API_KEY_REQUIRED', 'INVALID_API_KEY', 'API_KEY_REVOKED'];
+
+function stableCode(status, { code, attempts }) {
+  if (attempts || code === 'PROVIDER_EXHAUSTED') return 'PROVIDER_EXHAUSTED';
+  if (FETCH_CODES.includes(code)) return 'FETCH_FAILED';
+  if (AUTH_CODES.includes(code)) return 'UNAUTHORIZED';
+  if (code === 'WP_NOT_FOUND') return 'NOT_FOUND';
+  if (/^WP_/.test(code || '')) return 'PUBLISH_FAILED';
+  if (ERROR_STATUS[code]) return code;
+  if (status === 401 || status === 403) return 'UNAUTHORIZED';
+  if (status === 404) return 'NOT_FOUND';
+  if (status === 409) return 'CONFLICT';
+  if (status === 429) return 'RATE_LIMITED';
+  if (status >= 400 && status < 500) return 'INVALID_INPUT';
+  return 'INTERNAL';
+}
+
+/**
+ * An error response ({ error, code?, detail?, attempts? }) as { status, body } in the envelope.
+ * Provider failures carry their attempts in detail.attempts. Enveloped bodies come back unchanged.
+ */
+function toEnvelope(status, body = {}) {
+  const code = stableCode(status, body);
+  const out = { error: body.error || body.message || 'internal error', code };
+  const reason = body.reason || (body.code !== code ? body.code : undefined);
+  if (reason) out.reason = reason;
+  const detail = body.attempts
+    ? { attempts: body.attempts, ...(body.detail !== undefined ? { cause: body.detail } : {}) }
+    : body.detail;
+  if (detail !== undefined) out.detail = detail;
+  return { status: ERROR_STATUS[code], body: out };
+}
+
+/** Middleware rewriting the JSON error responses (status >= 400) of the routes after it into the envelope. */
+function errorEnvelope() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode < 400 || !body || typeof body !== 'object') return json(body);
+      const { status, body: out } = toEnvelope(res.statusCode, body);
+      res.status(status);
+      return json(out);
+    };
+    next();
+  };
+}
+
+/** Error-handling middleware answering next(err), validation failures and unparseable bodies with the envelope. */
+function errorHandler(label) {
+  return (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_INPUT' });
+    if (err.type === 'entity.too.large') return res.status(400).json({ error: 'Request body is too large', code: 'INVALID_INPUT', reason: 'BODY_TOO_LARGE' });
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500 && !err.attempts) logger.error(`${label} error`, { err, method: req.method, path: req.originalUrl });
+    if (err.retryAfterSec) res.set('Retry-After', String(err.retryAfterSec));
+    const { status: envStatus, body } = toEnvelope(status, { error: err.message, code: err.code, detail: err.detail, attempts: err.attempts });
+    return res.status(envStatus).json(body);
+  };
+}
+
+module.exports = { toEnvelope, errorEnvelope, errorHandler, ERROR_STATUS };
@@ -0,0 +1,367 @@
+/**
+ * API keys: issuing, lookup, per-key rate limits, monthly generation quotas and usage metering.
+ *
+ * Only a SHA-256 hash of each key is stored. Keys come from two places:
+ *  - a JSON file (API_KEYS_FILE), read-only, for keys managed outside the app:
+ *      { "keys": [ { "id": "acme", "name": "Acme Agency", "hash": "sha256:<hex>",
+ *                    "rateLimitPerMin": 120, "monthlyQuota": 5000 } ] }
+ *    "generator": "heuristic" limits a key to the rule-based generator (no provider calls),
+ *    e.g. for a free tier.
+ *  - the admin API, stored in Redis when a client is given, otherwise in process memory.
+ * Config-file keys can still be revoked through the admin API (the revocation is stored).
+ *
+ * Layout in Redis:
+ *   <prefix>:key:<id>            -> JSON key record
+ *   <prefix>:hash:<sha256>       -> key id
+ *   <prefix>:revoked:<id>        -> revocation time (config-file keys)
+ *   <prefix>:usage:<id>:<YYYY-MM> -> hash of counters (requests, generations, providerCalls, tokens...)
+ *   <prefix>:rate:<id>:<minute>  -> request count in that minute
+ *
+ * `node lib/api-keys.js new [id]` prints a fresh key and its config-file entry.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const KEY_PREFIX = 'mgk_';
+const USAGE_FIELDS = ['requests', 'generations', 'providerCalls', 'providerErrors', 'promptTokens', 'completionTokens', 'totalTokens'];
+const USAGE_TTL_SEC = 400 * 24 * 60 * 60;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+// "2026-10" for the current UTC month
+function monthOf(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 7);
+}
+
+function nextMonthStart(ts = Date.now()) {
+  const d = new Date(ts);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+}
+
+// Error with an HTTP status and code, like the fetch errors in safe-fetch.js
+function keyError(status, code, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// Key records as returned to admins (never the hash)
+function publicRecord(rec) {
+  const { hash, ...rest } = rec;
+  return rest;
+}
+
+function readKeysFile(file) {
+  if (!file) return [];
+  const raw = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  const list = Array.isArray(raw) ? raw : (raw.keys || []);
+  return list.map((k, i) => {
+    const hash = String(k.hash || '').replace(/^sha256:/, '').toLowerCase();
+    if (!k.id || !/^[0-9a-f]{64}$/.test(hash)) throw new Error(`${file}: key #${i + 1} needs an "id" and a "sha256:<hex>" hash`);
+    return {
+      id: String(k.id),
+      name: k.name || k.id,
+      hash,
+      rateLimitPerMin: k.rateLimitPerMin || null,
+      monthlyQuota: k.monthlyQuota || null,
+      generator: k.generator === 'heuristic' ? 'heuristic' : null,
+      source: 'config',
+      createdAt: null,
+      revokedAt: null
+    };
+  });
+}
+
+/**
+ * Key store. `defaults` supply rateLimitPerMin / monthlyQuota for keys that don't set them
+ * (null = unlimited).
+ */
+function createApiKeyStore({ redis = null, prefix = 'apikey', file = null, defaults = {} } = {}) {
+  const configKeys = readKeysFile(file);
+  const configById = new Map(configKeys.map(k => [k.id, k]));
+  const configByHash = new Map(configKeys.map(k => [k.hash, k]));
+
+  const memKeys = new Map();     // id -> record
+  const memHashes = new Map();   // hash -> id
+  const memRevoked = new Map();  // id -> time (config keys)
+  const memUsage = new Map();    // `${id}:${month}` -> counters
+  const memRate = new Map();     // id -> { minute, count }
+
+  const k = (...parts) => [prefix, ...parts].join(':');
+
+  function withDefaults(rec) {
+    return {
+      ...rec,
+      rateLimitPerMin: rec.rateLimitPerMin || defaults.rateLimitPerMin || null,
+      monthlyQuota: rec.monthlyQuota || defaults.monthlyQuota || null
+    };
+  }
+
+  async function revokedAt(id) {
+    if (redis) {
+      const v = await redis.get(k('revoked', id));
+      return v ? Number(v) : null;
+    }
+    return memRevoked.get(id) || null;
+  }
+
+  async function getStored(id) {
+    if (redis) {
+      const v = await redis.get(k('key', id));
+      return v ? JSON.parse(v) : null;
+    }
+    return memKeys.get(id) || null;
+  }
+
+  // Full record for an id (config or stored), or null
+  async function get(id) {
+    const conf = configById.get(id);
+    if (conf) {
+      const revoked = await revokedAt(id);
+      return withDefaults({ ...conf, revokedAt: revoked });
+    }
+    const stored = await getStored(id);
+    return stored ? withDefaults(stored) : null;
+  }
+
+  /** Resolve a presented key to its record; null when unknown. Revoked keys are returned with revokedAt set. */
+  async function lookup(key) {
+    if (!key || typeof key !== 'string') return null;
+    const hash = hashKey(key.trim());
+    const conf = configByHash.get(hash);
+    if (conf) return get(conf.id);
+    const id = redis ? await redis.get(k('hash', hash)) : memHashes.get(hash);
+    return id ? get(id) : null;
+  }
+
+  /** Issue a new key. Resolves with { key, record }; the plain key is never stored. */
+  async function create({ id, name, rateLimitPerMin, monthlyQuota, generator } = {}) {
+    const keyId = id ? String(id) : crypto.randomBytes(6).toString('hex');
+    if (!/^[A-Za-z0-9_.-]{1,64}$/.test(keyId)) throw keyError(400, 'INVALID_INPUT', 'id may only contain letters, digits, "_", "." and "-"');
+    if (configById.has(keyId) || await getStored(keyId)) throw keyError(409, 'KEY_EXISTS', `A key with id "${keyId}" already exists`);
+    const key = generateKey();
+    const record = {
+      id: keyId,
+      name: name ? String(name).slice(0, 200) : keyId,
+      hash: hashKey(key),
+      rateLimitPerMin: rateLimitPerMin || null,
+      monthlyQuota: monthlyQuota || null,
+      generator: generator === 'heuristic' ? 'heuristic' : null,
+      source: 'admin',
+      createdAt: Date.now(),
+      revokedAt: null
+    };
+    if (redis) {
+      await redis.multi().set(k('key', keyId), JSON.stringify(record)).set(k('hash', record.hash), keyId).exec();
+    } else {
+      memKeys.set(keyId, record);
+      memHashes.set(record.hash, keyId);
+    }
+    return { key, record: withDefaults(record) };
+  }
+
+  /** Revoke a key by id. Resolves with the updated record, or null when unknown. */
+  async function revoke(id) {
+    const rec = await get(id);
+    if (!rec) return null;
+    if (rec.revokedAt) return rec;
+    const now = Date.now();
+    if (rec.source === 'config') {
+      if (redis) await redis.set(k('revoked', id), String(now));
+      else memRevoked.set(id, now);
+    } else {
+      const stored = { ...(await getStored(id)), revokedAt: now };
+      if (redis) await redis.set(k('key', id), JSON.stringify(stored));
+      else memKeys.set(id, stored);
+    }
+    return get(id);
+  }
+
+  async function list() {
+    let stored = [];
+    if (redis) {
+      const ids = [];
+      let cursor = '0';
+      do {
+        const [next, keys] = await redis.scan(cursor, 'MATCH', k('key', '*'), 'COUNT', 200);
+        cursor = next;
+        keys.forEach(name => ids.push(name.slice(k('key', '').length)));
+      } while (cursor !== '0');
+      stored = ids;
+    } else {
+      stored = Array.from(memKeys.keys());
+    }
+    const ids = configKeys.map(c => c.id).concat(stored.filter(id => !configById.has(id)));
+    return (await Promise.all(ids.map(get))).filter(Boolean);
+  }
+
+  // -------------------- usage -------------------- //
+
+  /** Add to this month's counters of a key, e.g. { generations: 1, totalTokens: 812 }. */
+  async function record(id, counters) {
+    const month = monthOf();
+    const entries = Object.entries(counters).filter(([f, v]) => USAGE_FIELDS.includes(f) && v);
+    if (!entries.length) return;
+    if (redis) {
+      const hk = k('usage', id, month);
+      const multi = redis.multi();
+      entries.forEach(([f, v]) => multi.hincrby(hk, f, Math.round(v)));
+      await multi.expire(hk, USAGE_TTL_SEC).exec();
+      return;
+    }
+    const mk = `${id}:${month}`;
+    const cur = memUsage.get(mk) || {};
+    entries.forEach(([f, v]) => { cur[f] = (cur[f] || 0) + Math.round(v); });
+    memUsage.set(mk, cur);
+  }
+
+  // Add `by` (negative to take back) to one counter; resolves with its new value
+  async function increment(id, month, field, by) {
+    if (redis) {
+      const hk = k('usage', id, month);
+      const res = await redis.multi().hincrby(hk, field, by).expire(hk, USAGE_TTL_SEC).exec();
+      return Number(res[0][1]);
+    }
+    const mk = `${id}:${month}`;
+    const cur = memUsage.get(mk) || {};
+    cur[field] = (cur[field] || 0) + by;
+    memUsage.set(mk, cur);
+    return cur[field];
+  }
+
+  /** Counters of a key for a month ("YYYY-MM", default current); missing counters are 0. */
+  async function usage(id, month = monthOf()) {
+    const raw = redis ? await redis.hgetall(k('usage', id, month)) : (memUsage.get(`${id}:${month}`) || {});
+    const out = { month };
+    USAGE_FIELDS.forEach(f => { out[f] = Number(raw[f] || 0); });
+    return out;
+  }
+
+  function quotaError(rec, used, n) {
+    const resetsAt = nextMonthStart();
+    return keyError(429, 'QUOTA_EXCEEDED', 'Monthly generation quota exceeded', {
+      detail: { quota: rec.monthlyQuota, used, requested: n, resetsAt: new Date(resetsAt).toISOString() },
+      retryAfterSec: Math.ceil((resetsAt - Date.now()) / 1000)
+    });
+  }
+
+  /**
+   * Throw a 429 QUOTA_EXCEEDED error when `n` more generations would exceed the key's monthly quota.
+   * A check only (e.g. before queueing a batch); reserve() is what counts a generation.
+   */
+  async function assertQuota(rec, n = 1) {
+    if (!rec.monthlyQuota) return;
+    const { generations } = await usage(rec.id);
+    if (generations + n > rec.monthlyQuota) throw quotaError(rec, generations, n);
+  }
+
+  /**
+   * Count `n` generations against the key's monthly quota before they run. The counter is
+   * incremented first and the increment taken back when it went over the quota (429
+   * QUOTA_EXCEEDED), so concurrent requests can't overshoot it. Resolves with { release() },
+   * which gives the generations back (e.g. when they failed).
+   */
+  async function reserve(rec, n = 1) {
+    const month = monthOf();
+    const total = await increment(rec.id, month, 'generations', n);
+    if (rec.monthlyQuota && total > rec.monthlyQuota) {
+      await increment(rec.id, month, 'generations', -n);
+      // other requests' reservations may be in the count too
+      throw quotaError(rec, Math.min(total - n, rec.monthlyQuota), n);
+    }
+    let released = false;
+    return {
+      async release() {
+        if (released) return;
+        released = true;
+        await increment(rec.id, month, 'generations', -n);
+      }
+    };
+  }
+
+  /**
+   * Count one request against the key's per-minute limit (fixed one-minute window).
+   * Resolves with { limit, remaining, resetSec }, or null when the key has no limit.
+   * Throws a 429 RATE_LIMITED error once the limit is used up.
+   */
+  async function hit(rec) {
+    const limit = rec.rateLimitPerMin;
+    if (!limit) return null;
+    const minute = Math.floor(Date.now() / 60000);
+    let count;
+    if (redis) {
+      const rk = k('rate', rec.id, minute);
+      const res = await redis.multi().incr(rk).expire(rk, 120).exec();
+      count = Number(res[0][1]);
+    } else {
+      const cur = memRate.get(rec.id);
+      count = cur && cur.minute === minute ? cur.count + 1 : 1;
+      memRate.set(rec.id, { minute, count });
+    }
+    const resetSec = Math.max(1, Math.ceil(((minute + 1) * 60000 - Date.now()) / 1000));
+    const info = { limit, remaining: Math.max(0, limit - count), resetSec };
+    if (count > limit) {
+      throw keyError(429, 'RATE_LIMITED', 'Rate limit exceeded for this API key', {
+        detail: { limit, windowSec: 60 }, retryAfterSec: resetSec, rate: info
+      });
+    }
+    return info;
+  }
+
+  return {
+    lookup, get, create, revoke, list, record, usage, assertQuota, reserve, hit,
+    backend: redis ? 'redis' : 'memory',
+    configKeys: configKeys.length
+  };
+}
+
+// The API key of the request being served, available down the async call chain
+// (provider calls, batch items) without passing it through every function.
+const keyContext = new AsyncLocalStorage();
+
+function currentApiKey() {
+  const ctx = keyContext.getStore();
+  return ctx ? ctx.key : null;
+}
+
+// Presented key: Authorization: Bearer <key>, X-API-Key, or ?api_key= (EventSource can't set headers)
+function keyFromRequest(req) {
+  const auth = req.get('authorization') || '';
+  const m = auth.match(/^Bearer\s+(\S+)$/i);
+  if (m) return m[1];
+  return req.get('x-api-key') || (typeof req.query.api_key === 'string' ? req.query.api_key : null);
+}
+
+module.exports = {
+  createApiKeyStore,
+  keyContext,
+  currentApiKey,
+  keyFromRequest,
+  publicRecord,
+  hashKey,
+  generateKey,
+  monthOf,
+  USAGE_FIELDS
+};
+
+if (require.main === module) {
+  const [cmd, id] = process.argv.slice(2);
+  if (cmd !== 'new') {
+    console.error('usage: node lib/api-keys.js new [id]');
+    process.exit(1);
+  }
+  const key = generateKey();
+  console.log(`key:   ${key}`);
+  console.log(`entry: ${JSON.stringify({ id: id || crypto.randomBytes(6).toString('hex'), name: id || '', hash: `sha256:${hashKey(key)}` })}`);
+}
@@ -0,0 +1,117 @@
+/**
+ * Site audit: per-page SEO record + report over a crawled set of pages.
+ */
+
+const cheerio = require('cheerio');
+const { extractTitle, extractMetaDescription, extractFirstH1, extractCanonical } = require('./extract');
+
+const DEFAULT_THRESHOLDS = {
+  titleMin: 30,
+  titleMax: 60,
+  metaMin: 120,
+  metaMax: 160,
+  // minimum word overlap between H1 and title before we call them mismatched
+  h1TitleOverlap: 0.3
+};
+
+const STOPWORDS = new Set(['the','and','for','with','a','an','of','to','in','on','at','by','or','is','are','your','you','our','from','how','what']);
+
+// Build the audit record for one fetched page
+function pageRecord(url, fetched) {
+  if (fetched.skipped) return { url, skipped: fetched.skipped };
+  if (!fetched.ok) return { url, status: fetched.status, error: `HTTP status ${fetched.status}` };
+  if (fetched.contentType && !/html/i.test(fetched.contentType)) {
+    return { url, status: fetched.status, error: `Not an HTML page (${fetched.contentType})` };
+  }
+  const $ = cheerio.load(fetched.body || '');
+  return {
+    url,
+    finalUrl: fetched.url,
+    status: fetched.status,
+    title: extractTitle($) || '',
+    description: extractMetaDescription($) || '',
+    h1: extractFirstH1($) || '',
+    canonical: extractCanonical($, fetched.url) || ''
+  };
+}
+
+function tokens(s) {
+  return new Set(String(s || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/)
+    .filter(w => w && !STOPWORDS.has(w)));
+}
+
+// Jaccard overlap of the meaningful words of two strings (0..1)
+function wordOverlap(a, b) {
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (!ta.size || !tb.size) return 0;
+  let shared = 0;
+  ta.forEach(w => { if (tb.has(w)) shared++; });
+  return shared / (ta.size + tb.size - shared);
+}
+
+function lengthIssues(field, value, min, max) {
+  if (!value) return [{ code: `${field}_missing`, message: `No ${field === 'meta' ? 'meta description' : 'title'}` }];
+  if (value.length > max) return [{ code: `${field}_too_long`, message: `${value.length} chars (max ${max})` }];
+  if (value.length < min) return [{ code: `${field}_too_short`, message: `${value.length} chars (min ${min})` }];
+  return [];
+}
+
+function groupDuplicates(pages, field) {
+  const byValue = new Map();
+  pages.forEach(p => {
+    const v = (p[field] || '').toLowerCase();
+    if (!v) return;
+    if (!byValue.has(v)) byValue.set(v, { value: p[field], urls: [] });
+    byValue.get(v).urls.push(p.url);
+  });
+  return Array.from(byValue.values()).filter(g => g.urls.length > 1);
+}
+
+/**
+ * Build the audit report from page records.
+ * A page "fails" (and is offered an AI rewrite) when its title or description has an issue.
+ */
+function buildAuditReport(records, thresholds = {}) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const crawled = records.filter(r => !r.skipped && !r.error);
+  const dupTitles = groupDuplicates(crawled, 'title');
+  const dupMetas = groupDuplicates(crawled, 'description');
+  const dupTitleUrls = new Set(dupTitles.flatMap(g => g.urls));
+  const dupMetaUrls = new Set(dupMetas.flatMap(g => g.urls));
+
+  const counts = {};
+  const pages = records.map(r => {
+    if (r.skipped || r.error) return { ...r, issues: [], failing: false };
+    const issues = [
+      ...lengthIssues('title', r.title, t.titleMin, t.titleMax),
+      ...lengthIssues('meta', r.description, t.metaMin, t.metaMax)
+    ];
+    if (dupTitleUrls.has(r.url)) issues.push({ code: 'title_duplicate', message: 'Title is used on other pages' });
+    if (dupMetaUrls.has(r.url)) issues.push({ code: 'meta_duplicate', message: 'Meta description is used on other pages' });
+    if (!r.h1) {
+      issues.push({ code: 'h1_missing', message: 'No H1' });
+    } else if (r.title && wordOverlap(r.h1, r.title) < t.h1TitleOverlap) {
+      issues.push({ code: 'h1_title_mismatch', message: 'H1 and title share few words' });
+    }
+    issues.forEach(i => { counts[i.code] = (counts[i.code] || 0) + 1; });
+    const failing = issues.some(i => /^(title|meta)_/.test(i.code));
+    return { ...r, issues, failing };
+  });
+
+  return {
+    thresholds: t,
+    summary: {
+      pages: records.length,
+      crawled: crawled.length,
+      skipped: records.filter(r => r.skipped).length,
+      errors: records.filter(r => r.error).length,
+      failing: pages.filter(p => p.failing).length,
+      issues: counts
+    },
+    duplicates: { titles: dupTitles, descriptions: dupMetas },
+    pages
+  };
+}
+
+module.exports = { pageRecord, buildAuditReport, wordOverlap, DEFAULT_THRESHOLDS };
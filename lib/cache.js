@@ -0,0 +1,197 @@
+/**
+ * Generation cache, in Redis when a client is given, otherwise in a bounded in-process LRU.
+ *
+ * An entry is fresh for `ttlSec`, then served stale for up to `staleSec` more while a single
+ * background call recomputes it (stale-while-revalidate). Concurrent misses on the same key in
+ * this process share one computation (single flight). Entries carry the URL or keyword they were
+ * generated for, so an admin can purge them by URL, keyword or URL prefix.
+ *
+ * Layout in Redis:
+ *   <prefix>:<key>    -> JSON { value, tags, storedAt, freshUntil } (expires after ttl + stale)
+ *   <prefix>:index    -> sorted set of JSON [key, url, keyword] scored by expiry time (ms), read by
+ *                        purge() and stats(); members past their expiry are pruned on every write
+ */
+
+const { logger } = require('./log');
+
+const RESULTS = ['hit', 'stale', 'miss', 'shared', 'error'];
+
+// URL / keyword tags as compared by purge()
+function normalizeTags({ url = null, keyword = null } = {}) {
+  return {
+    url: url ? String(url) : null,
+    keyword: keyword ? String(keyword).trim().toLowerCase() : null
+  };
+}
+
+// Index members carry the tags, so pruning the sorted set by score is all the cleanup there is
+const indexMember = (k, tags) => JSON.stringify([k, tags.url, tags.keyword]);
+function parseMember(member) {
+  const [k, url, keyword] = JSON.parse(member);
+  return { k, tags: { url, keyword } };
+}
+
+function matchesPurge(tags, { url, keyword, prefix }) {
+  if (url && tags.url === url) return true;
+  if (keyword && tags.keyword === String(keyword).trim().toLowerCase()) return true;
+  return !!(prefix && tags.url && tags.url.startsWith(prefix));
+}
+
+function createCache({ redis = null, prefix = 'cache', ttlSec = 24 * 60 * 60, staleSec = 0, maxEntries = 500, onLookup = null } = {}) {
+  const mem = new Map(); // key -> entry, least recently used first
+  const inflight = new Map(); // key -> promise of the value being computed
+  const counts = Object.fromEntries(RESULTS.map(r => [r, 0]));
+
+  const entryKey = k => `${prefix}:${k}`;
+  const indexKey = `${prefix}:index`;
+  const lifetimeMs = (ttlSec + staleSec) * 1000;
+
+  function count(result) {
+    counts[result] += 1;
+    if (onLookup) onLookup(result);
+  }
+
+  function warn(message, err) {
+    logger.warn(message, { err });
+  }
+
+  async function read(k) {
+    if (redis) {
+      const v = await redis.get(entryKey(k));
+      return v ? JSON.parse(v) : null;
+    }
+    const entry = mem.get(k);
+    if (!entry) return null;
+    mem.delete(k);
+    if (entry.freshUntil + staleSec * 1000 <= Date.now()) return null;
+    mem.set(k, entry); // most recently used
+    return entry;
+  }
+
+  // Store a value; `tags` ({ url, keyword }) are what purge() matches on
+  async function set(k, value, tags = {}) {
+    const now = Date.now();
+    const entry = { value, tags: normalizeTags(tags), storedAt: now, freshUntil: now + ttlSec * 1000 };
+    try {
+      if (redis) {
+        await redis.multi()
+          .set(entryKey(k), JSON.stringify(entry), 'EX', ttlSec + staleSec)
+          .zadd(indexKey, now + lifetimeMs, indexMember(k, entry.tags))
+          .zremrangebyscore(indexKey, '-inf', now)
+          .exec();
+        return;
+      }
+      mem.delete(k);
+      mem.set(k, entry);
+      while (mem.size > maxEntries) mem.delete(mem.keys().next().value);
+    } catch (e) {
+      warn('Cache write error', e);
+    }
+  }
+
+  // Run `compute` once per key at a time; a successful, cacheable result is stored
+  function computeOnce(k, compute, { tags, cacheable }) {
+    if (inflight.has(k)) return { promise: inflight.get(k), shared: true };
+    const promise = (async () => {
+      try {
+        const value = await compute();
+        if (cacheable(value)) await set(k, value, tags);
+        return value;
+      } finally {
+        inflight.delete(k);
+      }
+    })();
+    inflight.set(k, promise);
+    return { promise, shared: false };
+  }
+
+  /**
+   * The cached value for `k`, else `compute()`'s. Returns { value, result } where result is
+   * "hit", "stale" (served while compute({ background: true }) refreshes it), "miss",
+   * "shared" (joined a computation already running for the same key) or "error" (cache
+   * unreadable, computed instead). `cacheable(value)` decides whether a result is stored.
+   */
+  async function resolve(k, compute, { tags = {}, cacheable = () => true } = {}) {
+    let entry = null;
+    let readFailed = false;
+    try {
+      entry = await read(k);
+    } catch (e) {
+      readFailed = true;
+      warn('Cache read error', e);
+    }
+
+    if (entry && entry.freshUntil > Date.now()) {
+      count('hit');
+      return { value: entry.value, result: 'hit' };
+    }
+    if (entry) {
+      count('stale');
+      if (!inflight.has(k)) {
+        computeOnce(k, () => compute({ background: true }), { tags, cacheable }).promise
+          .catch(e => warn('Cache refresh failed', e));
+      }
+      return { value: entry.value, result: 'stale' };
+    }
+
+    const { promise, shared } = computeOnce(k, () => compute({ background: false }), { tags, cacheable });
+    const result = readFailed ? 'error' : shared ? 'shared' : 'miss';
+    count(result);
+    return { value: await promise, result };
+  }
+
+  /**
+   * Remove the entries generated for `url`, for `keyword` (case-insensitive) or for any URL
+   * starting with `prefix`. Returns the number of entries removed.
+   */
+  async function purge({ url, keyword, prefix: urlPrefix } = {}) {
+    const criteria = { url, keyword, prefix: urlPrefix };
+    if (redis) {
+      const now = Date.now();
+      const matched = (await redis.zrangebyscore(indexKey, `(${now}`, '+inf'))
+        .filter(member => matchesPurge(parseMember(member).tags, criteria));
+      const multi = redis.multi().zremrangebyscore(indexKey, '-inf', now);
+      if (matched.length) {
+        const keys = new Set(matched.map(member => entryKey(parseMember(member).k)));
+        multi.zrem(indexKey, ...matched).del(...keys);
+      }
+      const replies = await multi.exec();
+      return matched.length ? replies[2][1] : 0;
+    }
+    let removed = 0;
+    for (const [k, entry] of mem) {
+      if (matchesPurge(entry.tags, criteria)) {
+        mem.delete(k);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  // Entries not yet expired (fresh or stale)
+  async function size() {
+    const now = Date.now();
+    if (!redis) return Array.from(mem.values()).filter(e => e.freshUntil + staleSec * 1000 > now).length;
+    return redis.zcount(indexKey, `(${now}`, '+inf');
+  }
+
+  // Lookup counts since start (this process); hitRatio counts every answer that didn't start a generation
+  async function stats() {
+    const lookups = RESULTS.reduce((n, r) => n + counts[r], 0);
+    const served = counts.hit + counts.stale + counts.shared;
+    return {
+      backend: redis ? 'redis' : 'memory',
+      entries: await size(),
+      maxEntries: redis ? null : maxEntries,
+      ttlSec,
+      staleSec,
+      lookups,
+      ...counts,
+      hitRatio: lookups ? served / lookups : 0
+    };
+  }
+
+  return { backend: redis ? 'redis' : 'memory', resolve, set, purge, stats };
+}
+
+module.exports = { createCache };
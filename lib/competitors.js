@@ -0,0 +1,190 @@
+/**
+ * Competitor comparison for the URL flow: what the pages competing for a keyword (e.g. the ones
+ * ranking for it) have in common, so our candidates can be written to stand apart from them.
+ *
+ *   analyzeCompetitors   per page: lengths, title formulas, where the keyword appears; overall:
+ *                        averages, shared phrases and the most common formulas
+ *   competitorInstruction  the prompt lines built from that analysis
+ *   compareCandidates    similarity of each candidate to every competitor title / description
+ *
+ * Similarity is the Jaccard overlap of all the words of both texts (keyword, stopwords and numbers
+ * included: "Best ... 2026" is the formula being copied); a candidate at or above `threshold`
+ * against any competitor is flagged `meToo`.
+ */
+
+const { DEFAULT_LANGUAGE, stopwordsFor, tokenize } = require('./language');
+const { jaccard } = require('./score');
+
+const round2 = v => Math.round(v * 100) / 100;
+const average = list => (list.length ? Math.round(list.reduce((a, b) => a + b, 0) / list.length) : null);
+
+// Title formulas, tested in order; a title can follow several (English wording)
+const FORMULAS = [
+  ['list', /^\d+\s|\b\d+\s+(best|ways|tips|ideas|reasons|things|steps|mistakes)\b/i],
+  ['best-of', /\b(best|top)\b/i],
+  ['how-to', /\bhow to\b/i],
+  ['question', /\?\s*$|^(what|why|how|when|which|who|can|do|does|is|are|should)\b/i],
+  ['guide', /\b(guide|tutorial|explained|everything you need)\b/i],
+  ['year', /\b20\d\d\b/],
+  ['deal', /\b(cheap|sale|deals?|discount|offers?|free (shipping|delivery))\b|\d+\s?% off/i],
+  ['review', /\b(review(ed|s)?|tested|compared|vs\.?)\b/i]
+];
+const SEPARATOR = /\s+[|–—·•-]\s+/;
+
+/** Formulas a title follows, e.g. ['best-of', 'year', 'brand-suffix'] */
+function titleFormulas(title, keyword) {
+  const out = FORMULAS.filter(([, re]) => re.test(title)).map(([name]) => name);
+  const parts = title.split(SEPARATOR);
+  if (parts.length > 1 && parts[parts.length - 1].split(' ').length <= 4) out.push('brand-suffix');
+  else if (/\S:\s/.test(title)) out.push('colon');
+  if (keyword && title.toLowerCase().startsWith(keyword.toLowerCase())) out.push('keyword-first');
+  return out;
+}
+
+// Where the keyword phrase sits in a text: { index, at: start|middle|end } or null
+function keywordPlace(text, keyword) {
+  if (!text || !keyword) return null;
+  const index = text.toLowerCase().indexOf(keyword.toLowerCase());
+  if (index === -1) return null;
+  const at = index <= 3 ? 'start' : (index + keyword.length >= text.length - 3 ? 'end' : 'middle');
+  return { index, at };
+}
+
+const occurrences = (text, keyword) => (text && keyword ? text.toLowerCase().split(keyword.toLowerCase()).length - 1 : 0);
+
+// 2-3 word phrases of a text that don't start or end with a stopword or run across punctuation
+function phrases(text, language) {
+  const stop = stopwordsFor(language);
+  const out = new Set();
+  String(text || '').split(/[,.;:!?|()\[\]–—·•]|\s-\s/).forEach(part => {
+    const words = tokenize(part, language);
+    for (let n = 2; n <= 3; n++) {
+      for (let i = 0; i + n <= words.length; i++) {
+        const gram = words.slice(i, i + n);
+        if (stop.has(gram[0]) || stop.has(gram[n - 1]) || gram.some(w => /^\p{N}+$/u.test(w))) continue;
+        out.add(gram.join(' '));
+      }
+    }
+  });
+  return out;
+}
+
+/**
+ * Analyse extracted competitor pages: [{ url, title, description, h1 }] (pages that failed to
+ * load carry `error` instead and are only listed). Returns { pages, summary }.
+ */
+function analyzeCompetitors(list, { keyword = '', language = DEFAULT_LANGUAGE } = {}) {
+  const ok = list.filter(p => !p.error);
+  const pages = list.map(p => {
+    if (p.error) return { url: p.url, ok: false, error: p.error, code: p.code || null };
+    return {
+      url: p.url,
+      ok: true,
+      title: p.title,
+      description: p.description,
+      h1: p.h1,
+      titleLength: p.title.length,
+      descriptionLength: p.description.length,
+      formulas: titleFormulas(p.title, keyword),
+      keyword: {
+        title: keywordPlace(p.title, keyword),
+        description: keywordPlace(p.description, keyword),
+        h1: !!keywordPlace(p.h1, keyword),
+        count: occurrences(`${p.title}\n${p.description}\n${p.h1}`, keyword)
+      }
+    };
+  });
+  const analyzed = pages.filter(p => p.ok);
+
+  // phrases on at least two pages (the keyword and its parts are expected everywhere and left out)
+  const kw = ` ${tokenize(keyword, language).join(' ')} `;
+  const byPhrase = new Map();
+  ok.forEach(p => {
+    const fields = { title: p.title, description: p.description, h1: p.h1 };
+    const seen = new Map();
+    Object.entries(fields).forEach(([field, text]) => phrases(text, language).forEach(ph => {
+      if (kw.includes(` ${ph} `)) return;
+      if (!seen.has(ph)) seen.set(ph, new Set());
+      seen.get(ph).add(field);
+    }));
+    seen.forEach((flds, ph) => {
+      const entry = byPhrase.get(ph) || { phrase: ph, pages: 0, fields: new Set() };
+      entry.pages++;
+      flds.forEach(f => entry.fields.add(f));
+      byPhrase.set(ph, entry);
+    });
+  });
+  const shared = Array.from(byPhrase.values()).filter(e => e.pages >= 2)
+    .sort((a, b) => b.pages - a.pages || b.phrase.split(' ').length - a.phrase.split(' ').length || a.phrase.localeCompare(b.phrase));
+  // "running shoes" adds nothing next to "best running shoes" on the same pages
+  const sharedPhrases = shared.filter(e => !shared.some(o => o !== e && o.pages === e.pages && o.phrase.includes(e.phrase)))
+    .slice(0, 15)
+    .map(e => ({ phrase: e.phrase, pages: e.pages, fields: Array.from(e.fields) }));
+
+  const formulaCounts = new Map();
+  analyzed.forEach(p => p.formulas.forEach(f => {
+    const entry = formulaCounts.get(f) || { formula: f, count: 0, examples: [] };
+    entry.count++;
+    if (entry.examples.length < 2) entry.examples.push(p.title);
+    formulaCounts.set(f, entry);
+  }));
+  const inTitle = analyzed.filter(p => p.keyword.title);
+
+  return {
+    pages,
+    summary: {
+      analyzed: analyzed.length,
+      failed: pages.length - analyzed.length,
+      averages: {
+        titleLength: average(analyzed.filter(p => p.title).map(p => p.titleLength)),
+        descriptionLength: average(analyzed.filter(p => p.description).map(p => p.descriptionLength)),
+        titleWords: average(analyzed.filter(p => p.title).map(p => p.title.split(/\s+/).length))
+      },
+      keyword: {
+        inTitle: inTitle.length,
+        atTitleStart: inTitle.filter(p => p.keyword.title.at === 'start').length,
+        inDescription: analyzed.filter(p => p.keyword.description).length,
+        inH1: analyzed.filter(p => p.keyword.h1).length,
+        averageTitleIndex: average(inTitle.map(p => p.keyword.title.index))
+      },
+      sharedPhrases,
+      formulas: Array.from(formulaCounts.values()).sort((a, b) => b.count - a.count)
+    }
+  };
+}
+
+/** Prompt lines asking for candidates that stand apart from the analysed competitors ('' for none) */
+function competitorInstruction(analysis) {
+  if (!analysis || !analysis.summary.analyzed) return '';
+  const { pages, summary } = analysis;
+  const n = summary.analyzed;
+  const lines = ['- Competing pages for this keyword. Stand apart from them: do not reuse their wording or copy their title formula.'];
+  pages.filter(p => p.ok && p.title).forEach(p => {
+    lines.push(`  - "${p.title}"${p.description ? ` / "${p.description.slice(0, 200)}"` : ''}`);
+  });
+  if (summary.sharedPhrases.length) {
+    lines.push(`- Phrases most of them use (find your own words): ${summary.sharedPhrases.slice(0, 8).map(s => `"${s.phrase}"`).join(', ')}`);
+  }
+  const common = summary.formulas.filter(f => f.count >= Math.max(2, Math.ceil(n / 2)));
+  if (common.length) {
+    lines.push(`- Title formulas they share: ${common.map(f => `${f.formula} (${f.count} of ${n})`).join(', ')}. Lead with an angle they miss: a benefit, an audience, a format or a detail only this page has.`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Similarity of each candidate to every competitor: { text, similarity: [{ url, similarity }],
+ * maxSimilarity, meToo }. Titles are compared with titles, descriptions with descriptions.
+ */
+function compareCandidates({ titles = [], metas = [] }, analysis, { language = DEFAULT_LANGUAGE, threshold = 0.6 } = {}) {
+  const pages = ((analysis && analysis.pages) || []).filter(p => p.ok);
+  const compare = (texts, field) => texts.map(text => {
+    const words = tokenize(text, language);
+    const similarity = pages.filter(p => p[field]).map(p => ({ url: p.url, similarity: round2(jaccard(words, tokenize(p[field], language))) }));
+    const maxSimilarity = similarity.length ? Math.max(...similarity.map(s => s.similarity)) : 0;
+    return { text, similarity, maxSimilarity, meToo: maxSimilarity >= threshold };
+  });
+  return { titles: compare(titles, 'title'), descriptions: compare(metas, 'description') };
+}
+
+module.exports = { analyzeCompetitors, competitorInstruction, compareCandidates, titleFormulas };
@@ -0,0 +1,205 @@
+/**
+ * Polite crawler used by the site audit:
+ *  - reads sitemap.xml (urlset + sitemap indexes, .gz supported)
+ *  - obeys robots.txt (Allow/Disallow with * and $, Crawl-delay)
+ *  - spaces requests to the same host by a configurable delay
+ */
+
+const zlib = require('zlib');
+const { safeFetch } = require('./safe-fetch');
+
+const DEFAULT_UA = 'MetaGenTool/1.0 (+https://apextechagency.com)';
+const UA_TOKEN = 'metagentool';
+
+// -------------------- robots.txt -------------------- //
+
+function parseRobots(txt) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(txt || '').split(/\r?\n/).forEach(line => {
+    const clean = line.replace(/#.*$/, '').trim();
+    const m = clean.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) return;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (field === 'user-agent') {
+      // consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+    if (!current) return;
+    if (field === 'allow' || field === 'disallow') {
+      // empty Disallow means "allow everything"
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const n = parseFloat(value);
+      if (!isNaN(n)) current.crawlDelay = n;
+    }
+  });
+  return groups;
+}
+
+function pickRobotsGroup(groups, uaToken = UA_TOKEN) {
+  return groups.find(g => g.agents.some(a => a !== '*' && uaToken.includes(a))) ||
+         groups.find(g => g.agents.includes('*')) ||
+         null;
+}
+
+function robotsPatternToRegex(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Longest matching rule wins; Allow wins a tie
+function robotsAllows(group, pathWithQuery) {
+  if (!group) return true;
+  let best = null;
+  group.rules.forEach(rule => {
+    if (!robotsPatternToRegex(rule.path).test(pathWithQuery)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return best ? best.allow : true;
+}
+
+// -------------------- sitemaps -------------------- //
+
+function decodeXmlEntities(s) {
+  return s.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Returns { type: 'index'|'urlset', locs: [...] }
+function parseSitemap(xml) {
+  const isIndex = /<sitemapindex[\s>]/i.test(xml);
+  const blockRe = isIndex ? /<sitemap[\s>][\s\S]*?<\/sitemap>/gi : /<url[\s>][\s\S]*?<\/url>/gi;
+  const locs = [];
+  (xml.match(blockRe) || []).forEach(block => {
+    const m = block.match(/<loc>([\s\S]*?)<\/loc>/i);
+    if (m) locs.push(decodeXmlEntities(m[1]));
+  });
+  return { type: isIndex ? 'index' : 'urlset', locs };
+}
+
+// -------------------- crawler -------------------- //
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function createCrawler({ rateMs = 1000, userAgent = DEFAULT_UA, timeoutMs = 15000, maxBytes = 10 * 1024 * 1024 } = {}) {
+  const robotsCache = new Map();  // origin -> group|null
+  const nextSlot = new Map();     // host -> earliest timestamp for the next request
+
+  // Reserve the next request slot for a host; concurrent callers queue up behind each other
+  async function throttle(host, delayMs) {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, slot + delayMs);
+    if (slot > now) await sleep(slot - now);
+  }
+
+  async function rawGet(url) {
+    const u = new URL(url);
+    const group = robotsCache.get(u.origin);
+    const delay = Math.max(rateMs, group && group.crawlDelay ? group.crawlDelay * 1000 : 0);
+    await throttle(u.host, delay);
+
+    const res = await safeFetch(url, { userAgent, timeoutMs, maxBytes, acceptHeader: '*/*' });
+    let body = res.text;
+    // gzipped sitemap files (not Content-Encoding, which safeFetch already undoes)
+    const isGzip = /\.gz$/i.test(u.pathname) || /gzip/i.test(res.contentType);
+    if (isGzip && res.buffer[0] === 0x1f && res.buffer[1] === 0x8b) {
+      try { body = zlib.gunzipSync(res.buffer, { maxOutputLength: maxBytes }).toString('utf8'); } catch (e) { /* keep text */ }
+    }
+    return { status: res.status, ok: res.ok, url: res.url, contentType: res.contentType, body };
+  }
+
+  async function robotsFor(url) {
+    const origin = new URL(url).origin;
+    if (robotsCache.has(origin)) return robotsCache.get(origin);
+    let group = null;
+    try {
+      const r = await rawGet(`${origin}/robots.txt`);
+      if (r.ok) group = pickRobotsGroup(parseRobots(r.body));
+    } catch (e) {
+      // unreachable robots.txt = no restrictions
+    }
+    robotsCache.set(origin, group);
+    return group;
+  }
+
+  async function isAllowed(url) {
+    const u = new URL(url);
+    const group = await robotsFor(url);
+    return robotsAllows(group, u.pathname + u.search);
+  }
+
+  /**
+   * Walk a sitemap (or sitemap index) and return unique page URLs.
+   * Nested indexes are followed up to `maxDepth`; stops once `maxUrls` are found.
+   */
+  async function discover(sitemapUrl, { maxUrls = 500, maxSitemaps = 50, maxDepth = 3 } = {}) {
+    const seenSitemaps = new Set();
+    const urls = new Set();
+    const errors = [];
+    const queue = [{ url: sitemapUrl, depth: 0 }];
+
+    while (queue.length && urls.size < maxUrls && seenSitemaps.size < maxSitemaps) {
+      const { url, depth } = queue.shift();
+      if (seenSitemaps.has(url)) continue;
+      seenSitemaps.add(url);
+      let r;
+      try {
+        r = await rawGet(url);
+      } catch (e) {
+        errors.push({ sitemap: url, error: e.message || String(e) });
+        continue;
+      }
+      if (!r.ok) {
+        errors.push({ sitemap: url, error: `status ${r.status}` });
+        continue;
+      }
+      const parsed = parseSitemap(r.body);
+      if (parsed.type === 'index') {
+        if (depth < maxDepth) parsed.locs.forEach(loc => queue.push({ url: loc, depth: depth + 1 }));
+      } else {
+        for (const loc of parsed.locs) {
+          if (urls.size >= maxUrls) break;
+          if (/^https?:\/\//i.test(loc)) urls.add(loc);
+        }
+      }
+    }
+    if (!urls.size && errors.length && seenSitemaps.size === 1) {
+      const err = new Error(`Failed to fetch sitemap: ${errors[0].error}`);
+      err.status = 400;
+      throw err;
+    }
+    return { urls: Array.from(urls), sitemaps: Array.from(seenSitemaps), errors };
+  }
+
+  // Fetch one page if robots.txt allows it; { skipped: 'robots' } otherwise
+  async function fetchPage(url) {
+    if (!(await isAllowed(url))) return { url, skipped: 'robots' };
+    return rawGet(url);
+  }
+
+  return { discover, fetchPage, isAllowed };
+}
+
+module.exports = { createCrawler, parseRobots, pickRobotsGroup, robotsAllows, parseSitemap };
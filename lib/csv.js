@@ -0,0 +1,73 @@
+/**
+ * Minimal CSV helpers (RFC 4180 quoting) used by batch import/export.
+ * No external libs - the inputs we deal with are small lists of URLs/keywords.
+ *
+ * Exported cells often hold text taken from crawled pages. A text cell that starts with = + - @
+ * (or a tab / carriage return) would run as a formula when the file is opened in a spreadsheet,
+ * so it is written with a leading ' (stripFormulaGuard undoes that when our own files are read back).
+ */
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const s = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (s[i + 1] === '"') { field += '"'; i++; } else { inQuotes = false; }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') { inQuotes = true; continue; }
+    if (ch === ',') { row.push(field); field = ''; continue; }
+    if (ch === '\r') continue;
+    if (ch === '\n') { row.push(field); rows.push(row); row = []; field = ''; continue; }
+    field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  // drop blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Parse CSV into objects using the first row as header (lower-cased, trimmed)
+function parseCsvObjects(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  return rows.slice(1).map(r => {
+    const o = {};
+    header.forEach((h, i) => { if (h) o[h] = (r[i] || '').trim(); });
+    return o;
+  });
+}
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCsvField(v) {
+  if (v === null || v === undefined) return '';
+  let s = typeof v === 'string' ? v : (typeof v === 'object' ? JSON.stringify(v) : String(v));
+  if (typeof v === 'string' && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Serialize an array of objects to CSV using the given column list
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCsvField).join(',')];
+  rows.forEach(r => lines.push(columns.map(c => escapeCsvField(r[c])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// "'=SUM(A1)" -> "=SUM(A1)": a cell of a file written by toCsv, as it was before escaping
+function stripFormulaGuard(s) {
+  return typeof s === 'string' && s[0] === "'" && FORMULA_START.test(s.slice(1)) ? s.slice(1) : s;
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsv, stripFormulaGuard };
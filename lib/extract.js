@@ -0,0 +1,283 @@
+/**
+ * HTML extraction shared by the generation routes and the site crawler.
+ * cheerio-based: attribute order, entities and odd markup are handled by the parser.
+ *
+ * Every extractor accepts either an HTML string or an already loaded cheerio root,
+ * so callers that need several fields parse the page once.
+ */
+
+const cheerio = require('cheerio');
+const { extractEmbedded } = require('./spa');
+
+// Pages with less visible content than this are also read from their embedded state (lib/spa.js)
+const EMBEDDED_MIN_WORDS = 150;
+
+function load(htmlOrRoot) {
+  return typeof htmlOrRoot === 'function' ? htmlOrRoot : cheerio.load(htmlOrRoot || '');
+}
+
+function clean(s) {
+  return String(s || '').replace(/\s+/g, ' ').trim();
+}
+
+// Resolve a possibly relative URL against the page URL / <base href>
+function absolutize(href, baseUrl) {
+  if (!href) return '';
+  try {
+    return baseUrl ? new URL(href, baseUrl).href : new URL(href).href;
+  } catch (e) {
+    return href.trim();
+  }
+}
+
+function metaContent($, attr, name) {
+  const want = name.toLowerCase();
+  let value = null;
+  $(`meta[${attr}]`).each((i, el) => {
+    if (value === null && String($(el).attr(attr)).toLowerCase() === want) value = $(el).attr('content');
+  });
+  return value === null ? null : clean(value);
+}
+
+function extractTitle(html) {
+  const $ = load(html);
+  const t = clean($('head title').first().text() || $('title').first().text());
+  return t || null;
+}
+
+function extractMetaDescription(html) {
+  return metaContent(load(html), 'name', 'description') || null;
+}
+
+function extractFirstH1(html) {
+  const t = clean(load(html)('h1').first().text());
+  return t || null;
+}
+
+function extractCanonical(html, baseUrl) {
+  const $ = load(html);
+  const href = $('link[rel]').filter((i, el) => /(^|\s)canonical(\s|$)/i.test($(el).attr('rel'))).first().attr('href');
+  return href ? absolutize(href, baseUrl) : null;
+}
+
+function extractHreflang(html, baseUrl) {
+  const $ = load(html);
+  const out = [];
+  $('link[rel][hreflang]').each((i, el) => {
+    if (!/(^|\s)alternate(\s|$)/i.test($(el).attr('rel'))) return;
+    const href = $(el).attr('href');
+    if (href) out.push({ lang: clean($(el).attr('hreflang')).toLowerCase(), href: absolutize(href, baseUrl) });
+  });
+  return out;
+}
+
+// Declared page language: <html lang>, xml:lang, then the Content-Language meta
+function extractLanguage(html) {
+  const $ = load(html);
+  const lang = $('html').attr('lang') || $('html').attr('xml:lang') || metaContent($, 'http-equiv', 'content-language');
+  return clean(lang).split(',')[0].trim() || null;
+}
+
+// robots meta (plus googlebot-specific directives) parsed into flags
+function extractRobots(html) {
+  const $ = load(html);
+  const raw = [metaContent($, 'name', 'robots'), metaContent($, 'name', 'googlebot')].filter(Boolean).join(', ');
+  const directives = raw.toLowerCase().split(',').map(s => s.trim()).filter(Boolean);
+  return {
+    raw: raw || null,
+    directives,
+    index: !directives.includes('noindex') && !directives.includes('none'),
+    follow: !directives.includes('nofollow') && !directives.includes('none')
+  };
+}
+
+// og:* and twitter:* tags as flat objects keyed without the prefix (og:image:alt -> image:alt)
+function extractSocialTags(html) {
+  const $ = load(html);
+  const openGraph = {};
+  const twitter = {};
+  $('meta').each((i, el) => {
+    const key = String($(el).attr('property') || $(el).attr('name') || '').toLowerCase().trim();
+    const content = clean($(el).attr('content'));
+    if (!key || !content) return;
+    if (key.startsWith('og:')) {
+      const k = key.slice(3);
+      if (openGraph[k] === undefined) openGraph[k] = content;
+    } else if (key.startsWith('twitter:')) {
+      const k = key.slice(8);
+      if (twitter[k] === undefined) twitter[k] = content;
+    }
+  });
+  return { openGraph, twitter };
+}
+
+// Parsed JSON-LD blocks (invalid blocks are skipped); @graph arrays are flattened
+function extractJsonLd(html) {
+  const $ = load(html);
+  const blocks = [];
+  $('script[type]').each((i, el) => {
+    if (!/^application\/ld\+json$/i.test(String($(el).attr('type')).trim())) return;
+    const txt = ($(el).contents().text() || '').trim();
+    if (!txt) return;
+    try {
+      const data = JSON.parse(txt);
+      const list = Array.isArray(data) ? data : [data];
+      list.forEach(d => {
+        if (d && Array.isArray(d['@graph'])) d['@graph'].forEach(g => blocks.push(g));
+        else if (d && typeof d === 'object') blocks.push(d);
+      });
+    } catch (e) {
+      // ignore malformed JSON-LD
+    }
+  });
+  return blocks;
+}
+
+function jsonLdTypes(blocks) {
+  const types = new Set();
+  blocks.forEach(b => [].concat(b['@type'] || []).forEach(t => types.add(String(t))));
+  return Array.from(types);
+}
+
+// H1-H3 outline in document order
+function extractHeadings(html, maxLevel = 3) {
+  const $ = load(html);
+  const sel = Array.from({ length: maxLevel }, (v, i) => `h${i + 1}`).join(',');
+  const out = [];
+  $(sel).each((i, el) => {
+    const text = clean($(el).text());
+    if (text) out.push({ level: parseInt(el.tagName.slice(1), 10), text });
+  });
+  return out;
+}
+
+const BOILERPLATE_TAGS = 'script,style,noscript,template,svg,iframe,form,nav,header,footer,aside,button,select,dialog';
+const BOILERPLATE_ROLES = '[role="navigation"],[role="banner"],[role="contentinfo"],[role="complementary"],[role="search"],[aria-hidden="true"]';
+const BOILERPLATE_NAMES = /(^|[-_\s])(nav|navbar|menu|footer|header|sidebar|cookie|consent|banner|breadcrumbs?|comments?|share|social|popup|modal|subscribe|newsletter|advert|ads?|promo|related|widget|skip)([-_\s]|$)/i;
+
+function blockText($, el) {
+  const parts = [];
+  $(el).find('h1,h2,h3,h4,h5,h6,p,li,blockquote,pre,td,dd,dt,figcaption').each((i, node) => {
+    // skip containers whose text is already covered by a nested block
+    if ($(node).find('p,li').length && !/^h\d$/.test(node.tagName)) return;
+    const t = clean($(node).text());
+    if (t) parts.push(t);
+  });
+  const text = parts.join('\n');
+  return text || clean($(el).text());
+}
+
+/**
+ * Main content: drop nav/footer/boilerplate, prefer <main>/<article>/[role=main],
+ * otherwise pick the container with the most paragraph text.
+ */
+function extractMainContent(html, maxChars = 5000) {
+  const $ = cheerio.load(typeof html === 'function' ? html.html() : (html || ''));
+  $(BOILERPLATE_TAGS).remove();
+  $(BOILERPLATE_ROLES).remove();
+  $('[class],[id]').each((i, el) => {
+    const names = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    if (BOILERPLATE_NAMES.test(names) && !$(el).is('body,html,main,article')) $(el).remove();
+  });
+
+  let root = $('main,[role="main"]').first();
+  if (!root.length) {
+    const articles = $('article');
+    if (articles.length === 1) root = articles.first();
+  }
+  if (!root.length) {
+    // score containers by direct paragraph text
+    const scores = new Map();
+    let best = null;
+    let bestScore = 0;
+    $('p').each((i, p) => {
+      const parent = $(p).parent();
+      const el = parent.get(0);
+      if (!el) return;
+      const score = (scores.get(el) || 0) + clean($(p).text()).length;
+      scores.set(el, score);
+      if (score > bestScore) { bestScore = score; best = parent; }
+    });
+    root = best && bestScore > 200 ? best : $('body');
+  }
+  const text = blockText($, root.length ? root : $.root());
+  return text.slice(0, maxChars).trim();
+}
+
+function extractBodySnippet(html, maxChars = 1200) {
+  return extractMainContent(html, maxChars * 2).replace(/\s+/g, ' ').slice(0, maxChars).trim();
+}
+
+function stripTags(s) {
+  return clean(cheerio.load(`<div>${s || ''}</div>`)('div').text());
+}
+
+const countWords = text => (text ? text.split(/\s+/).length : 0);
+
+/**
+ * Everything the generation routes need from a page, in one pass:
+ * title, description, H1, language, canonical, hreflang, robots, og/twitter, JSON-LD,
+ * H1-H3 outline and main content.
+ *
+ * Thin pages (JavaScript app shells above all) get the text of their embedded state added to
+ * the main content, and the H1 from it when the HTML has none; `spa` then says where it came
+ * from: { framework, shell, sources, prerenderedUrl } (null for pages that needed none).
+ */
+function extractPage(html, { url, snippetChars = 1200, contentChars = 5000 } = {}) {
+  const $ = load(html);
+  const baseHref = $('base[href]').attr('href');
+  const baseUrl = baseHref ? absolutize(baseHref, url) : url;
+  const { openGraph, twitter } = extractSocialTags($);
+  const jsonLd = extractJsonLd($);
+  let mainContent = extractMainContent($, contentChars);
+  let h1 = extractFirstH1($) || '';
+
+  let spa = null;
+  const visibleWords = countWords(mainContent);
+  if (visibleWords < EMBEDDED_MIN_WORDS) {
+    const embedded = extractEmbedded($, { url: baseUrl, visibleWords, jsonLd });
+    const extra = embedded.text.split('\n').filter(line => !mainContent.includes(line));
+    if (extra.length) mainContent = [mainContent, ...extra].filter(Boolean).join('\n').slice(0, contentChars).trim();
+    if (!h1 && embedded.title) h1 = embedded.title;
+    if (embedded.framework || extra.length || embedded.prerenderedUrl) {
+      spa = { framework: embedded.framework, shell: embedded.shell, sources: extra.length ? embedded.sources : [], prerenderedUrl: embedded.prerenderedUrl };
+    }
+  }
+
+  return {
+    titleTag: extractTitle($) || '',
+    metaDesc: extractMetaDescription($) || '',
+    h1,
+    lang: extractLanguage($) || '',
+    snippet: mainContent.replace(/\s+/g, ' ').slice(0, snippetChars).trim(),
+    canonical: extractCanonical($, baseUrl) || '',
+    hreflang: extractHreflang($, baseUrl),
+    robots: extractRobots($),
+    openGraph,
+    twitter,
+    jsonLd,
+    jsonLdTypes: jsonLdTypes(jsonLd),
+    headings: extractHeadings($),
+    mainContent,
+    wordCount: countWords(mainContent),
+    spa
+  };
+}
+
+module.exports = {
+  extractPage,
+  extractTitle,
+  extractMetaDescription,
+  extractFirstH1,
+  extractCanonical,
+  extractLanguage,
+  extractHreflang,
+  extractRobots,
+  extractSocialTags,
+  extractJsonLd,
+  jsonLdTypes,
+  extractHeadings,
+  extractMainContent,
+  extractBodySnippet,
+  stripTags
+};
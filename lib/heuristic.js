@@ -0,0 +1,226 @@
+/**
+ * Rule-based title / description / slug generator: no model, same output shape as the prompts ask
+ * for ({ main_keyword, titles, metas, slug }). Used when every provider failed, or when the
+ * "heuristic" generator is chosen (e.g. for free-tier keys).
+ *
+ *   titles  the page's own title / H1 rephrased (site name split off), then the content type's
+ *           patterns (lib/data/heuristic-templates.json), keyword first when missing
+ *   metas   sentences picked from the main content, ranked by keyword overlap, position and
+ *           length, joined up to the length limits and closed with the content type's CTA
+ *   slug    the keyword (products: the product name when it contains the keyword)
+ *
+ * Deterministic: the same page and keyword always give the same output.
+ */
+
+const TEMPLATES = require('./data/heuristic-templates.json');
+const { DEFAULT_LANGUAGE, stopwordsFor, tokenize, isUnspacedLanguage, slugify } = require('./language');
+
+const TITLE_SEPARATORS = /\s+[|–—·•:-]\s+|\s+::\s+/;
+// small words kept lowercase in English title case
+const MINOR_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'vs', 'with']);
+// cookie banners, navigation and legal text that end up in extracted content
+const BOILERPLATE = /cookie|javascript|newsletter|subscribe|sign in|log in|copyright|©|all rights reserved|privacy policy|terms (and|&) conditions|skip to/i;
+
+const hasText = (text, part) => !!part && String(text).toLowerCase().includes(String(part).toLowerCase());
+const squash = s => String(s || '').replace(/\s+/g, ' ').trim();
+
+function templatesFor(language, contentType) {
+  const lang = TEMPLATES[language];
+  if (lang && lang[contentType]) return lang[contentType];
+  return TEMPLATES['*'];
+}
+
+function titleCase(text, language) {
+  if (language !== 'en') return text;
+  return text.split(' ').map((w, i) => (i > 0 && MINOR_WORDS.has(w.toLowerCase()) ? w.toLowerCase() : w.charAt(0).toUpperCase() + w.slice(1))).join(' ');
+}
+
+// Cut at the last word boundary within `max` characters, dropping trailing punctuation
+function clip(text, max) {
+  if (!max || text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const space = cut.lastIndexOf(' ');
+  return (space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:|–—·-]+$/, '');
+}
+
+// Letters of a host name without the TLD and "www": "www.acme-outdoor.co.uk" -> "acmeoutdoor"
+function hostWord(url) {
+  try {
+    const labels = new URL(url).hostname.replace(/^www\./, '').split('.');
+    return (labels.length > 1 ? labels.slice(0, -1).sort((a, b) => b.length - a.length)[0] : labels[0]).replace(/[^a-z0-9]/g, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * The page's name and site name from its title tag and H1: "Ridge Boot | Acme" -> name "Ridge Boot",
+ * brand "Acme". The brand is og:site_name, else the title segment spelled like the domain, else
+ * (home pages) the segment the H1 repeats, else a short end segment the H1 doesn't repeat.
+ */
+function pageNames(page = {}, { url, contentType } = {}) {
+  const title = squash(page.titleTag);
+  const h1 = squash(page.h1);
+  const og = page.openGraph || {};
+  const parts = title.split(TITLE_SEPARATORS).map(squash).filter(Boolean);
+  let brand = squash(og.site_name);
+  let name = parts[0] || '';
+  if (parts.length > 1) {
+    const host = hostWord(url || page.canonical);
+    const short = p => p.split(' ').length <= 4;
+    const ends = [parts[parts.length - 1], parts[0]];
+    const guess = parts.find(p => host && p.toLowerCase().replace(/[^a-z0-9]/g, '') === host)
+      || (contentType === 'homepage' ? parts.find(p => short(p) && p.toLowerCase() === h1.toLowerCase()) : null)
+      || ends.find(p => short(p) && !hasText(h1, p));
+    if (!brand && guess) brand = guess;
+    name = parts.filter(p => p.toLowerCase() !== brand.toLowerCase()).join(' – ');
+  }
+  if (h1 && h1.toLowerCase() !== brand.toLowerCase() && (!name || h1.length <= 70)) name = h1;
+  if (brand && name.toLowerCase() === brand.toLowerCase()) name = '';
+  return { name, brand };
+}
+
+function fillPattern(pattern, vars) {
+  let missing = false;
+  const out = pattern.replace(/\{(\w+)\}/g, (m, key) => {
+    const v = vars[key];
+    if (!v) missing = true;
+    return v || '';
+  });
+  return missing ? null : squash(out);
+}
+
+function buildTitles({ keyword, name, brand, contentType, language, max, count }) {
+  const { titles: patterns } = templatesFor(language, contentType);
+  const vars = { keyword, Keyword: titleCase(keyword, language), name, brand };
+  const out = [];
+  const seen = new Set();
+  const twice = t => keyword && t.toLowerCase().split(keyword.toLowerCase()).length > 2;
+  patterns.forEach(p => {
+    let t = fillPattern(p, vars);
+    if (!t || twice(t)) return;
+    // the keyword goes first when the pattern left it out ("Ridge Boot" -> "Hiking Boots: Ridge Boot")
+    if (keyword && !hasText(t, keyword)) {
+      if (t.includes(':')) return;
+      t = `${vars.Keyword}: ${t}`;
+    }
+    t = clip(t, max);
+    if (keyword && !hasText(t, keyword)) return;
+    t = t.charAt(0).toUpperCase() + t.slice(1);
+    const key = t.toLowerCase();
+    if (!t || seen.has(key)) return;
+    seen.add(key);
+    out.push(t);
+  });
+  return out.slice(0, count);
+}
+
+// -------------------- descriptions -------------------- //
+
+function splitSentences(text, language) {
+  const re = isUnspacedLanguage(language) ? /(?<=[。！？!?])\s*|(?<=[.])\s+/ : /(?<=[.!?…])\s+/;
+  // lines are blocks of their own (headings, list items): no sentence runs across them
+  return String(text || '').split(/\n+/).flatMap(line => squash(line).split(re)).map(squash).filter(Boolean);
+}
+
+/**
+ * Sentences of the page worth quoting, best first: keyword phrase and keyword words, early
+ * position and a snippet-friendly length count; questions, boilerplate and fragments don't.
+ */
+function rankSentences(text, { keyword, language }) {
+  const stop = stopwordsFor(language);
+  const kwWords = tokenize(keyword, language).filter(w => !stop.has(w));
+  const unspaced = isUnspacedLanguage(language);
+  const list = splitSentences(text, language).filter(s => {
+    const len = s.length;
+    return len >= (unspaced ? 12 : 40) && len <= 260 && !/https?:\/\//.test(s) && !BOILERPLATE.test(s) && s !== s.toUpperCase();
+  });
+  return list.map((s, i) => {
+    const words = new Set(tokenize(s, language));
+    let score = 0;
+    if (hasText(s, keyword)) score += 4;
+    score += kwWords.filter(w => words.has(w)).length;
+    score += 2 * (1 - i / list.length);
+    if (s.length >= 60 && s.length <= 160) score += 1;
+    if (/[?？]$/.test(s)) score -= 1;
+    return { text: s, index: i, score };
+  }).sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+// Sentence joined with more sentences (then a CTA) up to [min, max] characters: { text, used }
+function composeMeta(lead, more, { keyword, Keyword, cta, min, max }) {
+  const used = [lead];
+  let meta = lead;
+  if (keyword && !hasText(meta, keyword)) meta = `${Keyword}: ${meta.charAt(0).toLowerCase()}${meta.slice(1)}`;
+  const fits = s => !max || `${meta} ${s}`.length <= max;
+  const ctaRoom = cta.length ? Math.min(...cta.map(c => c.length)) + 1 : 0;
+  for (const s of more) {
+    if (min && meta.length + ctaRoom >= min) break;
+    if (s !== lead && !hasText(meta, s) && fits(s)) {
+      meta = `${meta} ${s}`;
+      used.push(s);
+    }
+  }
+  // CTAs close it (a second one while still short), but none that repeats the text's own verb
+  // ("Browse our range... Browse the range.")
+  if (!/[?？]$/.test(meta)) {
+    for (const c of cta) {
+      if (!fits(c) || hasText(meta, c.split(' ')[0])) continue;
+      meta = /[.!?。！？…]$/.test(meta) ? `${meta} ${c}` : `${meta}. ${c}`;
+      if (!min || meta.length >= min) break;
+    }
+  }
+  return { text: clip(meta, max), used };
+}
+
+function buildMetas({ keyword, content, metaDesc, contentType, language, min, max, count }) {
+  const tpl = templatesFor(language, contentType);
+  const Keyword = titleCase(keyword, language);
+  const ranked = rankSentences(content, { keyword, language }).map(s => s.text);
+  const leads = ranked.slice();
+  // the page's own description is a candidate too, after the best sentence
+  const own = squash(metaDesc);
+  if (own.length >= 50 && !leads.includes(own)) leads.splice(Math.min(1, leads.length), 0, own);
+  const generic = tpl.descriptions.map(d => fillPattern(d, { keyword, Keyword }));
+  leads.push(...generic);
+
+  const out = [];
+  const seen = new Set();
+  for (const lead of leads) {
+    if (out.length >= count) break;
+    if (!lead) continue;
+    // each candidate continues with the next-best sentences until it is long enough,
+    // then with the content type's generic sentences on thin pages
+    const more = ranked.filter(s => s !== lead).slice(0, 4).concat(generic.filter(s => s !== lead));
+    const meta = composeMeta(lead, more, { keyword, Keyword, cta: tpl.cta, min, max });
+    // the same sentences in another order are the same candidate
+    const key = meta.used.slice().sort().join(' ');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(meta.text);
+  }
+  return out;
+}
+
+// -------------------- generator -------------------- //
+
+/**
+ * Titles, descriptions and a slug for `keyword`, from the extracted `page` (lib/extract.js) at
+ * `url`; omit both for keyword input, where the optional `note` is the only text to quote.
+ * `limits` are the prompt's character limits: { title, metaMin, metaMax }.
+ */
+function heuristicMeta({ keyword, page = null, url, note = '', contentType = 'blog-post', language = DEFAULT_LANGUAGE, slugStyle = 'ascii', limits = {} } = {}) {
+  const kw = squash(keyword);
+  const { name, brand } = pageNames(page || {}, { url, contentType });
+  const titleMax = limits.title || 60;
+  const metaMax = limits.metaMax || 160;
+  const metaMin = limits.metaMin === undefined ? metaMax - 10 : limits.metaMin;
+  const content = page ? (page.mainContent || page.snippet || '') : note;
+
+  const titles = buildTitles({ keyword: kw, name, brand, contentType, language, max: titleMax, count: 5 });
+  const metas = buildMetas({ keyword: kw, content, metaDesc: page ? page.metaDesc : '', contentType, language, min: metaMin, max: metaMax, count: 3 });
+  const slugSource = contentType === 'product' && hasText(name, kw) ? name : kw;
+  return { main_keyword: kw, titles, metas, slug: slugify(slugSource, 80, { language, style: slugStyle }) };
+}
+
+module.exports = { heuristicMeta, pageNames, rankSentences };
@@ -0,0 +1,330 @@
+/**
+ * Generation history: each generation's input, extracted page data, candidates, provider and time,
+ * grouped into projects (client sites), plus the candidates a user chose or marked as favourite and
+ * when the chosen ones went live. Projects also keep their Search Console imports.
+ *
+ * Backends: SQLite (better-sqlite3) when `file` is given, Redis when a client is given, process
+ * memory otherwise. Records and projects belong to an owner (the API key id, null without a key).
+ * Layout in Redis:
+ *   <prefix>:<id>            -> JSON generation record
+ *   <prefix>:index:<owner>   -> list of the owner's record ids, newest first
+ *   <prefix>:projects        -> hash of project id -> JSON project
+ *   <prefix>:gsc:<project>   -> hash of import id -> JSON Search Console import
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./log');
+
+const newId = () => crypto.randomBytes(9).toString('base64url');
+
+// Strip the fragment, trailing slashes and letter case so repeated runs on one page group together
+function normalizeUrl(raw) {
+  try {
+    const u = new URL(raw);
+    return `${u.protocol}//${u.host.toLowerCase()}${u.pathname.replace(/\/+$/, '')}${u.search}`;
+  } catch (e) {
+    return String(raw || '').trim();
+  }
+}
+
+/** What a generation was about: "url:<normalized url>" or "keyword:<lowercased keyword>". */
+function subjectOf({ type, url, keyword }) {
+  return type === 'url' ? `url:${normalizeUrl(url)}` : `keyword:${String(keyword || '').trim().toLowerCase()}`;
+}
+
+/** Host a project covers, from a URL or a bare host name ("www." dropped). Null when it isn't one. */
+function siteOf(raw) {
+  const s = String(raw || '').trim();
+  if (!s) return null;
+  try {
+    return new URL(/^https?:\/\//i.test(s) ? s : `https://${s}`).hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+const hasFavourites = r => !!(r.favourites && (r.favourites.titles.length || r.favourites.descriptions.length));
+
+// Filters shared by the memory and Redis backends (SQLite does the same in SQL)
+function matches(r, { project, subject, q, favourites, before }) {
+  if (project !== undefined && r.project !== project) return false;
+  if (subject && r.subject !== subject) return false;
+  if (q && !`${r.url || ''} ${r.keyword || ''}`.toLowerCase().includes(q.toLowerCase())) return false;
+  if (favourites && !hasFavourites(r)) return false;
+  if (before && r.createdAt >= before) return false;
+  return true;
+}
+
+// -------------------- backends -------------------- //
+
+function memoryBackend() {
+  const records = [];   // newest first
+  const projects = new Map();
+  const imports = new Map();
+  return {
+    name: 'memory',
+    async putProject(p) { projects.set(p.id, p); },
+    async getProject(id) { return projects.get(id) || null; },
+    async listProjects(owner) { return Array.from(projects.values()).filter(p => p.owner === owner); },
+    async putImport(imp) { imports.set(imp.id, imp); },
+    async listImports(project) { return Array.from(imports.values()).filter(i => i.project === project); },
+    async removeImport(project, id) {
+      const imp = imports.get(id);
+      return !!imp && imp.project === project && imports.delete(id);
+    },
+    async insert(r) { records.unshift(r); },
+    async save(r) {
+      const i = records.findIndex(x => x.id === r.id);
+      if (i !== -1) records[i] = r;
+    },
+    async get(id) { return records.find(r => r.id === id) || null; },
+    async query(owner, filters, limit) {
+      return records.filter(r => r.owner === owner && matches(r, filters)).slice(0, limit);
+    }
+  };
+}
+
+function redisBackend(redis, { prefix, maxRecords }) {
+  const key = id => `${prefix}:${id}`;
+  const indexKey = owner => `${prefix}:index:${owner === null ? '_' : owner}`;
+  const projectsKey = `${prefix}:projects`;
+  const importsKey = project => `${prefix}:gsc:${project}`;
+  return {
+    name: 'redis',
+    async putProject(p) { await redis.hset(projectsKey, p.id, JSON.stringify(p)); },
+    async getProject(id) {
+      const v = await redis.hget(projectsKey, id);
+      return v ? JSON.parse(v) : null;
+    },
+    async listProjects(owner) {
+      return Object.values(await redis.hgetall(projectsKey)).map(v => JSON.parse(v)).filter(p => p.owner === owner);
+    },
+    async putImport(imp) { await redis.hset(importsKey(imp.project), imp.id, JSON.stringify(imp)); },
+    async listImports(project) {
+      return Object.values(await redis.hgetall(importsKey(project))).map(v => JSON.parse(v))
+        .sort((a, b) => a.importedAt - b.importedAt);
+    },
+    async removeImport(project, id) { return (await redis.hdel(importsKey(project), id)) > 0; },
+    async insert(r) {
+      await redis.multi()
+        .set(key(r.id), JSON.stringify(r))
+        .lpush(indexKey(r.owner), r.id)
+        .ltrim(indexKey(r.owner), 0, maxRecords - 1)
+        .exec();
+    },
+    async save(r) { await redis.set(key(r.id), JSON.stringify(r)); },
+    async get(id) {
+      const v = await redis.get(key(id));
+      return v ? JSON.parse(v) : null;
+    },
+    async query(owner, filters, limit) {
+      const ids = await redis.lrange(indexKey(owner), 0, maxRecords - 1);
+      const values = ids.length ? await redis.mget(ids.map(key)) : [];
+      return values.filter(Boolean).map(v => JSON.parse(v)).filter(r => matches(r, filters)).slice(0, limit);
+    }
+  };
+}
+
+function sqliteBackend(file) {
+  const Database = require('better-sqlite3');
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id TEXT PRIMARY KEY, owner TEXT, created_at INTEGER NOT NULL, data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS generations (
+      id TEXT PRIMARY KEY, owner TEXT, project TEXT, subject TEXT NOT NULL, url TEXT, keyword TEXT,
+      favourite INTEGER NOT NULL DEFAULT 0, created_at INTEGER NOT NULL, data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS generations_owner ON generations (owner, created_at);
+    CREATE INDEX IF NOT EXISTS generations_subject ON generations (subject, created_at);
+    CREATE INDEX IF NOT EXISTS generations_project ON generations (project, created_at);
+    CREATE TABLE IF NOT EXISTS search_console_imports (
+      id TEXT PRIMARY KEY, project TEXT NOT NULL, created_at INTEGER NOT NULL, data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS search_console_imports_project ON search_console_imports (project, created_at);
+  `);
+  const stmt = {
+    putProject: db.prepare('INSERT OR REPLACE INTO projects (id, owner, created_at, data) VALUES (?, ?, ?, ?)'),
+    getProject: db.prepare('SELECT data FROM projects WHERE id = ?'),
+    listProjects: db.prepare('SELECT data FROM projects WHERE owner IS ? ORDER BY created_at'),
+    insert: db.prepare(`INSERT INTO generations (id, owner, project, subject, url, keyword, favourite, created_at, data)
+      VALUES (@id, @owner, @project, @subject, @url, @keyword, @favourite, @createdAt, @data)`),
+    save: db.prepare('UPDATE generations SET favourite = @favourite, data = @data WHERE id = @id'),
+    get: db.prepare('SELECT data FROM generations WHERE id = ?'),
+    putImport: db.prepare('INSERT OR REPLACE INTO search_console_imports (id, project, created_at, data) VALUES (?, ?, ?, ?)'),
+    listImports: db.prepare('SELECT data FROM search_console_imports WHERE project = ? ORDER BY created_at'),
+    removeImport: db.prepare('DELETE FROM search_console_imports WHERE project = ? AND id = ?')
+  };
+  const row = r => ({ ...r, favourite: hasFavourites(r) ? 1 : 0, data: JSON.stringify(r) });
+  // LIKE pattern matching `s` literally
+  const like = s => `%${s.toLowerCase().replace(/[\\%_]/g, c => `\\${c}`)}%`;
+
+  return {
+    name: 'sqlite',
+    async putProject(p) { stmt.putProject.run(p.id, p.owner, p.createdAt, JSON.stringify(p)); },
+    async getProject(id) {
+      const r = stmt.getProject.get(id);
+      return r ? JSON.parse(r.data) : null;
+    },
+    async listProjects(owner) { return stmt.listProjects.all(owner).map(r => JSON.parse(r.data)); },
+    async putImport(imp) { stmt.putImport.run(imp.id, imp.project, imp.importedAt, JSON.stringify(imp)); },
+    async listImports(project) { return stmt.listImports.all(project).map(r => JSON.parse(r.data)); },
+    async removeImport(project, id) { return stmt.removeImport.run(project, id).changes > 0; },
+    async insert(r) { stmt.insert.run(row(r)); },
+    async save(r) { stmt.save.run(row(r)); },
+    async get(id) {
+      const r = stmt.get.get(id);
+      return r ? JSON.parse(r.data) : null;
+    },
+    async query(owner, { project, subject, q, favourites, before }, limit) {
+      const where = ['owner IS ?'];
+      const args = [owner];
+      if (project !== undefined) { where.push('project IS ?'); args.push(project); }
+      if (subject) { where.push('subject = ?'); args.push(subject); }
+      if (q) { where.push("(lower(url) LIKE ? ESCAPE '\\' OR lower(keyword) LIKE ? ESCAPE '\\')"); args.push(like(q), like(q)); }
+      if (favourites) where.push('favourite = 1');
+      if (before) { where.push('created_at < ?'); args.push(before); }
+      args.push(limit);
+      return db.prepare(`SELECT data FROM generations WHERE ${where.join(' AND ')} ORDER BY created_at DESC, rowid DESC LIMIT ?`)
+        .all(...args).map(r => JSON.parse(r.data));
+    }
+  };
+}
+
+// -------------------- store -------------------- //
+
+function createHistoryStore({ file = null, redis = null, prefix = 'history', maxRecords = 10000 } = {}) {
+  let backend;
+  if (file) {
+    try {
+      backend = sqliteBackend(file);
+    } catch (err) {
+      logger.warn('History: SQLite unavailable; keeping history in memory', { file, err });
+    }
+  }
+  if (!backend) backend = redis ? redisBackend(redis, { prefix, maxRecords }) : memoryBackend();
+
+  async function createProject({ owner = null, name, site }) {
+    const project = { id: newId(), owner, name, site: siteOf(site), createdAt: Date.now() };
+    await backend.putProject(project);
+    return project;
+  }
+
+  // The owner's project covering the host of `url`, if any
+  async function projectForUrl({ owner = null, url }) {
+    const host = siteOf(url);
+    if (!host) return null;
+    return (await backend.listProjects(owner)).find(p => p.site === host) || null;
+  }
+
+  /** Store a generation; `subject` is derived from type / url / keyword. */
+  async function add(entry) {
+    const record = {
+      id: newId(),
+      createdAt: Date.now(),
+      chosen: { title: null, description: null },
+      favourites: { titles: [], descriptions: [] },
+      appliedAt: null,
+      ...entry,
+      subject: subjectOf(entry)
+    };
+    await backend.insert(record);
+    return record;
+  }
+
+  /** Replace a record's `chosen` / `favourites` / `appliedAt` (the caller validates the indexes). */
+  async function update(record, { chosen, favourites, appliedAt }) {
+    const next = {
+      ...record,
+      chosen: chosen ? { ...record.chosen, ...chosen } : record.chosen,
+      favourites: favourites ? { ...record.favourites, ...favourites } : record.favourites,
+      appliedAt: appliedAt !== undefined ? appliedAt : (record.appliedAt || null)
+    };
+    await backend.save(next);
+    return next;
+  }
+
+  /**
+   * The owner's records, newest first. Filters: project (id, or null for unfiled), url, keyword,
+   * q (substring of the URL or keyword), favourites (only records with favourite candidates).
+   */
+  async function list({ owner = null, project, url, keyword, q, favourites = false, limit = 50 } = {}) {
+    const filters = { project, q, favourites };
+    if (url) filters.subject = subjectOf({ type: 'url', url });
+    else if (keyword) filters.subject = subjectOf({ type: 'keyword', keyword });
+    return backend.query(owner, filters, limit);
+  }
+
+  /** The generation before `record` for the same page or keyword, or null. */
+  async function previous(record) {
+    const [prev] = await backend.query(record.owner, { subject: record.subject, before: record.createdAt }, 1);
+    return prev || null;
+  }
+
+  /** Keep a parsed Search Console export ({ project, kind, rows, ... }) with the project. */
+  async function addSearchConsoleImport(entry) {
+    const imp = { id: newId(), importedAt: Date.now(), ...entry };
+    await backend.putImport(imp);
+    return imp;
+  }
+
+  return {
+    createProject,
+    getProject: backend.getProject,
+    listProjects: ({ owner = null } = {}) => backend.listProjects(owner),
+    projectForUrl,
+    add,
+    get: backend.get,
+    update,
+    list,
+    previous,
+    addSearchConsoleImport,
+    listSearchConsoleImports: backend.listImports,
+    removeSearchConsoleImport: backend.removeImport,
+    backend: backend.name
+  };
+}
+
+// -------------------- diff -------------------- //
+
+/** What changed from generation `before` to generation `after` (same page or keyword). */
+function diffGenerations(before, after) {
+  const value = v => (v === undefined || v === '' ? null : v);
+  const change = (a, b) => ({ before: value(a), after: value(b), changed: value(a) !== value(b) });
+  const texts = list => (list || []).map(c => c.text);
+  const listDiff = (a, b) => ({
+    added: b.filter(t => !a.includes(t)),
+    removed: a.filter(t => !b.includes(t)),
+    kept: b.filter(t => a.includes(t))
+  });
+  const chosenText = (r, field, list) => {
+    const i = r.chosen && r.chosen[field];
+    return i === null || i === undefined ? null : ((r.candidates[list][i] || {}).text || null);
+  };
+  const pageFields = ['title', 'description', 'h1', 'canonical'];
+  const page = before.extracted || after.extracted
+    ? Object.fromEntries(pageFields.map(f => [f, change((before.extracted || {})[f], (after.extracted || {})[f])]))
+    : null;
+  return {
+    from: { id: before.id, createdAt: before.createdAt },
+    to: { id: after.id, createdAt: after.createdAt },
+    keyword: change(before.keyword, after.keyword),
+    language: change(before.language, after.language),
+    provider: change(before.provider, after.provider),
+    page,
+    titles: listDiff(texts(before.candidates.titles), texts(after.candidates.titles)),
+    descriptions: listDiff(texts(before.candidates.descriptions), texts(after.candidates.descriptions)),
+    slug: change((before.candidates.slug || {}).text, (after.candidates.slug || {}).text),
+    chosen: {
+      title: change(chosenText(before, 'title', 'titles'), chosenText(after, 'title', 'titles')),
+      description: change(chosenText(before, 'description', 'descriptions'), chosenText(after, 'description', 'descriptions'))
+    }
+  };
+}
+
+module.exports = { createHistoryStore, diffGenerations, subjectOf, siteOf };
@@ -0,0 +1,142 @@
+/**
+ * Background job store + runner for bulk generation.
+ * Job state lives in Redis when a client is given (so any instance can answer
+ * status polls), otherwise in process memory. A job records the id of the API key
+ * that started it (`owner`, null for keyless requests) so routes can scope it.
+ *
+ * Layout in Redis:
+ *   <prefix>:<id>        -> JSON job record (status, counters, options)
+ *   <prefix>:<id>:items  -> hash of item index -> JSON item record
+ */
+
+const crypto = require('crypto');
+
+function createJobStore({ redis = null, prefix = 'batch', ttlSec = 7 * 24 * 60 * 60 } = {}) {
+  const memJobs = new Map();   // id -> job
+  const memItems = new Map();  // id -> array of items
+
+  const jobKey = id => `${prefix}:${id}`;
+  const itemsKey = id => `${prefix}:${id}:items`;
+
+  // drop expired in-memory jobs so a long-running process doesn't grow forever
+  function sweepMemory() {
+    const now = Date.now();
+    for (const [id, job] of memJobs) {
+      if (job.expiresAt && job.expiresAt < now) { memJobs.delete(id); memItems.delete(id); }
+    }
+  }
+
+  async function create(items, options = {}, { owner = null } = {}) {
+    const id = crypto.randomBytes(9).toString('base64url');
+    const now = Date.now();
+    const job = {
+      id,
+      status: 'queued',
+      owner,
+      options,
+      total: items.length,
+      done: 0,
+      failed: 0,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: now + ttlSec * 1000
+    };
+    const records = items.map((input, index) => ({ index, input, status: 'pending', result: null, error: null }));
+
+    if (redis) {
+      const fields = [];
+      records.forEach(r => fields.push(String(r.index), JSON.stringify(r)));
+      const multi = redis.multi().set(jobKey(id), JSON.stringify(job), 'EX', ttlSec);
+      if (fields.length) multi.hset(itemsKey(id), ...fields).expire(itemsKey(id), ttlSec);
+      await multi.exec();
+    } else {
+      sweepMemory();
+      memJobs.set(id, job);
+      memItems.set(id, records);
+    }
+    return job;
+  }
+
+  async function get(id) {
+    if (redis) {
+      const v = await redis.get(jobKey(id));
+      return v ? JSON.parse(v) : null;
+    }
+    return memJobs.get(id) || null;
+  }
+
+  async function update(id, patch) {
+    const job = await get(id);
+    if (!job) return null;
+    const next = { ...job, ...patch };
+    if (redis) {
+      await redis.set(jobKey(id), JSON.stringify(next), 'KEEPTTL');
+    } else {
+      memJobs.set(id, next);
+    }
+    return next;
+  }
+
+  async function getItems(id) {
+    if (redis) {
+      const h = await redis.hgetall(itemsKey(id));
+      return Object.values(h || {}).map(v => JSON.parse(v)).sort((a, b) => a.index - b.index);
+    }
+    return (memItems.get(id) || []).slice();
+  }
+
+  async function setItem(id, item) {
+    if (redis) {
+      await redis.hset(itemsKey(id), String(item.index), JSON.stringify(item));
+      return;
+    }
+    const list = memItems.get(id);
+    if (list) list[item.index] = item;
+  }
+
+  return { create, get, update, getItems, setItem, backend: redis ? 'redis' : 'memory' };
+}
+
+/**
+ * Run every pending item of a job through `worker(input)` with at most
+ * `concurrency` items in flight. Per-item failures are recorded on the item
+ * and never abort the job. Resolves with the final job record.
+ */
+async function runJob(store, id, worker, { concurrency = 3 } = {}) {
+  const items = (await store.getItems(id)).filter(i => i.status === 'pending');
+  let job = await store.update(id, { status: 'running', startedAt: Date.now() });
+  let done = job.done;
+  let failed = job.failed;
+  let cursor = 0;
+
+  async function next() {
+    while (cursor < items.length) {
+      const item = items[cursor++];
+      await store.setItem(id, { ...item, status: 'running' });
+      const started = Date.now();
+      try {
+        const result = await worker(item.input);
+        await store.setItem(id, { ...item, status: 'done', result, error: null, ms: Date.now() - started });
+        done++;
+      } catch (err) {
+        const error = { message: err.message || String(err) };
+        if (err.status) error.status = err.status;
+        if (err.code) error.code = err.code;
+        if (err.detail) error.detail = err.detail;
+        await store.setItem(id, { ...item, status: 'failed', result: null, error, ms: Date.now() - started });
+        failed++;
+      }
+      await store.update(id, { done, failed });
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, items.length)); i++) workers.push(next());
+  await Promise.all(workers);
+
+  job = await store.update(id, { status: 'completed', done, failed, finishedAt: Date.now() });
+  return job;
+}
+
+module.exports = { createJobStore, runJob };
@@ -0,0 +1,203 @@
+/**
+ * Local keyword extraction over a whole page (no model call).
+ *
+ * Candidate phrases are RAKE-style: runs of content words between stopwords and
+ * punctuation, expanded into 1-4 word n-grams, plus "adjoining" phrases that keep one
+ * interior stopword when they repeat ("running shoes for flat feet"). Each candidate is scored by how often
+ * it occurs, weighted by where (title and H1 count most), times the RAKE degree of
+ * its words and a spread factor across content blocks (TF-IDF style: a phrase used
+ * throughout the page beats one repeated in a single paragraph). Generic words
+ * ("ultimate", "review") and numbers are damped so they don't form keywords alone.
+ */
+
+const { DEFAULT_LANGUAGE, stopwordsFor, genericWordsFor, tokenize, isUnspacedLanguage } = require('./language');
+
+// Relative weight of an occurrence per page field
+const FIELD_WEIGHTS = {
+  title: 3,
+  h1: 3,
+  headings: 2,
+  meta: 1.5,
+  url: 1.5,
+  content: 1
+};
+
+const MAX_NGRAM = 4;
+const GENERIC_DAMPING = 0.3;
+
+// Punctuation that ends a phrase (Latin and CJK)
+const BREAK_RE = /[.,;:!?()[\]{}"“”«»„|/\\–—•·…\n\r\t。、，！？；：「」『』（）]+/;
+
+// English plurals fold onto one candidate ("running shoe" / "running shoes")
+function normalizeWord(w, language) {
+  if (language === 'en' && w.length > 3 && /[^s]s$/.test(w) && !/(ss|us|is)$/.test(w)) return w.slice(0, -1);
+  return w;
+}
+
+function isNumber(w) {
+  return /^[\p{N}.,%-]+$/u.test(w);
+}
+
+// Phrases of one text: runs of content words between stopwords/punctuation, and
+// adjoining pairs of runs joined by a single stopword ({ words, stop: index })
+function phraseRuns(text, language, stopwords) {
+  const runs = [];
+  const adjoined = [];
+  String(text || '').split(BREAK_RE).forEach(chunk => {
+    const toks = tokenize(chunk, language);
+    let run = [];
+    const chunkRuns = [];
+    toks.forEach((tok, i) => {
+      if (stopwords.has(tok) || isNumber(tok) || (tok.length < 2 && !isUnspacedLanguage(language))) {
+        if (run.length) chunkRuns.push({ words: run, end: i });
+        run = [];
+      } else {
+        run.push(tok);
+      }
+    });
+    if (run.length) chunkRuns.push({ words: run, end: toks.length });
+    chunkRuns.forEach((r, i) => {
+      runs.push(r.words);
+      const next = chunkRuns[i + 1];
+      // exactly one stopword between the two runs
+      if (next && next.end - next.words.length === r.end + 1 && stopwords.has(toks[r.end])) {
+        const left = r.words.slice(-2);
+        adjoined.push({ words: [...left, toks[r.end], ...next.words.slice(0, 2)], stop: left.length });
+      }
+    });
+  });
+  return { runs, adjoined };
+}
+
+// Text of each field; content is split into blocks (paragraphs) for the spread factor
+function pageFields(page, url) {
+  let urlWords = '';
+  try {
+    urlWords = decodeURIComponent(new URL(url).pathname).replace(/\.[a-z0-9]+$/i, '').replace(/[-_/]+/g, ' ');
+  } catch (e) {
+    // no usable URL
+  }
+  const headings = (page.headings || []).filter(h => h.level > 1).map(h => h.text);
+  // main content repeats the headings as lines; count those only once, as headings
+  const headingText = new Set((page.headings || []).map(h => h.text).concat(page.h1 || []));
+  return {
+    title: [page.titleTag || ''],
+    h1: [page.h1 || ''],
+    headings,
+    meta: [page.metaDesc || ''],
+    url: [urlWords],
+    content: String(page.mainContent || page.snippet || '').split('\n').filter(l => l && !headingText.has(l.trim()))
+  };
+}
+
+/**
+ * Extract ranked keyword candidates from an extractPage() result.
+ * Returns {
+ *   primary:   [{ phrase, score, count, fields }]  best first, score normalized to 0..1
+ *   secondary: [{ term, score, count }]            related / LSI-style terms not in the top phrase
+ * }
+ */
+function extractKeywords(page, { url, language = DEFAULT_LANGUAGE, maxPrimary = 8, maxSecondary = 15 } = {}) {
+  const stopwords = stopwordsFor(language);
+  const generic = genericWordsFor(language);
+  const joiner = isUnspacedLanguage(language) ? '' : ' ';
+  const fields = pageFields(page, url);
+
+  const wordFreq = new Map();
+  const wordDegree = new Map();
+  const candidates = new Map();
+  let blockCount = 0;
+
+  Object.keys(fields).forEach(field => {
+    const weight = FIELD_WEIGHTS[field];
+    fields[field].forEach(text => {
+      const block = field === 'content' ? ++blockCount : 0;
+      const { runs, adjoined } = phraseRuns(text, language, stopwords);
+      const add = (words, keys) => {
+        const key = keys.join(' ');
+        let c = candidates.get(key);
+        if (!c) {
+          c = { keys, forms: new Map(), weighted: 0, count: 0, fields: new Set(), blocks: new Set() };
+          candidates.set(key, c);
+        }
+        const form = words.join(joiner);
+        c.forms.set(form, (c.forms.get(form) || 0) + 1);
+        c.weighted += weight;
+        c.count++;
+        c.fields.add(field);
+        if (block) c.blocks.add(block);
+      };
+      runs.forEach(run => {
+        run.forEach(w => {
+          const key = normalizeWord(w, language);
+          wordFreq.set(key, (wordFreq.get(key) || 0) + 1);
+          wordDegree.set(key, (wordDegree.get(key) || 0) + Math.min(run.length, MAX_NGRAM));
+        });
+        for (let n = 1; n <= Math.min(MAX_NGRAM, run.length); n++) {
+          for (let i = 0; i + n <= run.length; i++) {
+            const words = run.slice(i, i + n);
+            add(words, words.map(w => normalizeWord(w, language)));
+          }
+        }
+      });
+      adjoined.forEach(a => add(a.words, a.words.map((w, i) => (i === a.stop ? w : normalizeWord(w, language)))));
+    });
+  });
+
+  const scored = [];
+  candidates.forEach(c => {
+    const inHeadline = c.fields.has('title') || c.fields.has('h1');
+    const content = c.keys.filter(k => wordFreq.has(k));
+    const isAdjoined = content.length < c.keys.length;
+    // one-off phrases from body text are noise; adjoined phrases must repeat
+    if (c.count < 2 && (!inHeadline || isAdjoined)) return;
+    const genericWords = content.filter(k => generic.has(k)).length;
+    if (genericWords === content.length) return;
+    const rake = content.reduce((sum, k) => sum + wordDegree.get(k) / wordFreq.get(k), 0) / content.length;
+    const spread = 1 + Math.log(1 + c.blocks.size) / Math.log(2 + blockCount);
+    const length = 1 + 0.35 * (content.length - 1);
+    const coverage = 1 + 0.2 * (c.fields.size - 1);
+    const damping = Math.pow(GENERIC_DAMPING, genericWords);
+    const phrase = Array.from(c.forms.entries()).sort((a, b) => b[1] - a[1])[0][0];
+    scored.push({ key: c.keys.join(' '), keys: c.keys, phrase, count: c.count, fields: Array.from(c.fields), blocks: c.blocks.size,
+      score: c.weighted * rake * spread * length * coverage * damping });
+  });
+  scored.sort((a, b) => b.score - a.score);
+  const top = scored.length ? scored[0].score : 1;
+  const round = v => Math.round((v / top) * 1000) / 1000;
+
+  // a phrase is subsumed by a longer candidate that accounts for most of its uses
+  const contains = (longer, shorter) => (` ${longer.key} `).includes(` ${shorter.key} `);
+  const subsumed = s => scored.some(l => l.keys.length > s.keys.length && l.count >= 0.6 * s.count &&
+    l.score >= 0.5 * s.score && contains(l, s));
+
+  // primary: best phrases, skipping subsumed ones and fragments of a better phrase
+  const primary = [];
+  for (const s of scored) {
+    if (primary.length >= maxPrimary) break;
+    if (s.keys.length === 1 && generic.has(s.keys[0])) continue;
+    if (subsumed(s) || primary.some(p => contains(p, s))) continue;
+    primary.push(s);
+  }
+  // a repeated title + H1 phrase that extends the top term is the better main keyword
+  // ("running shoes for flat feet" over "flat feet")
+  if (primary.length > 1) {
+    const ext = primary.find(p => p !== primary[0] && contains(p, primary[0]) && p.fields.includes('title') &&
+      p.fields.includes('h1') && p.count >= 2);
+    if (ext) primary.unshift(primary.splice(primary.indexOf(ext), 1)[0]);
+  }
+
+  // secondary: words / pairs spread over the content, outside the top phrase
+  const topWords = new Set(primary.length ? primary[0].keys : []);
+  const secondary = scored
+    .filter(s => s.keys.length <= 2 && (s.blocks >= 2 || s.count >= 3) && !s.keys.some(k => topWords.has(k) || generic.has(k)))
+    .filter(s => !subsumed(s))
+    .slice(0, maxSecondary);
+
+  return {
+    primary: primary.map(s => ({ phrase: s.phrase, score: round(s.score), count: s.count, fields: s.fields })),
+    secondary: secondary.map(s => ({ term: s.phrase, score: round(s.score), count: s.count }))
+  };
+}
+
+module.exports = { extractKeywords, FIELD_WEIGHTS };
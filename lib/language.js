@@ -0,0 +1,218 @@
+/**
+ * Language handling for generation: detection, per-language stopwords / filler text,
+ * word tokenizing and transliterating slugs.
+ *
+ * Language data lives in lib/data/languages.json. Pages in languages without an entry
+ * still work (no stopwords, no filler), they just get less help; a requested `language`
+ * must be one of the entries (isSupportedLanguage).
+ */
+
+const LANGUAGES = require('./data/languages.json');
+const TRANSLIT = require('./data/transliteration.json');
+
+const DEFAULT_LANGUAGE = 'en';
+const SLUG_STYLES = ['ascii', 'unicode'];
+
+// "pt-BR", "en_US" -> "pt", "en"; null when not a plausible language tag
+function normalizeLanguage(tag) {
+  const m = String(tag || '').trim().toLowerCase().match(/^([a-z]{2,3})(?:[-_][a-z0-9]{1,8})*$/);
+  return m ? m[1] : null;
+}
+
+/** Whether `tag` ("pt-BR", "de") names a language of lib/data/languages.json */
+function isSupportedLanguage(tag) {
+  const lang = normalizeLanguage(tag);
+  return !!lang && Object.prototype.hasOwnProperty.call(LANGUAGES, lang);
+}
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+function languageInfo(lang) {
+  return LANGUAGES[lang] || null;
+}
+
+function languageName(lang) {
+  const info = languageInfo(lang);
+  if (info) return info.name;
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(lang) || lang;
+  } catch (e) {
+    return lang;
+  }
+}
+
+const stopwordSets = new Map();
+function stopwordsFor(lang) {
+  if (!stopwordSets.has(lang)) {
+    const info = languageInfo(lang);
+    stopwordSets.set(lang, new Set(info ? info.stopwords : []));
+  }
+  return stopwordSets.get(lang);
+}
+
+// Words that are not stopwords but rarely make a keyword on their own ("ultimate", "review")
+const genericSets = new Map();
+function genericWordsFor(lang) {
+  if (!genericSets.has(lang)) {
+    const info = languageInfo(lang);
+    genericSets.set(lang, new Set(info && info.generic ? info.generic : []));
+  }
+  return genericSets.get(lang);
+}
+
+// Sentence used by adjustMeta to pad short descriptions ('' when we have none for the language)
+function metaFiller(lang) {
+  const info = languageInfo(lang);
+  return info ? info.filler : '';
+}
+
+// Scripts written without spaces between words
+function isUnspacedLanguage(lang) {
+  return ['zh', 'ja', 'th', 'lo', 'km', 'my'].includes(lang);
+}
+
+// Word tokens (lowercased) using the ICU word segmenter, so CJK and Thai split too
+function tokenize(text, lang = DEFAULT_LANGUAGE) {
+  const s = String(text || '');
+  let segmenter;
+  try {
+    segmenter = new Intl.Segmenter(lang, { granularity: 'word' });
+  } catch (e) {
+    segmenter = new Intl.Segmenter('en', { granularity: 'word' });
+  }
+  const out = [];
+  for (const seg of segmenter.segment(s)) {
+    if (seg.isWordLike) out.push(seg.segment.toLowerCase());
+  }
+  return out;
+}
+
+const SCRIPT_TESTS = [
+  ['Hangul', /\p{Script=Hangul}/u],
+  ['Kana', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ['Han', /\p{Script=Han}/u],
+  ['Cyrillic', /\p{Script=Cyrillic}/u],
+  ['Greek', /\p{Script=Greek}/u],
+  ['Arabic', /\p{Script=Arabic}/u],
+  ['Hebrew', /\p{Script=Hebrew}/u],
+  ['Devanagari', /\p{Script=Devanagari}/u],
+  ['Thai', /\p{Script=Thai}/u],
+  ['Latin', /\p{Script=Latin}/u]
+];
+
+function scriptCounts(text) {
+  const counts = {};
+  for (const ch of String(text || '').slice(0, 5000)) {
+    for (const [name, re] of SCRIPT_TESTS) {
+      if (re.test(ch)) { counts[name] = (counts[name] || 0) + 1; break; }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Guess the language of a text from its script, then (for Latin and Cyrillic)
+ * from stopword frequency. Returns { language, confidence } or null.
+ */
+function detectFromText(text) {
+  const counts = scriptCounts(text);
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (total < 3) return null;
+  const top = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  const share = counts[top] / total;
+
+  if (top === 'Han' || top === 'Kana') {
+    // kana anywhere in a Han-heavy text means Japanese
+    const kana = counts.Kana || 0;
+    return { language: kana / total > 0.05 ? 'ja' : 'zh', confidence: share };
+  }
+  const byScript = { Hangul: 'ko', Greek: 'el', Arabic: 'ar', Hebrew: 'he', Devanagari: 'hi', Thai: 'th' };
+  if (byScript[top]) return { language: byScript[top], confidence: share };
+
+  const tokens = tokenize(text).slice(0, 1000);
+  if (!tokens.length) return null;
+  const candidates = Object.keys(LANGUAGES).filter(l => LANGUAGES[l].script === top);
+  let best = null;
+  candidates.forEach(lang => {
+    const set = stopwordsFor(lang);
+    const hits = tokens.filter(t => set.has(t)).length / tokens.length;
+    if (!best || hits > best.hits) best = { language: lang, hits };
+  });
+  if (!best || best.hits < 0.02) return top === 'Cyrillic' ? { language: 'ru', confidence: 0.3 } : null;
+  return { language: best.language, confidence: Math.min(1, Math.round(best.hits * 4 * 100) / 100) };
+}
+
+/**
+ * Pick the generation language: explicit request, then <html lang>, then og:locale,
+ * then the page content. Returns { language, name, source }.
+ */
+function resolveLanguage({ requested, htmlLang, ogLocale, text } = {}) {
+  const pick = (language, source) => ({ language, name: languageName(language), source });
+  const req = normalizeLanguage(requested);
+  if (req) return pick(req, 'request');
+  const html = normalizeLanguage(htmlLang);
+  if (html) return pick(html, 'html');
+  const og = normalizeLanguage(ogLocale);
+  if (og) return pick(og, 'og:locale');
+  const detected = text ? detectFromText(text) : null;
+  if (detected && detected.language) return { ...pick(detected.language, 'content'), confidence: detected.confidence };
+  return pick(DEFAULT_LANGUAGE, 'default');
+}
+
+// Map characters (and two-letter digraphs such as Greek "ου") through the tables
+function transliterate(text, lang) {
+  const table = { ...TRANSLIT.base, ...(TRANSLIT[lang] || {}) };
+  const chars = Array.from(String(text || '').toLowerCase());
+  let out = '';
+  for (let i = 0; i < chars.length; i++) {
+    const pair = chars[i] + (chars[i + 1] || '');
+    if (pair.length > 1 && table[pair] !== undefined) {
+      out += table[pair];
+      i++;
+    } else {
+      out += table[chars[i]] !== undefined ? table[chars[i]] : chars[i];
+    }
+  }
+  return out;
+}
+
+/**
+ * URL slug. style "ascii" transliterates (Cyrillic, Greek, Arabic, Hebrew, Latin
+ * ligatures); text in a script we have no table for (e.g. CJK) falls back to a
+ * Unicode slug rather than losing its words. style "unicode" keeps letters of every script.
+ */
+function slugify(text, maxlen = 80, { language = DEFAULT_LANGUAGE, style = 'ascii' } = {}) {
+  if (!text) return '';
+  const clip = chars => (chars.length > maxlen ? chars.slice(0, maxlen).join('').replace(/-+$/, '') : chars.join(''));
+  const unicodeSlug = () => {
+    let s = String(text).toLowerCase().trim().normalize('NFC');
+    s = s.replace(/[^\p{L}\p{M}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    return clip(Array.from(s));
+  };
+
+  if (style === 'unicode') return unicodeSlug();
+  let s = transliterate(String(text).trim(), language);
+  s = s.normalize('NFKD').replace(/[\u0300-\u036f]/g, ''); // remove diacritics
+  if (/[^\x00-\x7f]/.test(s.replace(/[^\p{L}]/gu, ''))) return unicodeSlug();
+  s = s.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!s) return unicodeSlug();
+  return clip(Array.from(s));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SLUG_STYLES,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  isSupportedLanguage,
+  languageName,
+  stopwordsFor,
+  genericWordsFor,
+  metaFiller,
+  isUnspacedLanguage,
+  tokenize,
+  detectFromText,
+  resolveLanguage,
+  transliterate,
+  slugify
+};
@@ -0,0 +1,83 @@
+/**
+ * Structured logging: one JSON object per line, tagged with the ID of the request
+ * being served (kept in AsyncLocalStorage, so provider calls and batch items started
+ * by a request log under its ID too).
+ *
+ *   logger.info('Batch started', { jobId, items: 12 })
+ *   → {"time":"…","level":"info","msg":"Batch started","requestId":"…","jobId":"…","items":12}
+ *
+ * LOG_LEVEL = debug | info | warn | error | silent (default info).
+ * debug/info go to stdout, warn/error to stderr.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// incoming IDs are reused only when they look like an ID (no spaces, bounded length)
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function currentRequestId() {
+  const ctx = requestContext.getStore();
+  return ctx ? ctx.requestId : null;
+}
+
+function threshold() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] || LEVELS.info;
+}
+
+// Errors become { message, code, status, stack }; the stack only for 5xx / unexpected errors
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  const out = { message: err.message, name: err.name };
+  if (err.code) out.code = err.code;
+  if (err.status) out.status = err.status;
+  if (err.detail !== undefined) out.detail = err.detail;
+  if (!err.status || err.status >= 500) out.stack = err.stack;
+  return out;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const entry = { time: new Date().toISOString(), level, msg };
+  const requestId = currentRequestId();
+  if (requestId) entry.requestId = requestId;
+  if (fields instanceof Error) fields = { err: fields };
+  Object.entries(fields || {}).forEach(([k, v]) => {
+    if (v !== undefined) entry[k] = serializeError(v);
+  });
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (e) {
+    line = JSON.stringify({ time: entry.time, level, msg, requestId: entry.requestId, logError: e.message });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * Express middleware: reuse a well-formed incoming X-Request-Id or mint one, echo it
+ * in the response header and run the rest of the request inside its log context.
+ */
+function requestIdMiddleware() {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+    requestContext.run({ requestId }, next);
+  };
+}
+
+module.exports = { logger, requestContext, currentRequestId, requestIdMiddleware, serializeError, REQUEST_ID_HEADER };
@@ -0,0 +1,132 @@
+/**
+ * Minimal Prometheus metrics registry (counters, gauges, histograms with labels)
+ * rendered in the text exposition format for GET /metrics.
+ *
+ *   const metrics = createMetrics({ prefix: 'metagen_' });
+ *   const calls = metrics.counter('provider_calls_total', 'Provider calls', ['provider', 'outcome']);
+ *   calls.inc({ provider: 'google', outcome: 'ok' });
+ *   res.type(CONTENT_TYPE).send(metrics.render());
+ *
+ * Metrics live in process memory: each instance exposes its own and Prometheus sums them.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// seconds; covers fast cache hits up to slow LLM calls
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  if (Number.isNaN(v)) return 'NaN';
+  return String(Number.isInteger(v) ? v : +v.toPrecision(12));
+}
+
+function labelString(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createMetrics({ prefix = '' } = {}) {
+  const families = [];
+
+  function family(type, name, help, labelNames) {
+    const fam = { type, name: prefix + name, help, labelNames, series: new Map() };
+    families.push(fam);
+    return fam;
+  }
+
+  // series are keyed by their label values in labelNames order; missing labels become ""
+  const labelValues = (fam, labels = {}) => fam.labelNames.map(n => (labels[n] === undefined || labels[n] === null ? '' : String(labels[n])));
+
+  function seriesFor(fam, labels, init) {
+    const values = labelValues(fam, labels);
+    const key = JSON.stringify(values);
+    let s = fam.series.get(key);
+    if (!s) {
+      s = { values, ...init() };
+      fam.series.set(key, s);
+    }
+    return s;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const fam = family('counter', name, help, labelNames);
+    return {
+      inc(labels, n = 1) {
+        if (!(n > 0)) return;
+        seriesFor(fam, labels, () => ({ value: 0 })).value += n;
+      },
+      get(labels) {
+        const s = fam.series.get(JSON.stringify(labelValues(fam, labels)));
+        return s ? s.value : 0;
+      }
+    };
+  }
+
+  /** Gauge; `collect()` (optional) is called on render to refresh it, e.g. from process stats. */
+  function gauge(name, help, labelNames = [], collect = null) {
+    const fam = family('gauge', name, help, labelNames);
+    const g = {
+      set(labels, v) { seriesFor(fam, labels, () => ({ value: 0 })).value = v; }
+    };
+    if (collect) fam.collect = () => collect(g);
+    return g;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const fam = family('histogram', name, help, labelNames);
+    fam.buckets = buckets.slice().sort((a, b) => a - b);
+    const h = {
+      observe(labels, v) {
+        if (typeof v !== 'number' || Number.isNaN(v)) return;
+        const s = seriesFor(fam, labels, () => ({ counts: fam.buckets.map(() => 0), sum: 0, count: 0 }));
+        fam.buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+        s.sum += v;
+        s.count++;
+      },
+      /** Start a timer; calling the returned function records the elapsed seconds. */
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (more = {}) => {
+          const sec = Number(process.hrtime.bigint() - start) / 1e9;
+          h.observe({ ...labels, ...more }, sec);
+          return sec;
+        };
+      }
+    };
+    return h;
+  }
+
+  function render() {
+    const lines = [];
+    families.forEach(fam => {
+      if (fam.collect) {
+        try { fam.collect(); } catch (e) { /* keep the last value */ }
+      }
+      lines.push(`# HELP ${fam.name} ${fam.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${fam.name} ${fam.type}`);
+      fam.series.forEach(s => {
+        if (fam.type !== 'histogram') {
+          lines.push(`${fam.name}${labelString(fam.labelNames, s.values)} ${formatValue(s.value)}`);
+          return;
+        }
+        fam.buckets.forEach((b, i) => {
+          lines.push(`${fam.name}_bucket${labelString(fam.labelNames, s.values, `le="${formatValue(b)}"`)} ${s.counts[i]}`);
+        });
+        lines.push(`${fam.name}_bucket${labelString(fam.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${fam.name}_sum${labelString(fam.labelNames, s.values)} ${formatValue(s.sum)}`);
+        lines.push(`${fam.name}_count${labelString(fam.labelNames, s.values)} ${s.count}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics, CONTENT_TYPE, DEFAULT_BUCKETS };
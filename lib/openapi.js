@@ -0,0 +1,172 @@
+/**
+ * The published /v1 OpenAPI document (lib/data/openapi-v1.json) and request validation driven by it.
+ *
+ * validator.request(operationId) is an Express middleware that checks the JSON body and the query
+ * string against the operation's requestBody / parameters. Query values are coerced to the declared
+ * types first (integer, number, boolean). Failures are 400 INVALID_INPUT errors whose detail lists
+ * every problem: { errors: [{ path, message }] }.
+ *
+ * Supported JSON Schema keywords: $ref (local), type, enum, required, properties, additionalProperties,
+ * items, minItems, maxItems, minLength, maxLength, pattern, format ("uri"), minimum, maximum, anyOf, oneOf.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SPEC_FILE = path.join(__dirname, 'data', 'openapi-v1.json');
+
+function loadSpec(file = SPEC_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function invalidInput(errors) {
+  const err = new Error(errors.length === 1 ? errors[0].message : `${errors[0].message} (and ${errors.length - 1} more)`);
+  err.status = 400;
+  err.code = 'INVALID_INPUT';
+  err.detail = { errors };
+  return err;
+}
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+const TYPE_LABEL = { object: 'an object', array: 'an array', string: 'a string', integer: 'an integer', number: 'a number', boolean: 'true or false' };
+
+function createValidator(spec) {
+  function resolve(schema) {
+    let s = schema;
+    while (s && s.$ref) {
+      const parts = s.$ref.replace(/^#\//, '').split('/');
+      s = parts.reduce((node, p) => (node ? node[p] : undefined), spec);
+      if (!s) throw new Error(`Unresolved $ref ${schema.$ref}`);
+    }
+    return s || {};
+  }
+
+  // Append problems with `value` at `at` to `errors`
+  function check(schemaRef, value, at, errors) {
+    const schema = resolve(schemaRef);
+    const push = message => errors.push({ path: at, message: `${at} ${message}` });
+
+    if (schema.anyOf || schema.oneOf) {
+      const options = schema.anyOf || schema.oneOf;
+      const matching = options.filter(o => { const e = []; check(o, value, at, e); return !e.length; }).length;
+      if (schema.oneOf ? matching !== 1 : !matching) {
+        const required = options.map(o => resolve(o)).filter(o => o.required && Object.keys(o).length === 1);
+        if (required.length === options.length) {
+          const names = required.map(o => o.required.join(' + '));
+          push(schema.oneOf && matching > 1 ? `must have only one of: ${names.join(', ')}` : `must have one of: ${names.join(', ')}`);
+        } else {
+          // report against the first option whose type fits, so the message names the real problem
+          const fitting = options.find(o => !resolve(o).type || [].concat(resolve(o).type).some(t => t === typeOf(value) || (t === 'number' && typeOf(value) === 'integer')));
+          if (fitting) check(fitting, value, at, errors);
+          else push('does not match any of the allowed forms');
+        }
+        return;
+      }
+    }
+
+    if (value === undefined) return;
+    const actual = typeOf(value);
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      const ok = types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+      if (!ok) return push(`must be ${types.map(t => TYPE_LABEL[t] || t).join(' or ')}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) return push(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+
+    if (actual === 'string') {
+      const n = Array.from(value).length;
+      if (schema.minLength !== undefined && n < schema.minLength) push(`must be at least ${schema.minLength} characters`);
+      if (schema.maxLength !== undefined && n > schema.maxLength) push(`must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) push(schema['x-pattern-message'] || `must match ${schema.pattern}`);
+      if (schema.format === 'uri' && !/^https?:\/\/[^\s/]+/i.test(value)) push('must be a full http(s) URL');
+    }
+    if (actual === 'integer' || actual === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) push(`must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) push(`must be at most ${schema.maximum}`);
+    }
+    if (actual === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) push(`must have at least ${schema.minItems} item(s)`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) push(`must have at most ${schema.maxItems} items`);
+      if (schema.items) value.forEach((item, i) => check(schema.items, item, `${at}[${i}]`, errors));
+    }
+    if (actual === 'object') {
+      const props = schema.properties || {};
+      (schema.required || []).forEach(name => {
+        if (value[name] === undefined) errors.push({ path: `${at}.${name}`, message: `${at}.${name} is required` });
+      });
+      Object.keys(value).forEach(name => {
+        if (props[name]) return check(props[name], value[name], `${at}.${name}`, errors);
+        if (schema.additionalProperties === false) {
+          errors.push({ path: `${at}.${name}`, message: `${at}.${name} is not a known field` });
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          check(schema.additionalProperties, value[name], `${at}.${name}`, errors);
+        }
+      });
+    }
+  }
+
+  function coerce(raw, schemaRef) {
+    const type = resolve(schemaRef).type;
+    if (typeof raw !== 'string') return raw;
+    if ((type === 'integer' || type === 'number') && raw.trim() !== '' && !isNaN(Number(raw))) return Number(raw);
+    if (type === 'boolean' && ['true', '1', 'false', '0'].includes(raw)) return raw === 'true' || raw === '1';
+    return raw;
+  }
+
+  const operations = new Map();
+  Object.entries(spec.paths || {}).forEach(([route, item]) => {
+    Object.entries(item).forEach(([method, op]) => {
+      if (op && op.operationId) operations.set(op.operationId, { route, method, op, shared: item.parameters || [] });
+    });
+  });
+
+  /** Problems with a request ({ body, query, contentType }) for an operation: [{ path, message }]. */
+  function validateRequest(operationId, { body, query = {}, contentType = '' }) {
+    const entry = operations.get(operationId);
+    if (!entry) throw new Error(`Unknown operationId ${operationId}`);
+    const errors = [];
+    const params = entry.shared.concat(entry.op.parameters || []).map(resolve);
+    params.filter(p => p.in === 'query').forEach(p => {
+      const value = coerce(query[p.name], p.schema || {});
+      if (value === undefined) {
+        if (p.required) errors.push({ path: `query.${p.name}`, message: `query.${p.name} is required` });
+        return;
+      }
+      query[p.name] = value;
+      check(p.schema || {}, value, `query.${p.name}`, errors);
+    });
+
+    const rb = entry.op.requestBody && resolve(entry.op.requestBody);
+    if (rb) {
+      const json = rb.content && rb.content['application/json'];
+      const otherTypes = Object.keys(rb.content || {}).filter(t => t !== 'application/json');
+      // non-JSON bodies (CSV uploads) are handed to the route as they are
+      const isJson = !contentType || /json/i.test(contentType) || !otherTypes.some(t => contentType.toLowerCase().startsWith(t));
+      if (json && isJson) {
+        const empty = body === undefined || (body && typeof body === 'object' && !Array.isArray(body) && !Object.keys(body).length);
+        if (empty && rb.required) errors.push({ path: 'body', message: 'body is required (JSON)' });
+        else check(json.schema || {}, body === undefined ? {} : body, 'body', errors);
+      }
+    }
+    return errors;
+  }
+
+  /** Express middleware validating the request of `operationId`; passes an INVALID_INPUT error to next(). */
+  function request(operationId) {
+    if (!operations.has(operationId)) throw new Error(`Unknown operationId ${operationId}`);
+    return (req, res, next) => {
+      const errors = validateRequest(operationId, { body: req.body, query: req.query, contentType: req.get('content-type') || '' });
+      return next(errors.length ? invalidInput(errors) : undefined);
+    };
+  }
+
+  return { request, validateRequest, operations };
+}
+
+module.exports = { loadSpec, createValidator, SPEC_FILE };
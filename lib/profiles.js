@@ -0,0 +1,193 @@
+/**
+ * Brand style profiles: per-client rules that requests reference by id ("profile": "acme").
+ *
+ *   {
+ *     "id": "acme", "name": "Acme Outdoor",
+ *     "titleSuffix": " | Acme",          appended to every title; the title budget is reduced by its width
+ *     "titleMaxWidth": 560,              px budget for the whole title, suffix included (default: SERP width)
+ *     "metaMaxWidth": 920,               px budget for descriptions (default: SERP width)
+ *     "titleCase": "title",              title | sentence | upper | lower | none
+ *     "tone": "friendly, expert, no hype",
+ *     "bannedWords": ["cheap", "best ever"],
+ *     "requiredCta": ["Shop now", "Free delivery"],   descriptions must contain one; the first is appended otherwise
+ *     "instructions": "Mention free returns where relevant."
+ *   }
+ *
+ * Profiles come from a read-only JSON file (STYLE_PROFILES_FILE, { "profiles": [...] }) and from
+ * the admin API, stored in Redis when a client is given, otherwise in process memory.
+ * Layout in Redis: <prefix>:<id> -> JSON profile
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findBannedWords } = require('./validate');
+
+const CASE_STYLES = ['title', 'sentence', 'upper', 'lower', 'none'];
+const ID_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// English minor words kept lowercase in Title Case (unless first)
+const MINOR_WORDS = new Set(['a', 'an', 'the', 'and', 'but', 'or', 'nor', 'for', 'so', 'yet', 'as', 'at', 'by', 'in', 'of', 'off', 'on', 'per', 'to', 'up', 'via', 'vs', 'with']);
+
+function profileError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_PROFILE';
+  return err;
+}
+
+function stringList(v, name) {
+  if (v === undefined || v === null) return [];
+  if (!Array.isArray(v) || v.some(x => typeof x !== 'string')) throw profileError(`${name} must be an array of strings`);
+  return v.map(x => x.trim()).filter(Boolean).slice(0, 100);
+}
+
+function optionalWidth(v, name) {
+  if (v === undefined || v === null) return null;
+  if (!Number.isFinite(v) || v < 100) throw profileError(`${name} must be a width in px (at least 100)`);
+  return Math.round(v);
+}
+
+/** Validate and normalize a profile definition. Throws a 400 INVALID_PROFILE error. */
+function normalizeProfile(raw, id = raw && raw.id) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw profileError('profile must be a JSON object');
+  if (!id || !ID_RE.test(String(id))) throw profileError('profile id may only contain letters, digits, "_", "." and "-"');
+  const titleCase = raw.titleCase === undefined ? 'none' : raw.titleCase;
+  if (!CASE_STYLES.includes(titleCase)) throw profileError(`titleCase must be one of ${CASE_STYLES.join(', ')}`);
+  const str = (v, name, max) => {
+    if (v === undefined || v === null) return '';
+    if (typeof v !== 'string') throw profileError(`${name} must be a string`);
+    return v.slice(0, max);
+  };
+  return {
+    id: String(id),
+    name: str(raw.name, 'name', 200).trim() || String(id),
+    // keep the suffix's leading space / separator exactly as given
+    titleSuffix: str(raw.titleSuffix, 'titleSuffix', 60).replace(/\s+$/, ''),
+    titleMaxWidth: optionalWidth(raw.titleMaxWidth, 'titleMaxWidth'),
+    metaMaxWidth: optionalWidth(raw.metaMaxWidth, 'metaMaxWidth'),
+    titleCase,
+    tone: str(raw.tone, 'tone', 300).trim(),
+    bannedWords: stringList(raw.bannedWords, 'bannedWords'),
+    requiredCta: stringList(raw.requiredCta, 'requiredCta'),
+    instructions: str(raw.instructions, 'instructions', 1000).trim()
+  };
+}
+
+function readProfilesFile(file) {
+  if (!file) return [];
+  const raw = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  const list = Array.isArray(raw) ? raw : (raw.profiles || []);
+  return list.map(p => ({ ...normalizeProfile(p), source: 'config', updatedAt: null }));
+}
+
+function createProfileStore({ redis = null, prefix = 'profile', file = null } = {}) {
+  const configProfiles = new Map(readProfilesFile(file).map(p => [p.id, p]));
+  const mem = new Map();
+  const key = id => `${prefix}:${id}`;
+
+  async function get(id) {
+    if (!id || !ID_RE.test(String(id))) return null;
+    if (configProfiles.has(id)) return configProfiles.get(id);
+    if (redis) {
+      const v = await redis.get(key(id));
+      return v ? JSON.parse(v) : null;
+    }
+    return mem.get(id) || null;
+  }
+
+  async function list() {
+    let stored = [];
+    if (redis) {
+      let cursor = '0';
+      const ids = [];
+      do {
+        const [next, keys] = await redis.scan(cursor, 'MATCH', key('*'), 'COUNT', 200);
+        cursor = next;
+        keys.forEach(k => ids.push(k.slice(key('').length)));
+      } while (cursor !== '0');
+      stored = (await Promise.all(ids.map(get))).filter(Boolean);
+    } else {
+      stored = Array.from(mem.values());
+    }
+    return Array.from(configProfiles.values()).concat(stored.filter(p => !configProfiles.has(p.id)));
+  }
+
+  /** Create or replace a profile. Resolves with { profile, created }. */
+  async function put(id, raw) {
+    if (configProfiles.has(id)) {
+      const err = new Error(`Profile "${id}" is defined in STYLE_PROFILES_FILE and can't be changed here`);
+      err.status = 409;
+      err.code = 'PROFILE_READ_ONLY';
+      throw err;
+    }
+    const profile = { ...normalizeProfile(raw, id), source: 'admin', updatedAt: Date.now() };
+    const existing = await get(id);
+    if (redis) await redis.set(key(id), JSON.stringify(profile));
+    else mem.set(id, profile);
+    return { profile, created: !existing };
+  }
+
+  /** Delete a stored profile; resolves false when there was none. */
+  async function remove(id) {
+    if (configProfiles.has(id)) {
+      const err = new Error(`Profile "${id}" is defined in STYLE_PROFILES_FILE and can't be deleted here`);
+      err.status = 409;
+      err.code = 'PROFILE_READ_ONLY';
+      throw err;
+    }
+    if (redis) return (await redis.del(key(id))) > 0;
+    return mem.delete(id);
+  }
+
+  return { get, list, put, remove, backend: redis ? 'redis' : 'memory' };
+}
+
+// -------------------- enforcement helpers -------------------- //
+
+function capitalize(word, language) {
+  const chars = Array.from(word);
+  return chars.length ? chars[0].toLocaleUpperCase(language) + chars.slice(1).join('') : word;
+}
+
+// Words such as "SEO", "iPhone" or "McDonald's" keep their own capitals
+function keepsCase(word) {
+  return /\p{Lu}/u.test(Array.from(word).slice(1).join(''));
+}
+
+/** Apply a capitalization style to a title. */
+function applyCase(text, style, language = 'en') {
+  const s = String(text || '');
+  if (!style || style === 'none') return s;
+  if (style === 'upper') return s.toLocaleUpperCase(language);
+  if (style === 'lower') return s.toLocaleLowerCase(language);
+  let first = true;
+  return s.replace(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu, word => {
+    const isFirst = first;
+    first = false;
+    if (keepsCase(word)) return word;
+    const lower = word.toLocaleLowerCase(language);
+    if (style === 'sentence') return isFirst ? capitalize(lower, language) : lower;
+    // title case: minor words stay lowercase in English, except first and after ":" / "-" separators
+    if (!isFirst && language === 'en' && MINOR_WORDS.has(lower)) return lower;
+    return capitalize(lower, language);
+  }).replace(/([:|–—-]\s+)(\p{Ll})/gu, (m, sep, ch) => (style === 'title' ? sep + ch.toLocaleUpperCase(language) : m));
+}
+
+/** Remove banned words / phrases from a text, tidying the spacing left behind. */
+function scrubBannedWords(text, banned) {
+  let out = String(text || '');
+  findBannedWords(out, banned).forEach(w => {
+    const escaped = w.toLowerCase().trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    out = out.replace(new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'giu'), '$1');
+  });
+  return out.replace(/\s{2,}/g, ' ').replace(/\s+([,.;:!?])/g, '$1').replace(/^[\s,;:–—-]+/, '').trim();
+}
+
+module.exports = {
+  createProfileStore,
+  normalizeProfile,
+  applyCase,
+  scrubBannedWords,
+  findBannedWords,
+  CASE_STYLES
+};
@@ -0,0 +1,275 @@
+/**
+ * Offline prompt evaluation (`meta-gen eval`): render templates for a folder of saved HTML
+ * pages, run the prompts through a mock, recorded or live provider and score the outputs
+ * on the constraints the server validates (lib/validate.js), so template changes can be
+ * compared before they ship.
+ *
+ * A provider here is anything with generate(prompt) -> { provider, raw }, e.g. the
+ * server's registry. Scores are pass rates of individual checks (titles.keyword,
+ * metas.minLength, slug.format, ...), per template and overall.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { parseJsonFromModel, validateOutput } = require('./validate');
+
+const sha1 = s => crypto.createHash('sha1').update(s).digest('hex');
+const rate = (pass, total) => (total ? Math.round((pass / total) * 10000) / 10000 : null);
+
+// -------------------- scoring -------------------- //
+
+// Tally of every check in one validated output: { 'titles.keyword': { pass, total }, ... }
+function checkTally(parsed, schema, keyword) {
+  const tally = {};
+  const add = (name, ok) => {
+    const t = tally[name] || (tally[name] = { pass: 0, total: 0 });
+    t.total++;
+    if (ok) t.pass++;
+  };
+  const validation = validateOutput(parsed, schema, { keyword });
+  add('json.parse', parsed && parsed.raw === undefined);
+  Object.keys(schema).forEach(field => {
+    const rule = schema[field];
+    const result = validation.fields[field];
+    if (rule.type === 'array') {
+      const got = Array.isArray(result) ? result.length : 0;
+      for (let i = 0; i < rule.items; i++) add(`${field}.count`, i < got);
+      (result || []).forEach(item => Object.entries(item.checks).forEach(([check, ok]) => add(`${field}.${check}`, ok)));
+      return;
+    }
+    if (rule.optional && (!result || result.value === null)) return;
+    Object.entries((result && result.checks) || { type: false }).forEach(([check, ok]) => add(`${field}.${check}`, ok));
+  });
+  return { tally, validation };
+}
+
+function mergeTally(into, tally) {
+  Object.entries(tally).forEach(([name, t]) => {
+    const sum = into[name] || (into[name] = { pass: 0, total: 0 });
+    sum.pass += t.pass;
+    sum.total += t.total;
+  });
+  return into;
+}
+
+function summarize(tally) {
+  const checks = {};
+  let pass = 0;
+  let total = 0;
+  Object.keys(tally).sort().forEach(name => {
+    const t = tally[name];
+    checks[name] = { ...t, rate: rate(t.pass, t.total) };
+    pass += t.pass;
+    total += t.total;
+  });
+  return { score: rate(pass, total), checks };
+}
+
+const templateLabel = t => (t.contentType ? `${t.contentType}@v${t.version}` : 'auto');
+
+/**
+ * Run every target template against every fixture.
+ *   fixtures: [{ name, url, html }]
+ *   targets:  [{ contentType, version }]   (contentType null: the type detected for the page)
+ *   preparePrompt(fixture, target) -> { text, contentType, version, keyword, detected, schema }
+ *   provider: { generate(prompt) -> { provider, raw } }; a thrown error with code
+ *             RECORDING_MISSING counts the run as missing rather than failed.
+ * Resolves with { provider, score, runs, missing, templates: [...], fixtures: [...] }.
+ */
+async function evaluatePrompts({ fixtures, targets, preparePrompt, provider, onRun }) {
+  const byTemplate = new Map();
+  const overall = {};
+  let runs = 0;
+  let missing = 0;
+  const fixtureReports = [];
+
+  for (const fixture of fixtures) {
+    const report = { fixture: fixture.name, url: fixture.url, detected: null, results: [] };
+    fixtureReports.push(report);
+    for (const target of targets) {
+      let prompt;
+      try {
+        prompt = preparePrompt(fixture, target);
+      } catch (err) {
+        report.results.push({ template: templateLabel(target), error: err.message });
+        continue;
+      }
+      if (prompt.detected) report.detected = prompt.detected;
+      const label = `${prompt.contentType}@v${prompt.version}`;
+      const stats = byTemplate.get(label) || { contentType: prompt.contentType, version: prompt.version, runs: 0, missing: 0, errors: 0, parsed: 0, valid: 0, tally: {} };
+      byTemplate.set(label, stats);
+
+      let out;
+      try {
+        out = await provider.generate(prompt.text);
+      } catch (err) {
+        const isMissing = err.code === 'RECORDING_MISSING';
+        if (isMissing) { stats.missing++; missing++; } else stats.errors++;
+        report.results.push({ template: label, keyword: prompt.keyword, missing: isMissing || undefined, error: isMissing ? undefined : err.message });
+        if (onRun) onRun({ fixture, template: label, missing: isMissing, error: isMissing ? null : err.message });
+        continue;
+      }
+      const parsed = parseJsonFromModel(out.raw);
+      const { tally, validation } = checkTally(parsed, prompt.schema, prompt.keyword);
+      stats.runs++;
+      runs++;
+      if (parsed.raw === undefined) stats.parsed++;
+      if (validation.valid) stats.valid++;
+      mergeTally(stats.tally, tally);
+      mergeTally(overall, tally);
+      const { score } = summarize(tally);
+      report.results.push({ template: label, keyword: prompt.keyword, valid: validation.valid, score, violations: validation.violations });
+      if (onRun) onRun({ fixture, template: label, score, valid: validation.valid });
+    }
+  }
+
+  const templates = Array.from(byTemplate.entries()).map(([label, s]) => ({
+    template: label,
+    contentType: s.contentType,
+    version: s.version,
+    runs: s.runs,
+    missing: s.missing,
+    errors: s.errors,
+    parsedRate: rate(s.parsed, s.runs),
+    validRate: rate(s.valid, s.runs),
+    ...summarize(s.tally)
+  }));
+  return { provider: provider.name || null, ...summarize(overall), runs, missing, templates, fixtures: fixtureReports };
+}
+
+/**
+ * Differences between two reports: overall and per-template score deltas and the checks that
+ * moved. `before` is a report from an earlier run (--format json); a template is compared with
+ * the same version there, or else with the content type's only template there (v1 -> v2).
+ */
+function compareReports(before, after) {
+  const delta = (a, b) => (a === null || a === undefined || b === null || b === undefined ? null : Math.round((b - a) * 10000) / 10000);
+  const old = before.templates || [];
+  const templates = after.templates.map(t => {
+    const sameType = old.filter(o => o.contentType === t.contentType);
+    const prev = old.find(o => o.template === t.template) || (sameType.length === 1 ? sameType[0] : null);
+    const checks = Object.entries(t.checks)
+      .map(([name, c]) => ({ check: name, before: prev && prev.checks[name] ? prev.checks[name].rate : null, after: c.rate }))
+      .map(c => ({ ...c, delta: delta(c.before, c.after) }))
+      .filter(c => c.delta === null || c.delta !== 0);
+    return { template: t.template, against: prev ? prev.template : null, before: prev ? prev.score : null, after: t.score, delta: delta(prev ? prev.score : null, t.score), checks };
+  });
+  return { before: before.score, after: after.score, delta: delta(before.score, after.score), templates };
+}
+
+// -------------------- providers -------------------- //
+
+// "Label: "value"" from the prompt, for the first label present
+function quoted(prompt, labels) {
+  for (const label of labels) {
+    const m = prompt.match(new RegExp(`${label}:\\s*"([^"\\n]*)"`, 'i'));
+    if (m && m[1].trim()) return m[1].trim();
+  }
+  return '';
+}
+
+// The instruction line for an output field: - "titles": ...
+const fieldLine = (prompt, field) => (prompt.match(new RegExp(`^- "${field}":.*$`, 'mi')) || [''])[0];
+
+function fieldRules(line) {
+  const count = line.match(/array of (\d+)/i);
+  const between = line.match(/between (\d+) and (\d+) characters/i);
+  const max = line.match(/(?:<=|at most|up to)\s*(\d+)\s*characters/i);
+  return {
+    present: !!line,
+    count: count ? parseInt(count[1], 10) : 1,
+    min: between ? parseInt(between[1], 10) : null,
+    max: between ? parseInt(between[2], 10) : (max ? parseInt(max[1], 10) : null),
+    keyword: /includ\w*\s+the\s+(main_)?keyword/i.test(line)
+  };
+}
+
+function fitLength(text, { min, max }, filler) {
+  let out = text;
+  for (let i = 0; min && out.length < min && i < filler.length; i++) out = `${out} ${filler[i]}`;
+  if (max && out.length > max) {
+    const cut = out.slice(0, max);
+    const space = cut.lastIndexOf(' ');
+    out = (space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,;:–-]+$/, '');
+  }
+  return out;
+}
+
+/**
+ * Deterministic stand-in for a model. It writes from the page described in the prompt and
+ * follows only the constraints the prompt states (item counts, character limits, keyword
+ * inclusion, slug format), so a template that drops one scores lower for it.
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+    async generate(prompt) {
+      const keyword = quoted(prompt, ['Main keyword', 'Keyword', 'Product keyword', 'Category keyword', 'Service keyword', 'Core offering']);
+      const h1 = quoted(prompt, ['H1']) || quoted(prompt, ['Title tag']);
+      const content = quoted(prompt, ['Main content', 'Meta description', 'Context']);
+      const sentences = content.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(s => s.length > 20);
+      const subject = keyword || h1 || 'this page';
+      const filler = [...sentences, `Learn more about ${subject}.`, 'Find out what matters and why.', 'Read on for the details.'];
+
+      const t = fieldRules(fieldLine(prompt, 'titles'));
+      const m = fieldRules(fieldLine(prompt, 'metas'));
+      const s = fieldRules(fieldLine(prompt, 'slug'));
+      const lead = base => (t.keyword && keyword && !base.toLowerCase().includes(keyword.toLowerCase()) ? `${keyword}: ${base}` : base);
+      const titleBases = [h1 || subject, `${subject} explained`, `A guide to ${subject}`, `${subject}: what to know`, `All about ${subject}`, `${subject} in detail`];
+      const titles = titleBases.slice(0, t.count).map(b => fitLength(lead(b), { max: t.max }, []));
+
+      const metas = [];
+      for (let i = 0; i < m.count; i++) {
+        const first = filler[i % filler.length];
+        const base = m.keyword && keyword && !first.toLowerCase().includes(keyword.toLowerCase()) ? `${keyword}: ${first}` : first;
+        metas.push(fitLength(base, m, filler.slice(i + 1).concat(filler.slice(0, i + 1))));
+      }
+
+      const out = { titles, metas };
+      if (/"main_keyword"/.test(prompt)) out.main_keyword = keyword;
+      if (s.present) {
+        const words = subject.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+        out.slug = /lowercase/i.test(fieldLine(prompt, 'slug'))
+          ? words.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, s.max || 80)
+          : words;
+      }
+      return { provider: 'mock', raw: JSON.stringify(out) };
+    }
+  };
+}
+
+/**
+ * Replays model outputs saved in a JSON file, keyed by the sha1 of the prompt, so runs are
+ * repeatable without API calls. With `live` and `record`, prompts without a recording go to
+ * the live provider and are added (call save() afterwards); otherwise they count as missing,
+ * which is what a changed template produces until it is recorded.
+ */
+function createRecordedProvider(file, { live = null, record = false } = {}) {
+  const data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { recordings: {} };
+  if (!data.recordings || typeof data.recordings !== 'object') throw new Error(`${file} is not a recordings file`);
+  let added = 0;
+  return {
+    name: record ? 'recorded+live' : 'recorded',
+    async generate(prompt) {
+      const key = sha1(prompt);
+      const hit = data.recordings[key];
+      if (hit) return { provider: hit.provider, raw: hit.raw };
+      if (!record || !live) {
+        const err = new Error('No recording for this prompt');
+        err.code = 'RECORDING_MISSING';
+        throw err;
+      }
+      const out = await live.generate(prompt);
+      data.recordings[key] = { provider: out.provider, model: out.model || null, raw: out.raw, recordedAt: new Date().toISOString() };
+      added++;
+      return out;
+    },
+    get added() { return added; },
+    save() {
+      if (added) fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+      return added;
+    }
+  };
+}
+
+module.exports = { evaluatePrompts, compareReports, createMockProvider, createRecordedProvider, templateLabel };
@@ -0,0 +1,248 @@
+/**
+ * Prompt templates, one per content type, versioned on disk:
+ *
+ *   prompts/<content type>/v<N>.txt
+ *
+ * A template is plain text with an optional front matter block and mustache-style tags:
+ *   ---
+ *   description: Product detail pages
+ *   ---
+ *   {{keyword}}              variable (inserted as-is)
+ *   {{#page}}...{{/page}}    section, kept when the variable is non-empty
+ *   {{^page}}...{{/page}}    inverted section, kept when it is empty
+ * A section tag alone on its line takes the line with it. Unknown variables are an error,
+ * so a typo fails the render (and `meta-gen eval`) rather than reaching the model.
+ *
+ * The newest version of each type is used unless pinned (PROMPT_VERSIONS="product=1,homepage=2").
+ * Point PROMPTS_DIR at a copy of prompts/ to edit templates without touching the code.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = ['blog-post', 'product', 'category', 'local-business', 'homepage'];
+const DEFAULT_CONTENT_TYPE = 'blog-post';
+const DEFAULT_DIR = path.join(__dirname, '..', 'prompts');
+
+function promptError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+// -------------------- templates -------------------- //
+
+function parseTemplate(text) {
+  const meta = {};
+  let body = String(text).replace(/^\uFEFF/, '');
+  const m = body.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  if (m) {
+    m[1].split(/\r?\n/).forEach(line => {
+      const kv = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+      if (kv) meta[kv[1]] = kv[2];
+    });
+    body = body.slice(m[0].length);
+  }
+  return { meta, body };
+}
+
+const TAG_RE = /\{\{\s*([#^/]?)\s*([\w.-]+)\s*\}\}/g;
+
+// Tokens: text and tags; standalone section tags swallow their own line
+function tokenize(body) {
+  const tokens = [];
+  let last = 0;
+  let m;
+  TAG_RE.lastIndex = 0;
+  while ((m = TAG_RE.exec(body))) {
+    let start = m.index;
+    let end = TAG_RE.lastIndex;
+    if (m[1]) {
+      const lineStart = body.lastIndexOf('\n', start - 1) + 1;
+      const nl = body.indexOf('\n', end);
+      const lineEnd = nl === -1 ? body.length : nl + 1;
+      if (!body.slice(lineStart, start).trim() && !body.slice(end, lineEnd).trim()) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+    if (start > last) tokens.push({ type: 'text', value: body.slice(last, start) });
+    tokens.push({ type: m[1] || 'var', name: m[2] });
+    last = end;
+    TAG_RE.lastIndex = end;
+  }
+  if (last < body.length) tokens.push({ type: 'text', value: body.slice(last) });
+  return tokens;
+}
+
+// Nest section tokens: [{ type: '#'|'^', name, children }]
+function buildTree(tokens, file) {
+  const root = [];
+  const stack = [{ name: null, children: root }];
+  tokens.forEach(t => {
+    const top = stack[stack.length - 1];
+    if (t.type === '#' || t.type === '^') {
+      const node = { type: t.type, name: t.name, children: [] };
+      top.children.push(node);
+      stack.push(node);
+    } else if (t.type === '/') {
+      if (top.name !== t.name) throw new Error(`${file}: {{/${t.name}}} does not close ${top.name ? `{{#${top.name}}}` : 'any section'}`);
+      stack.pop();
+    } else {
+      top.children.push(t);
+    }
+  });
+  if (stack.length > 1) throw new Error(`${file}: {{#${stack[stack.length - 1].name}}} is never closed`);
+  return root;
+}
+
+const filled = v => !(v === undefined || v === null || v === false || v === '' || (Array.isArray(v) && !v.length));
+
+function renderNodes(nodes, vars, file) {
+  return nodes.map(n => {
+    if (n.type === 'text') return n.value;
+    if (!Object.prototype.hasOwnProperty.call(vars, n.name)) throw new Error(`${file}: unknown variable "${n.name}"`);
+    const v = vars[n.name];
+    if (n.type === 'var') return Array.isArray(v) ? v.join(', ') : (v === null || v === undefined ? '' : String(v));
+    return filled(v) === (n.type === '#') ? renderNodes(n.children, vars, file) : '';
+  }).join('');
+}
+
+/** Render a template body with `vars`; throws on unknown variables and unbalanced sections. */
+function renderTemplate(body, vars, file = 'template') {
+  return renderNodes(buildTree(tokenize(body), file), vars || {}, file);
+}
+
+// -------------------- library -------------------- //
+
+// "product=1,homepage=2" -> { product: 1, homepage: 2 }
+function parsePins(str) {
+  const pins = {};
+  String(str || '').split(',').map(s => s.trim()).filter(Boolean).forEach(pair => {
+    const [type, version] = pair.split('=').map(s => s.trim());
+    const n = parseInt(String(version || '').replace(/^v/i, ''), 10);
+    if (CONTENT_TYPES.includes(type) && n > 0) pins[type] = n;
+  });
+  return pins;
+}
+
+/**
+ * Load every template under `dir` (synchronously; call once at startup).
+ * Each content type needs at least one version. Returns
+ * { dir, fingerprint, list(), get(type, version?), render(type, vars, { version }) }.
+ */
+function loadPromptLibrary({ dir = process.env.PROMPTS_DIR || DEFAULT_DIR, pins = parsePins(process.env.PROMPT_VERSIONS) } = {}) {
+  const root = path.resolve(dir);
+  const templates = new Map(); // type -> Map(version -> template)
+  const hash = crypto.createHash('sha1');
+
+  CONTENT_TYPES.forEach(type => {
+    const typeDir = path.join(root, type);
+    const files = fs.existsSync(typeDir) ? fs.readdirSync(typeDir).filter(f => /^v\d+\.txt$/.test(f)) : [];
+    if (!files.length) throw new Error(`No prompt template for content type "${type}" in ${typeDir}`);
+    const versions = new Map();
+    files.sort((a, b) => parseInt(a.slice(1), 10) - parseInt(b.slice(1), 10)).forEach(f => {
+      const file = path.join(typeDir, f);
+      const text = fs.readFileSync(file, 'utf8');
+      const { meta, body } = parseTemplate(text);
+      const version = parseInt(f.slice(1), 10);
+      buildTree(tokenize(body), file); // fail at startup on malformed sections
+      hash.update(`${type}@${version}\n${text}\n`);
+      versions.set(version, { type, version, description: meta.description || '', file, body });
+    });
+    if (pins[type] && !versions.has(pins[type])) throw new Error(`PROMPT_VERSIONS pins ${type} to v${pins[type]}, which does not exist`);
+    templates.set(type, versions);
+  });
+
+  const current = type => pins[type] || Math.max(...templates.get(type).keys());
+
+  function get(type, version) {
+    if (!templates.has(type)) throw promptError(400, 'UNKNOWN_CONTENT_TYPE', `contentType must be one of ${CONTENT_TYPES.join(', ')}`);
+    const v = version === undefined || version === null ? current(type) : version;
+    const tpl = templates.get(type).get(v);
+    if (!tpl) throw promptError(400, 'UNKNOWN_PROMPT_VERSION', `No v${v} template for ${type}`);
+    return tpl;
+  }
+
+  function list() {
+    return CONTENT_TYPES.map(type => {
+      const versions = Array.from(templates.get(type).keys());
+      return { contentType: type, current: current(type), pinned: !!pins[type], versions, description: get(type).description };
+    });
+  }
+
+  function render(type, vars, { version } = {}) {
+    const tpl = get(type, version);
+    return { text: renderTemplate(tpl.body, vars, tpl.file).replace(/\n{3,}/g, '\n\n').trim(), contentType: type, version: tpl.version };
+  }
+
+  return { dir: root, fingerprint: hash.digest('hex').slice(0, 12), list, get, render };
+}
+
+// -------------------- content type detection -------------------- //
+
+const DECLARED = [
+  [/^(Product|ProductGroup|Offer|IndividualProduct)$/, 'product'],
+  [/^(Article|BlogPosting|NewsArticle|TechArticle|Report|HowTo)$/, 'blog-post'],
+  [/^(CollectionPage|ItemList|OfferCatalog|SearchResultsPage)$/, 'category']
+];
+// LocalBusiness and its common subtypes
+const LOCAL_TYPES = /^(LocalBusiness|Store|Restaurant|CafeOrCoffeeShop|Bakery|BarOrPub|Dentist|Physician|MedicalClinic|Hospital|Pharmacy|AutoRepair|AutoDealer|HairSalon|BeautySalon|DaySpa|HealthClub|Hotel|LodgingBusiness|LegalService|Attorney|Notary|AccountingService|FinancialService|RealEstateAgent|HomeAndConstructionBusiness|Plumber|Electrician|Locksmith|RoofingContractor|HVACBusiness|MovingCompany|ProfessionalService|ChildCare|VeterinaryCare|TravelAgency|SportsActivityLocation|EntertainmentBusiness|FoodEstablishment|ShoppingCenter|GasStation)$/;
+
+const CATEGORY_PATH = /\/(category|categories|collections?|shop|catalog|c|tag|tags|department|browse)(\/|$)/i;
+const PRODUCT_PATH = /\/(product|products|p|item|dp)\/[^/]+/i;
+const BLOG_PATH = /\/(blog|news|articles?|posts?|guides?|insights|stories)(\/|$)|\/\d{4}\/\d{2}\//i;
+const PRICE_RE = /[$€£¥]\s?\d[\d.,]*|\d[\d.,]*\s?(?:€|EUR|USD|GBP|zł|kr)\b/g;
+
+const baseType = t => String(t).replace(/^https?:\/\/schema\.org\//i, '');
+
+/**
+ * Pick the template for a page from its signals: declared JSON-LD types, Open Graph type,
+ * URL path, prices and purchase/listing wording, address/opening hours. Returns { contentType, reason }.
+ */
+function detectContentType(page = {}, { url } = {}) {
+  const declared = (page.jsonLdTypes || []).map(baseType);
+  let pathname = '';
+  try { pathname = new URL(url || page.canonical || '').pathname; } catch (e) { /* no usable URL */ }
+  const text = `${page.titleTag || ''} ${page.h1 || ''} ${page.mainContent || page.snippet || ''}`;
+  const ogType = String((page.openGraph || {}).type || '').toLowerCase();
+  const prices = (text.match(PRICE_RE) || []).length;
+
+  for (const [re, type] of DECLARED) {
+    const hit = declared.find(t => re.test(t));
+    if (hit) return { contentType: type, reason: `page declares ${hit}` };
+  }
+  if (/^\/?(index\.\w+)?$/i.test(pathname)) {
+    return { contentType: 'homepage', reason: url || page.canonical ? 'site root URL' : 'no page path' };
+  }
+  const local = declared.find(t => LOCAL_TYPES.test(t));
+  if (local) return { contentType: 'local-business', reason: `page declares ${local}` };
+  if (ogType.includes('product') || PRODUCT_PATH.test(pathname)) {
+    return { contentType: 'product', reason: ogType.includes('product') ? `og:type ${ogType}` : 'product URL path' };
+  }
+  if (CATEGORY_PATH.test(pathname) || (prices >= 4 && /sort by|filter|\d+\s+(products|items|results)|show(ing)? \d+/i.test(text))) {
+    return { contentType: 'category', reason: CATEGORY_PATH.test(pathname) ? 'category URL path' : 'product listing signals' };
+  }
+  if (prices && /add to (cart|bag|basket)|buy now|in stock|out of stock/i.test(text)) {
+    return { contentType: 'product', reason: 'price and purchase signals' };
+  }
+  if (ogType === 'business.business' || (/opening hours|hours of operation|get directions|book an appointment/i.test(text) && /\+?\d[\d\s().-]{7,}\d/.test(text))) {
+    return { contentType: 'local-business', reason: 'address / opening hours signals' };
+  }
+  if (ogType === 'article' || BLOG_PATH.test(pathname)) {
+    return { contentType: 'blog-post', reason: ogType === 'article' ? 'og:type article' : 'article URL path' };
+  }
+  return { contentType: DEFAULT_CONTENT_TYPE, reason: 'no stronger content type detected' };
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  DEFAULT_CONTENT_TYPE,
+  loadPromptLibrary,
+  renderTemplate,
+  parseTemplate,
+  parsePins,
+  detectContentType
+};
@@ -0,0 +1,427 @@
+/**
+ * LLM provider registry.
+ * Providers are tried in order (the fallback chain); each has its own timeout,
+ * retry/backoff policy and a circuit breaker that skips it for a cool-down
+ * period after repeated failures.
+ *
+ * OpenAI-compatible providers (OpenRouter included) stream tokens when the caller
+ * passes onToken to generate(); set "stream": false on a provider to turn that off.
+ *
+ * Configure with env (LLM_PROVIDERS=google,openrouter,local) or a JSON file
+ * pointed to by LLM_PROVIDERS_CONFIG:
+ *   {
+ *     "defaults": { "timeoutMs": 20000, "retries": 1, "backoffMs": 500,
+ *                   "breaker": { "threshold": 3, "cooldownMs": 60000 } },
+ *     "providers": [
+ *       { "name": "local", "type": "openai-compatible", "baseUrl": "http://localhost:11434/v1", "model": "llama3.1" },
+ *       { "name": "google", "type": "gemini", "model": "gemini-2.0-flash", "apiKeyEnv": "GEMINI_API_KEY" }
+ *     ]
+ *   }
+ *
+ * Outgoing requests carry the X-Request-Id of the request being served (see lib/log.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger, currentRequestId, REQUEST_ID_HEADER } = require('./log');
+
+function envInt(name, def) {
+  const v = parseInt(process.env[name] || '', 10);
+  return isNaN(v) ? def : v;
+}
+function envFloat(name, def) {
+  const v = parseFloat(process.env[name] || '');
+  return isNaN(v) ? def : v;
+}
+
+function providerError(message, { status, retryable = false, skip = false } = {}) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  err.retryable = retryable;
+  // "skip" = provider isn't usable at all (e.g. no API key); don't retry or trip the breaker
+  err.skip = skip;
+  return err;
+}
+
+// JSON request headers, tagged with the current request ID so provider-side logs can be correlated
+function requestHeaders(headers, extra = {}) {
+  const requestId = currentRequestId();
+  return { 'Content-Type': 'application/json', ...extra, ...(requestId ? { [REQUEST_ID_HEADER]: requestId } : {}), ...headers };
+}
+
+async function postJson(url, headers, body, signal, label) {
+  let res;
+  try {
+    res = await fetch(url, { method: 'POST', headers: requestHeaders(headers), body: JSON.stringify(body), signal });
+  } catch (e) {
+    if (e.name === 'AbortError') throw providerError(`${label} timed out`, { retryable: true });
+    throw providerError(`${label} request failed: ${e.message || e}`, { retryable: true });
+  }
+  if (!res.ok) {
+    const txt = await res.text().catch(() => '');
+    throw providerError(`${label} API error ${res.status}: ${txt}`, { status: res.status, retryable: res.status === 429 || res.status >= 500 });
+  }
+  return res.json();
+}
+
+// POST and read an OpenAI-style SSE response, calling onData with each parsed `data:` payload
+async function postStream(url, headers, body, signal, label, onData) {
+  let res;
+  try {
+    res = await fetch(url, { method: 'POST', headers: requestHeaders(headers, { Accept: 'text/event-stream' }), body: JSON.stringify(body), signal });
+  } catch (e) {
+    if (e.name === 'AbortError') throw providerError(`${label} timed out`, { retryable: true });
+    throw providerError(`${label} request failed: ${e.message || e}`, { retryable: true });
+  }
+  if (!res.ok) {
+    const txt = await res.text().catch(() => '');
+    throw providerError(`${label} API error ${res.status}: ${txt}`, { status: res.status, retryable: res.status === 429 || res.status >= 500 });
+  }
+  const decoder = new TextDecoder();
+  let buf = '';
+  try {
+    for await (const chunk of res.body) {
+      buf += decoder.decode(chunk, { stream: true });
+      let nl;
+      while ((nl = buf.indexOf('\n')) !== -1) {
+        const line = buf.slice(0, nl).trim();
+        buf = buf.slice(nl + 1);
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+        try { onData(JSON.parse(data)); } catch (e) { /* ignore keep-alive / malformed chunks */ }
+      }
+    }
+  } catch (e) {
+    if (e.name === 'AbortError') throw providerError(`${label} timed out while streaming`, { retryable: true });
+    throw providerError(`${label} stream failed: ${e.message || e}`, { retryable: true });
+  }
+}
+
+// -------------------- adapters -------------------- //
+
+// Google Gemini via the generateContent API
+async function callGoogle(prompt, cfg = {}, signal) {
+  const apiKey = cfg.apiKey || process.env[cfg.apiKeyEnv || 'GEMINI_API_KEY'];
+  if (!apiKey) throw providerError('No GEMINI_API_KEY configured', { skip: true });
+
+  const model = String(cfg.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash').replace(/^models\//, '');
+  const base = (cfg.baseUrl || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, '');
+  const url = `${base}/models/${model}:generateContent`;
+  const body = {
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: {
+      maxOutputTokens: cfg.maxTokens || envInt('GEMINI_MAX_TOKENS', 512),
+      temperature: cfg.temperature !== undefined ? cfg.temperature : envFloat('GEMINI_TEMPERATURE', 0.6)
+    }
+  };
+
+  const json = await postJson(url, { 'x-goog-api-key': apiKey }, body, signal, 'Google');
+  const parts = json?.candidates?.[0]?.content?.parts;
+  const text = Array.isArray(parts) ? parts.map(p => p.text || '').join('') : '';
+  if (!text) {
+    const reason = json?.promptFeedback?.blockReason || json?.candidates?.[0]?.finishReason || 'empty response';
+    throw providerError(`Google returned no text (${reason})`, { retryable: reason === 'empty response' });
+  }
+  return { provider: cfg.name || 'google', model, raw: text, meta: json };
+}
+
+// Any OpenAI-compatible /chat/completions endpoint (OpenRouter, Ollama, vLLM, a local mock...).
+// With onToken the completion is streamed and each content delta is passed through.
+async function callOpenAICompatible(prompt, cfg = {}, signal, { onToken } = {}) {
+  const baseUrl = (cfg.baseUrl || process.env.OPENAI_COMPAT_BASE_URL || '').replace(/\/+$/, '');
+  if (!baseUrl) throw providerError(`No baseUrl configured for ${cfg.name || 'openai-compatible'}`, { skip: true });
+  const apiKey = cfg.apiKey || (cfg.apiKeyEnv ? process.env[cfg.apiKeyEnv] : '');
+  if (cfg.requireApiKey && !apiKey) throw providerError(`No ${cfg.apiKeyEnv} configured`, { skip: true });
+
+  const model = cfg.model || process.env.OPENAI_COMPAT_MODEL || 'llama3.1';
+  const body = {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    max_tokens: cfg.maxTokens || envInt('OPENAI_COMPAT_MAX_TOKENS', 512),
+    temperature: cfg.temperature !== undefined ? cfg.temperature : envFloat('OPENAI_COMPAT_TEMPERATURE', 0.6)
+  };
+  const headers = { ...(cfg.headers || {}) };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const label = cfg.label || cfg.name || 'OpenAI-compatible';
+  if (onToken && cfg.stream !== false) {
+    let text = '';
+    const meta = { streamed: true };
+    // include_usage: the last chunk carries token counts for metering
+    await postStream(`${baseUrl}/chat/completions`, headers, { ...body, stream: true, stream_options: { include_usage: true } }, signal, label, chunk => {
+      if (chunk.id) meta.id = chunk.id;
+      if (chunk.model) meta.model = chunk.model;
+      if (chunk.usage) meta.usage = chunk.usage;
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    });
+    if (!text) throw providerError(`${label} returned no text`, { retryable: true });
+    return { provider: cfg.name || 'openai-compatible', model, raw: text, meta };
+  }
+  const json = await postJson(`${baseUrl}/chat/completions`, headers, body, signal, label);
+  const text = json?.choices?.[0]?.message?.content;
+  if (!text) throw providerError(`${label} returned no text`, { retryable: true });
+  return { provider: cfg.name || 'openai-compatible', model, raw: text, meta: json };
+}
+
+// OpenRouter is an OpenAI-compatible endpoint with its own key/model env vars
+function callOpenRouter(prompt, cfg = {}, signal, opts) {
+  return callOpenAICompatible(prompt, {
+    name: 'openrouter',
+    label: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    requireApiKey: true,
+    model: process.env.OPENROUTER_MODEL || 'gpt-4o-mini',
+    maxTokens: envInt('OPENROUTER_MAX_TOKENS', 400),
+    temperature: envFloat('OPENROUTER_TEMPERATURE', 0.6),
+    ...cfg
+  }, signal, opts);
+}
+
+const ADAPTERS = {
+  gemini: callGoogle,
+  google: callGoogle,
+  openrouter: callOpenRouter,
+  'openai-compatible': callOpenAICompatible
+};
+
+// -------------------- configuration -------------------- //
+
+function defaultsFromEnv() {
+  return {
+    timeoutMs: envInt('LLM_TIMEOUT_MS', 20000),
+    retries: envInt('LLM_RETRIES', 1),
+    backoffMs: envInt('LLM_RETRY_BACKOFF_MS', 500),
+    breaker: {
+      threshold: envInt('LLM_BREAKER_THRESHOLD', 3),
+      cooldownMs: envInt('LLM_BREAKER_COOLDOWN_MS', 60000)
+    }
+  };
+}
+
+// Built-in providers addressable from LLM_PROVIDERS, with per-provider env overrides
+function builtinFromEnv(name) {
+  const prefix = { google: 'GEMINI', gemini: 'GEMINI', openrouter: 'OPENROUTER', local: 'OPENAI_COMPAT' }[name];
+  if (!prefix) return null;
+  const cfg = { name: name === 'gemini' ? 'google' : name, type: name === 'local' ? 'openai-compatible' : name };
+  if (name === 'local') {
+    cfg.baseUrl = process.env.OPENAI_COMPAT_BASE_URL || 'http://localhost:11434/v1';
+    cfg.model = process.env.OPENAI_COMPAT_MODEL || 'llama3.1';
+    cfg.apiKeyEnv = 'OPENAI_COMPAT_API_KEY';
+    cfg.label = 'Local';
+  }
+  if (process.env[`${prefix}_TIMEOUT_MS`]) cfg.timeoutMs = envInt(`${prefix}_TIMEOUT_MS`);
+  if (process.env[`${prefix}_RETRIES`]) cfg.retries = envInt(`${prefix}_RETRIES`);
+  return cfg;
+}
+
+function loadProviderConfig() {
+  const defaults = defaultsFromEnv();
+  const file = process.env.LLM_PROVIDERS_CONFIG;
+  if (file) {
+    const json = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const fileDefaults = json.defaults || {};
+    return {
+      defaults: { ...defaults, ...fileDefaults, breaker: { ...defaults.breaker, ...(fileDefaults.breaker || {}) } },
+      providers: (json.providers || []).filter(p => p && p.enabled !== false)
+    };
+  }
+  const names = (process.env.LLM_PROVIDERS || 'google,openrouter').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const providers = names.map(n => {
+    const cfg = builtinFromEnv(n);
+    if (!cfg) logger.warn(`Unknown provider "${n}" in LLM_PROVIDERS (known: google, openrouter, local)`);
+    return cfg;
+  }).filter(Boolean);
+  return { defaults, providers };
+}
+
+// -------------------- registry -------------------- //
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// Token counts from an adapter's meta (OpenAI-style `usage` or Gemini `usageMetadata`), or null
+function usageFromMeta(meta) {
+  if (!meta) return null;
+  if (meta.usage) {
+    const u = meta.usage;
+    return { promptTokens: u.prompt_tokens || 0, completionTokens: u.completion_tokens || 0, totalTokens: u.total_tokens || 0 };
+  }
+  if (meta.usageMetadata) {
+    const u = meta.usageMetadata;
+    return { promptTokens: u.promptTokenCount || 0, completionTokens: u.candidatesTokenCount || 0, totalTokens: u.totalTokenCount || 0 };
+  }
+  return null;
+}
+
+// -------------------- pricing -------------------- //
+
+let priceTable = null;
+function prices() {
+  if (!priceTable) {
+    const file = process.env.LLM_PRICES_FILE || path.join(__dirname, 'data', 'llm-prices.json');
+    try {
+      priceTable = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')).models || {};
+    } catch (err) {
+      logger.warn('LLM price table unavailable; provider cost is not estimated', { file, err });
+      priceTable = {};
+    }
+  }
+  return priceTable;
+}
+
+/**
+ * Estimated USD cost of one call from its token usage: the provider's own `pricing`
+ * ({ prompt, completion } per 1M tokens) or the model's entry in the price table.
+ * null when the usage or the price is unknown (e.g. local models).
+ */
+function estimateCost(usage, model, pricing) {
+  if (!usage) return null;
+  const table = prices();
+  const m = String(model || '');
+  const price = pricing || table[m] || table[m.replace(/^[^/]+\//, '')] || null;
+  if (!price) return null;
+  return ((usage.promptTokens || 0) * (price.prompt || 0) + (usage.completionTokens || 0) * (price.completion || 0)) / 1e6;
+}
+
+/**
+ * `onCall({ provider, model, ok, ms, usage, costUsd, fallback, error })` is called after every
+ * provider request that was actually made (skipped providers excluded), e.g. for metering.
+ * `fallback` = the call answered after an earlier provider in the chain failed or was circuit-broken.
+ */
+function createProviderRegistry(config = loadProviderConfig(), { onCall } = {}) {
+  const entries = config.providers.map(p => {
+    const adapter = ADAPTERS[p.type || p.name];
+    if (!adapter) throw new Error(`Unknown provider type "${p.type}" for provider "${p.name}"`);
+    return {
+      cfg: p,
+      adapter,
+      timeoutMs: p.timeoutMs || config.defaults.timeoutMs,
+      retries: p.retries !== undefined ? p.retries : config.defaults.retries,
+      backoffMs: p.backoffMs || config.defaults.backoffMs,
+      breaker: { ...config.defaults.breaker, ...(p.breaker || {}) },
+      state: { failures: 0, openUntil: 0, lastError: null }
+    };
+  });
+
+  function breakerOpen(e) { return e.state.openUntil > Date.now(); }
+
+  function recordFailure(e, err) {
+    e.state.failures++;
+    e.state.lastError = err.message || String(err);
+    if (e.state.failures >= e.breaker.threshold) {
+      e.state.openUntil = Date.now() + e.breaker.cooldownMs;
+      logger.warn('Provider circuit open', { provider: e.cfg.name, failures: e.state.failures, cooldownMs: e.breaker.cooldownMs });
+    }
+  }
+
+  async function attempt(e, prompt, onToken) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), e.timeoutMs);
+    try {
+      return await e.adapter(prompt, e.cfg, ctrl.signal, { onToken });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run the prompt through the fallback chain.
+   * Resolves with { provider, model, raw, meta, attempts }; rejects with
+   * err.status = 500, err.code = PROVIDER_EXHAUSTED ("All providers failed") and err.attempts when nothing answered.
+   * Optional hooks: onEvent({ type: attempt|failed|skipped|succeeded, provider, ... }) and
+   * onToken(text) for streamed output (a new "attempt" event means earlier tokens are void).
+   */
+  async function generate(prompt, { only, onEvent, onToken } = {}) {
+    const attempts = [];
+    let lastErr = null;
+    const emit = ev => {
+      if (!onEvent) return;
+      try { onEvent(ev); } catch (err) { logger.warn('Provider event handler failed', { err }); }
+    };
+    const called = info => {
+      if (!onCall) return;
+      try { onCall(info); } catch (err) { logger.warn('Provider call hook failed', { err }); }
+    };
+    let fellBack = false;
+    for (const e of entries) {
+      const name = e.cfg.name;
+      if (only && !only.includes(name)) continue;
+      if (breakerOpen(e)) {
+        attempts.push({ provider: name, ok: false, skipped: 'circuit_open' });
+        emit({ type: 'skipped', provider: name, reason: 'circuit_open' });
+        fellBack = true;
+        continue;
+      }
+      for (let i = 0; i <= e.retries; i++) {
+        const started = Date.now();
+        emit({ type: 'attempt', provider: name, attempt: i + 1 });
+        try {
+          const out = await attempt(e, prompt, onToken);
+          attempts.push({ provider: name, ok: true, ms: Date.now() - started });
+          const model = out.model || e.cfg.model || null;
+          const usage = usageFromMeta(out.meta);
+          called({ provider: name, model, ok: true, ms: Date.now() - started, usage, costUsd: estimateCost(usage, model, e.cfg.pricing), fallback: fellBack });
+          logger.debug('Provider call succeeded', { provider: name, model, ms: Date.now() - started, usage, fallback: fellBack });
+          e.state.failures = 0;
+          e.state.openUntil = 0;
+          emit({ type: 'succeeded', provider: name, ms: Date.now() - started, streamed: !!(out.meta && out.meta.streamed) });
+          return { ...out, attempts };
+        } catch (err) {
+          lastErr = err;
+          attempts.push({ provider: name, ok: false, ms: Date.now() - started, error: err.message || String(err) });
+          if (!err.skip) called({ provider: name, model: e.cfg.model || null, ok: false, ms: Date.now() - started, usage: null, costUsd: null, fallback: fellBack, error: err.message || String(err) });
+          if (err.skip) {
+            emit({ type: 'skipped', provider: name, reason: err.message || String(err) });
+            break;
+          }
+          const retrying = !!err.retryable && i < e.retries;
+          logger.warn('Provider call failed', { provider: name, attempt: i + 1, retrying, error: err.message || String(err), status: err.status });
+          emit({ type: 'failed', provider: name, error: err.message || String(err), retrying });
+          if (!retrying) {
+            recordFailure(e, err);
+            fellBack = true;
+            break;
+          }
+          await sleep(e.backoffMs * Math.pow(2, i));
+        }
+      }
+    }
+    const err = new Error('All providers failed');
+    err.status = 500;
+    err.code = 'PROVIDER_EXHAUSTED';
+    err.detail = lastErr ? (lastErr.message || String(lastErr)) : 'No providers available';
+    err.attempts = attempts;
+    throw err;
+  }
+
+  function status() {
+    return entries.map(e => ({
+      name: e.cfg.name,
+      type: e.cfg.type || e.cfg.name,
+      model: e.cfg.model || null,
+      timeoutMs: e.timeoutMs,
+      retries: e.retries,
+      circuit: breakerOpen(e) ? 'open' : (e.state.failures ? 'degraded' : 'closed'),
+      failures: e.state.failures,
+      openUntil: e.state.openUntil || null,
+      lastError: e.state.lastError
+    }));
+  }
+
+  return { generate, status };
+}
+
+module.exports = {
+  createProviderRegistry,
+  loadProviderConfig,
+  callGoogle,
+  callOpenRouter,
+  callOpenAICompatible,
+  usageFromMeta,
+  estimateCost
+};
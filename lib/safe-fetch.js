@@ -0,0 +1,299 @@
+/**
+ * Safe outbound fetching for user-supplied URLs.
+ *  - http(s) only; every hop (including redirects) is resolved and checked
+ *    against private / loopback / link-local / reserved ranges. The check runs
+ *    inside the socket's DNS lookup, so the address we validate is the one we connect to.
+ *  - caps redirects, response bytes (after decompression) and total time
+ *  - decodes the body using the HTTP / <meta> / BOM charset
+ *
+ * Errors carry err.code (INVALID_URL, BLOCKED_ADDRESS, TOO_MANY_REDIRECTS,
+ * RESPONSE_TOO_LARGE, TIMEOUT, HTTP_ERROR, NOT_HTML, FETCH_FAILED) and err.status.
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const zlib = require('zlib');
+
+const DEFAULTS = {
+  maxRedirects: parseInt(process.env.FETCH_MAX_REDIRECTS || '5', 10),
+  maxBytes: parseInt(process.env.FETCH_MAX_BYTES || `${2 * 1024 * 1024}`, 10),
+  timeoutMs: parseInt(process.env.FETCH_TIMEOUT_MS || '10000', 10),
+  userAgent: 'MetaGenTool/1.0 (+https://apextechagency.com)'
+};
+
+// Local development only: lets the server fetch localhost fixtures
+const ALLOW_PRIVATE = process.env.SAFE_FETCH_ALLOW_PRIVATE === '1';
+
+const ERROR_STATUS = {
+  INVALID_URL: 400,
+  BLOCKED_ADDRESS: 400,
+  TOO_MANY_REDIRECTS: 400,
+  RESPONSE_TOO_LARGE: 400,
+  TIMEOUT: 400,
+  HTTP_ERROR: 400,
+  NOT_HTML: 415,
+  FETCH_FAILED: 400
+};
+
+function fetchError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = ERROR_STATUS[code] || 400;
+  Object.assign(err, extra);
+  return err;
+}
+
+// -------------------- address checks -------------------- //
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([addr, prefix]) => blocked.addSubnet(addr, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+  ['2001:db8::', 32], ['100::', 64]
+].forEach(([addr, prefix]) => blocked.addSubnet(addr, prefix, 'ipv6'));
+
+// The eight 16-bit groups of an IPv6 address (a dotted IPv4 tail counts as two), or null
+function ipv6Groups(addr) {
+  let text = addr.toLowerCase().replace(/%.*$/, '');
+  const tail = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (tail) {
+    const [a, b, c, d] = tail.slice(1).map(Number);
+    text = `${text.slice(0, tail.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, rest] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = rest ? rest.split(':') : [];
+  const fill = text.includes('::') ? 8 - left.length - right.length : 0;
+  const groups = [...left, ...Array(Math.max(fill, 0)).fill('0'), ...right].map(g => parseInt(g, 16));
+  return groups.length === 8 && groups.every(g => g >= 0 && g <= 0xffff) ? groups : null;
+}
+
+const dotted = (hi, lo) => [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+
+// IPv4 embedded in IPv6, which reaches that IPv4 host: mapped (::ffff:a.b.c.d), compatible (::a.b.c.d),
+// NAT64 (64:ff9b::/96), 6to4 (2002:AABB:CCDD::/16) and Teredo (2001:0::/32, client address in the
+// last 32 bits, bit-inverted)
+function embeddedIpv4(addr) {
+  const g = ipv6Groups(addr);
+  if (!g) return null;
+  const zero = (from, to) => g.slice(from, to).every(x => x === 0);
+  if (zero(0, 5) && (g[5] === 0xffff || (g[5] === 0 && (g[6] || g[7] > 1)))) return dotted(g[6], g[7]);
+  if (g[0] === 0x64 && g[1] === 0xff9b && zero(2, 6)) return dotted(g[6], g[7]);
+  if (g[0] === 0x2002) return dotted(g[1], g[2]);
+  if (g[0] === 0x2001 && g[1] === 0) return dotted(g[6] ^ 0xffff, g[7] ^ 0xffff);
+  return null;
+}
+
+function isBlockedAddress(address) {
+  if (ALLOW_PRIVATE) return false;
+  const family = net.isIP(address);
+  if (family === 4) return blocked.check(address, 'ipv4');
+  if (family === 6) {
+    const v4 = embeddedIpv4(address);
+    if (v4) return blocked.check(v4, 'ipv4');
+    return blocked.check(address, 'ipv6');
+  }
+  return true;
+}
+
+// dns.lookup replacement for http(s).request that refuses blocked addresses
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') { callback = options; options = {}; }
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => isBlockedAddress(a.address));
+    if (bad) {
+      return callback(fetchError('BLOCKED_ADDRESS', `Refusing to fetch ${hostname}: resolves to a private or reserved address (${bad.address})`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function checkUrl(raw) {
+  let u;
+  try {
+    u = new URL(raw);
+  } catch (e) {
+    throw fetchError('INVALID_URL', `Invalid URL: ${raw}`);
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+    throw fetchError('INVALID_URL', `Only http and https URLs are allowed (got ${u.protocol})`);
+  }
+  if (u.username || u.password) throw fetchError('INVALID_URL', 'URLs with credentials are not allowed');
+  // IP literals never reach the lookup hook, so check them here
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw fetchError('BLOCKED_ADDRESS', `Refusing to fetch a private or reserved address (${host})`);
+  }
+  return u;
+}
+
+// -------------------- charset -------------------- //
+
+function charsetFromContentType(contentType) {
+  const m = String(contentType || '').match(/charset\s*=\s*["']?([\w.:-]+)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+function detectCharset(contentType, buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+  const fromHeader = charsetFromContentType(contentType);
+  if (fromHeader) return fromHeader;
+  const head = buffer.slice(0, 2048).toString('latin1');
+  const meta = head.match(/<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i);
+  if (meta) return meta[1].toLowerCase();
+  const xml = head.match(/^<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)/i);
+  if (xml) return xml[1].toLowerCase();
+  return 'utf-8';
+}
+
+function decodeBody(buffer, charset) {
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (e) {
+    // unknown label - fall back to utf-8
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// -------------------- fetching -------------------- //
+
+function decompressor(encoding) {
+  const enc = String(encoding || '').toLowerCase().trim();
+  if (enc === 'gzip' || enc === 'x-gzip') return zlib.createGunzip();
+  if (enc === 'deflate') return zlib.createInflate();
+  if (enc === 'br') return zlib.createBrotliDecompress();
+  return null;
+}
+
+// One request/response without following redirects
+function requestOnce(u, opts, deadline) {
+  return new Promise((resolve, reject) => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return reject(fetchError('TIMEOUT', `Timed out after ${opts.timeoutMs}ms`));
+
+    const lib = u.protocol === 'https:' ? https : http;
+    const body = opts.body === undefined || opts.body === null ? null : Buffer.from(opts.body);
+    const req = lib.request(u, {
+      method: opts.method || 'GET',
+      lookup: guardedLookup,
+      headers: {
+        'User-Agent': opts.userAgent,
+        'Accept': opts.acceptHeader || 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+        ...(body ? { 'Content-Length': body.length } : {}),
+        ...(opts.headers || {})
+      }
+    });
+    let settled = false;
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      req.destroy();
+      reject(err);
+    };
+    const timer = setTimeout(() => fail(fetchError('TIMEOUT', `Timed out after ${opts.timeoutMs}ms`)), remaining);
+
+    req.on('error', (err) => fail(err.code && ERROR_STATUS[err.code] ? err : fetchError('FETCH_FAILED', err.message || String(err))));
+    req.on('response', (res) => {
+      const status = res.statusCode;
+      if (status >= 300 && status < 400 && res.headers.location) {
+        res.resume();
+        settled = true;
+        clearTimeout(timer);
+        return resolve({ redirect: res.headers.location, status });
+      }
+      const declared = parseInt(res.headers['content-length'] || '', 10);
+      if (!isNaN(declared) && declared > opts.maxBytes && !res.headers['content-encoding']) {
+        return fail(fetchError('RESPONSE_TOO_LARGE', `Response is ${declared} bytes (max ${opts.maxBytes})`));
+      }
+
+      const chunks = [];
+      let bytes = 0;
+      const unzip = decompressor(res.headers['content-encoding']);
+      const stream = unzip ? res.pipe(unzip) : res;
+      stream.on('data', (c) => {
+        bytes += c.length;
+        if (bytes > opts.maxBytes) return fail(fetchError('RESPONSE_TOO_LARGE', `Response exceeds ${opts.maxBytes} bytes`));
+        chunks.push(c);
+      });
+      stream.on('error', (err) => fail(fetchError('FETCH_FAILED', `Failed to read response: ${err.message || err}`)));
+      stream.on('end', () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({ status, headers: res.headers, buffer: Buffer.concat(chunks) });
+      });
+    });
+    req.end(body || undefined);
+  });
+}
+
+/**
+ * Fetch a URL with SSRF protection and limits. Resolves for any HTTP status:
+ * { url, status, ok, headers, contentType, charset, buffer, text, redirects }
+ * `method` / `body` send other requests; those don't follow redirects (the body would be lost).
+ */
+async function safeFetch(rawUrl, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const deadline = Date.now() + opts.timeoutMs;
+  const redirects = [];
+  let u = checkUrl(rawUrl);
+
+  for (;;) {
+    const r = await requestOnce(u, opts, deadline);
+    if (r.redirect) {
+      if (opts.method && opts.method !== 'GET') {
+        throw fetchError('FETCH_FAILED', `${opts.method} ${u.href} was redirected to ${new URL(r.redirect, u).href}`);
+      }
+      if (redirects.length >= opts.maxRedirects) {
+        throw fetchError('TOO_MANY_REDIRECTS', `More than ${opts.maxRedirects} redirects`);
+      }
+      redirects.push(u.href);
+      u = checkUrl(new URL(r.redirect, u).href);
+      continue;
+    }
+    const contentType = String(r.headers['content-type'] || '');
+    const charset = detectCharset(contentType, r.buffer);
+    return {
+      url: u.href,
+      status: r.status,
+      ok: r.status >= 200 && r.status < 300,
+      headers: r.headers,
+      contentType,
+      charset,
+      buffer: r.buffer,
+      text: decodeBody(r.buffer, charset),
+      redirects
+    };
+  }
+}
+
+function looksLikeHtml(contentType, text) {
+  if (/^\s*(text\/html|application\/xhtml\+xml)/i.test(contentType)) return true;
+  if (contentType && !/^\s*(text\/plain|application\/octet-stream)/i.test(contentType)) return false;
+  // missing or generic content-type: sniff the markup
+  return /^\s*(<!doctype html|<html|<head|<body)/i.test(String(text).slice(0, 1024));
+}
+
+// Fetch an HTML page; non-2xx and non-HTML responses are errors
+async function fetchHtml(url, options = {}) {
+  const r = await safeFetch(url, options);
+  if (!r.ok) throw fetchError('HTTP_ERROR', `Unable to fetch URL: status ${r.status}`, { upstreamStatus: r.status });
+  if (!looksLikeHtml(r.contentType, r.text)) {
+    throw fetchError('NOT_HTML', `Expected an HTML page, got ${r.contentType || 'unknown content type'}`);
+  }
+  return r;
+}
+
+module.exports = { safeFetch, fetchHtml, isBlockedAddress, detectCharset };
@@ -0,0 +1,347 @@
+/**
+ * LLM-free grading of title / meta description / slug candidates against a page.
+ *
+ * Each candidate gets a 0-100 score from weighted checks (each 0..1) and an
+ * actionable message for every check that isn't perfect:
+ *   length       pixel width vs the SERP limits (titles: use most of the line; metas: META_MIN_FILL)
+ *   keyword      main keyword present (exact phrase > all words > some words)
+ *   position     keyword near the front (titles) / before the mobile cut (metas)
+ *   truncation   cut on desktop or mobile, and whether the keyword survives the cut
+ *   duplication  near-copy of the page's H1 / title tag
+ *   readability  sentence length, long words, shouting and punctuation
+ *   powerWords   at least one (titles and metas; language lists in lib/data/copy-words.json)
+ *   cta          call to action (metas only)
+ *   relevance    share of the candidate's content words that the page actually covers
+ * Slugs are graded on length, keyword words, format and stopwords.
+ */
+
+const COPY_WORDS = require('./data/copy-words.json');
+const { SERP_LAYOUT, META_MIN_FILL, serpFit, measureText, maxSerpWidth } = require('./serp');
+const { DEFAULT_LANGUAGE, stopwordsFor, tokenize, isUnspacedLanguage } = require('./language');
+const { SLUG_RE, UNICODE_SLUG_RE } = require('./validate');
+
+const TITLE_WEIGHTS = { length: 0.15, keyword: 0.2, position: 0.1, truncation: 0.15, duplication: 0.1, readability: 0.1, powerWords: 0.05, relevance: 0.15 };
+const META_WEIGHTS = { length: 0.15, keyword: 0.15, position: 0.05, truncation: 0.15, duplication: 0.1, readability: 0.1, powerWords: 0.05, cta: 0.1, relevance: 0.15 };
+const SLUG_WEIGHTS = { length: 0.3, keyword: 0.4, format: 0.2, stopwords: 0.1 };
+
+const round2 = v => Math.round(v * 100) / 100;
+
+function copyWords(language) {
+  return COPY_WORDS[language] || null;
+}
+
+// Content words of a text (no stopwords, no numbers)
+function contentWords(text, language) {
+  const stop = stopwordsFor(language);
+  return tokenize(text, language).filter(w => !stop.has(w) && !/^[\p{N}.,%-]+$/u.test(w));
+}
+
+// Overlap of two word lists, 0-1; two empty lists are identical
+function jaccard(a, b) {
+  const A = new Set(a);
+  const B = new Set(b);
+  if (!A.size && !B.size) return 1;
+  if (!A.size || !B.size) return 0;
+  let inter = 0;
+  A.forEach(w => { if (B.has(w)) inter++; });
+  return inter / (A.size + B.size - inter);
+}
+
+// Rough English syllable count (vowel groups, silent final e)
+function syllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (w.length <= 3) return 1;
+  const groups = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+function check(score, message, extra = {}) {
+  const out = { score: round2(Math.max(0, Math.min(1, score))), ...extra };
+  if (message && out.score < 1) out.message = message;
+  return out;
+}
+
+// -------------------- shared checks -------------------- //
+
+function keywordCheck(text, keyword, language) {
+  if (!keyword) return check(1, null, { skipped: 'no keyword' });
+  const lower = text.toLowerCase();
+  if (lower.includes(keyword.toLowerCase())) return check(1, null, { match: 'exact' });
+  const kw = contentWords(keyword, language);
+  const words = new Set(tokenize(text, language));
+  const found = kw.filter(w => words.has(w));
+  if (kw.length && found.length === kw.length) {
+    return check(0.7, `Uses every word of "${keyword}" but not the exact phrase; write it as "${keyword}"`, { match: 'words' });
+  }
+  if (found.length) {
+    const missing = kw.filter(w => !words.has(w));
+    return check(0.5 * found.length / kw.length, `Only part of the keyword appears; add "${missing.join(' ')}" or use "${keyword}" as a phrase`, { match: 'partial' });
+  }
+  return check(0, `Missing the main keyword "${keyword}"; include it`, { match: 'none' });
+}
+
+function duplicationCheck(text, page, language) {
+  const words = contentWords(text, language);
+  const against = [['H1', page.h1], ['title tag', page.titleTag]].filter(([, t]) => t);
+  let worst = null;
+  against.forEach(([label, t]) => {
+    const sim = jaccard(words, contentWords(t, language));
+    if (!worst || sim > worst.sim) worst = { label, sim };
+  });
+  if (!worst) return check(1, null, { similarity: 0 });
+  const similarity = round2(worst.sim);
+  if (worst.sim >= 0.9) return check(0.3, `Near-copy of the page's ${worst.label}; vary it to cover another angle or benefit`, { similarity, against: worst.label });
+  if (worst.sim >= 0.7) return check(0.7, `Very close to the page's ${worst.label}; reword part of it`, { similarity, against: worst.label });
+  return check(1, null, { similarity });
+}
+
+function readabilityCheck(text, language) {
+  const issues = [];
+  let score = 1;
+  const sentences = String(text).split(/[.!?。！？]+/).map(s => s.trim()).filter(Boolean);
+  const words = tokenize(text, language);
+  const perSentence = sentences.length ? words.length / sentences.length : words.length;
+  if (!isUnspacedLanguage(language) && perSentence > 22) {
+    score -= 0.3;
+    issues.push(`sentences average ${Math.round(perSentence)} words; split them (aim for under 20)`);
+  }
+  if (language === 'en' && words.length) {
+    const complex = words.filter(w => syllables(w) >= 4).length / words.length;
+    if (complex > 0.2) {
+      score -= 0.3;
+      issues.push(`${Math.round(complex * 100)}% of words have 4+ syllables; use plainer words`);
+    }
+  } else if (!isUnspacedLanguage(language) && words.length) {
+    const long = words.filter(w => Array.from(w).length > 13).length / words.length;
+    if (long > 0.2) {
+      score -= 0.3;
+      issues.push('many very long words; use plainer ones');
+    }
+  }
+  const letters = String(text).replace(/[^\p{L}]/gu, '');
+  const upper = String(text).replace(/[^\p{Lu}]/gu, '');
+  if (letters.length > 10 && upper.length / letters.length > 0.5) {
+    score -= 0.3;
+    issues.push('mostly capital letters reads as shouting');
+  }
+  if (/[!?]{2,}/.test(text)) {
+    score -= 0.2;
+    issues.push('repeated "!" or "?"');
+  }
+  return check(score, issues.length ? `Readability: ${issues.join('; ')}` : null, { wordsPerSentence: round2(perSentence) });
+}
+
+function hasWord(text, list, language) {
+  const words = new Set(tokenize(text, language));
+  const lower = String(text).toLowerCase();
+  return list.filter(w => (w.includes(' ') || w.includes('-') ? lower.includes(w) : words.has(w)));
+}
+
+function powerWordsCheck(text, language) {
+  const words = copyWords(language);
+  if (!words) return check(1, null, { skipped: `no word list for "${language}"` });
+  const found = hasWord(text, words.powerWords, language);
+  if (found.length) return check(1, null, { found });
+  return check(0.4, `No power word; a word like "${words.powerWords.slice(0, 4).join('", "')}" can lift click-through`, { found });
+}
+
+function ctaCheck(text, language) {
+  const words = copyWords(language);
+  if (!words) return check(1, null, { skipped: `no word list for "${language}"` });
+  const found = hasWord(text, words.cta, language);
+  if (found.length) return check(1, null, { found });
+  return check(0.3, `No call to action; end with one such as "${words.cta[0]} ..." or "${words.cta[1]} ..."`, { found });
+}
+
+// How much of what the candidate talks about the page covers
+function relevanceCheck(text, pageWords, language) {
+  if (!pageWords) return check(1, null, { skipped: 'no page content' });
+  const words = Array.from(new Set(contentWords(text, language)));
+  if (!words.length) return check(0, 'No content words to match against the page');
+  const missing = words.filter(w => !pageWords.has(w));
+  const share = 1 - missing.length / words.length;
+  const score = share >= 0.8 ? 1 : share / 0.8;
+  return check(score, missing.length ? `Mentions ${missing.slice(0, 5).map(w => `"${w}"`).join(', ')}, which the page doesn't cover; stick to what the page delivers` : null,
+    { coverage: round2(share) });
+}
+
+// -------------------- per-field scoring -------------------- //
+
+function total(checks, weights) {
+  let sum = 0;
+  let wsum = 0;
+  Object.keys(weights).forEach(k => {
+    if (!checks[k]) return;
+    sum += checks[k].score * weights[k];
+    wsum += weights[k];
+  });
+  return wsum ? Math.round((sum / wsum) * 100) : 0;
+}
+
+function finish(text, checks, weights) {
+  const messages = Object.values(checks).filter(c => c.message).sort((a, b) => a.score - b.score).map(c => c.message);
+  return { text, score: total(checks, weights), checks, messages };
+}
+
+function scoreTitle(text, ctx) {
+  const { keyword, language, page, pageWords } = ctx;
+  const desktop = serpFit(text, 'title', 'desktop');
+  const mobile = serpFit(text, 'title', 'mobile');
+  const ratio = desktop.width / desktop.maxWidth;
+  const checks = {};
+
+  // length: use most of the line without going over (the adjustTitle limit)
+  if (!text.trim()) checks.length = check(0, 'Empty title');
+  // over the limit: the truncation check explains what gets cut
+  else if (ratio > 1) checks.length = check(0.4, null, { width: desktop.width, maxWidth: desktop.maxWidth });
+  else if (ratio < 0.5) checks.length = check(0.5, `Only ${desktop.width}px of ${desktop.maxWidth}px; add a benefit or qualifier`, { width: desktop.width, maxWidth: desktop.maxWidth });
+  else if (ratio < 0.75) checks.length = check(0.8, `${desktop.width}px of ${desktop.maxWidth}px; there is room for a few more words`, { width: desktop.width, maxWidth: desktop.maxWidth });
+  else checks.length = check(1, null, { width: desktop.width, maxWidth: desktop.maxWidth });
+
+  checks.keyword = keywordCheck(text, keyword, language);
+  if (keyword && checks.keyword.match === 'exact') {
+    const at = text.toLowerCase().indexOf(keyword.toLowerCase());
+    const before = measureText(text.slice(0, at), SERP_LAYOUT.desktop.title.size);
+    if (at === 0) checks.position = check(1, null, { offsetPx: 0 });
+    else if (before <= desktop.maxWidth * 0.35) checks.position = check(0.85, 'Keyword is close to the start; leading with it is slightly stronger', { offsetPx: before });
+    else checks.position = check(0.5, 'Keyword sits late in the title; move it toward the front', { offsetPx: before });
+  } else {
+    // the keyword check already says what to fix
+    checks.position = keyword ? check(0, null) : check(1, null, { skipped: 'no keyword' });
+  }
+
+  checks.truncation = truncationCheck(text, keyword, desktop, mobile);
+  checks.duplication = duplicationCheck(text, page, language);
+  checks.readability = readabilityCheck(text, language);
+  checks.powerWords = powerWordsCheck(text, language);
+  checks.relevance = relevanceCheck(text, pageWords, language);
+  return finish(text, checks, TITLE_WEIGHTS);
+}
+
+function scoreMeta(text, ctx) {
+  const { keyword, language, page, pageWords } = ctx;
+  const desktop = serpFit(text, 'snippet', 'desktop');
+  const mobile = serpFit(text, 'snippet', 'mobile');
+  const minWidth = Math.round(desktop.maxWidth * META_MIN_FILL);
+  const checks = {};
+
+  // length: between META_MIN_FILL of the snippet width and the width itself (the adjustMeta rule)
+  if (!text.trim()) checks.length = check(0, 'Empty description');
+  else if (desktop.width > desktop.maxWidth) checks.length = check(0.5, null, { width: desktop.width, maxWidth: desktop.maxWidth });
+  else if (desktop.width < minWidth) {
+    checks.length = check(0.3 + 0.7 * desktop.width / minWidth, `Only ${desktop.width}px of ${desktop.maxWidth}px; aim for at least ${minWidth}px with a benefit or detail`, { width: desktop.width, maxWidth: desktop.maxWidth });
+  } else checks.length = check(1, null, { width: desktop.width, maxWidth: desktop.maxWidth });
+
+  checks.keyword = keywordCheck(text, keyword, language);
+  if (keyword && checks.keyword.match === 'exact') {
+    const at = text.toLowerCase().indexOf(keyword.toLowerCase());
+    const end = measureText(text.slice(0, at + keyword.length), SERP_LAYOUT.mobile.snippet.size);
+    checks.position = end <= maxSerpWidth('snippet', 'mobile') * 0.6
+      ? check(1, null, { offsetPx: end })
+      : check(0.6, 'Keyword appears late; mention it in the first sentence', { offsetPx: end });
+  } else {
+    checks.position = keyword ? check(0, null) : check(1, null, { skipped: 'no keyword' });
+  }
+
+  checks.truncation = truncationCheck(text, keyword, desktop, mobile);
+  checks.duplication = duplicationCheck(text, page, language);
+  checks.readability = readabilityCheck(text, language);
+  checks.powerWords = powerWordsCheck(text, language);
+  checks.cta = ctaCheck(text, language);
+  checks.relevance = relevanceCheck(text, pageWords, language);
+  return finish(text, checks, META_WEIGHTS);
+}
+
+// Truncated on desktop is worse than on mobile only; losing the keyword to the cut is worst
+function truncationCheck(text, keyword, desktop, mobile) {
+  const keywordLost = fit => keyword && text.toLowerCase().includes(keyword.toLowerCase()) &&
+    !fit.display.toLowerCase().includes(keyword.toLowerCase());
+  const extra = { desktop: desktop.truncated, mobile: mobile.truncated };
+  if (desktop.truncated) {
+    return check(keywordLost(desktop) ? 0 : 0.3, keywordLost(desktop)
+      ? `Google cuts it to "${desktop.display}" and the keyword is lost; shorten or move the keyword forward`
+      : `Google cuts it to "${desktop.display}" on desktop; shorten it`, extra);
+  }
+  if (mobile.truncated) {
+    return check(keywordLost(mobile) ? 0.4 : 0.8, keywordLost(mobile)
+      ? `On mobile it is cut to "${mobile.display}" and the keyword is lost; move the keyword forward`
+      : `On mobile it is cut to "${mobile.display}"; front-load the important part`, extra);
+  }
+  return check(1, null, extra);
+}
+
+function scoreSlug(slug, { keyword, language }) {
+  const s = String(slug || '');
+  const parts = s.split('-').filter(Boolean);
+  const checks = {};
+  if (!s) checks.length = check(0, 'Empty slug');
+  else if (Array.from(s).length > 75) checks.length = check(0.3, `${Array.from(s).length} characters; keep slugs under 60`);
+  else if (parts.length > 6) checks.length = check(0.6, `${parts.length} words; 3-5 words are easier to read and share`);
+  else checks.length = check(1);
+
+  if (!keyword) checks.keyword = check(1, null, { skipped: 'no keyword' });
+  else {
+    const kw = contentWords(keyword, language).map(w => w.normalize('NFC'));
+    const have = new Set(parts.concat(tokenize(s.replace(/-/g, ' '), language)));
+    const found = kw.filter(w => have.has(w) || s.includes(w));
+    checks.keyword = kw.length && found.length < kw.length
+      ? check(found.length / kw.length, `Missing keyword words: ${kw.filter(w => !found.includes(w)).join(', ')}`)
+      : check(1);
+  }
+
+  const ascii = SLUG_RE.test(s);
+  checks.format = ascii || UNICODE_SLUG_RE.test(s)
+    ? check(/(^|-)(19|20)\d{2}(-|$)/.test(s) ? 0.7 : 1, 'Contains a year; it will look stale later and force a redirect', { style: ascii ? 'ascii' : 'unicode' })
+    : check(0, 'Use lowercase words separated by single hyphens (no spaces, underscores or symbols)');
+
+  const stop = stopwordsFor(language);
+  const stops = parts.filter(p => stop.has(p));
+  checks.stopwords = stops.length && parts.length > 3
+    ? check(0.6, `Drop filler words: ${stops.join(', ')}`)
+    : check(1);
+  return finish(s, checks, SLUG_WEIGHTS);
+}
+
+// Words the page covers: title, headings, meta, body
+function pageWordSet(page, language) {
+  const text = [page.titleTag, page.h1, page.metaDesc, (page.headings || []).map(h => h.text).join('\n'), page.mainContent || page.snippet]
+    .filter(Boolean).join('\n');
+  if (!text.trim()) return null;
+  const set = new Set(contentWords(text, language));
+  // English plurals: "shoe" on the page covers "shoes" in a title and vice versa
+  if (language === 'en') Array.from(set).forEach(w => { set.add(w.endsWith('s') ? w.slice(0, -1) : `${w}s`); });
+  return set;
+}
+
+/**
+ * Score candidates against an extractPage() result.
+ * Returns { titles: [...], metas: [...], slug } where each entry is
+ * { text, score (0-100), checks: { name: { score 0..1, message?, ... } }, messages: [best fixes first] }.
+ */
+function scoreCandidates({ page = {}, keyword = '', language = DEFAULT_LANGUAGE, titles = [], metas = [], slug } = {}) {
+  const ctx = { keyword: String(keyword || '').trim(), language, page, pageWords: pageWordSet(page, language) };
+  const out = {
+    titles: titles.map(t => scoreTitle(String(t || ''), ctx)),
+    metas: metas.map(m => scoreMeta(String(m || ''), ctx))
+  };
+  if (slug !== undefined) out.slug = scoreSlug(slug, ctx);
+  return out;
+}
+
+/**
+ * Order generated candidates best first. Returns { titles, metas, order } where order
+ * holds the original indexes, e.g. to reorder per-item reports the same way.
+ */
+function rankCandidates({ page, keyword, language, titles = [], metas = [] }) {
+  const scores = scoreCandidates({ page, keyword, language, titles, metas });
+  const rank = list => list.map((s, i) => ({ s, i })).sort((a, b) => b.s.score - a.s.score || a.i - b.i);
+  const t = rank(scores.titles);
+  const m = rank(scores.metas);
+  return {
+    titles: t.map(x => x.s),
+    metas: m.map(x => x.s),
+    order: { titles: t.map(x => x.i), metas: m.map(x => x.i) }
+  };
+}
+
+module.exports = { scoreCandidates, rankCandidates, contentWords, jaccard, TITLE_WEIGHTS, META_WEIGHTS, SLUG_WEIGHTS };
@@ -0,0 +1,413 @@
+/**
+ * Google Search Console performance exports (CSV) and the CTR report built from them.
+ *
+ * Accepted exports: the Pages or Queries table of the Performance report ("Top pages" / "Top queries",
+ * Clicks, Impressions, CTR, Position), with or without a Date column, and page + query tables as
+ * produced by Looker Studio or the bulk export. Exports without dates cover one period the caller names.
+ *
+ * The report compares each page's clicks, impressions, CTR and average position before and after its
+ * last title / meta change, and lists pages whose CTR is well below what their position would suggest.
+ */
+
+const { parseCsv } = require('./csv');
+
+// Header (lower-cased, letters only) -> column
+const COLUMNS = {
+  page: ['toppages', 'page', 'pages', 'url', 'landingpage', 'address'],
+  query: ['topqueries', 'query', 'queries', 'searchquery'],
+  date: ['date', 'day'],
+  clicks: ['clicks', 'urlclicks'],
+  impressions: ['impressions', 'urlimpressions'],
+  ctr: ['ctr', 'urlctr'],
+  position: ['position', 'averageposition', 'avgposition']
+};
+
+// Rough organic CTR by position 1-10 (published click-curve averages); 1% past the first page
+const EXPECTED_CTR = [0.28, 0.15, 0.11, 0.08, 0.07, 0.05, 0.04, 0.03, 0.025, 0.02];
+// A page is a rewrite candidate when its CTR is below this share of the expected CTR
+const LOW_CTR_RATIO = 0.6;
+// Fewer impressions than this on either side and no significance is claimed
+const MIN_COMPARE_IMPRESSIONS = 100;
+const TOP_QUERIES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function csvError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_CSV';
+  return err;
+}
+
+/** "YYYY-MM-DD" for a date string or ms timestamp, or null when it isn't one. */
+function isoDate(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? new Date(raw).toISOString().slice(0, 10) : null;
+  const s = String(raw || '').trim();
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:$|T)/) || s.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (m) {
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    return d.getUTCDate() === +m[3] ? d.toISOString().slice(0, 10) : null;
+  }
+  const d = s ? new Date(s) : null;
+  if (!d || isNaN(d)) return null;
+  return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())).toISOString().slice(0, 10);
+}
+
+const addDays = (date, n) => new Date(Date.parse(date) + n * DAY_MS).toISOString().slice(0, 10);
+
+// Clicks / impressions: "1,234", "1.234" or "1 234"
+function parseCount(raw) {
+  const s = String(raw || '').replace(/[\s,. ']/g, '');
+  return /^\d+$/.test(s) ? parseInt(s, 10) : null;
+}
+
+// CTR / position: "3.2%", "3,2 %", "0.032", "4.5"
+function parseDecimal(raw) {
+  let s = String(raw || '').replace(/[\s ]/g, '');
+  const percent = s.endsWith('%');
+  s = s.replace(/%$/, '');
+  if (!s.includes('.')) s = s.replace(',', '.');
+  s = s.replace(/,/g, '');
+  const n = Number(s);
+  if (s === '' || !Number.isFinite(n)) return null;
+  return percent ? n / 100 : n;
+}
+
+/** Key two URLs of one page share: host without "www.", path without trailing slash, query string. */
+function pageKey(raw) {
+  try {
+    const u = new URL(raw);
+    return `${u.hostname.toLowerCase().replace(/^www\./, '')}${u.pathname.replace(/\/+$/, '')}${u.search}`;
+  } catch (e) {
+    return String(raw || '').trim().toLowerCase();
+  }
+}
+
+/**
+ * Parse an export. Exports without a Date column need `startDate` / `endDate` (the period they cover).
+ * Returns { kind: 'pages'|'queries', daily, startDate, endDate, rows, pageQueries } where rows are
+ * { page|query, date (null for period exports), clicks, impressions, position } summed per page (or
+ * query) and day, and pageQueries maps a page to its top queries when the export has both.
+ */
+function parseSearchConsoleCsv(text, { startDate, endDate } = {}) {
+  const table = parseCsv(text);
+  if (table.length < 2) throw csvError('The CSV has no data rows');
+  const header = table[0].map(h => h.toLowerCase().replace(/[^a-z]/g, ''));
+  const col = {};
+  Object.entries(COLUMNS).forEach(([name, aliases]) => {
+    const i = header.findIndex(h => aliases.includes(h));
+    if (i !== -1) col[name] = i;
+  });
+  if ((col.page === undefined && col.query === undefined) || col.impressions === undefined || (col.clicks === undefined && col.ctr === undefined)) {
+    throw csvError('Not a Search Console performance export: expected a Page or Query column plus Clicks and Impressions');
+  }
+
+  const daily = col.date !== undefined;
+  let period = null;
+  if (!daily) {
+    const start = isoDate(startDate);
+    const end = isoDate(endDate);
+    if (!start || !end) throw csvError('This export has no Date column: pass startDate and endDate (YYYY-MM-DD) of the period it covers');
+    if (start > end) throw csvError('startDate is after endDate');
+    period = { start, end };
+  }
+
+  const kind = col.page !== undefined ? 'pages' : 'queries';
+  const dim = kind === 'pages' ? 'page' : 'query';
+  const rows = new Map();
+  const queries = new Map();   // page key -> { page, byQuery: Map(query -> { clicks, impressions }) }
+  const problems = [];
+  table.slice(1).forEach((r, n) => {
+    const cell = name => (col[name] === undefined ? '' : (r[col[name]] || '').trim());
+    const line = n + 2;
+    const subject = cell(dim);
+    if (!subject) return;
+    if (dim === 'page' && !/^https?:\/\//i.test(subject)) return problems.push(`line ${line}: "${subject.slice(0, 80)}" is not a page URL`);
+    const impressions = parseCount(cell('impressions'));
+    const ctr = col.ctr !== undefined ? parseDecimal(cell('ctr')) : null;
+    let clicks = col.clicks !== undefined ? parseCount(cell('clicks')) : null;
+    if (clicks === null && ctr !== null && impressions !== null) clicks = Math.round(impressions * (ctr > 1 ? ctr / 100 : ctr));
+    if (impressions === null || clicks === null) return problems.push(`line ${line}: unreadable clicks or impressions`);
+    const date = daily ? isoDate(cell('date')) : null;
+    if (daily && !date) return problems.push(`line ${line}: unreadable date "${cell('date')}"`);
+    const position = col.position !== undefined ? parseDecimal(cell('position')) : null;
+
+    // one row per page (however its URL was written) or query, and day
+    const key = `${dim === 'page' ? pageKey(subject) : subject}\n${date || ''}`;
+    const row = rows.get(key) || { [dim]: subject, date, clicks: 0, impressions: 0, positionSum: 0, positionImpressions: 0 };
+    row.clicks += clicks;
+    row.impressions += impressions;
+    if (position !== null && impressions) {
+      row.positionSum += position * impressions;
+      row.positionImpressions += impressions;
+    }
+    rows.set(key, row);
+
+    const query = kind === 'pages' && col.query !== undefined ? cell('query') : '';
+    if (query) {
+      const page = queries.get(pageKey(subject)) || { page: row.page, byQuery: new Map() };
+      const q = page.byQuery.get(query) || { query, clicks: 0, impressions: 0 };
+      q.clicks += clicks;
+      q.impressions += impressions;
+      page.byQuery.set(query, q);
+      queries.set(pageKey(subject), page);
+    }
+  });
+  if (problems.length) {
+    const err = csvError(`${problems.length} unreadable row(s): ${problems[0]}`);
+    err.detail = { errors: problems.slice(0, 20) };
+    throw err;
+  }
+  if (!rows.size) throw csvError('The CSV has no data rows');
+
+  const out = Array.from(rows.values()).map(({ positionSum, positionImpressions, ...r }) => ({
+    ...r,
+    position: positionImpressions ? Math.round((positionSum / positionImpressions) * 100) / 100 : null
+  }));
+  const dates = out.map(r => r.date).filter(Boolean).sort();
+  const pageQueries = {};
+  queries.forEach(({ page, byQuery }) => {
+    pageQueries[page] = Array.from(byQuery.values()).sort((a, b) => b.impressions - a.impressions).slice(0, TOP_QUERIES);
+  });
+  return {
+    kind,
+    daily,
+    startDate: daily ? dates[0] : period.start,
+    endDate: daily ? dates[dates.length - 1] : period.end,
+    rows: out,
+    pageQueries
+  };
+}
+
+// -------------------- stats -------------------- //
+
+/** Expected organic CTR (0..1) at an average position. */
+function expectedCtr(position) {
+  if (!position || position < 1) return EXPECTED_CTR[0];
+  if (position > EXPECTED_CTR.length) return 0.01;
+  // interpolate between the neighbouring positions
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, EXPECTED_CTR.length);
+  const at = p => EXPECTED_CTR[p - 1];
+  return at(lower) + (at(upper) - at(lower)) * (position - lower);
+}
+
+const round = (n, digits) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// Totals of observations ({ start, end, clicks, impressions, position }); null when there are none
+function totals(observations) {
+  if (!observations.length) return null;
+  let clicks = 0;
+  let impressions = 0;
+  let positionSum = 0;
+  let positionImpressions = 0;
+  observations.forEach(o => {
+    clicks += o.clicks;
+    impressions += o.impressions;
+    if (o.position !== null && o.impressions) {
+      positionSum += o.position * o.impressions;
+      positionImpressions += o.impressions;
+    }
+  });
+  const start = observations.map(o => o.start).sort()[0];
+  const end = observations.map(o => o.end).sort().pop();
+  return {
+    start,
+    end,
+    days: Math.round((Date.parse(end) - Date.parse(start)) / DAY_MS) + 1,
+    clicks,
+    impressions,
+    ctr: impressions ? round(clicks / impressions, 4) : 0,
+    position: positionImpressions ? round(positionSum / positionImpressions, 1) : null
+  };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989422804014327 * Math.exp(-z * z / 2);
+  const p = d * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z > 0 ? 1 - p : p;
+}
+
+/** Two-proportion z-test of the CTR change: { level, z, confidence }. */
+function ctrSignificance(before, after) {
+  if (!before || !after || before.impressions < MIN_COMPARE_IMPRESSIONS || after.impressions < MIN_COMPARE_IMPRESSIONS) {
+    return { level: 'insufficient-data', z: null, confidence: null };
+  }
+  const pooled = (before.clicks + after.clicks) / (before.impressions + after.impressions);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / before.impressions + 1 / after.impressions));
+  const z = se ? (after.clicks / after.impressions - before.clicks / before.impressions) / se : 0;
+  const confidence = 1 - 2 * (1 - normalCdf(Math.abs(z)));
+  const level = confidence >= 0.95 ? 'significant' : (confidence >= 0.9 ? 'likely' : 'not-significant');
+  return { level, z: round(z, 2), confidence: round(confidence, 3) };
+}
+
+const pct = n => `${round(n * 100, 1)}%`;
+
+// Verdict and hints for one before/after pair
+function compare(before, after, { windowDays, daily }) {
+  const significance = ctrSignificance(before, after);
+  const hints = [];
+  if (!before) hints.push('No data before the change');
+  if (!after) hints.push('No data after the change yet');
+  if (before && after) {
+    if (daily && after.days < windowDays) hints.push(`Only ${after.days} day(s) of data after the change; wait for a full ${windowDays}-day window before judging`);
+    if (before.position !== null && after.position !== null && Math.abs(after.position - before.position) >= 1) {
+      hints.push(`Average position moved from ${before.position} to ${after.position}; part of the CTR change likely comes from ranking, not the snippet`);
+    }
+    const perDay = t => t.impressions / t.days;
+    const impressionChange = perDay(before) ? perDay(after) / perDay(before) - 1 : 0;
+    if (Math.abs(impressionChange) >= 0.5) {
+      hints.push(`Daily impressions changed by ${impressionChange > 0 ? '+' : ''}${Math.round(impressionChange * 100)}%; seasonality or new queries may distort the comparison`);
+    }
+    if (significance.level === 'insufficient-data') hints.push(`Fewer than ${MIN_COMPARE_IMPRESSIONS} impressions on one side; too little data to tell`);
+    else if (significance.level !== 'not-significant') {
+      const confidence = significance.confidence >= 0.995 ? '>99%' : `${Math.round(significance.confidence * 100)}%`;
+      hints.push(`CTR ${after.ctr > before.ctr ? 'rose' : 'fell'} from ${pct(before.ctr)} to ${pct(after.ctr)} (${confidence} confidence)`);
+    } else hints.push(`CTR ${pct(before.ctr)} -> ${pct(after.ctr)} is within normal variation`);
+  }
+  let verdict = 'no-clear-change';
+  if (significance.level === 'insufficient-data') verdict = 'insufficient-data';
+  else if (significance.level === 'significant') verdict = after.ctr > before.ctr ? 'improved' : 'declined';
+  return {
+    delta: before && after ? {
+      clicks: after.clicks - before.clicks,
+      impressions: after.impressions - before.impressions,
+      ctr: round(after.ctr - before.ctr, 4),
+      ctrRelative: before.ctr ? round(after.ctr / before.ctr - 1, 3) : null,
+      position: before.position !== null && after.position !== null ? round(after.position - before.position, 1) : null
+    } : null,
+    significance,
+    verdict,
+    hints
+  };
+}
+
+// -------------------- report -------------------- //
+
+// Observations per page (or query) across imports; later imports replace the same day / period
+function collect(imports, dim) {
+  const subjects = new Map();
+  imports.slice().sort((a, b) => a.importedAt - b.importedAt).forEach(imp => {
+    imp.rows.forEach(r => {
+      if (!r[dim]) return;
+      const key = dim === 'page' ? pageKey(r.page) : r.query.toLowerCase();
+      const s = subjects.get(key) || { [dim]: r[dim], daily: new Map(), periods: new Map(), queries: null };
+      const o = { start: r.date || imp.startDate, end: r.date || imp.endDate, clicks: r.clicks, impressions: r.impressions, position: r.position };
+      if (r.date) s.daily.set(r.date, o);
+      else s.periods.set(`${o.start}/${o.end}`, o);
+      subjects.set(key, s);
+    });
+    Object.entries(imp.pageQueries || {}).forEach(([page, queries]) => {
+      const s = subjects.get(pageKey(page));
+      if (s) s.queries = queries;
+    });
+  });
+  return subjects;
+}
+
+// The latest stretch of data: the last `windowDays` days of daily data or the latest period, whichever ends later
+function latest(s, windowDays) {
+  const days = Array.from(s.daily.values());
+  const lastDay = days.map(o => o.end).sort().pop();
+  const recent = lastDay ? days.filter(o => o.start >= addDays(lastDay, -(windowDays - 1))) : [];
+  const period = Array.from(s.periods.values()).sort((a, b) => (a.end < b.end ? -1 : 1)).pop();
+  return totals(period && (!lastDay || period.end > lastDay) ? [period] : recent);
+}
+
+// Before / after windows around the day of a change
+function around(s, day, windowDays) {
+  if (s.daily.size) {
+    const obs = Array.from(s.daily.values());
+    const from = addDays(day, -windowDays);
+    const to = addDays(day, windowDays);
+    return {
+      before: totals(obs.filter(o => o.start >= from && o.start < day)),
+      after: totals(obs.filter(o => o.start > day && o.start <= to))
+    };
+  }
+  // period exports: the nearest period wholly before and wholly after the change
+  const periods = Array.from(s.periods.values());
+  const before = periods.filter(o => o.end < day).sort((a, b) => (a.end < b.end ? 1 : -1))[0];
+  const after = periods.filter(o => o.start > day).sort((a, b) => (a.start < b.start ? -1 : 1))[0];
+  return { before: before ? totals([before]) : null, after: after ? totals([after]) : null };
+}
+
+function opportunity(entry, stats, minImpressions) {
+  if (!stats || stats.impressions < minImpressions) return null;
+  const expected = expectedCtr(stats.position);
+  if (stats.ctr >= expected * LOW_CTR_RATIO) return null;
+  return {
+    ...entry,
+    period: { start: stats.start, end: stats.end },
+    clicks: stats.clicks,
+    impressions: stats.impressions,
+    ctr: stats.ctr,
+    position: stats.position,
+    expectedCtr: round(expected, 4),
+    potentialClicks: Math.round(stats.impressions * (expected - stats.ctr))
+  };
+}
+
+/**
+ * Report over a project's imports and the title / meta changes applied to its pages
+ * (changes: [{ url, at (ms), source, id, title, description }]).
+ * Returns { range, windowDays, minImpressions, pages, opportunities, queries }.
+ */
+function buildCtrReport({ imports, changes = [], windowDays = 28, minImpressions = 100 }) {
+  const pages = collect(imports.filter(i => i.kind === 'pages'), 'page');
+  const queries = collect(imports.filter(i => i.kind === 'queries'), 'query');
+  const lastDay = imports.map(i => i.endDate).sort().pop() || null;
+  const changesByPage = new Map();
+  changes.slice().sort((a, b) => a.at - b.at).forEach(c => {
+    const key = pageKey(c.url);
+    changesByPage.set(key, (changesByPage.get(key) || []).concat(c));
+  });
+
+  const compared = [];
+  const opportunities = [];
+  pages.forEach((s, key) => {
+    const pageChanges = changesByPage.get(key) || [];
+    const last = pageChanges[pageChanges.length - 1];
+    const recent = latest(s, windowDays);
+    if (last) {
+      const day = isoDate(last.at);
+      const { before, after } = around(s, day, windowDays);
+      compared.push({
+        url: s.page,
+        change: { source: last.source, id: last.id, at: new Date(last.at).toISOString(), title: last.title, description: last.description },
+        earlierChanges: pageChanges.length - 1,
+        before,
+        after,
+        ...compare(before, after, { windowDays, daily: s.daily.size > 0 })
+      });
+    }
+    const flagged = opportunity({ url: s.page }, recent, minImpressions);
+    if (flagged) {
+      // numbers that partly predate the latest change say little about the new snippet
+      if (last) flagged.lastChange = new Date(last.at).toISOString();
+      flagged.changedSince = !!last && isoDate(last.at) >= flagged.period.start;
+      if (s.queries) flagged.topQueries = s.queries;
+      opportunities.push(flagged);
+    }
+  });
+
+  const queryOpportunities = [];
+  queries.forEach(s => {
+    const flagged = opportunity({ query: s.query }, latest(s, windowDays), minImpressions);
+    if (flagged) queryOpportunities.push(flagged);
+  });
+
+  const byPotential = (a, b) => b.potentialClicks - a.potentialClicks;
+  return {
+    range: imports.length ? { start: imports.map(i => i.startDate).sort()[0], end: lastDay } : null,
+    windowDays,
+    minImpressions,
+    pages: compared.sort((a, b) => (b.before ? b.before.impressions : 0) + (b.after ? b.after.impressions : 0)
+      - (a.before ? a.before.impressions : 0) - (a.after ? a.after.impressions : 0)),
+    opportunities: opportunities.sort(byPotential),
+    queries: queryOpportunities.sort(byPotential)
+  };
+}
+
+module.exports = { parseSearchConsoleCsv, buildCtrReport, expectedCtr, ctrSignificance, pageKey, isoDate };
@@ -0,0 +1,245 @@
+/**
+ * SERP pixel-width measurement and preview rendering.
+ * Google truncates titles and snippets by rendered width, not characters, so
+ * widths are computed from bundled font metrics (lib/data/arial-metrics.json).
+ *
+ * Layout figures are approximations of the current Google result page:
+ *   desktop: title 20px on one 600px line, snippet 14px cut at ~990px (about 160 characters)
+ *   mobile:  title 18px on two 320px lines, snippet 14px cut at ~740px (about 120 characters)
+ */
+
+const ARIAL = require('./data/arial-metrics.json');
+
+const SERP_LAYOUT = {
+  desktop: {
+    title: { size: 20, lineWidth: 600, lines: 1 },
+    snippet: { size: 14, lineWidth: 600, maxWidth: 990 },
+    width: 652
+  },
+  mobile: {
+    title: { size: 18, lineWidth: 320, lines: 2 },
+    snippet: { size: 14, lineWidth: 340, maxWidth: 740 },
+    width: 372
+  }
+};
+
+const ELLIPSIS = ' ...';
+
+// Snippets narrower than this share of the SERP width look thin (adjustMeta pads them, the scorer flags them)
+const META_MIN_FILL = 0.85;
+
+// East Asian wide / fullwidth characters render at ~1em
+function isWide(cp) {
+  return (cp >= 0x1100 && cp <= 0x115f) || (cp >= 0x2e80 && cp <= 0xa4cf) || (cp >= 0xac00 && cp <= 0xd7a3) ||
+         (cp >= 0xf900 && cp <= 0xfaff) || (cp >= 0xfe30 && cp <= 0xfe4f) || (cp >= 0xff00 && cp <= 0xff60) ||
+         (cp >= 0xffe0 && cp <= 0xffe6) || (cp >= 0x1f300 && cp <= 0x1faff) || (cp >= 0x20000 && cp <= 0x3fffd);
+}
+
+function charUnits(ch) {
+  const w = ARIAL.widths[ch];
+  if (w !== undefined) return w;
+  const cp = ch.codePointAt(0);
+  if (cp < 32) return 0;
+  // combining marks take no space
+  if (/\p{M}/u.test(ch)) return 0;
+  if (isWide(cp)) return ARIAL.wideWidth;
+  // accented Latin: measure the base letter
+  const base = ch.normalize('NFD')[0];
+  if (base !== ch && ARIAL.widths[base] !== undefined) return ARIAL.widths[base];
+  return ARIAL.defaultWidth;
+}
+
+// Rendered width of `text` in px at `size` px
+function measureText(text, size = 20) {
+  let units = 0;
+  for (const ch of String(text || '')) units += charUnits(ch);
+  return Math.round((units * size / ARIAL.unitsPerEm) * 10) / 10;
+}
+
+function layoutFor(field, device = 'desktop') {
+  const d = SERP_LAYOUT[device] || SERP_LAYOUT.desktop;
+  const l = field === 'title' ? d.title : d.snippet;
+  return { size: l.size, maxWidth: l.maxWidth || l.lineWidth * l.lines, lineWidth: l.lineWidth };
+}
+
+// Max rendered width (px) Google shows before truncating this field
+function maxSerpWidth(field, device = 'desktop') {
+  return layoutFor(field, device).maxWidth;
+}
+
+/**
+ * Cut `text` at a word boundary so that text + ellipsis fits `maxWidth` px.
+ * Returns { text, truncated, width } where text excludes the ellipsis.
+ */
+function truncateToWidth(text, maxWidth, size, { ellipsis = ELLIPSIS } = {}) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  const full = measureText(s, size);
+  if (full <= maxWidth) return { text: s, truncated: false, width: full };
+
+  const budget = maxWidth - measureText(ellipsis, size);
+  let used = 0;
+  let cut = 0;
+  const chars = Array.from(s);
+  for (let i = 0; i < chars.length; i++) {
+    const w = charUnits(chars[i]) * size / ARIAL.unitsPerEm;
+    if (used + w > budget) break;
+    used += w;
+    cut = i + 1;
+  }
+  let out = chars.slice(0, cut).join('');
+  const lastSpace = out.lastIndexOf(' ');
+  if (lastSpace > out.length * 0.5) out = out.slice(0, lastSpace);
+  out = out.replace(/[\s,;:|–—-]+$/, '');
+  return { text: out, truncated: true, width: measureText(out + ellipsis, size) };
+}
+
+// Measure a title/snippet against the SERP layout for a device
+function serpFit(text, field, device = 'desktop') {
+  const l = layoutFor(field, device);
+  const width = measureText(text, l.size);
+  const t = truncateToWidth(text, l.maxWidth, l.size);
+  return {
+    width,
+    maxWidth: l.maxWidth,
+    fits: width <= l.maxWidth,
+    display: t.truncated ? t.text + ELLIPSIS : t.text,
+    truncated: t.truncated
+  };
+}
+
+// Trim text (at a word boundary, without ellipsis) until it fits the SERP width
+// (or a narrower `maxWidth`, e.g. to leave room for a suffix).
+// With `atBoundary`, prefer ending after the last whole sentence, else clause, that fits.
+function fitSerpWidth(text, field, device = 'desktop', maxWidth, { atBoundary = false } = {}) {
+  const l = layoutFor(field, device);
+  const limit = maxWidth || l.maxWidth;
+  if (measureText(text, l.size) <= limit) return text;
+  const cut = truncateToWidth(text, limit, l.size, { ellipsis: '' }).text;
+  return atBoundary ? cutAtBoundary(cut) : cut;
+}
+
+// Shorten a word-cut text to its last sentence or clause end, if that keeps at least half of it
+function cutAtBoundary(text) {
+  const min = text.length * 0.5;
+  const sentence = text.match(/^.*[.!?…。！？](?=\s|$)/);
+  if (sentence && sentence[0].length >= min) return sentence[0];
+  const clause = text.match(/^.*(?=[,;:]\s|\s[–—-]\s)/);
+  if (clause && clause[0].length >= min) return clause[0];
+  return text;
+}
+
+// Greedy word wrap by pixel width
+function wrapLines(text, lineWidth, size) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  words.forEach(w => {
+    const next = line ? `${line} ${w}` : w;
+    if (line && measureText(next, size) > lineWidth) {
+      lines.push(line);
+      line = w;
+    } else {
+      line = next;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// -------------------- rendering -------------------- //
+
+function escapeXml(s) {
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function displayUrl(url) {
+  try {
+    const u = new URL(url);
+    const parts = u.pathname.split('/').filter(Boolean).map(p => decodeURIComponent(p));
+    return { host: u.hostname.replace(/^www\./, ''), path: parts.length ? ` › ${parts.join(' › ')}` : '' };
+  } catch (e) {
+    return { host: String(url || 'example.com'), path: '' };
+  }
+}
+
+// Lines as they would appear: wrapped to the layout and cut with an ellipsis when too long
+function displayLines(text, field, device) {
+  const d = SERP_LAYOUT[device] || SERP_LAYOUT.desktop;
+  const l = field === 'title' ? d.title : d.snippet;
+  const fit = serpFit(text, field, device);
+  return { fit, lines: wrapLines(fit.display, l.lineWidth, l.size) };
+}
+
+// One SERP result as an HTML fragment (inline styles, safe to embed)
+function renderResultHtml({ url, title, description }, device = 'desktop') {
+  const d = SERP_LAYOUT[device] || SERP_LAYOUT.desktop;
+  const u = displayUrl(url);
+  const t = displayLines(title, 'title', device);
+  const s = displayLines(description, 'snippet', device);
+  return `<div class="serp-result serp-${device}" style="width:${d.width}px;font-family:Arial,sans-serif;padding:12px 16px;">
+  <div style="font-size:14px;line-height:20px;color:#202124;">${escapeXml(u.host)}<span style="color:#4d5156;">${escapeXml(u.path)}</span></div>
+  <div style="font-size:${d.title.size}px;line-height:${Math.round(d.title.size * 1.3)}px;color:#1a0dab;max-width:${d.title.lineWidth}px;">${t.lines.map(escapeXml).join('<br>')}</div>
+  <div style="font-size:${d.snippet.size}px;line-height:22px;color:#4d5156;max-width:${d.snippet.lineWidth}px;">${s.lines.map(escapeXml).join('<br>')}</div>
+</div>`;
+}
+
+function renderPreviewHtml(candidates, devices = ['desktop']) {
+  const blocks = devices.map(device => `<section><h3 style="font:600 13px Arial,sans-serif;color:#70757a;margin:16px 16px 0;">${device}</h3>
+${candidates.map(c => renderResultHtml(c, device)).join('\n')}
+</section>`);
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>SERP preview</title></head>
+<body style="margin:0;background:#fff;">
+${blocks.join('\n')}
+</body></html>`;
+}
+
+// All candidates stacked in one SVG per device column
+function renderPreviewSvg(candidates, devices = ['desktop']) {
+  const parts = [];
+  let x = 0;
+  let height = 0;
+  devices.forEach(device => {
+    const d = SERP_LAYOUT[device] || SERP_LAYOUT.desktop;
+    let y = 24;
+    parts.push(`<text x="${x + 16}" y="${y}" font-family="Arial, sans-serif" font-size="13" font-weight="600" fill="#70757a">${escapeXml(device)}</text>`);
+    y += 16;
+    candidates.forEach(c => {
+      const u = displayUrl(c.url);
+      const t = displayLines(c.title, 'title', device);
+      const s = displayLines(c.description, 'snippet', device);
+      y += 20;
+      parts.push(`<text x="${x + 16}" y="${y}" font-family="Arial, sans-serif" font-size="14" fill="#202124">${escapeXml(u.host)}<tspan fill="#4d5156">${escapeXml(u.path)}</tspan></text>`);
+      const titleLh = Math.round(d.title.size * 1.3);
+      t.lines.forEach(line => {
+        y += titleLh;
+        parts.push(`<text x="${x + 16}" y="${y}" font-family="Arial, sans-serif" font-size="${d.title.size}" fill="#1a0dab">${escapeXml(line)}</text>`);
+      });
+      y += 4;
+      s.lines.forEach(line => {
+        y += 22;
+        parts.push(`<text x="${x + 16}" y="${y}" font-family="Arial, sans-serif" font-size="${d.snippet.size}" fill="#4d5156">${escapeXml(line)}</text>`);
+      });
+      y += 16;
+    });
+    height = Math.max(height, y);
+    x += d.width + 16;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${x}" height="${height}" viewBox="0 0 ${x} ${height}">
+<rect width="100%" height="100%" fill="#fff"/>
+${parts.join('\n')}
+</svg>`;
+}
+
+module.exports = {
+  SERP_LAYOUT,
+  META_MIN_FILL,
+  measureText,
+  maxSerpWidth,
+  truncateToWidth,
+  serpFit,
+  fitSerpWidth,
+  renderResultHtml,
+  renderPreviewHtml,
+  renderPreviewSvg
+};
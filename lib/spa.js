@@ -0,0 +1,219 @@
+/**
+ * Content of JavaScript-rendered pages without a browser. Next.js, Nuxt, Gatsby and other
+ * client-side apps often serve an empty shell (<div id="__next"></div> plus scripts), so the
+ * visible HTML has nothing to write metadata from. What they do ship is the page's data:
+ *
+ *   __NEXT_DATA__        <script id="__NEXT_DATA__" type="application/json"> (props.pageProps)
+ *   __NUXT__             window.__NUXT__ = ... (Nuxt 2) / <script id="__NUXT_DATA__"> (Nuxt 3)
+ *   __APOLLO_STATE__     window.__APOLLO_STATE__ = {...} (Apollo GraphQL cache)
+ *   json-ld              headline / description / articleBody of the JSON-LD blocks
+ *   noscript             <noscript> fallbacks with real markup
+ *
+ * Text is harvested from those by key (title, description, body, ...) and by shape (prose-like
+ * strings), never by running the page's scripts. A prerendered variant the page advertises
+ * (AJAX-crawling `<meta name="fragment" content="!">`, `<link rel="amphtml">`) is reported so
+ * the caller can fetch it.
+ */
+
+const cheerio = require('cheerio');
+
+// Mount points of the common frameworks, first match wins
+const APP_ROOTS = [
+  ['#__next', 'next'],
+  ['#__nuxt', 'nuxt'],
+  ['#___gatsby', 'gatsby'],
+  ['[ng-version],app-root', 'angular'],
+  ['[data-reactroot],#root', 'react'],
+  ['#app,[data-v-app]', 'vue'],
+  ['#svelte,[data-sveltekit-hydrate]', 'svelte']
+];
+// Below this many words of visible content a page with an app root counts as a shell
+const SHELL_WORDS = 50;
+const MAX_NODES = 20000;
+
+// "name" is left out: in app state it is mostly authors, categories and menu entries
+const TITLE_KEYS = /^(title|headline|heading|seoTitle|metaTitle|pageTitle)$/i;
+const DESCRIPTION_KEYS = /^(description|excerpt|summary|subtitle|teaser|intro|lead|metaDescription|seoDescription)$/i;
+// app configuration, translations and tracking: strings there are UI copy, not page content
+const SKIP_KEYS = /^(buildId|runtimeConfig|config|i18n|_nextI18Next|locales?|translations?|messages|dictionary|routes?|scripts?|styles?|assets|chunks|gtm|analytics|tracking|__typename)$/i;
+
+const clean = s => String(s || '').replace(/\s+/g, ' ').trim();
+const words = s => (s ? s.split(/\s+/).length : 0);
+
+// A string that reads like page text: several words, letters, no code, ids or bare URLs
+function isProse(s, minWords = 6) {
+  if (words(s) < minWords || s.length > 20000) return false;
+  if (/^(https?:|\/|#|data:)/i.test(s) || /[{};]\s*$|=>|function\s*\(|\bvar\s|\bconst\s/.test(s)) return false;
+  const letters = (s.match(/\p{L}/gu) || []).length;
+  return letters / s.length > 0.6;
+}
+
+// Text of an HTML fragment: headings, paragraphs and list items, else everything
+function fragmentText(html) {
+  const $ = cheerio.load(`<div id="frag">${html}</div>`);
+  $('script,style,template,svg,iframe,img').remove();
+  const parts = [];
+  $('h1,h2,h3,h4,h5,h6,p,li,blockquote,td,dd,figcaption').each((i, el) => {
+    if ($(el).find('p,li').length) return;
+    const t = clean($(el).text());
+    if (t) parts.push(t);
+  });
+  return parts.length ? parts.join('\n') : clean($('#frag').text());
+}
+
+const looksLikeHtml = s => /<(p|div|h[1-6]|li|br|span|strong|em|a)[\s>/]/i.test(s);
+
+/**
+ * Strings of a parsed state object, by role: { titles, descriptions, texts }, in document order.
+ * Walks at most MAX_NODES values; arrays of strings (Nuxt 3 payloads) are read as texts.
+ */
+function harvest(value) {
+  const out = { titles: [], descriptions: [], texts: [] };
+  let nodes = 0;
+  const walk = (v, key, depth) => {
+    if (++nodes > MAX_NODES || depth > 14 || v === null || v === undefined) return;
+    if (typeof v === 'string') {
+      const s = looksLikeHtml(v) ? fragmentText(v) : clean(v);
+      if (!s) return;
+      if (key && TITLE_KEYS.test(key) && words(s) >= 2 && s.length <= 150 && !/^https?:/i.test(s)) out.titles.push(s);
+      else if (key && DESCRIPTION_KEYS.test(key) && isProse(s, 5)) out.descriptions.push(s);
+      else if (isProse(s)) out.texts.push(s);
+      return;
+    }
+    if (Array.isArray(v)) return v.forEach(item => walk(item, key, depth + 1));
+    if (typeof v === 'object') {
+      Object.keys(v).forEach(k => {
+        if (!SKIP_KEYS.test(k)) walk(v[k], k, depth + 1);
+      });
+    }
+  };
+  walk(value, null, 0);
+  return out;
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+function unescapeJs(s) {
+  return s.replace(/\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (m, e) => {
+    if (e.length > 1) return String.fromCodePoint(parseInt(e.replace(/^[ux]\{?|\}$/g, ''), 16));
+    return ESCAPES[e] !== undefined ? ESCAPES[e] : e;
+  });
+}
+
+// String literals of a script that isn't JSON (window.__NUXT__=(function(a,b){...}("...")))
+function scriptStrings(code) {
+  const out = [];
+  // every literal is matched, short ones too, so the quotes stay paired
+  const re = /"((?:[^"\\\n]|\\.)*)"|'((?:[^'\\\n]|\\.)*)'/g;
+  let m;
+  while ((m = re.exec(code)) && out.length < 2000) {
+    const s = m[1] !== undefined ? m[1] : m[2];
+    if (s.length >= 12) out.push(unescapeJs(s));
+  }
+  return out;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+// The object of `window.X = {...};` when it is plain JSON, else null
+function assignedJson(code, name) {
+  const start = code.indexOf('{', code.indexOf(name));
+  const end = code.lastIndexOf('}');
+  return start === -1 || end < start ? null : parseJson(code.slice(start, end + 1));
+}
+
+/**
+ * Embedded content of a loaded page ($ from cheerio.load). `visibleWords` is the word count of
+ * the content the page renders without scripts; `jsonLd` the parsed blocks (lib/extract.js).
+ * Returns { framework, shell, sources, title, description, text, prerenderedUrl }.
+ */
+function extractEmbedded($, { url, visibleWords = 0, jsonLd = [] } = {}) {
+  const found = APP_ROOTS.find(([sel]) => $(sel).length);
+  let framework = found ? found[1] : null;
+  const collected = { titles: [], descriptions: [], texts: [] };
+  const sources = [];
+  const add = (source, got) => {
+    if (!got.titles.length && !got.descriptions.length && !got.texts.length) return;
+    sources.push(source);
+    Object.keys(collected).forEach(k => collected[k].push(...got[k]));
+  };
+
+  $('script').each((i, el) => {
+    const id = $(el).attr('id') || '';
+    const code = $(el).contents().text() || '';
+    if (!code.trim()) return;
+    if (id === '__NEXT_DATA__') {
+      framework = 'next';
+      const data = parseJson(code) || {};
+      add('__NEXT_DATA__', harvest((data.props && data.props.pageProps) || data.props || data));
+    } else if (id === '__NUXT_DATA__') {
+      // Nuxt 3 payload: a flat array of values, strings included as-is
+      framework = 'nuxt';
+      add('__NUXT__', harvest(parseJson(code)));
+    } else if (/window\.__NUXT__\s*=/.test(code)) {
+      framework = 'nuxt';
+      const json = assignedJson(code, '__NUXT__');
+      add('__NUXT__', json ? harvest(json) : harvest(scriptStrings(code)));
+    } else if (/__APOLLO_STATE__\s*=/.test(code)) {
+      const json = assignedJson(code, '__APOLLO_STATE__');
+      add('__APOLLO_STATE__', json ? harvest(json) : harvest(scriptStrings(code)));
+    }
+  });
+  if (!framework && $('script[src*="/_next/"]').length) framework = 'next';
+  if (!framework && $('script[src*="/_nuxt/"]').length) framework = 'nuxt';
+
+  const ld = harvest(jsonLd.map(b => ({ headline: b.headline || b.name, description: b.description, articleBody: b.articleBody, text: b.text })));
+  add('json-ld', ld);
+
+  const noscript = { titles: [], descriptions: [], texts: [] };
+  $('noscript').each((i, el) => {
+    const text = fragmentText($(el).html() || '');
+    // "You need to enable JavaScript to run this app." and tracking pixels
+    if (words(text) < 8 || /enable javascript|javascript (is )?(required|disabled)/i.test(text)) return;
+    noscript.texts.push(...text.split('\n'));
+  });
+  add('noscript', noscript);
+
+  const fragmentMeta = $('meta[name="fragment"]').attr('content') === '!';
+  const amp = $('link[rel~="amphtml"]').attr('href');
+  let prerenderedUrl = null;
+  try {
+    if (fragmentMeta && url) {
+      const u = new URL(url);
+      u.searchParams.set('_escaped_fragment_', '');
+      prerenderedUrl = u.href;
+    } else if (amp) {
+      prerenderedUrl = new URL(amp, url).href;
+    }
+  } catch (e) {
+    prerenderedUrl = null;
+  }
+
+  const seen = new Set();
+  const uniq = list => list.filter(s => {
+    const key = s.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  const titles = uniq(collected.titles);
+  const descriptions = uniq(collected.descriptions);
+  const texts = uniq(collected.texts);
+  return {
+    framework,
+    shell: !!framework && visibleWords < SHELL_WORDS,
+    sources,
+    title: titles[0] || '',
+    description: descriptions[0] || '',
+    text: [titles[0], ...descriptions, ...texts].filter(Boolean).join('\n'),
+    prerenderedUrl
+  };
+}
+
+module.exports = { extractEmbedded, harvest };
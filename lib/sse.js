@@ -0,0 +1,105 @@
+/**
+ * Server-Sent Events helpers for the streaming generation routes.
+ */
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Switch `res` to an event stream. Returns { send(event, data), close(), closed() };
+ * sends after the client went away are dropped.
+ */
+function openEventStream(req, res) {
+  let closed = false;
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // comment lines keep idle proxies from closing the connection during long provider calls
+  const heartbeat = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, HEARTBEAT_MS);
+  heartbeat.unref();
+  const stop = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  req.on('close', stop);
+
+  let id = 0;
+  return {
+    send(event, data) {
+      if (closed) return;
+      const json = JSON.stringify(data === undefined ? {} : data);
+      res.write(`id: ${++id}\nevent: ${event}\ndata: ${json}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      stop();
+      res.end();
+    },
+    closed: () => closed
+  };
+}
+
+/**
+ * Spot completed string items of the given array fields ("titles", "metas") in a
+ * JSON object that is still being streamed, and report each one once:
+ * onCandidate({ field, index, text }). reset() starts over for a new provider attempt;
+ * finish(parsed) reports items of a non-streamed answer that weren't seen yet.
+ */
+function createCandidateTracker(fields, onCandidate) {
+  let buffer = '';
+  let seen = {};
+
+  function scanField(field) {
+    const m = buffer.match(new RegExp(`"${field}"\\s*:\\s*\\[`));
+    if (!m) return;
+    let i = m.index + m[0].length;
+    let index = 0;
+    while (i < buffer.length) {
+      const ch = buffer[i];
+      if (ch === ']') return;
+      if (ch !== '"') { i++; continue; }
+      // find the closing quote of this string literal
+      let j = i + 1;
+      while (j < buffer.length && buffer[j] !== '"') j += buffer[j] === '\\' ? 2 : 1;
+      if (j >= buffer.length) return; // still streaming
+      if (index >= (seen[field] || 0)) {
+        let text;
+        try { text = JSON.parse(buffer.slice(i, j + 1)); } catch (e) { return; }
+        seen[field] = index + 1;
+        onCandidate({ field, index, text });
+      }
+      index++;
+      i = j + 1;
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      fields.forEach(scanField);
+    },
+    reset() {
+      buffer = '';
+      seen = {};
+    },
+    finish(parsed) {
+      fields.forEach(field => {
+        const list = parsed && Array.isArray(parsed[field]) ? parsed[field] : [];
+        list.forEach((text, index) => {
+          if (index < (seen[field] || 0) || typeof text !== 'string') return;
+          seen[field] = index + 1;
+          onCandidate({ field, index, text });
+        });
+      });
+    }
+  };
+}
+
+module.exports = { openEventStream, createCandidateTracker };
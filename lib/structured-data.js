@@ -0,0 +1,254 @@
+/**
+ * Open Graph / Twitter card / JSON-LD generation helpers for the "full" URL mode.
+ *  - picks a schema.org type from the page signals
+ *  - builds the JSON-LD from model fields + what the page already declares
+ *  - validates it against the properties Google requires for that type
+ *  - renders a ready-to-paste <head> snippet
+ */
+
+// Per-platform length limits (characters)
+const PLATFORM_LIMITS = {
+  og: { title: 90, description: 200 },
+  twitter: { title: 70, description: 200 },
+  jsonld: { headline: 110 }
+};
+
+const LOCAL_BUSINESS_TYPES = ['LocalBusiness', 'Restaurant', 'Store', 'Dentist', 'Physician', 'LegalService', 'Attorney',
+  'AutoRepair', 'BeautySalon', 'HairSalon', 'HealthClub', 'Hotel', 'RealEstateAgent', 'HomeAndConstructionBusiness',
+  'Plumber', 'Electrician', 'ProfessionalService', 'FinancialService', 'FoodEstablishment', 'CafeOrCoffeeShop', 'Bakery'];
+const ARTICLE_TYPES = ['Article', 'BlogPosting', 'NewsArticle', 'TechArticle', 'Report'];
+
+const SCHEMA_TYPES = ['Article', 'Product', 'FAQPage', 'LocalBusiness', 'BreadcrumbList'];
+
+// Required (errors) and recommended (warnings) properties per type
+const SCHEMA_RULES = {
+  Article: { required: ['headline'], recommended: ['image', 'datePublished', 'author'] },
+  Product: { required: ['name'], oneOf: ['offers', 'review', 'aggregateRating'], recommended: ['image', 'description', 'brand'] },
+  FAQPage: { required: ['mainEntity'], recommended: [] },
+  LocalBusiness: { required: ['name', 'address'], recommended: ['telephone', 'url', 'openingHoursSpecification', 'image'] },
+  BreadcrumbList: { required: ['itemListElement'], recommended: [] }
+};
+
+function baseType(type) {
+  if (ARTICLE_TYPES.includes(type)) return 'Article';
+  if (LOCAL_BUSINESS_TYPES.includes(type)) return 'LocalBusiness';
+  return type;
+}
+
+// Question headings in the content outline paired with the text that follows them
+function questionPairs(page) {
+  const lines = String(page.mainContent || '').split('\n').map(l => l.trim()).filter(Boolean);
+  const questions = new Set((page.headings || []).filter(h => /\?\s*$/.test(h.text)).map(h => h.text));
+  const pairs = [];
+  lines.forEach((line, i) => {
+    if (questions.has(line) && lines[i + 1] && !questions.has(lines[i + 1])) {
+      pairs.push({ question: line, answer: lines[i + 1] });
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Choose a JSON-LD type for the page: an explicit request wins, then what the page
+ * already declares, then content signals. Returns { type, reason }.
+ */
+function chooseSchemaType(page, { requested } = {}) {
+  if (requested && SCHEMA_TYPES.includes(requested)) return { type: requested, reason: 'requested' };
+
+  const declared = (page.jsonLdTypes || []).map(baseType);
+  for (const t of ['Product', 'FAQPage', 'LocalBusiness', 'Article']) {
+    if (declared.includes(t)) return { type: t, reason: `page already declares ${t}` };
+  }
+
+  const ogType = String((page.openGraph || {}).type || '').toLowerCase();
+  const text = `${page.titleTag || ''} ${page.mainContent || ''}`;
+  if (ogType.includes('product') || (/[$€£]\s?\d/.test(text) && /add to (cart|bag|basket)|buy now|in stock|out of stock/i.test(text))) {
+    return { type: 'Product', reason: 'price and purchase signals' };
+  }
+  if (questionPairs(page).length >= 3) return { type: 'FAQPage', reason: 'question headings with answers' };
+  if (ogType === 'business.business' || (/opening hours|hours of operation|get directions/i.test(text) && /\+?\d[\d\s().-]{7,}\d/.test(text))) {
+    return { type: 'LocalBusiness', reason: 'address / opening hours signals' };
+  }
+  if (ogType === 'article' || (page.wordCount || 0) >= 300) return { type: 'Article', reason: 'long-form content' };
+  return { type: 'BreadcrumbList', reason: 'no stronger content type detected' };
+}
+
+// Fields the model should fill for each type (merged into the JSON-LD by buildJsonLd)
+function schemaPromptHint(type) {
+  switch (type) {
+    case 'Article': return '{"headline": "<= 110 chars"}';
+    case 'Product': return '{"name": "product name", "description": "1-2 sentences"}';
+    case 'FAQPage': return '{"faq": [{"question": "...", "answer": "..."}]} (3-6 questions answered by the page content)';
+    case 'LocalBusiness': return '{"name": "business name", "description": "1-2 sentences"}';
+    default: return '{}';
+  }
+}
+
+// Cut at a word boundary to fit `max` characters
+function fitToLimit(text, max) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  if (s.length <= max) return s;
+  const cut = s.slice(0, max);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > max * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:–—-]+$/, '').trim();
+}
+
+function existingBlock(page, type) {
+  return (page.jsonLd || []).find(b => [].concat(b['@type'] || []).some(t => baseType(String(t)) === type)) || null;
+}
+
+function humanizeSegment(seg) {
+  const s = decodeURIComponent(seg).replace(/\.[a-z0-9]+$/i, '').replace(/[-_]+/g, ' ').trim();
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
+}
+
+function breadcrumbItems(url, lastName) {
+  let u;
+  try { u = new URL(url); } catch (e) { return []; }
+  const segs = u.pathname.split('/').filter(Boolean);
+  const items = [{ '@type': 'ListItem', position: 1, name: 'Home', item: `${u.origin}/` }];
+  segs.forEach((seg, i) => {
+    const isLast = i === segs.length - 1;
+    items.push({
+      '@type': 'ListItem',
+      position: i + 2,
+      name: isLast && lastName ? lastName : humanizeSegment(seg),
+      item: `${u.origin}/${segs.slice(0, i + 1).join('/')}${isLast && u.pathname.endsWith('/') ? '/' : ''}`
+    });
+  });
+  return items;
+}
+
+/**
+ * Build the JSON-LD object for `type` from model `fields`, the chosen title/meta
+ * and the page's own data (existing JSON-LD values are kept where we have nothing better).
+ */
+function buildJsonLd(type, { page, url, fields = {}, title, description }) {
+  const existing = existingBlock(page, type) || {};
+  const og = page.openGraph || {};
+  const pageUrl = page.canonical || url;
+  const image = existing.image || og.image || undefined;
+  let data;
+
+  if (type === 'Article') {
+    data = {
+      '@type': ARTICLE_TYPES.includes(existing['@type']) ? existing['@type'] : 'Article',
+      headline: fitToLimit(fields.headline || title || page.h1, PLATFORM_LIMITS.jsonld.headline),
+      description,
+      image,
+      author: existing.author,
+      datePublished: existing.datePublished,
+      dateModified: existing.dateModified,
+      publisher: existing.publisher,
+      mainEntityOfPage: pageUrl
+    };
+  } else if (type === 'Product') {
+    data = {
+      '@type': 'Product',
+      name: fields.name || existing.name || page.h1 || title,
+      description: fields.description || description,
+      image,
+      brand: existing.brand,
+      sku: existing.sku,
+      offers: existing.offers,
+      aggregateRating: existing.aggregateRating,
+      review: existing.review
+    };
+  } else if (type === 'FAQPage') {
+    const pairs = Array.isArray(fields.faq) && fields.faq.length ? fields.faq : questionPairs(page);
+    data = {
+      '@type': 'FAQPage',
+      mainEntity: pairs
+        .filter(p => p && p.question && p.answer)
+        .slice(0, 10)
+        .map(p => ({ '@type': 'Question', name: String(p.question).trim(), acceptedAnswer: { '@type': 'Answer', text: String(p.answer).trim() } }))
+    };
+  } else if (type === 'LocalBusiness') {
+    data = {
+      '@type': LOCAL_BUSINESS_TYPES.includes(existing['@type']) ? existing['@type'] : 'LocalBusiness',
+      name: fields.name || existing.name || og.site_name || title,
+      description: fields.description || description,
+      image,
+      url: pageUrl,
+      address: existing.address,
+      telephone: existing.telephone,
+      openingHoursSpecification: existing.openingHoursSpecification,
+      geo: existing.geo
+    };
+  } else {
+    data = { '@type': 'BreadcrumbList', itemListElement: breadcrumbItems(pageUrl, page.h1 || title) };
+  }
+
+  // drop empty values so validation reports them as missing
+  const out = { '@context': 'https://schema.org' };
+  Object.keys(data).forEach(k => {
+    const v = data[k];
+    if (v === undefined || v === null || v === '' || (Array.isArray(v) && !v.length)) return;
+    out[k] = v;
+  });
+  return out;
+}
+
+/**
+ * Validate JSON-LD against SCHEMA_RULES: { type, valid, missing, warnings }.
+ */
+function validateJsonLd(data) {
+  const type = baseType(String(data['@type'] || ''));
+  const rules = SCHEMA_RULES[type];
+  if (!rules) return { type, valid: false, missing: [], warnings: [`unsupported type ${data['@type']}`] };
+  const has = k => data[k] !== undefined && data[k] !== null && data[k] !== '' && !(Array.isArray(data[k]) && !data[k].length);
+  const missing = rules.required.filter(k => !has(k));
+  if (rules.oneOf && !rules.oneOf.some(has)) missing.push(`one of ${rules.oneOf.join(' / ')}`);
+  const warnings = rules.recommended.filter(k => !has(k)).map(k => `recommended property ${k} is missing`);
+
+  if (type === 'Article' && data.headline && data.headline.length > PLATFORM_LIMITS.jsonld.headline) {
+    warnings.push(`headline is longer than ${PLATFORM_LIMITS.jsonld.headline} characters`);
+  }
+  if (type === 'FAQPage' && has('mainEntity')) {
+    data.mainEntity.forEach((q, i) => {
+      if (!q.name) missing.push(`mainEntity[${i}].name`);
+      if (!q.acceptedAnswer || !q.acceptedAnswer.text) missing.push(`mainEntity[${i}].acceptedAnswer.text`);
+    });
+  }
+  if (type === 'BreadcrumbList' && has('itemListElement')) {
+    data.itemListElement.forEach((li, i) => {
+      if (!li.position) missing.push(`itemListElement[${i}].position`);
+      if (!li.name) missing.push(`itemListElement[${i}].name`);
+    });
+  }
+  if (type === 'LocalBusiness' && has('address') && typeof data.address === 'object' && !data.address.streetAddress) {
+    warnings.push('address has no streetAddress');
+  }
+  return { type, valid: missing.length === 0, missing, warnings };
+}
+
+function escapeHtml(s) {
+  return String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Ready-to-paste <head> markup for the chosen metadata
+function buildHeadHtml({ title, description, canonical, og = {}, twitter = {}, jsonLd }) {
+  const lines = [];
+  if (title) lines.push(`<title>${escapeHtml(title)}</title>`);
+  if (description) lines.push(`<meta name="description" content="${escapeHtml(description)}">`);
+  if (canonical) lines.push(`<link rel="canonical" href="${escapeHtml(canonical)}">`);
+  Object.keys(og).forEach(k => { if (og[k]) lines.push(`<meta property="og:${k}" content="${escapeHtml(og[k])}">`); });
+  Object.keys(twitter).forEach(k => { if (twitter[k]) lines.push(`<meta name="twitter:${k}" content="${escapeHtml(twitter[k])}">`); });
+  if (jsonLd) {
+    // keep "</script>" inside strings from closing the tag
+    const json = JSON.stringify(jsonLd, null, 2).replace(/</g, '\\u003c');
+    lines.push(`<script type="application/ld+json">\n${json}\n</script>`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  PLATFORM_LIMITS,
+  SCHEMA_TYPES,
+  chooseSchemaType,
+  schemaPromptHint,
+  buildJsonLd,
+  validateJsonLd,
+  buildHeadHtml,
+  fitToLimit
+};
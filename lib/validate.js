@@ -0,0 +1,232 @@
+/**
+ * Model output parsing + validation against a declared schema, with
+ * repair re-prompting when the output doesn't comply.
+ *
+ * A schema maps output fields to rules:
+ *   titles: { type: 'array', items: 5, serpWidth: 'title', keyword: true }
+ *   metas:  { type: 'array', items: 3, minLength: 150, serpWidth: 'snippet', keyword: true }
+ *   slug:   { type: 'slug', maxLength: 80 }            (unicode: true allows non-Latin letters)
+ *   og_title: { type: 'string', maxLength: 90, optional: true }
+ *   schema: { type: 'object', optional: true }
+ *
+ * `serpWidth` checks the rendered desktop SERP width (lib/serp.js) instead of a character count.
+ */
+
+const { serpFit } = require('./serp');
+const { logger } = require('./log');
+
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// slugs that keep non-Latin letters (slugStyle "unicode"): no uppercase, no punctuation
+const UNICODE_SLUG_RE = /^[\p{Ll}\p{Lo}\p{Lm}\p{M}\p{N}]+(?:-[\p{Ll}\p{Lo}\p{Lm}\p{M}\p{N}]+)*$/u;
+
+// Parse JSON block from AI model output: whole text, ```json fences, then the
+// first balanced {...} that parses. Returns { raw } when nothing parses.
+function parseJsonFromModel(text) {
+  if (!text || typeof text !== 'string') return { raw: text };
+  const attempts = [text.trim()];
+  const fence = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fence) attempts.push(fence[1].trim());
+
+  for (const a of attempts) {
+    if (!a.startsWith('{')) continue;
+    try { return JSON.parse(a); } catch (err) { /* try next */ }
+  }
+
+  // scan for balanced objects (string-aware) and return the first that parses
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inStr = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inStr) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inStr = false;
+        continue;
+      }
+      if (ch === '"') inStr = true;
+      else if (ch === '{') depth++;
+      else if (ch === '}' && --depth === 0) {
+        try { return JSON.parse(text.slice(start, i + 1)); } catch (err) { break; }
+      }
+    }
+  }
+  return { raw: text };
+}
+
+function includesKeyword(text, keyword) {
+  return !keyword || String(text).toLowerCase().includes(String(keyword).toLowerCase());
+}
+
+// Banned words / phrases present in text (whole words, case-insensitive)
+function findBannedWords(text, banned) {
+  const lower = String(text || '').toLowerCase();
+  return banned.filter(w => {
+    const word = String(w).toLowerCase().trim();
+    if (!word) return false;
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'u').test(lower);
+  });
+}
+
+// Check one string against a rule; returns { checks: { rule: bool }, violations: [message], width }
+function checkString(value, rule, keyword) {
+  const checks = {};
+  const violations = [];
+  const len = value.length;
+  let width;
+  if (rule.minLength !== undefined) {
+    checks.minLength = len >= rule.minLength;
+    if (!checks.minLength) violations.push(`${len} characters, must be at least ${rule.minLength}`);
+  }
+  if (rule.maxLength !== undefined) {
+    checks.maxLength = len <= rule.maxLength;
+    if (!checks.maxLength) violations.push(`${len} characters, must be at most ${rule.maxLength}`);
+  }
+  if (rule.serpWidth) {
+    const fit = serpFit(value, rule.serpWidth);
+    width = fit.width;
+    // maxWidth: a tighter budget than Google's, e.g. to leave room for a brand suffix
+    const limit = rule.maxWidth ? Math.min(rule.maxWidth, fit.maxWidth) : fit.maxWidth;
+    checks.pixelWidth = width <= limit;
+    if (!checks.pixelWidth) {
+      violations.push(limit < fit.maxWidth
+        ? `renders ${width}px wide, must stay within ${limit}px`
+        : `renders ${width}px wide, Google truncates ${rule.serpWidth}s beyond ${limit}px`);
+    }
+  }
+  if (rule.banned && rule.banned.length) {
+    const used = findBannedWords(value, rule.banned);
+    checks.bannedWords = used.length === 0;
+    if (used.length) violations.push(`uses banned word${used.length > 1 ? 's' : ''}: ${used.join(', ')}`);
+  }
+  if (rule.keyword && keyword) {
+    checks.keyword = includesKeyword(value, keyword);
+    if (!checks.keyword) violations.push(`must contain the keyword "${keyword}"`);
+  }
+  if (rule.type === 'slug') {
+    checks.format = (rule.unicode ? UNICODE_SLUG_RE : SLUG_RE).test(value);
+    if (!checks.format) {
+      violations.push(rule.unicode
+        ? 'must be lowercase words separated by single hyphens'
+        : 'must be lowercase ASCII letters/digits separated by single hyphens');
+    }
+  }
+  return { checks, violations, width };
+}
+
+function fieldResult(value, r) {
+  const out = { value, checks: r.checks, pass: r.violations.length === 0 };
+  if (r.width !== undefined) out.width = r.width;
+  return out;
+}
+
+/**
+ * Validate parsed model output against a schema.
+ * Returns { valid, violations: [{ path, message }], fields: { titles: [{ value, checks, pass }], slug: {...} } }
+ */
+function validateOutput(parsed, schema, { keyword } = {}) {
+  const violations = [];
+  const fields = {};
+
+  if (!parsed || typeof parsed !== 'object' || parsed.raw !== undefined) {
+    violations.push({ path: '$', message: 'output is not a valid JSON object' });
+    return { valid: false, violations, fields };
+  }
+
+  Object.keys(schema).forEach(name => {
+    const rule = schema[name];
+    const value = parsed[name];
+    if (rule.type === 'array') {
+      if (!Array.isArray(value)) {
+        violations.push({ path: name, message: `must be an array of ${rule.items} strings` });
+        fields[name] = [];
+        return;
+      }
+      const list = value.slice(0, rule.items);
+      if (list.length < rule.items) violations.push({ path: name, message: `expected ${rule.items} items, got ${list.length}` });
+      fields[name] = list.map((item, i) => {
+        if (typeof item !== 'string' || !item.trim()) {
+          violations.push({ path: `${name}[${i}]`, message: 'must be a non-empty string' });
+          return { value: item, checks: { type: false }, pass: false };
+        }
+        const r = checkString(item.trim(), rule, keyword);
+        r.violations.forEach(message => violations.push({ path: `${name}[${i}]`, message }));
+        return fieldResult(item.trim(), r);
+      });
+      return;
+    }
+    if (rule.type === 'object') {
+      const ok = !!value && typeof value === 'object' && !Array.isArray(value);
+      if (!ok && !rule.optional) violations.push({ path: name, message: 'must be a JSON object' });
+      fields[name] = { value: ok ? value : null, checks: { type: ok }, pass: ok || !!rule.optional };
+      return;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      if (!rule.optional) violations.push({ path: name, message: 'must be a non-empty string' });
+      fields[name] = { value: value === undefined ? null : value, checks: { type: false }, pass: !!rule.optional };
+      return;
+    }
+    const r = checkString(value.trim(), rule, keyword);
+    r.violations.forEach(message => violations.push({ path: name, message }));
+    fields[name] = fieldResult(value.trim(), r);
+  });
+
+  return { valid: violations.length === 0, violations, fields };
+}
+
+function buildRepairPrompt(originalPrompt, rawOutput, violations) {
+  const list = violations.slice(0, 30).map(v => `- ${v.path}: ${v.message}`).join('\n');
+  return `${originalPrompt}
+
+Your previous answer was:
+${String(rawOutput || '').slice(0, 3000)}
+
+It violated these requirements:
+${list}
+
+Fix every violation listed above. Keep items that already complied unchanged. Return ONLY the corrected JSON object.`;
+}
+
+/**
+ * Generate with `providers`, validate against `schema` and re-prompt with the
+ * specific violations up to `maxRepairs` times. Resolves with the best attempt:
+ * { provider, raw, meta, parsed, validation: { valid, attempts, violations, fields } }.
+ * Provider errors on the first call propagate; on repair calls the best result so far is kept.
+ * onEvent / onToken are passed to providers.generate; re-prompts emit { type: 'repair' }.
+ */
+async function generateValidated(providers, prompt, schema, { keyword, maxRepairs = 1, onEvent, onToken } = {}) {
+  let best = null;
+  let currentPrompt = prompt;
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    let ai;
+    try {
+      ai = await providers.generate(currentPrompt, { onEvent, onToken });
+    } catch (err) {
+      if (!best) throw err;
+      logger.warn('Repair attempt failed', { err });
+      break;
+    }
+    const parsed = parseJsonFromModel(ai.raw);
+    const validation = validateOutput(parsed, schema, { keyword });
+    if (!best || validation.violations.length < best.validation.violations.length) {
+      best = { ...ai, parsed, validation };
+    }
+    best.validation.attempts = attempt;
+    if (validation.valid) break;
+    if (attempt <= maxRepairs && onEvent) onEvent({ type: 'repair', attempt: attempt + 1, violations: validation.violations });
+    currentPrompt = buildRepairPrompt(prompt, ai.raw, validation.violations);
+  }
+  return best;
+}
+
+module.exports = {
+  parseJsonFromModel,
+  validateOutput,
+  buildRepairPrompt,
+  generateValidated,
+  includesKeyword,
+  findBannedWords,
+  SLUG_RE,
+  UNICODE_SLUG_RE
+};
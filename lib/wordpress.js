@@ -0,0 +1,270 @@
+/**
+ * WordPress publishing: write chosen SEO meta into Yoast SEO or Rank Math fields through the WP REST API.
+ *
+ * A site connection is { url, username, applicationPassword } (Users -> Profile -> Application Passwords),
+ * sent as Basic auth. Both plugins keep their fields in post meta, which the REST API only returns and
+ * accepts once the keys are registered with show_in_rest (see README). Fields that aren't exposed are
+ * reported as an error instead of being skipped silently.
+ *
+ * Publish records (what changed, before and after) are kept in Redis when a client is given,
+ * otherwise in process memory. Credentials are never stored.
+ * Layout in Redis:
+ *   <prefix>:<id>   -> JSON publish record
+ *   <prefix>:index  -> list of record ids, newest first
+ */
+
+const crypto = require('crypto');
+const { safeFetch } = require('./safe-fetch');
+
+// Post meta keys of each plugin
+const PLUGIN_FIELDS = {
+  yoast: {
+    title: '_yoast_wpseo_title',
+    description: '_yoast_wpseo_metadesc',
+    ogTitle: '_yoast_wpseo_opengraph-title',
+    ogDescription: '_yoast_wpseo_opengraph-description',
+    ogImage: '_yoast_wpseo_opengraph-image'
+  },
+  rankmath: {
+    title: 'rank_math_title',
+    description: 'rank_math_description',
+    ogTitle: 'rank_math_facebook_title',
+    ogDescription: 'rank_math_facebook_description',
+    ogImage: 'rank_math_facebook_image'
+  }
+};
+const PLUGIN_NAMESPACES = { yoast: 'yoast/v1', rankmath: 'rankmath/v1' };
+const PLUGIN_NAMES = { yoast: 'Yoast SEO', rankmath: 'Rank Math' };
+const PUBLISH_FIELDS = ['title', 'description', 'slug', 'ogTitle', 'ogDescription', 'ogImage'];
+const DEFAULT_POST_TYPES = ['posts', 'pages'];
+
+function wpError(status, code, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function normalizeSiteUrl(raw, { allowHttp = false } = {}) {
+  let u;
+  try { u = new URL(String(raw || '')); } catch (e) { throw wpError(400, 'INVALID_INPUT', 'site.url must be the full WordPress address (https://...)'); }
+  if (u.protocol !== 'https:' && !(allowHttp && u.protocol === 'http:')) {
+    throw wpError(400, 'INVALID_INPUT', 'site.url must use https (application passwords are sent with every request)');
+  }
+  return `${u.origin}${u.pathname.replace(/\/+$/, '')}`;
+}
+
+// Strip trailing slashes and the fragment so post links and given URLs compare equal
+function comparableUrl(s) {
+  try {
+    const u = new URL(s);
+    return `${u.origin}${u.pathname.replace(/\/+$/, '')}${u.search}`.toLowerCase();
+  } catch (e) {
+    return String(s || '').toLowerCase();
+  }
+}
+
+/**
+ * REST client for one site. `allowHttp` permits plain-http sites (local development).
+ */
+function createWordPressClient({ url, username, applicationPassword, allowHttp = false, timeoutMs } = {}) {
+  if (!username || typeof username !== 'string' || !applicationPassword || typeof applicationPassword !== 'string') {
+    throw wpError(400, 'INVALID_INPUT', 'site.username and site.applicationPassword are required');
+  }
+  const base = normalizeSiteUrl(url, { allowHttp });
+  // WordPress shows application passwords in groups of four; the spaces are optional
+  const auth = 'Basic ' + Buffer.from(`${username}:${applicationPassword.replace(/\s+/g, '')}`).toString('base64');
+
+  async function request(method, route, body) {
+    const r = await safeFetch(`${base}/wp-json${route}`, {
+      method,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      acceptHeader: 'application/json',
+      headers: { Authorization: auth, ...(body === undefined ? {} : { 'Content-Type': 'application/json' }) },
+      ...(timeoutMs ? { timeoutMs } : {})
+    });
+    let data = null;
+    try { data = JSON.parse(r.text); } catch (e) { /* reported below */ }
+    if (r.status === 401 || r.status === 403) {
+      throw wpError(400, 'WP_AUTH_FAILED', `WordPress rejected the credentials (${(data && data.message) || `status ${r.status}`})`, {
+        detail: { status: r.status, wpCode: data && data.code }
+      });
+    }
+    if (!r.ok) {
+      throw wpError(r.status === 404 ? 404 : 400, r.status === 404 ? 'WP_NOT_FOUND' : 'WP_ERROR',
+        (data && data.message) || `WordPress answered ${method} ${route} with status ${r.status}`,
+        { detail: { status: r.status, wpCode: data && data.code } });
+    }
+    if (data === null) throw wpError(400, 'WP_ERROR', `${base}/wp-json${route} did not return JSON; is this a WordPress site with the REST API enabled?`);
+    return data;
+  }
+
+  async function getById(type, id) {
+    try {
+      return await request('GET', `/wp/v2/${type}/${id}?context=edit`);
+    } catch (err) {
+      if (err.code === 'WP_NOT_FOUND') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Find a post by id or URL among `types` (REST bases, default posts then pages).
+   * Resolves with { post, type }: the post in edit context ({ id, link, slug, title, meta, ... })
+   * and the REST base it was found under.
+   */
+  async function resolvePost(ref, { types = DEFAULT_POST_TYPES } = {}) {
+    let id = null;
+    let slug = null;
+    let link = null;
+    if (typeof ref === 'number' || /^\d+$/.test(String(ref || ''))) {
+      id = Number(ref);
+    } else if (typeof ref === 'string' && /^https?:\/\//i.test(ref)) {
+      const u = new URL(ref);
+      if (u.host !== new URL(base).host) throw wpError(400, 'INVALID_INPUT', `post URL ${ref} is not on ${base}`);
+      id = Number(u.searchParams.get('p') || u.searchParams.get('page_id')) || null;
+      slug = decodeURIComponent(u.pathname.replace(/\/+$/, '').split('/').pop() || '');
+      link = comparableUrl(ref);
+    } else {
+      throw wpError(400, 'INVALID_INPUT', 'post must be a post ID or the post URL');
+    }
+
+    for (const type of types) {
+      if (id) {
+        const post = await getById(type, id);
+        if (post) return { post, type };
+        continue;
+      }
+      if (!slug) break;
+      const found = await request('GET', `/wp/v2/${type}?slug=${encodeURIComponent(slug)}&status=any&context=edit&per_page=20`);
+      if (!Array.isArray(found) || !found.length) continue;
+      // the same slug can exist under different parents; prefer the exact permalink
+      return { post: found.find(p => comparableUrl(p.link) === link) || found[0], type };
+    }
+    throw wpError(404, 'WP_NOT_FOUND', `No ${types.join(' or ')} found for ${ref}`);
+  }
+
+  /**
+   * Which SEO plugin to write to: "yoast" or "rankmath". With `preferred` "auto" this looks at the meta
+   * keys the post exposes and, failing that, at the REST namespaces of the site to explain what's missing.
+   */
+  async function detectPlugin(post, preferred = 'auto') {
+    if (preferred !== 'auto') return preferred;
+    const meta = post.meta && typeof post.meta === 'object' ? post.meta : {};
+    const exposes = name => Object.values(PLUGIN_FIELDS[name]).some(k => k in meta);
+    const exposed = Object.keys(PLUGIN_FIELDS).filter(exposes);
+    if (exposed.length === 1) return exposed[0];
+    if (exposed.length > 1) throw wpError(400, 'INVALID_INPUT', 'The post exposes both Yoast and Rank Math fields; set "plugin" to pick one');
+
+    const index = await request('GET', '/');
+    const namespaces = Array.isArray(index.namespaces) ? index.namespaces : [];
+    const installed = Object.keys(PLUGIN_NAMESPACES).filter(name => namespaces.includes(PLUGIN_NAMESPACES[name]));
+    if (installed.length) {
+      throw wpError(400, 'WP_META_NOT_EXPOSED', `${installed.map(n => PLUGIN_NAMES[n]).join(' and ')} is installed but its post meta isn't available over the REST API`, {
+        detail: { plugin: installed[0], keys: Object.values(PLUGIN_FIELDS[installed[0]]) }
+      });
+    }
+    throw wpError(400, 'WP_PLUGIN_NOT_FOUND', 'Neither Yoast SEO nor Rank Math was found on the site');
+  }
+
+  /**
+   * Field-by-field diff of `fields` ({ title, description, slug, ogTitle, ogDescription, ogImage })
+   * against the post: [{ field, key, before, after, changed }]. Throws WP_META_NOT_EXPOSED when a
+   * field's meta key isn't available.
+   */
+  function diff(post, plugin, fields) {
+    const meta = post.meta && typeof post.meta === 'object' ? post.meta : {};
+    const keys = PLUGIN_FIELDS[plugin];
+    const missing = PUBLISH_FIELDS.filter(f => f !== 'slug' && fields[f] !== undefined && !(keys[f] in meta)).map(f => keys[f]);
+    if (missing.length) {
+      throw wpError(400, 'WP_META_NOT_EXPOSED', `These ${PLUGIN_NAMES[plugin]} fields aren't available over the REST API: ${missing.join(', ')}`, {
+        detail: { plugin, keys: missing }
+      });
+    }
+    return PUBLISH_FIELDS.filter(f => fields[f] !== undefined).map(field => {
+      const key = field === 'slug' ? 'slug' : keys[field];
+      const before = field === 'slug' ? String(post.slug || '') : String(meta[key] === undefined || meta[key] === null ? '' : meta[key]);
+      const after = String(fields[field]);
+      return { field, key, before, after, changed: before !== after };
+    });
+  }
+
+  /**
+   * Write the changed fields of a diff to a post found under the REST base `type`. Resolves with the
+   * updated post and the diff entries marked `applied` when WordPress echoes the new value back.
+   */
+  async function apply(post, type, changes) {
+    const body = { meta: {} };
+    changes.filter(c => c.changed).forEach(c => {
+      if (c.field === 'slug') body.slug = c.after;
+      else body.meta[c.key] = c.after;
+    });
+    const updated = await request('POST', `/wp/v2/${type}/${post.id}?context=edit`, body);
+    const meta = updated.meta || {};
+    return {
+      post: updated,
+      changes: changes.map(c => {
+        if (!c.changed) return c;
+        // WordPress sanitizes slugs (and makes them unique), so report the slug it actually saved
+        if (c.field === 'slug') return { ...c, after: updated.slug, applied: updated.slug !== c.before };
+        return { ...c, applied: meta[c.key] === c.after };
+      })
+    };
+  }
+
+  return { base, request, resolvePost, detectPlugin, diff, apply };
+}
+
+// -------------------- publish log -------------------- //
+
+function createPublishLog({ redis = null, prefix = 'wppublish', ttlSec = 90 * 24 * 60 * 60, maxRecords = 5000 } = {}) {
+  const mem = [];   // newest first
+  const key = id => `${prefix}:${id}`;
+  const indexKey = `${prefix}:index`;
+
+  async function add(entry) {
+    const record = { id: crypto.randomBytes(9).toString('base64url'), at: Date.now(), ...entry };
+    if (redis) {
+      await redis.multi()
+        .set(key(record.id), JSON.stringify(record), 'EX', ttlSec)
+        .lpush(indexKey, record.id)
+        .ltrim(indexKey, 0, maxRecords - 1)
+        .exec();
+    } else {
+      mem.unshift(record);
+      mem.length = Math.min(mem.length, maxRecords);
+    }
+    return record;
+  }
+
+  async function get(id) {
+    if (redis) {
+      const v = await redis.get(key(id));
+      return v ? JSON.parse(v) : null;
+    }
+    return mem.find(r => r.id === id) || null;
+  }
+
+  /** Newest records first; `filter(record)` narrows them (e.g. to one API key). */
+  async function list({ limit = 50, filter = () => true } = {}) {
+    let records;
+    if (redis) {
+      const ids = await redis.lrange(indexKey, 0, maxRecords - 1);
+      const values = ids.length ? await redis.mget(ids.map(key)) : [];
+      records = values.filter(Boolean).map(v => JSON.parse(v));
+    } else {
+      records = mem;
+    }
+    return records.filter(filter).slice(0, limit);
+  }
+
+  return { add, get, list, backend: redis ? 'redis' : 'memory' };
+}
+
+module.exports = {
+  createWordPressClient,
+  createPublishLog,
+  PLUGIN_FIELDS,
+  PUBLISH_FIELDS
+};
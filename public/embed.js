@@ -0,0 +1,373 @@
+/**
+ * Embed widget: generate titles / descriptions / slug for a keyword or a page URL, edit and compare
+ * them, then hand the chosen ones to the host page.
+ *
+ * Query parameters: theme (light | dark | auto), mode (keyword | url), key (API key), profile (style
+ * profile id), language. The parent origins it may exchange messages with come from the server (the
+ * `origins` parameter checked against EMBED_ALLOWED_ORIGINS) in <meta name="metagen-origins">; without
+ * any, messaging is off.
+ *
+ * postMessage API (messages are { type, ...data }):
+ *   host -> widget  metagen:prefill  { mode?, url?, keyword?, note?, generate? }
+ *                   metagen:generate {}
+ *   widget -> host  metagen:ready    { mode }
+ *                   metagen:generated { mode, titles, metas, slug }
+ *                   metagen:select   { title, meta, slug, url, keyword }   ("Use this" button)
+ *                   metagen:error    { error, code }
+ *                   metagen:resize   { height }
+ */
+(function () {
+  'use strict';
+
+  var LIMITS = { titles: 60, metas: 160 };
+  var params = new URLSearchParams(location.search);
+  var theme = ['light', 'dark', 'auto'].indexOf(params.get('theme')) !== -1 ? params.get('theme') : 'light';
+  var originsMeta = document.querySelector('meta[name="metagen-origins"]');
+  var origins = ((originsMeta && originsMeta.getAttribute('content')) || '').split(/\s+/).filter(Boolean);
+  var apiKey = params.get('key') || '';
+  var profile = params.get('profile') || '';
+  var language = params.get('language') || '';
+
+  var state = {
+    mode: params.get('mode') === 'url' ? 'url' : 'keyword',
+    device: 'desktop',
+    titles: [],
+    metas: [],
+    selected: { titles: 0, metas: 0 },
+    request: null,   // body of the last generation, reused by regenerate
+    pageUrl: '',
+    busy: false
+  };
+
+  var $ = function (id) { return document.getElementById(id); };
+  var form = $('mg-form');
+  var statusEl = $('mg-status');
+  var lists = { titles: $('mg-titles'), metas: $('mg-metas') };
+  var cardTemplate = $('mg-card');
+
+  document.documentElement.setAttribute('data-theme', theme);
+
+  // -------------------- host messaging -------------------- //
+
+  var embedded = window.parent && window.parent !== window;
+  // messages only go to, and come from, the named parent origins
+  var messaging = embedded && origins.length > 0;
+
+  function post(type, data) {
+    if (!messaging) return;
+    var message = Object.assign({ type: type }, data || {});
+    origins.forEach(function (target) {
+      window.parent.postMessage(message, target);
+    });
+  }
+
+  window.addEventListener('message', function (e) {
+    if (!messaging || e.source !== window.parent || origins.indexOf(e.origin) === -1) return;
+    var d = e.data;
+    if (!d || typeof d !== 'object' || typeof d.type !== 'string') return;
+    if (d.type === 'metagen:prefill') {
+      if (d.mode === 'url' || d.mode === 'keyword') setMode(d.mode);
+      else if (typeof d.url === 'string' && typeof d.keyword !== 'string') setMode('url');
+      if (typeof d.url === 'string') $('mg-url').value = d.url;
+      if (typeof d.keyword === 'string') $('mg-keyword').value = d.keyword;
+      if (typeof d.note === 'string') $('mg-note').value = d.note;
+      if (d.generate) generate();
+    } else if (d.type === 'metagen:generate') {
+      generate();
+    }
+  });
+
+  if (messaging && window.ResizeObserver) {
+    var lastHeight = 0;
+    new ResizeObserver(function () {
+      var height = Math.ceil(document.documentElement.scrollHeight);
+      if (height !== lastHeight) {
+        lastHeight = height;
+        post('metagen:resize', { height: height });
+      }
+    }).observe(document.body);
+  }
+
+  // -------------------- API -------------------- //
+
+  function api(path, body) {
+    var headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['X-API-Key'] = apiKey;
+    return fetch(path, { method: 'POST', headers: headers, body: JSON.stringify(body) }).then(function (r) {
+      return r.json().catch(function () { return {}; }).then(function (j) {
+        if (!r.ok) {
+          var err = new Error(j.error || ('Request failed (' + r.status + ')'));
+          err.code = j.code;
+          throw err;
+        }
+        return j;
+      });
+    });
+  }
+
+  // A /v1/generate result as { titles, metas, slug } (best first)
+  function candidatesFrom(j) {
+    var texts = function (list) { return (list || []).map(function (c) { return c.text; }); };
+    return { titles: texts(j.titles), metas: texts(j.descriptions), slug: (j.slug && j.slug.text) || '' };
+  }
+
+  function requestBody() {
+    var body = { note: $('mg-note').value.trim() };
+    if (state.mode === 'url') body.url = $('mg-url').value.trim();
+    else body.keyword = $('mg-keyword').value.trim();
+    if (profile) body.profile = profile;
+    if (language) body.language = language;
+    return body;
+  }
+
+  // -------------------- UI -------------------- //
+
+  function setStatus(text, isError) {
+    statusEl.textContent = text || '';
+    statusEl.classList.toggle('is-error', !!isError);
+  }
+
+  function fail(err) {
+    setStatus(err.message || String(err), true);
+    post('metagen:error', { error: err.message || String(err), code: err.code || null });
+  }
+
+  function setMode(mode) {
+    state.mode = mode;
+    document.querySelectorAll('[data-mode]').forEach(function (b) {
+      b.setAttribute('aria-selected', String(b.getAttribute('data-mode') === mode));
+    });
+    document.querySelectorAll('[data-mode-field]').forEach(function (el) {
+      el.hidden = el.getAttribute('data-mode-field') !== mode;
+    });
+  }
+
+  function setDevice(device) {
+    state.device = device;
+    document.querySelectorAll('[data-device]').forEach(function (b) {
+      if (b.tagName === 'BUTTON') b.setAttribute('aria-selected', String(b.getAttribute('data-device') === device));
+    });
+    $('mg-serp').setAttribute('data-device', device);
+    renderPreview();
+  }
+
+  function copyText(text, button) {
+    var done = function () {
+      var label = button.textContent;
+      button.textContent = 'Copied';
+      setTimeout(function () { button.textContent = label; }, 1200);
+    };
+    if (navigator.clipboard && window.isSecureContext) {
+      navigator.clipboard.writeText(text).then(done, function () { fallbackCopy(text); done(); });
+    } else {
+      fallbackCopy(text);
+      done();
+    }
+  }
+
+  function fallbackCopy(text) {
+    var ta = document.createElement('textarea');
+    ta.value = text;
+    ta.setAttribute('readonly', '');
+    ta.style.position = 'fixed';
+    ta.style.opacity = '0';
+    document.body.appendChild(ta);
+    ta.select();
+    try { document.execCommand('copy'); } catch (e) { /* nothing else to try */ }
+    document.body.removeChild(ta);
+  }
+
+  function updateCount(card, field) {
+    var text = card.querySelector('.mg-text').value;
+    var count = card.querySelector('.mg-count');
+    var n = Array.from(text).length;
+    count.textContent = n + ' / ' + LIMITS[field] + ' chars';
+    count.classList.toggle('is-over', n > LIMITS[field]);
+  }
+
+  function renderCards(field) {
+    var list = lists[field];
+    list.textContent = '';
+    state[field].forEach(function (text, i) {
+      var card = cardTemplate.content.firstElementChild.cloneNode(true);
+      var radio = card.querySelector('input[type="radio"]');
+      var ta = card.querySelector('.mg-text');
+      radio.name = 'mg-pick-' + field;
+      radio.checked = state.selected[field] === i;
+      card.classList.toggle('is-selected', radio.checked);
+      ta.value = text;
+      ta.rows = field === 'metas' ? 3 : 2;
+      ta.setAttribute('aria-label', (field === 'titles' ? 'Title ' : 'Description ') + (i + 1));
+      updateCount(card, field);
+
+      radio.addEventListener('change', function () {
+        state.selected[field] = i;
+        list.querySelectorAll('.mg-card').forEach(function (c, j) { c.classList.toggle('is-selected', j === i); });
+        renderPreview();
+      });
+      ta.addEventListener('input', function () {
+        state[field][i] = ta.value;
+        updateCount(card, field);
+        schedulePreview();
+      });
+      card.querySelector('.mg-copy').addEventListener('click', function (e) { copyText(state[field][i], e.currentTarget); });
+      card.querySelector('.mg-regen').addEventListener('click', function () { regenerate(field, i, card); });
+      list.appendChild(card);
+    });
+  }
+
+  // -------------------- SERP preview -------------------- //
+
+  var fits = null;   // /v1/serp-preview candidates for the current titles / metas
+  var previewTimer = null;
+  var previewSeq = 0;
+
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(measure, 250);
+  }
+
+  function previewUrl() {
+    if (state.pageUrl) return state.pageUrl;
+    var slug = $('mg-slug').value.trim();
+    return 'https://example.com/' + (slug ? slug + '/' : '');
+  }
+
+  // One request measures every title and description (title i is paired with description i)
+  function measure() {
+    if (!state.titles.length && !state.metas.length) return;
+    var seq = ++previewSeq;
+    api('/v1/serp-preview', { titles: state.titles, descriptions: state.metas, url: previewUrl(), device: 'both' }).then(function (j) {
+      if (seq !== previewSeq) return;
+      fits = j.candidates || [];
+      renderWidths();
+      renderPreview();
+    }).catch(function () { /* the preview is best effort */ });
+  }
+
+  function fitFor(field, i) {
+    var c = fits && fits[i];
+    if (!c || !c[state.device]) return null;
+    if (field === 'metas' && i >= state.metas.length) return null;
+    return c[state.device][field === 'titles' ? 'title' : 'description'];
+  }
+
+  function renderWidths() {
+    ['titles', 'metas'].forEach(function (field) {
+      lists[field].querySelectorAll('.mg-card').forEach(function (card, i) {
+        var fit = fitFor(field, i);
+        var el = card.querySelector('.mg-width');
+        el.textContent = fit ? fit.width + ' / ' + fit.maxWidth + ' px' : '';
+        el.classList.toggle('is-over', !!fit && !fit.fits);
+        el.classList.toggle('is-ok', !!fit && fit.fits);
+        el.title = fit && fit.truncated ? 'Google will cut this off' : '';
+      });
+    });
+  }
+
+  function renderPreview() {
+    var serp = $('mg-serp');
+    var title = fitFor('titles', state.selected.titles);
+    var desc = fitFor('metas', state.selected.metas);
+    var u;
+    try { u = new URL(previewUrl()); } catch (e) { u = null; }
+    serp.querySelector('.mg-serp-url').textContent = u ? u.host + u.pathname.replace(/\/$/, '').split('/').join(' › ') : '';
+    serp.querySelector('.mg-serp-title').textContent = title ? title.display : (state.titles[state.selected.titles] || '');
+    serp.querySelector('.mg-serp-desc').textContent = desc ? desc.display : (state.metas[state.selected.metas] || '');
+    renderWidths();
+  }
+
+  // -------------------- generation -------------------- //
+
+  function setBusy(busy) {
+    state.busy = busy;
+    $('mg-submit').disabled = busy;
+    document.querySelectorAll('.mg-regen').forEach(function (b) { b.disabled = busy; });
+  }
+
+  function generate() {
+    if (state.busy) return;
+    var body = requestBody();
+    if (state.mode === 'url' && !/^https?:\/\//i.test(body.url || '')) return fail(new Error('Enter the full page URL (https://...)'));
+    if (state.mode === 'keyword' && (body.keyword || '').length < 2) return fail(new Error('Enter a keyword'));
+    var mode = state.mode;
+    setBusy(true);
+    setStatus(mode === 'url' ? 'Reading the page and writing candidates…' : 'Writing candidates…');
+    api('/v1/generate', body).then(function (j) {
+      var c = candidatesFrom(j);
+      state.request = { mode: mode, body: body };
+      state.titles = c.titles;
+      state.metas = c.metas;
+      state.selected = { titles: 0, metas: 0 };
+      state.pageUrl = mode === 'url' ? ((j.page && j.page.canonical) || body.url) : '';
+      $('mg-slug').value = c.slug;
+      fits = null;
+      renderCards('titles');
+      renderCards('metas');
+      $('mg-results').hidden = false;
+      setStatus('');
+      renderPreview();
+      measure();
+      post('metagen:generated', { mode: mode, titles: c.titles, metas: c.metas, slug: c.slug });
+    }).catch(fail).then(function () { setBusy(false); });
+  }
+
+  // Replace one candidate with a new one the model hasn't written yet
+  function regenerate(field, i, card) {
+    if (state.busy || !state.request) return;
+    setBusy(true);
+    card.classList.add('is-busy');
+    var body = Object.assign({}, state.request.body, { avoid: state.titles.concat(state.metas).slice(0, 30) });
+    api('/v1/generate', body).then(function (j) {
+      var fresh = candidatesFrom(j)[field].filter(function (t) { return state[field].indexOf(t) === -1; });
+      if (!fresh.length) throw new Error('No new ' + (field === 'titles' ? 'title' : 'description') + ' this time, try again');
+      state[field][i] = fresh[0];
+      card.querySelector('.mg-text').value = fresh[0];
+      updateCount(card, field);
+      setStatus('');
+      measure();
+    }).catch(fail).then(function () {
+      card.classList.remove('is-busy');
+      setBusy(false);
+    });
+  }
+
+  function chosen() {
+    return {
+      title: state.titles[state.selected.titles] || '',
+      meta: state.metas[state.selected.metas] || '',
+      slug: $('mg-slug').value.trim(),
+      url: state.pageUrl || null,
+      keyword: state.request && state.request.body.keyword ? state.request.body.keyword : null
+    };
+  }
+
+  // -------------------- wiring -------------------- //
+
+  document.querySelectorAll('[data-mode]').forEach(function (b) {
+    b.addEventListener('click', function () { setMode(b.getAttribute('data-mode')); });
+  });
+  document.querySelectorAll('button[data-device]').forEach(function (b) {
+    b.addEventListener('click', function () { setDevice(b.getAttribute('data-device')); });
+  });
+  form.addEventListener('submit', function (e) {
+    e.preventDefault();
+    generate();
+  });
+  $('mg-slug').addEventListener('input', function () { if (!state.pageUrl) renderPreview(); });
+  document.querySelectorAll('[data-copy]').forEach(function (b) {
+    b.addEventListener('click', function () {
+      var c = chosen();
+      var text = b.getAttribute('data-copy') === 'slug' ? c.slug : [c.title, c.meta, c.slug].join('\n');
+      copyText(text, b);
+    });
+  });
+  $('mg-use').addEventListener('click', function () {
+    post('metagen:select', chosen());
+    setStatus(messaging ? 'Sent to the page.' : 'Selected.');
+  });
+
+  setMode(state.mode);
+  setDevice(state.device);
+  post('metagen:ready', { mode: state.mode });
+})();
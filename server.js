@@ -2,7 +2,7 @@
  * meta-gen-tool - enhanced server.js
  * Adds /api/meta-from-url which fetches a page and generates:
  *  - main_keyword
- *  - 5 titles (<=60 chars, must include main_keyword)
+ *  - 5 titles (fit the 600px SERP title width, must include main_keyword)
  *  - 3 meta descriptions (150-160 chars target)
  *  - a recommended slug
  *
@@ -15,11 +15,99 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const Redis = require('ioredis');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
-require('dotenv').config();
+require('dotenv').config({ quiet: true }); // stdout carries JSON logs only
 
 const app = express();
 app.use(helmet());
+
+// -------------------- Observability -------------------- //
+// JSON logs tagged with a request ID (lib/log.js) and Prometheus metrics at GET /metrics (lib/metrics.js).
+// The ID is taken from a well-formed X-Request-Id header or minted, returned in the response
+// header and sent along on every provider call the request makes.
+const { logger, requestIdMiddleware } = require('./lib/log');
+const { createMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const metrics = createMetrics({ prefix: 'metagen_' });
+const metric = {
+  httpRequests: metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']),
+  httpDuration: metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']),
+  fetchDuration: metrics.histogram('page_fetch_duration_seconds', 'Latency of fetching user-supplied pages', ['outcome']),
+  fetchFailures: metrics.counter('page_fetch_failures_total', 'Failed page fetches by error code', ['code']),
+  providerCalls: metrics.counter('provider_calls_total', 'LLM provider requests by outcome', ['provider', 'model', 'outcome']),
+  providerFallbacks: metrics.counter('provider_fallbacks_total', 'Answers from a provider after an earlier one in the chain failed or was circuit-broken', ['provider', 'model']),
+  providerDuration: metrics.histogram('provider_call_duration_seconds', 'LLM provider request latency', ['provider', 'model']),
+  providerTokens: metrics.counter('provider_tokens_total', 'Tokens reported by provider usage metadata', ['provider', 'model', 'type']),
+  providerCost: metrics.counter('provider_cost_usd_total', 'Estimated provider cost in USD (lib/data/llm-prices.json)', ['provider', 'model']),
+  cacheLookups: metrics.counter('cache_lookups_total', 'Generation cache lookups', ['result']),
+  outputRepairs: metrics.counter('output_repairs_total', 'Generated candidates that adjustTitle/adjustMeta had to repair', ['field']),
+  heuristicGenerations: metrics.counter('heuristic_generations_total', 'Results written by the rule-based generator, requested or as the fallback when every provider failed', ['reason'])
+};
+metrics.gauge('cache_hit_ratio', 'Share of generation cache lookups answered without a new generation since start', [], g => {
+  const count = result => metric.cacheLookups.get({ result });
+  const served = count('hit') + count('stale') + count('shared');
+  const total = served + count('miss') + count('error');
+  g.set({}, total ? served / total : 0);
+});
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], g => g.set({}, process.memoryUsage().rss));
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', [], g => g.set({}, process.uptime()));
+
+// Route label: the matched route pattern, never the raw path (keeps label cardinality bounded)
+function routeLabel(req) {
+  if (!req.route) return 'other';
+  const p = Array.isArray(req.route.path) ? req.route.path.join('|') : String(req.route.path);
+  return `${req.baseUrl || ''}${p}`;
+}
+
+app.use(requestIdMiddleware());
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const sec = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeLabel(req);
+    metric.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metric.httpDuration.observe({ method: req.method, route }, sec);
+    const level = res.statusCode >= 500 ? 'error' : (route === '/metrics' ? 'debug' : 'info');
+    logger[level]('request', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      ms: Math.round(sec * 1000),
+      apiKey: req.apiKey ? req.apiKey.id : undefined
+    });
+  });
+  next();
+});
+
+// Prometheus scrape endpoint; with METRICS_TOKEN set it needs "Authorization: Bearer <token>"
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const m = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    const given = Buffer.from(m ? m[1] : '');
+    const expected = Buffer.from(token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Invalid metrics token', code: 'UNAUTHORIZED' });
+    }
+  }
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// every /v1 error response uses the envelope { error, code, reason?, detail? } (see lib/api-errors.js)
+const { errorEnvelope, errorHandler, toEnvelope } = require('./lib/api-errors');
+app.use('/v1', errorEnvelope());
+// batch uploads need a larger body limit; mounted first so the default parser skips them
+app.use(['/api/meta-batch', '/v1/batches'], express.json({ limit: process.env.BATCH_BODY_LIMIT || '1mb' }),
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: process.env.BATCH_BODY_LIMIT || '1mb' }));
+// scoring accepts raw page HTML
+app.use(['/api/meta-score', '/v1/score'], express.json({ limit: process.env.SCORE_BODY_LIMIT || '2mb' }));
+// publishing accepts a whole /api/meta-from-url response (extracted page content included)
+app.use(['/api/wp/publish', '/v1/wp/publish'], express.json({ limit: process.env.WP_PUBLISH_BODY_LIMIT || '1mb' }));
+// Search Console exports
+app.use('/v1/projects/:id/search-console', express.json({ limit: process.env.SEARCH_CONSOLE_BODY_LIMIT || '10mb' }),
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: process.env.SEARCH_CONSOLE_BODY_LIMIT || '10mb' }));
 app.use(express.json({ limit: '30kb' }));
 
 // CORS: read env or default; augment with www / non-www variants automatically
@@ -45,77 +133,134 @@ app.use(express.json({ limit: '30kb' }));
 
   const ALLOWED_ORIGINS = Array.from(aug.length ? aug : ['https://apextechagency.com', 'https://www.apextechagency.com', 'https://tools-api.apextechagency.com']);
   // flexible CORS: allow unknown origins only if ALLOWED_ORIGINS contains '*'
-  app.use(cors({
+  // the embed widget calls the API from the app's own origin, which browsers still send as Origin
+  const sameOrigin = (req, origin) => {
+    try { return new URL(origin).host === req.get('host'); } catch (e) { return false; }
+  };
+  app.use(cors((req, done) => done(null, {
     origin: function (origin, callback) {
       if (!origin) return callback(null, true); // allow server-to-server / curl
-      if (ALLOWED_ORIGINS.indexOf('*') !== -1) return callback(null, true);
+      if (ALLOWED_ORIGINS.indexOf('*') !== -1 || sameOrigin(req, origin)) return callback(null, true);
       if (ALLOWED_ORIGINS.indexOf(origin) === -1) {
         return callback(new Error('CORS policy: origin not allowed'), false);
       }
       return callback(null, true);
     }
-  }));
+  })));
 })();
 
-// Rate limiting
+// Optional Redis (cache, jobs, API keys)
+let redis = null;
+if (process.env.REDIS_URL) {
+  redis = new Redis(process.env.REDIS_URL);
+  redis.on('error', (e) => logger.error('Redis error', { err: e }));
+}
+
+// API keys: per-key rate limits, monthly generation quotas and usage metering (see lib/api-keys.js).
+// API_KEY_MODE: "optional" = keys are honoured when sent, "server" = requests without an
+// Origin header (server-to-server) need a key, "required" = every /api request needs one.
+const { createApiKeyStore, keyContext, currentApiKey, keyFromRequest, publicRecord } = require('./lib/api-keys');
+const API_KEY_MODES = ['optional', 'server', 'required'];
+const API_KEY_MODE = API_KEY_MODES.includes(process.env.API_KEY_MODE) ? process.env.API_KEY_MODE : 'optional';
+const apiKeys = createApiKeyStore({
+  redis,
+  file: process.env.API_KEYS_FILE || null,
+  defaults: {
+    rateLimitPerMin: parseInt(process.env.API_KEY_RATE_LIMIT_PER_MIN || '0', 10) || null,
+    monthlyQuota: parseInt(process.env.API_KEY_MONTHLY_QUOTA || '0', 10) || null
+  }
+});
+
+function sendKeyError(res, err) {
+  if (err.retryAfterSec) res.set('Retry-After', String(err.retryAfterSec));
+  return res.status(err.status).json({ error: err.message, code: err.code, detail: err.detail });
+}
+
+function keyRequiredError(code, message) {
+  const err = new Error(message);
+  err.status = 401;
+  err.code = code;
+  return err;
+}
+
+app.use(['/api', '/v1'], async (req, res, next) => {
+  if (req.path.startsWith('/admin/')) return next(); // admin routes use ADMIN_TOKEN
+  if (req.baseUrl === '/v1' && req.path === '/openapi.json') return next();
+  try {
+    const presented = keyFromRequest(req);
+    if (!presented) {
+      if (API_KEY_MODE === 'required' || (API_KEY_MODE === 'server' && !req.get('origin'))) {
+        return sendKeyError(res, keyRequiredError('API_KEY_REQUIRED', 'An API key is required (Authorization: Bearer <key> or X-API-Key header)'));
+      }
+      return next();
+    }
+    const key = await apiKeys.lookup(presented);
+    if (!key) return sendKeyError(res, keyRequiredError('INVALID_API_KEY', 'Invalid API key'));
+    if (key.revokedAt) return sendKeyError(res, keyRequiredError('API_KEY_REVOKED', 'This API key has been revoked'));
+    const rate = await apiKeys.hit(key);
+    if (rate) res.set({ 'RateLimit-Limit': String(rate.limit), 'RateLimit-Remaining': String(rate.remaining), 'RateLimit-Reset': String(rate.resetSec) });
+    req.apiKey = key;
+    apiKeys.record(key.id, { requests: 1 }).catch(e => logger.warn('Usage metering failed', { err: e }));
+    // everything downstream (provider calls, batch items) is metered against this key
+    return keyContext.run({ key }, next);
+  } catch (err) {
+    if (err.status) return sendKeyError(res, err);
+    return next(err);
+  }
+});
+
+// Rate limiting (per IP; requests with an API key use the key's own limit instead)
 const limiter = rateLimit({
   windowMs: 60 * 1000,
   max: parseInt(process.env.RATE_LIMIT_PER_MIN || '60', 10),
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later.', code: 'RATE_LIMITED' },
+  skip: req => !!req.apiKey
 });
 app.use(limiter);
 
-// Optional Redis caching
-let redis = null;
-if (process.env.REDIS_URL) {
-  redis = new Redis(process.env.REDIS_URL);
-  redis.on('error', (e) => console.error('Redis error', e.message || e));
-}
-const CACHE_TTL = parseInt(process.env.CACHE_TTL_SEC || `${60 * 60 * 24}`, 10);
+// Generation cache (see lib/cache.js): Redis, or an in-process LRU without it. Results stay fresh for
+// CACHE_TTL_SEC, then are served for CACHE_STALE_SEC more while one background generation refreshes them.
+const { createCache } = require('./lib/cache');
+const generationCache = createCache({
+  redis,
+  prefix: 'metagen:cache',
+  ttlSec: parseInt(process.env.CACHE_TTL_SEC || `${60 * 60 * 24}`, 10),
+  staleSec: parseInt(process.env.CACHE_STALE_SEC || `${60 * 60}`, 10),
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10),
+  onLookup: result => metric.cacheLookups.inc({ result })
+});
 
 // Helpers
 function sha1(s) { return crypto.createHash('sha1').update(s).digest('hex'); }
-async function getCache(k) { if (!redis) return null; try { const v = await redis.get(k); return v ? JSON.parse(v) : null; } catch (e) { console.warn('Cache read error', e.message || e); return null; } }
-async function setCache(k, v, ttl = CACHE_TTL) { if (!redis) return; try { await redis.set(k, JSON.stringify(v), 'EX', ttl); } catch (e) { console.warn('Cache write error', e.message || e); } }
-
-// Simple HTML extractors (no external libs)
-function extractTitle(html) {
-  const m = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-  return m ? m[1].trim() : null;
-}
-function extractMetaDescription(html) {
-  const m = html.match(/<meta\s+name=["']description["']\s+content=["']([\s\S]*?)["']\s*\/?>/i) ||
-            html.match(/<meta\s+content=["']([\s\S]*?)["']\s+name=["']description["']\s*\/?>/i);
-  return m ? m[1].trim() : null;
-}
-function extractFirstH1(html) {
-  const m = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
-  return m ? stripTags(m[1]).trim() : null;
-}
-function stripTags(s) {
-  return s.replace(/<script[\s\S]*?>[\s\S]*?<\/script>/gi, '')
-          .replace(/<style[\s\S]*?>[\s\S]*?<\/style>/gi, '')
-          .replace(/<\/?[^>]+(>|$)/g, '')
-          .replace(/\s{2,}/g, ' ')
-          .trim();
-}
-function extractBodySnippet(html, maxChars = 1200) {
-  const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
-  const raw = bodyMatch ? stripTags(bodyMatch[1]) : stripTags(html);
-  return raw.slice(0, maxChars).trim();
-}
-
-// Heuristic: derive keyword from H1 > title > meta > body
-function deriveKeyword({ h1, title, meta, body }) {
+
+// Cached result of `generate({ background })` for `key`; results of the heuristic generator aren't stored.
+// `bypass` (local HTML, heuristic requests) skips the cache altogether.
+async function cachedGeneration(key, generate, { tags, bypass = false }) {
+  if (bypass) return generate({ background: false });
+  const { value, result } = await generationCache.resolve(key, generate, { tags, cacheable: p => p.provider !== 'heuristic' });
+  return result === 'miss' || result === 'error' ? value : { fromCache: true, ...value };
+}
+
+const { fetchHtml } = require('./lib/safe-fetch');
+const { extractPage } = require('./lib/extract');
+
+// Language detection, per-language stopwords/filler and transliterating slugs (see lib/language.js)
+const {
+  DEFAULT_LANGUAGE, SLUG_STYLES, SUPPORTED_LANGUAGES, normalizeLanguage, isSupportedLanguage, languageName, resolveLanguage, stopwordsFor, metaFiller, isUnspacedLanguage,
+  tokenize, slugify
+} = require('./lib/language');
+
+// Ranked keyword candidates from the whole page (see lib/keywords.js)
+const { extractKeywords } = require('./lib/keywords');
+
+// Heuristic: derive keyword from H1 > title > meta > body, skipping the language's stopwords.
+// Fallback for pages too thin for extractKeywords to find a candidate.
+function deriveKeyword({ h1, title, meta, body, language = DEFAULT_LANGUAGE }) {
   const source = h1 || title || meta || body || '';
-  // simple stopwords list
-  const stopwords = new Set(['the','and','for','with','a','an','of','to','in','on','best','top','how','what','is','guide']);
-  const words = source
-    .replace(/[^\w\s-]/g, ' ')
-    .toLowerCase()
-    .split(/\s+/)
-    .filter(Boolean)
+  const stopwords = stopwordsFor(language);
+  const words = tokenize(source, language)
     .filter(w => !stopwords.has(w))
     .slice(0, 8);
 
@@ -124,541 +269,2472 @@ function deriveKeyword({ h1, title, meta, body }) {
     return (title || '').split('|')[0].split('-')[0].trim() || '';
   }
   // choose top 2-3 words to form a short phrase (1-3 words)
-  return words.slice(0, Math.min(3, words.length)).join(' ');
+  return words.slice(0, Math.min(3, words.length)).join(isUnspacedLanguage(language) ? '' : ' ');
 }
 
-// Slugify utility
-function slugify(text, maxlen = 80) {
-  if (!text) return '';
-  let s = text.toLowerCase().trim();
-  s = s.normalize('NFKD').replace(/[\u0300-\u036f]/g, ''); // remove diacritics
-  s = s.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
-  if (s.length > maxlen) s = s.slice(0, maxlen).replace(/-+$/,'');
-  return s;
+// SERP pixel widths (see lib/serp.js): titles and snippets are trimmed by rendered width, not characters
+const { SERP_LAYOUT, META_MIN_FILL, serpFit, fitSerpWidth, measureText, maxSerpWidth, renderPreviewHtml, renderPreviewSvg } = require('./lib/serp');
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-// Adjust title to be <= 60 chars and ensure keyword present
-function adjustTitle(title, keyword, maxLen = 60) {
+// Adjust title to fit the SERP title width (600px desktop) and ensure keyword present.
+// With a style profile: the brand suffix is (re)appended after fitting the rest into the
+// remaining budget, and the profile's capitalization is applied.
+function adjustTitle(title, keyword, device = 'desktop', { profile = null, language = DEFAULT_LANGUAGE } = {}) {
+  const suffix = profile ? profile.titleSuffix : '';
+  const size = SERP_LAYOUT[device].title.size;
+  const limit = Math.min((profile && profile.titleMaxWidth) || Infinity, maxSerpWidth('title', device)) - measureText(suffix, size);
   if (!title) title = keyword || '';
+  title = title.replace(/\s+/g, ' ').trim();
+  // the suffix is added last; drop it if the model already wrote it
+  if (suffix.trim()) {
+    title = title.replace(new RegExp(`[\\s|:–—-]*${escapeRegExp(suffix.trim())}$`, 'i'), '').trim() || keyword || '';
+  }
   // ensure keyword present
   const hasKeyword = keyword && title.toLowerCase().includes(keyword.toLowerCase());
   if (!hasKeyword && keyword) {
     title = `${keyword} — ${title}`.trim();
   }
-  // truncate safely (but keep keyword)
-  if (title.length <= maxLen) return title;
-  // if keyword present, attempt to keep it
-  if (keyword && title.toLowerCase().includes(keyword.toLowerCase())) {
-    // try to cut from the end but keep keyword intact
-    const idx = title.toLowerCase().indexOf(keyword.toLowerCase());
-    // if keyword occurs near end and truncation cuts after it, just cut after keyword
-    if (idx + keyword.length <= maxLen) {
-      // keep until maxLen
-      return title.slice(0, maxLen).trim().replace(/\s+$/,'');
-    } else {
-      // keyword would be cut — move keyword to front
-      let newTitle = `${keyword} - ${title.replace(new RegExp(keyword,'i'), '').trim()}`;
-      if (newTitle.length > maxLen) newTitle = newTitle.slice(0, maxLen).trim();
-      return newTitle;
-    }
-  } else {
-    // no keyword, simple truncate to last space before maxLen
-    const cut = title.slice(0, maxLen);
-    const lastSpace = cut.lastIndexOf(' ');
-    return (lastSpace > 35 ? cut.slice(0, lastSpace) : cut).trim();
-  }
+  if (profile) title = applyCase(title, profile.titleCase, language);
+  if (measureText(title, size) <= limit) return title + suffix;
+  const fitted = fitSerpWidth(title, 'title', device, limit);
+  if (!keyword || fitted.toLowerCase().includes(keyword.toLowerCase())) return fitted + suffix;
+  // keyword would be cut — move keyword to front
+  const kw = title.match(new RegExp(escapeRegExp(keyword), 'i'))[0];
+  const rest = title.replace(new RegExp(escapeRegExp(keyword), 'i'), '').replace(/^[\s—–|:-]+/, '').trim();
+  return fitSerpWidth(`${kw} - ${rest}`, 'title', device, limit) + suffix;
 }
 
-// Adjust meta: target ~158 chars, clamp to [140,160] (we choose slightly flexible min)
-function adjustMeta(meta, keyword, target = 158, minLen = 140, maxLen = 160) {
+// Adjust meta: fit the SERP snippet width (~990px desktop), pad short ones, keyword present.
+// With a style profile: fit its budget and append its first required CTA when none is present.
+// Heuristic metas are already built from page sentences: they aren't padded and are cut at a sentence/clause end.
+function adjustMeta(meta, keyword, { device = 'desktop', language = DEFAULT_LANGUAGE, profile = null, heuristic = false } = {}) {
+  const size = SERP_LAYOUT[device].snippet.size;
+  const limit = Math.min((profile && profile.metaMaxWidth) || Infinity, maxSerpWidth('snippet', device));
   if (!meta) meta = '';
   meta = meta.replace(/\s{2,}/g, ' ').trim();
-  // ensure keyword presence
+  // If narrower than META_MIN_FILL of the SERP width, expand by appending supporting phrase
+  const filler = heuristic ? '' : metaFiller(language);
+  if (filler && measureText(meta, size) < limit * META_MIN_FILL) {
+    meta = `${meta} ${filler}`.trim();
+  }
+  const ctas = profile ? profile.requiredCta : [];
+  const cta = ctas.length && !ctas.some(c => meta.toLowerCase().includes(c.toLowerCase())) ? ctas[0] : '';
+  const ctaRoom = cta ? measureText(`. ${cta}`, size) : 0;
+  const fit = { atBoundary: heuristic };
+  meta = fitSerpWidth(meta, 'snippet', device, limit - ctaRoom, fit);
+  // ensure keyword presence, trimming the text to leave room for it
   if (keyword && !meta.toLowerCase().includes(keyword.toLowerCase())) {
-    // try to append keyword naturally
-    meta = `${meta} — ${keyword}`;
-  }
-  // If length too long, cut at nearest space before maxLen
-  if (meta.length > maxLen) {
-    let cut = meta.slice(0, maxLen);
-    const lastSpace = cut.lastIndexOf(' ');
-    if (lastSpace > Math.floor(maxLen * 0.6)) cut = cut.slice(0, lastSpace);
-    meta = cut.trim();
-  }
-  // If too short, expand by appending supporting phrase
-  if (meta.length < minLen) {
-    // add a short CTA + title-ish extension to reach target
-    const filler = ' Learn more about this topic and improve your results.';
-    meta = (meta + filler).trim();
-    if (meta.length > maxLen) meta = meta.slice(0, maxLen).trim();
-  }
-  // Final trim to ensure not exceeding max
-  if (meta.length > maxLen) meta = meta.slice(0, maxLen).trim();
+    const suffix = ` — ${keyword}`;
+    const room = limit - ctaRoom - measureText(suffix, size);
+    meta = `${fitSerpWidth(meta, 'snippet', device, room, fit)}${suffix}`;
+  }
+  if (cta) meta = /[.!?…]$/.test(meta) ? `${meta} ${cta}` : `${meta.replace(/[\s,;:–—-]+$/, '')}. ${cta}`;
   return meta;
 }
 
-// Reuse your existing AI calls (ensure they exist in your file)
-async function callGoogle(prompt) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) throw new Error('No GEMINI_API_KEY configured');
+// Apply adjustTitle/adjustMeta to final candidates, counting the ones it had to change (metagen_output_repairs_total)
+function repairAll(field, list, fix) {
+  return list.map(text => {
+    const out = fix(String(text));
+    if (out !== String(text)) metric.outputRepairs.inc({ field });
+    return out;
+  });
+}
 
-  const model = process.env.GEMINI_MODEL || 'models/text-bison-001';
-  const url = `https://generativelanguage.googleapis.com/v1beta2/${model}:generateText`;
-  const body = {
-    "prompt": { "text": prompt },
-    "maxOutputTokens": parseInt(process.env.GEMINI_MAX_TOKENS || '512', 10),
-    "temperature": parseFloat(process.env.GEMINI_TEMPERATURE || '0.6')
-  };
+// LLM providers: ordered fallback chain with timeouts, retries and circuit breakers (see lib/providers.js)
+const { createProviderRegistry, loadProviderConfig } = require('./lib/providers');
+const providers = createProviderRegistry(loadProviderConfig(), {
+  // metrics for every call; provider calls and tokens are also metered against the API key of the request that made them
+  onCall: ({ provider, model, ok, ms, usage, costUsd, fallback }) => {
+    const labels = { provider, model: model || 'unknown' };
+    metric.providerCalls.inc({ ...labels, outcome: ok ? 'ok' : 'error' });
+    metric.providerDuration.observe(labels, ms / 1000);
+    if (ok && fallback) metric.providerFallbacks.inc(labels);
+    if (usage) {
+      metric.providerTokens.inc({ ...labels, type: 'prompt' }, usage.promptTokens);
+      metric.providerTokens.inc({ ...labels, type: 'completion' }, usage.completionTokens);
+    }
+    if (costUsd) metric.providerCost.inc(labels, costUsd);
+    const key = currentApiKey();
+    if (!key) return;
+    apiKeys.record(key.id, { providerCalls: 1, providerErrors: ok ? 0 : 1, ...(usage || {}) })
+      .catch(e => logger.warn('Usage metering failed', { err: e }));
+  }
+});
 
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
-    body: JSON.stringify(body)
-  });
+// Run one generation against the caller's monthly quota (no-op without an API key). The
+// generation is reserved before it runs and given back when it fails.
+// Cached results count too: the quota is on results delivered, not on provider calls.
+async function withQuota(run) {
+  const key = currentApiKey();
+  const reservation = key ? await apiKeys.reserve(key, 1) : null;
+  try {
+    return await run();
+  } catch (err) {
+    if (reservation) await reservation.release().catch(e => logger.warn('Usage metering failed', { err: e }));
+    throw err;
+  }
+}
+
+// Model output parsing + schema validation with repair re-prompting (see lib/validate.js)
+const { generateValidated, validateOutput } = require('./lib/validate');
+const LLM_REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS || '1', 10);
+
+// Output schemas matching what buildPromptForUrl / buildPrompt ask for
+const URL_OUTPUT_SCHEMA = {
+  titles: { type: 'array', items: 5, serpWidth: 'title', keyword: true },
+  metas: { type: 'array', items: 3, minLength: 150, serpWidth: 'snippet', keyword: true },
+  slug: { type: 'slug', maxLength: 80 }
+};
+const KEYWORD_OUTPUT_SCHEMA = {
+  titles: { type: 'array', items: 5, serpWidth: 'title', keyword: true },
+  metas: { type: 'array', items: 3, serpWidth: 'snippet', keyword: true },
+  slug: { type: 'slug', maxLength: 80 }
+};
+
+// -------------------- Heuristic generator -------------------- //
+// Rule-based output from the page itself (see lib/heuristic.js), reported as provider "heuristic".
+// `generator`: "auto" (default) = providers, then heuristic output if every provider failed;
+// "ai" = providers only (PROVIDER_EXHAUSTED as before); "heuristic" = no provider call.
+// API keys with `"generator": "heuristic"` (e.g. a free tier) always get heuristic output.
+const { heuristicMeta } = require('./lib/heuristic');
+const GENERATORS = ['auto', 'ai', 'heuristic'];
+const HEURISTIC_FALLBACK = process.env.HEURISTIC_FALLBACK !== '0';
+
+// `generator` request parameter -> the generator this request gets
+function resolveGenerator(requested) {
+  if (requested !== undefined && requested !== null && requested !== '' && !GENERATORS.includes(requested)) {
+    throw httpError(400, `generator must be one of ${GENERATORS.join(', ')}`);
+  }
+  const key = currentApiKey();
+  if (key && key.generator === 'heuristic') return 'heuristic';
+  return requested || 'auto';
+}
+
+// generateValidated() with the heuristic generator behind it. `heuristic` is the input for
+// heuristicMeta (keyword, page, contentType, limits, ...). Resolves like generateValidated;
+// heuristic output has provider "heuristic" and its validation is marked `origin: "heuristic"`.
+async function generateOutput(prompt, schema, { keyword, generator = 'auto', heuristic, onEvent, onToken }) {
+  let reason = 'requested';
+  if (generator !== 'heuristic') {
+    try {
+      return await generateValidated(providers, prompt, schema, { keyword, maxRepairs: LLM_REPAIR_ATTEMPTS, onEvent, onToken });
+    } catch (err) {
+      if (generator === 'ai' || !HEURISTIC_FALLBACK || err.code !== 'PROVIDER_EXHAUSTED') throw err;
+      logger.warn('All providers failed, answering with heuristic output', { detail: err.detail, attempts: err.attempts });
+      reason = 'fallback';
+    }
+  }
+  metric.heuristicGenerations.inc({ reason });
+  const parsed = heuristicMeta({ keyword, ...heuristic });
+  if (onEvent) onEvent({ type: 'succeeded', provider: 'heuristic', reason });
+  const validation = validateOutput(parsed, schema, { keyword });
+  validation.attempts = 1;
+  validation.origin = 'heuristic';
+  return { provider: 'heuristic', raw: JSON.stringify(parsed), meta: { reason }, parsed, validation };
+}
+
+// Character limits for heuristicMeta: the prompts' limits, or the style profile's
+function heuristicLimits(profile) {
+  const limits = profile ? profileCharLimits(profile) : { title: 60, meta: 160 };
+  return { title: limits.title, metaMin: limits.meta - 10, metaMax: limits.meta };
+}
+
+// Schema adjusted for the output language: unspaced scripts (CJK, Thai) say far more per
+// character, so the 150-char meta minimum is dropped; Unicode slugs may use any letters.
+function schemaForLanguage(schema, { language, slugStyle }) {
+  const out = { ...schema };
+  if (isUnspacedLanguage(language) || language === 'ko') {
+    const { minLength, ...metas } = schema.metas;
+    out.metas = metas;
+  }
+  if (slugStyle === 'unicode') out.slug = { ...schema.slug, unicode: true };
+  return out;
+}
+
+// Prompt lines telling the model which language to write in and how to form the slug
+function languageInstruction(language, slugStyle) {
+  const lines = [`- Write main_keyword, titles and metas in ${languageName(language)} (language code "${language}"), even if the instructions are in English.`];
+  lines.push(slugStyle === 'unicode'
+    ? '- The slug may keep the letters of that language: lowercase words separated by hyphens.'
+    : '- The slug must use only lowercase ASCII letters, digits and hyphens; transliterate non-Latin words.');
+  return lines.join('\n');
+}
+
+// Candidates the caller already has (`avoid`), e.g. to regenerate a single one in the embed widget
+const AVOID_MAX = 30;
 
-  if (!res.ok) {
-    const txt = await res.text().catch(() => '');
-    throw new Error(`Google API error ${res.status}: ${txt}`);
+function normalizeAvoid(v) {
+  if (v === undefined || v === null) return [];
+  if (!Array.isArray(v) || v.some(x => typeof x !== 'string')) throw httpError(400, 'avoid must be an array of strings');
+  if (v.length > AVOID_MAX) throw httpError(400, `avoid takes at most ${AVOID_MAX} candidates`);
+  return v.map(x => x.replace(/\s+/g, ' ').trim().slice(0, 300)).filter(Boolean);
+}
+
+function avoidInstruction(avoid) {
+  if (!avoid.length) return '';
+  return `- Write new candidates. Do not repeat or closely paraphrase any of these:\n${avoid.map(a => `  - "${a}"`).join('\n')}\n`;
+}
+
+function avoidCacheTag(avoid) {
+  return avoid.length ? `::avoid:${sha1(avoid.join('\n')).slice(0, 12)}` : '';
+}
+
+// -------------------- Style profiles -------------------- //
+// Named per-client rules (brand suffix, tone, banned words, CTAs, capitalization, length
+// budget) referenced by id as `profile`; see lib/profiles.js.
+const { createProfileStore, applyCase, scrubBannedWords, findBannedWords } = require('./lib/profiles');
+const profiles = createProfileStore({ redis, file: process.env.STYLE_PROFILES_FILE || null });
+
+// `profile` request parameter -> profile record (null when not given)
+async function resolveProfile(id) {
+  if (id === undefined || id === null || id === '') return null;
+  if (typeof id !== 'string') throw httpError(400, 'profile must be a style profile id');
+  const profile = await profiles.get(id);
+  if (!profile) {
+    const err = httpError(400, `Unknown style profile "${id}"`);
+    err.code = 'UNKNOWN_PROFILE';
+    throw err;
   }
-  const json = await res.json();
-  const text = json?.candidates?.[0]?.content || json?.output?.[0]?.content || JSON.stringify(json);
-  return { provider: 'google', raw: text, meta: json };
+  return profile;
+}
+
+// Cache-key part that changes whenever the profile's rules do
+function profileCacheTag(profile) {
+  return profile ? `::profile:${profile.id}:${sha1(JSON.stringify(profile)).slice(0, 12)}` : '';
 }
 
-async function callOpenRouter(prompt) {
-  const apiKey = process.env.OPENROUTER_API_KEY;
-  if (!apiKey) throw new Error('No OPENROUTER_API_KEY configured');
+// Pixel budget for the model-written part of a title (the brand suffix is appended later)
+function titleBudget(profile, device = 'desktop') {
+  const max = Math.min((profile && profile.titleMaxWidth) || Infinity, maxSerpWidth('title', device));
+  return max - measureText(profile ? profile.titleSuffix : '', SERP_LAYOUT[device].title.size);
+}
 
-  const model = process.env.OPENROUTER_MODEL || 'gpt-4o-mini';
-  const url = 'https://openrouter.ai/api/v1/chat/completions';
-  const body = {
-    model,
-    messages: [{ role: 'user', content: prompt }],
-    max_tokens: parseInt(process.env.OPENROUTER_MAX_TOKENS || '400', 10),
-    temperature: parseFloat(process.env.OPENROUTER_TEMPERATURE || '0.6')
+// Rough character equivalents of the pixel budgets for the prompt (600px ~ 60, 990px ~ 160 chars)
+function profileCharLimits(profile) {
+  return {
+    title: Math.floor(60 * titleBudget(profile) / maxSerpWidth('title')),
+    meta: Math.floor(160 * Math.min((profile && profile.metaMaxWidth) || Infinity, maxSerpWidth('snippet')) / maxSerpWidth('snippet'))
   };
+}
+
+const CASE_LABELS = {
+  title: 'Title Case (capitalize major words)',
+  sentence: 'Sentence case (capitalize only the first word and proper nouns)',
+  upper: 'ALL CAPS',
+  lower: 'all lowercase'
+};
+
+function profileInstruction(profile) {
+  if (!profile) return '';
+  const limits = profileCharLimits(profile);
+  const lines = [`- Follow the "${profile.name}" brand style:`];
+  if (profile.tone) lines.push(`  - Tone of voice: ${profile.tone}.`);
+  if (profile.titleSuffix.trim()) {
+    lines.push(`  - Do NOT put "${profile.titleSuffix.trim()}" or the brand name at the end of titles; it is appended automatically.`);
+  }
+  if (profile.titleCase !== 'none') lines.push(`  - Titles in ${CASE_LABELS[profile.titleCase]}.`);
+  if (profile.bannedWords.length) lines.push(`  - Never use these words: ${profile.bannedWords.join(', ')}.`);
+  if (profile.requiredCta.length) {
+    lines.push(`  - Every description must include one of these calls to action: ${profile.requiredCta.map(c => `"${c}"`).join(', ')}.`);
+  }
+  if (profile.instructions) lines.push(`  - ${profile.instructions}`);
+  lines.push(`  - Keep titles within ${limits.title} characters and descriptions within ${limits.meta} characters.`);
+  return `${lines.join('\n')}\n`;
+}
 
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
+// Output schema tightened to the profile's budgets and banned words, so repair prompts enforce them too
+function schemaForProfile(schema, profile) {
+  if (!profile) return schema;
+  const banned = profile.bannedWords.length ? profile.bannedWords : undefined;
+  const out = { ...schema, titles: { ...schema.titles, maxWidth: titleBudget(profile), banned } };
+  const metas = { ...schema.metas, banned };
+  if (profile.metaMaxWidth) {
+    metas.maxWidth = profile.metaMaxWidth;
+    if (metas.minLength) metas.minLength = Math.min(metas.minLength, profileCharLimits(profile).meta - 10);
+  }
+  out.metas = metas;
+  return out;
+}
+
+/**
+ * Enforce a profile on adjusted candidates (adjustTitle/adjustMeta already applied suffix,
+ * budget, case and CTA). Candidates with banned words are dropped; if that would drop all of
+ * them, the words are scrubbed instead. Returns { titles, metas, slug, exclude, report } where
+ * exclude holds dropped indexes and report = { id, name, applied, violations } lists what the
+ * model output broke (and whether it was fixed).
+ */
+function enforceProfile(profile, { aiTitles = [], aiMetas = [], titles, metas, slug, language }) {
+  const violations = [];
+  const exclude = { titles: new Set(), metas: new Set() };
+  const applied = [];
+  if (profile.titleSuffix.trim()) applied.push('titleSuffix');
+  if (profile.titleMaxWidth || profile.metaMaxWidth || profile.titleSuffix.trim()) applied.push('lengthBudget');
+  if (profile.titleCase !== 'none') applied.push('titleCase');
+  if (profile.tone) applied.push('tone');
+  if (profile.bannedWords.length) applied.push('bannedWords');
+  if (profile.requiredCta.length) applied.push('requiredCta');
+  if (profile.instructions) applied.push('instructions');
+
+  // what the model got wrong (all fixed by post-processing except banned words, handled below)
+  const budget = titleBudget(profile);
+  aiTitles.forEach((t, index) => {
+    if (typeof t !== 'string') return;
+    const core = profile.titleSuffix.trim() ? t.replace(new RegExp(`[\\s|:–—-]*${escapeRegExp(profile.titleSuffix.trim())}$`, 'i'), '') : t;
+    if (measureText(core, SERP_LAYOUT.desktop.title.size) > budget) {
+      violations.push({ rule: 'lengthBudget', field: 'titles', index, message: `wider than the ${Math.round(budget)}px left for the title`, fixed: true });
+    }
+    if (profile.titleCase !== 'none' && applyCase(core, profile.titleCase, language) !== core) {
+      violations.push({ rule: 'titleCase', field: 'titles', index, message: `not in ${profile.titleCase} case`, fixed: true });
+    }
+  });
+  aiMetas.forEach((m, index) => {
+    if (typeof m !== 'string' || !profile.requiredCta.length) return;
+    if (!profile.requiredCta.some(c => m.toLowerCase().includes(c.toLowerCase()))) {
+      violations.push({ rule: 'requiredCta', field: 'metas', index, message: 'no required call to action', fixed: true });
+    }
   });
 
-  if (!res.ok) {
-    const txt = await res.text().catch(() => '');
-    throw new Error(`OpenRouter API error ${res.status}: ${txt}`);
+  let outTitles = titles;
+  let outMetas = metas;
+  let outSlug = slug;
+  if (profile.bannedWords.length) {
+    const filter = (list, field) => {
+      const hits = list.map(text => findBannedWords(text, profile.bannedWords));
+      const dirty = hits.map((h, i) => (h.length ? i : -1)).filter(i => i >= 0);
+      const scrub = dirty.length === list.length;
+      dirty.forEach(index => {
+        violations.push({ rule: 'bannedWords', field, index, words: hits[index], message: `uses ${hits[index].join(', ')}`, fixed: true, action: scrub ? 'scrubbed' : 'removed' });
+        if (!scrub) exclude[field].add(index);
+      });
+      return scrub ? list.map(text => scrubBannedWords(text, profile.bannedWords)) : list;
+    };
+    outTitles = filter(titles, 'titles');
+    outMetas = filter(metas, 'metas');
+    if (slug) {
+      const parts = slug.split('-');
+      const kept = parts.filter(part => !findBannedWords(part, profile.bannedWords).length);
+      if (kept.length !== parts.length && kept.length) {
+        violations.push({ rule: 'bannedWords', field: 'slug', message: 'banned words removed from the slug', fixed: true });
+        outSlug = kept.join('-');
+      }
+    }
   }
-  const json = await res.json();
-  const text = json?.choices?.[0]?.message?.content || JSON.stringify(json);
-  return { provider: 'openrouter', raw: text, meta: json };
+  return {
+    titles: outTitles,
+    metas: outMetas,
+    slug: outSlug,
+    exclude,
+    report: { id: profile.id, name: profile.name, applied, violations }
+  };
+}
+
+const {
+  PLATFORM_LIMITS, SCHEMA_TYPES, chooseSchemaType, schemaPromptHint, buildJsonLd, validateJsonLd, buildHeadHtml, fitToLimit
+} = require('./lib/structured-data');
+
+// Extra output fields requested in "full" mode (Open Graph, Twitter card, JSON-LD)
+const SOCIAL_OUTPUT_SCHEMA = {
+  og_title: { type: 'string', maxLength: PLATFORM_LIMITS.og.title, optional: true },
+  og_description: { type: 'string', maxLength: PLATFORM_LIMITS.og.description, optional: true },
+  twitter_title: { type: 'string', maxLength: PLATFORM_LIMITS.twitter.title, optional: true },
+  twitter_description: { type: 'string', maxLength: PLATFORM_LIMITS.twitter.description, optional: true },
+  schema: { type: 'object', optional: true }
+};
+
+// Per-item provenance for the response: "ai" = model output used as-is ("heuristic" when the
+// rule-based generator wrote it), "adjusted" = patched by adjustTitle/adjustMeta, "template" = filled in
+// because the output had no such item
+function describeItems(aiItems, finalItems, origin = 'ai') {
+  return finalItems.map((text, i) => {
+    const ai = (aiItems || [])[i];
+    if (!ai || typeof ai.value !== 'string') return { text, source: 'template', ai: null, checks: null, pass: false };
+    return { text, source: ai.value === text ? origin : 'adjusted', ai: ai.value, checks: ai.checks, pass: ai.pass };
+  });
 }
 
-// Parse JSON block from AI model output
-function parseJsonFromModel(text) {
-  if (!text || typeof text !== 'string') return { raw: text };
-  const start = text.indexOf('{');
-  const end = text.lastIndexOf('}');
-  if (start !== -1 && end !== -1 && end > start) {
-    const candidate = text.slice(start, end + 1);
-    try { return JSON.parse(candidate); } catch (err) { /* fallthrough */ }
+function validationReport(validation, { titles, metas, slug }) {
+  const f = validation.fields || {};
+  const origin = validation.origin || 'ai';
+  return {
+    valid: validation.valid,
+    attempts: validation.attempts,
+    violations: validation.violations,
+    titles: describeItems(f.titles, titles, origin),
+    metas: describeItems(f.metas, metas, origin),
+    slug: describeItems(f.slug ? [f.slug] : [], [slug], origin)[0]
+  };
+}
+
+// LLM-free candidate scoring (see lib/score.js), also used to rank generated candidates
+const { scoreCandidates, rankCandidates } = require('./lib/score');
+
+// Sort generated titles/metas best first and reorder the validation report to match.
+// scores[i] belongs to titles[i]; `index` is the candidate's position in the model output.
+// `exclude` ({ titles: Set, metas: Set } of indexes) drops candidates, e.g. ones a style profile rejected.
+function rankOutput(validation, { page = {}, keyword, language, titles, metas, slug, exclude = {} }) {
+  const report = validationReport(validation, { titles, metas, slug });
+  const kept = (list, drop) => list.map((_, i) => i).filter(i => !(drop && drop.has(i)));
+  const keptTitles = kept(titles, exclude.titles);
+  const keptMetas = kept(metas, exclude.metas);
+  const ranked = rankCandidates({ page, keyword, language, titles: keptTitles.map(i => titles[i]), metas: keptMetas.map(i => metas[i]) });
+  const order = {
+    titles: ranked.order.titles.map(j => keptTitles[j]),
+    metas: ranked.order.metas.map(j => keptMetas[j])
+  };
+  const reorder = (list, idx) => idx.map(i => list[i]);
+  const withIndex = (list, idx) => list.map((sc, i) => ({ index: idx[i], ...sc }));
+  report.titles = reorder(report.titles, order.titles);
+  report.metas = reorder(report.metas, order.metas);
+  return {
+    titles: reorder(titles, order.titles),
+    metas: reorder(metas, order.metas),
+    validation: report,
+    scores: {
+      titles: withIndex(ranked.titles, order.titles),
+      metas: withIndex(ranked.metas, order.metas),
+      slug: scoreCandidates({ keyword, language, slug }).slug
+    }
+  };
+}
+
+// Page context block shared by the URL prompts (output of extractPage)
+function describePageForPrompt(page, { contentChars = 1500 } = {}) {
+  const lines = [
+    `Title tag: "${page.titleTag || ''}"`,
+    `H1: "${page.h1 || ''}"`,
+    `Meta description: "${page.metaDesc || ''}"`
+  ];
+  const og = page.openGraph || {};
+  const tw = page.twitter || {};
+  if (og.title || og.description) lines.push(`Open Graph: title "${og.title || ''}", description "${og.description || ''}"${og.type ? `, type ${og.type}` : ''}`);
+  if (tw.title || tw.description) lines.push(`Twitter card: title "${tw.title || ''}", description "${tw.description || ''}"`);
+  if (page.jsonLdTypes && page.jsonLdTypes.length) lines.push(`Structured data types: ${page.jsonLdTypes.join(', ')}`);
+  if (page.headings && page.headings.length) {
+    const outline = page.headings.slice(0, 25).map(h => `${'  '.repeat(h.level - 1)}- H${h.level}: ${h.text.slice(0, 120)}`);
+    lines.push(`Heading outline:\n${outline.join('\n')}`);
   }
-  // fallback: try to find lines like "slug: ..." (not ideal)
-  return { raw: text };
+  lines.push(`Main content: "${(page.mainContent || page.snippet || '').replace(/\s+/g, ' ').slice(0, contentChars)}"`);
+  return lines.join('\n');
 }
 
-// Build a strict prompt for URL-based generation
-function buildPromptForUrl({ main_keyword, title, h1, meta, snippet }) {
-  // instruct model to return strict JSON only
-  return `You are an expert SEO writer. Using the provided page content below, produce a strict JSON object with these fields:
-- "main_keyword": a short phrase (1-4 words) that is the primary keyword for this page. It must EXACTLY match the main keyword you choose.
-- "titles": an array of 5 SEO meta titles. Each title MUST include the main_keyword EXACTLY (case may vary). Each title must be <= 60 characters.
-- "metas": an array of 3 meta descriptions. Each description MUST include the main_keyword EXACTLY, and each must be between 150 and 160 characters long (aim for ~158). Do not include URLs or extra quotes.
-- "slug": a recommended URL-friendly slug (lowercase, hyphens, no spaces), up to 80 characters.
+// Instructions appended to the URL prompt in "full" mode
+function socialPromptFields(schemaType) {
+  return `- "og_title": Open Graph title, <= ${PLATFORM_LIMITS.og.title} characters, written for social sharing.
+- "og_description": Open Graph description, <= ${PLATFORM_LIMITS.og.description} characters.
+- "twitter_title": Twitter card title, <= ${PLATFORM_LIMITS.twitter.title} characters.
+- "twitter_description": Twitter card description, <= ${PLATFORM_LIMITS.twitter.description} characters.
+- "schema": fields for a schema.org ${schemaType} JSON-LD block: ${schemaPromptHint(schemaType)}. Only use facts stated in the page content.
+`;
+}
 
-Return ONLY valid JSON (no explanations). Use the content to make titles and metas accurate and compelling.
+// -------------------- Prompt templates -------------------- //
+// One template per content type, versioned on disk (prompts/<type>/v<N>.txt, see lib/prompts.js).
+// URL input picks the type from the page signals unless `contentType` is given; keyword input
+// uses the requested type or blog-post.
+const { CONTENT_TYPES, DEFAULT_CONTENT_TYPE, loadPromptLibrary, detectContentType } = require('./lib/prompts');
+const promptLibrary = loadPromptLibrary();
+
+// `contentType` request parameter -> content type, or null for "auto" / not given
+function checkContentType(v) {
+  if (v === undefined || v === null || v === '' || v === 'auto') return null;
+  if (!CONTENT_TYPES.includes(v)) throw httpError(400, `contentType must be "auto" or one of ${CONTENT_TYPES.join(', ')}`);
+  return v;
+}
 
-PAGE CONTENT:
-Title tag: "${title || ''}"
-H1: "${h1 || ''}"
-Meta description: "${meta || ''}"
-Page snippet: "${snippet || ''}"
+// Cache-key part naming the template version used, plus a hash of every template so any edit invalidates
+function promptCacheTag(contentType) {
+  return `::prompt:${contentType}@v${promptLibrary.get(contentType).version}:${promptLibrary.fingerprint}`;
+}
 
-If main_keyword is provided to you, use it exactly. Otherwise select the best main keyword from the content.`;
+// Template variables shared by both flows; `page` is empty for keyword input
+function promptVars({ keyword = '', note = '', page = '', relatedTerms = [], limits, schemaType, language, slugStyle, profile, avoid = [], competitors = null, contentType }) {
+  return {
+    contentType,
+    keyword,
+    note,
+    page,
+    relatedTerms,
+    titleMax: limits.title,
+    metaMin: limits.meta - 10,
+    metaMax: limits.meta,
+    metaTarget: limits.meta - 2,
+    socialFields: schemaType ? socialPromptFields(schemaType) : '',
+    profileRules: profileInstruction(profile),
+    avoidRules: avoidInstruction(avoid),
+    competitorRules: competitorInstruction(competitors),
+    languageRules: languageInstruction(language, slugStyle)
+  };
 }
 
-// -------------------- End helpers -------------------- //
+// URL prompt from the content type's template: { text, contentType, version }.
+// `library` / `version` let `meta-gen eval` try other templates.
+function buildPromptForUrl({ main_keyword, page, schemaType, language = DEFAULT_LANGUAGE, slugStyle, relatedTerms = [], profile = null, avoid = [], competitors = null, contentType = DEFAULT_CONTENT_TYPE, note = '' }, { library = promptLibrary, version } = {}) {
+  const limits = profile ? profileCharLimits(profile) : { title: 60, meta: 160 };
+  return library.render(contentType, promptVars({
+    keyword: main_keyword || '', note, page: describePageForPrompt(page), relatedTerms, limits, schemaType, language, slugStyle, profile, avoid, competitors, contentType
+  }), { version });
+}
 
-// Health route
-app.get('/_health', (req, res) => res.json({ ok: true, env: process.env.NODE_ENV || 'production' }));
+// Response `prompt` block for keyword input, which has no page to detect the type from
+function keywordPromptInfo(requested, prompt) {
+  return { contentType: prompt.contentType, source: requested ? 'requested' : 'default', reason: null, version: prompt.version };
+}
 
-// Existing endpoint: keep original behavior (keyword -> meta-gen)
-app.post('/api/meta-gen', async (req, res) => {
-  // Keep original behavior: if keyword provided, use existing buildPrompt and flow
-  try {
-    const { keyword, note } = req.body || {};
-    if (!keyword || typeof keyword !== 'string' || keyword.trim().length < 2) {
-      return res.status(400).json({ error: 'keyword is required and must be a short string' });
-    }
-    const trimmedKeyword = keyword.trim().slice(0, 200);
-    const trimmedNote = (note || '').trim().slice(0, 1000);
-    const key = sha1(`meta:${trimmedKeyword}::${trimmedNote}`);
+// Keyword prompt from the content type's template: { text, contentType, version }
+function buildPrompt(keyword, note = '', maxTitleChars = 60, maxMetaChars = 160, { language = DEFAULT_LANGUAGE, slugStyle, profile = null, avoid = [], contentType = DEFAULT_CONTENT_TYPE } = {}) {
+  if (profile) {
+    const limits = profileCharLimits(profile);
+    maxTitleChars = Math.min(maxTitleChars, limits.title);
+    maxMetaChars = Math.min(maxMetaChars, limits.meta);
+  }
+  return promptLibrary.render(contentType, promptVars({
+    keyword, note, limits: { title: maxTitleChars, meta: maxMetaChars }, language, slugStyle, profile, avoid, contentType
+  }));
+}
 
-    const cached = await getCache(key);
-    if (cached) return res.json({ fromCache: true, ...cached });
+// Error carrying an HTTP status for the route handlers
+function httpError(status, message, detail) {
+  const err = new Error(message);
+  err.status = status;
+  if (detail !== undefined) err.detail = detail;
+  return err;
+}
 
-    const prompt = buildPrompt(trimmedKeyword, trimmedNote); // reuse existing prompt function if defined above in your file
-    try {
-      const g = await callGoogle(prompt);
-      const parsed = parseJsonFromModel(g.raw);
-      const payload = { provider: g.provider, parsed, meta: g.meta };
-      await setCache(key, payload);
-      return res.json(payload);
-    } catch (err) {
-      console.warn('Google failed:', err.message || err);
-      try {
-        const o = await callOpenRouter(prompt);
-        const parsed = parseJsonFromModel(o.raw);
-        const payload = { provider: o.provider, parsed, meta: o.meta };
-        await setCache(key, payload);
-        return res.json(payload);
-      } catch (err2) {
-        console.error('OpenRouter failed:', err2.message || err2);
-        return res.status(500).json({ error: 'All providers failed', detail: err2.message });
-      }
-    }
-  } catch (e) {
-    console.error('Internal error', e);
-    return res.status(500).json({ error: e.message || 'server error' });
+// Validate the optional `language` / `slugStyle` request parameters
+function checkLanguageOptions({ language, slugStyle }) {
+  if (language !== undefined && language !== '' && !normalizeLanguage(language)) {
+    throw httpError(400, 'language must be a language code such as "en", "de" or "pt-BR"');
   }
-});
+  if (language !== undefined && language !== '' && !isSupportedLanguage(language)) {
+    throw httpError(400, `language "${language}" is not supported; use one of ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+  if (slugStyle !== undefined && !SLUG_STYLES.includes(slugStyle)) {
+    throw httpError(400, `slugStyle must be one of ${SLUG_STYLES.join(', ')}`);
+  }
+}
 
-// NEW: Endpoint - create title/meta/slug from a URL
-app.post('/api/meta-from-url', async (req, res) => {
+// Fetch a user-supplied URL through the safe-fetch layer (SSRF guard, limits, charset decoding)
+async function fetchPageHtml(url) {
+  const done = metric.fetchDuration.startTimer();
   try {
-    const { url, keyword: providedKeyword, note } = req.body || {};
-    if (!url || typeof url !== 'string') {
-      return res.status(400).json({ error: 'url is required (full https://...).' });
-    }
-    // simple URL validation
-    if (!/^https?:\/\//i.test(url)) {
-      return res.status(400).json({ error: 'url must start with http:// or https://'});
+    const { text } = await fetchHtml(url);
+    done({ outcome: 'ok' });
+    return text;
+  } catch (err) {
+    done({ outcome: 'error' });
+    metric.fetchFailures.inc({ code: err.code || 'FETCH_FAILED' });
+    logger.warn('Page fetch failed', { url, err });
+    const e = httpError(err.status || 400, 'Failed to fetch the provided URL', err.message);
+    e.code = err.code || 'FETCH_FAILED';
+    throw e;
+  }
+}
+
+// Fetch (unless `html` is given) and extract a page. App shells advertising a prerendered variant
+// (AJAX-crawling `fragment` meta, AMP) are read from that variant when it has more content.
+async function loadPage(url, { html, prerendered = true } = {}) {
+  const page = extractPage(html === undefined ? await fetchPageHtml(url) : html, { url });
+  const variantUrl = prerendered && page.spa && page.spa.shell && page.spa.prerenderedUrl;
+  if (!variantUrl) return page;
+  try {
+    const variant = extractPage(await fetchPageHtml(variantUrl), { url: variantUrl });
+    if (variant.wordCount > page.wordCount) {
+      return { ...variant, canonical: page.canonical || variant.canonical, spa: { ...page.spa, sources: ['prerendered'] } };
     }
+  } catch (err) {
+    logger.info('Prerendered variant not usable', { url: variantUrl, err: err.message });
+  }
+  return page;
+}
 
-    const cacheKey = sha1(`urlmeta:${url}::${providedKeyword||''}::${note||''}`);
-    const cached = await getCache(cacheKey);
-    if (cached) return res.json({ fromCache: true, ...cached });
+// Below this many words of page content, results carry a THIN_CONTENT warning
+const THIN_CONTENT_WORDS = parseInt(process.env.THIN_CONTENT_WORDS || '50', 10);
+
+// Warnings about the page a URL result was written from: [{ code, message }]
+function pageWarnings(page) {
+  const warnings = [];
+  const spa = page.spa || {};
+  if (spa.shell) {
+    const from = spa.sources.includes('prerendered') ? `the prerendered variant ${spa.prerenderedUrl}` : spa.sources.join(', ');
+    warnings.push({
+      code: 'SPA_SHELL',
+      message: from
+        ? `The page is a JavaScript app shell (${spa.framework}); its content was read from ${from}`
+        : `The page is a JavaScript app shell (${spa.framework}) with no embedded content to read`
+    });
+  }
+  if (page.wordCount < THIN_CONTENT_WORDS) {
+    const words = `${page.wordCount} word${page.wordCount === 1 ? '' : 's'}`;
+    warnings.push({
+      code: 'THIN_CONTENT',
+      message: `Only ${words} of content found on the page; titles and descriptions may be generic. Add a "note" or a "keyword" to steer them`
+    });
+  }
+  return warnings;
+}
 
-    // fetch page HTML
-    let html;
-    try {
-      const resp = await fetch(url, { headers: { 'User-Agent': 'MetaGenTool/1.0 (+https://apextechagency.com)' }, redirect: 'follow' });
-      if (!resp.ok) {
-        throw new Error(`Unable to fetch URL: status ${resp.status}`);
+// -------------------- Competitor comparison -------------------- //
+// `competitors` (URL flow): pages competing for the keyword, e.g. the ones ranking for it. Their
+// titles, descriptions and H1s are analysed (lib/competitors.js), the prompt asks for candidates
+// that stand apart from them, and each candidate is scored for similarity to every one of them.
+const { analyzeCompetitors, competitorInstruction, compareCandidates } = require('./lib/competitors');
+const COMPETITORS_MAX = 10;
+const COMPETITOR_CONCURRENCY = 4;
+const COMPETITOR_SIMILARITY_MAX = parseFloat(process.env.COMPETITOR_SIMILARITY_MAX || '0.6');
+
+// `competitors` request parameter -> unique URLs other than the page's own
+function normalizeCompetitors(v, ownUrl) {
+  if (v === undefined || v === null) return [];
+  if (!Array.isArray(v) || v.some(x => typeof x !== 'string' || !/^https?:\/\//i.test(x.trim()))) {
+    throw httpError(400, 'competitors must be an array of URLs (full https://...)');
+  }
+  if (v.length > COMPETITORS_MAX) throw httpError(400, `competitors takes at most ${COMPETITORS_MAX} URLs`);
+  return Array.from(new Set(v.map(x => x.trim()))).filter(x => x !== ownUrl);
+}
+
+function competitorsCacheTag(urls) {
+  return urls.length ? `::competitors:${sha1(urls.join('\n')).slice(0, 12)}` : '';
+}
+
+// Title, description and H1 of each competitor, a few pages at a time. Pages that fail to load
+// are kept as { url, error, code } rather than failing the request.
+async function fetchCompetitors(urls) {
+  const out = new Array(urls.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const i = next++;
+      try {
+        const page = await loadPage(urls[i]);
+        out[i] = { url: urls[i], title: page.titleTag, description: page.metaDesc, h1: page.h1 };
+      } catch (err) {
+        out[i] = { url: urls[i], error: err.detail || err.message, code: err.code || null };
       }
-      html = await resp.text();
-    } catch (err) {
-      console.error('Fetch failed:', err.message || err);
-      return res.status(400).json({ error: 'Failed to fetch the provided URL', detail: err.message });
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(COMPETITOR_CONCURRENCY, urls.length) }, worker));
+  return out;
+}
 
-    // extract content
-    const titleTag = extractTitle(html) || '';
-    const metaDesc = extractMetaDescription(html) || '';
-    const h1 = extractFirstH1(html) || '';
-    const snippet = extractBodySnippet(html, 1200) || '';
+// Open Graph / Twitter / JSON-LD output for "full" mode, each field fitted to its platform limit
+function buildSocialOutput({ page, url, fields, titles, metas, schemaType, schemaReason }) {
+  const f = fields || {};
+  const pick = (name, fallback, max) => {
+    const ai = f[name] && typeof f[name].value === 'string' ? f[name].value : '';
+    const value = fitToLimit(ai || fallback, max);
+    const source = !ai ? 'fallback' : (value === ai ? 'ai' : 'adjusted');
+    return { value, source, length: value.length, limit: max, pass: !!value && value.length <= max };
+  };
+  const checks = {
+    og_title: pick('og_title', titles[0], PLATFORM_LIMITS.og.title),
+    og_description: pick('og_description', metas[0], PLATFORM_LIMITS.og.description),
+    twitter_title: pick('twitter_title', titles[0], PLATFORM_LIMITS.twitter.title),
+    twitter_description: pick('twitter_description', metas[0], PLATFORM_LIMITS.twitter.description)
+  };
+  const pageOg = page.openGraph || {};
+  const canonical = page.canonical || url;
+  const og = {
+    title: checks.og_title.value,
+    description: checks.og_description.value,
+    type: pageOg.type || (schemaType === 'Article' ? 'article' : (schemaType === 'Product' ? 'product' : 'website')),
+    url: canonical,
+    image: pageOg.image || (page.twitter || {}).image || '',
+    site_name: pageOg.site_name || ''
+  };
+  const twitter = {
+    card: (page.twitter || {}).card || (og.image ? 'summary_large_image' : 'summary'),
+    title: checks.twitter_title.value,
+    description: checks.twitter_description.value,
+    image: (page.twitter || {}).image || og.image || ''
+  };
 
-    // derive keyword
-    const derived = deriveKeyword({ h1, title: titleTag, meta: metaDesc, body: snippet });
-    const main_keyword = (providedKeyword && providedKeyword.trim()) ? providedKeyword.trim() : (derived || '').trim();
-    if (!main_keyword) {
-      return res.status(400).json({ error: 'Could not derive a main keyword from the page. Please provide a keyword.' });
-    }
+  const schemaFields = f.schema && f.schema.value ? f.schema.value : {};
+  const data = buildJsonLd(schemaType, { page, url, fields: schemaFields, title: titles[0], description: metas[0] });
+  return {
+    og,
+    twitter,
+    jsonLd: { type: schemaType, reason: schemaReason, data, validation: validateJsonLd(data) },
+    checks,
+    headHtml: buildHeadHtml({ title: titles[0], description: metas[0], canonical, og, twitter, jsonLd: data })
+  };
+}
 
-    // Build prompt for AI
-    const prompt = buildPromptForUrl({ main_keyword, title: titleTag, h1, meta: metaDesc, snippet });
+const { openEventStream, createCandidateTracker } = require('./lib/sse');
+
+// generateValidated hooks that turn provider events and streamed tokens into progress
+// events: provider / repair / token / candidate. `adjust(field, text)` post-processes candidates.
+function progressHooks(onProgress, adjust = (field, text) => text) {
+  if (!onProgress) return { finish() {} };
+  const tracker = createCandidateTracker(['titles', 'metas'], c => onProgress('candidate', { ...c, text: adjust(c.field, c.text) }));
+  return {
+    onEvent: ev => {
+      // a new attempt replaces whatever the previous one streamed
+      if (ev.type === 'attempt') tracker.reset();
+      onProgress(ev.type === 'repair' ? 'repair' : 'provider', ev);
+    },
+    onToken: text => {
+      onProgress('token', { text });
+      tracker.push(text);
+    },
+    finish: parsed => tracker.finish(parsed)
+  };
+}
 
-    // Call providers
-    let aiResp;
-    try {
-      aiResp = await callGoogle(prompt);
-    } catch (e1) {
-      console.warn('Google failed for URL flow:', e1.message || e1);
-      try {
-        aiResp = await callOpenRouter(prompt);
-      } catch (e2) {
-        console.error('OpenRouter also failed:', e2.message || e2);
-        return res.status(500).json({ error: 'All providers failed', detail: e2.message || e2 });
-      }
+// Extraction half of the URL pipeline, for an extractPage() result: language, ranked keywords (the
+// top one is used unless the caller picked a keyword) and the prompt template's content type
+function analyzePage(page, { url, providedKeyword, requestedLanguage, contentType }) {
+  const { titleTag, metaDesc, h1, snippet } = page;
+  const lang = resolveLanguage({
+    requested: requestedLanguage, htmlLang: page.lang, ogLocale: (page.openGraph || {}).locale, text: page.mainContent || snippet
+  });
+  const language = lang.language;
+
+  const keywords = extractKeywords(page, { url, language });
+  let keywordSource = 'provided';
+  let main_keyword = (providedKeyword && providedKeyword.trim()) ? providedKeyword.trim() : '';
+  if (!main_keyword && keywords.primary.length) {
+    main_keyword = keywords.primary[0].phrase;
+    keywordSource = 'extracted';
+  }
+  if (!main_keyword) {
+    main_keyword = (deriveKeyword({ h1, title: titleTag, meta: metaDesc, body: snippet, language }) || '').trim();
+    keywordSource = 'heuristic';
+  }
+  if (!main_keyword) {
+    throw httpError(400, 'Could not derive a main keyword from the page. Please provide a keyword.');
+  }
+  const relatedTerms = keywords.secondary.map(t => t.term).filter(t => !main_keyword.toLowerCase().includes(t.toLowerCase())).slice(0, 8);
+  let template = { contentType, source: 'requested', reason: null };
+  if (!contentType) {
+    const detected = detectContentType(page, { url });
+    template = { contentType: detected.contentType, source: 'detected', reason: detected.reason };
+  }
+  return { page, lang, keywords, main_keyword, keywordSource, relatedTerms, template };
+}
+
+function urlOutputSchema({ language, slugStyle, profile, social }) {
+  const base = schemaForProfile(schemaForLanguage(URL_OUTPUT_SCHEMA, { language, slugStyle }), profile);
+  return social ? { ...base, ...SOCIAL_OUTPUT_SCHEMA } : base;
+}
+
+// Basic-mode URL prompt for a saved page, without calling a provider (meta-gen eval).
+// Returns { text, contentType, version, keyword, template, detected, schema }.
+function promptForPage(html, { url, keyword, contentType, library = promptLibrary, version } = {}) {
+  const { page, lang, main_keyword, relatedTerms, template } = analyzePage(extractPage(html, { url }), { url, providedKeyword: keyword, contentType: checkContentType(contentType) });
+  const language = lang.language;
+  const prompt = buildPromptForUrl({ main_keyword, page, language, relatedTerms, contentType: template.contentType }, { library, version });
+  const detected = template.source === 'detected' ? { contentType: template.contentType, reason: template.reason } : detectContentType(page, { url });
+  return { ...prompt, keyword: main_keyword, template, detected, schema: urlOutputSchema({ language }) };
+}
+
+// Shared URL pipeline: fetch -> extract -> AI -> adjust. Used by /api/meta-from-url and batch jobs.
+// mode "full" also returns Open Graph, Twitter card and JSON-LD output.
+// onProgress(event, data) receives fetched / extracted / keyword events plus the progressHooks ones.
+// `html` (bin/meta-gen.js: a local build of the page at `url`) replaces the fetch and bypasses the cache.
+async function generateFromUrl({ url, keyword: providedKeyword, note, mode, schemaType: requestedType, language: requestedLanguage, slugStyle = 'ascii', profile: profileId, avoid: avoidList, contentType: requestedContentType, generator: requestedGenerator, competitors: competitorList }, { onProgress, html: localHtml } = {}) {
+  if (!url || typeof url !== 'string') {
+    throw httpError(400, 'url is required (full https://...).');
+  }
+  // simple URL validation
+  if (!/^https?:\/\//i.test(url)) {
+    throw httpError(400, 'url must start with http:// or https://');
+  }
+  const full = mode === 'full';
+  if (mode !== undefined && mode !== 'basic' && !full) throw httpError(400, 'mode must be "basic" or "full"');
+  if (requestedType !== undefined && !SCHEMA_TYPES.includes(requestedType)) {
+    throw httpError(400, `schemaType must be one of ${SCHEMA_TYPES.join(', ')}`);
+  }
+  checkLanguageOptions({ language: requestedLanguage, slugStyle });
+  const contentType = checkContentType(requestedContentType);
+  const generator = resolveGenerator(requestedGenerator);
+  const avoid = normalizeAvoid(avoidList);
+  const competitorUrls = normalizeCompetitors(competitorList, url);
+  const profile = await resolveProfile(profileId);
+
+  const local = typeof localHtml === 'string';
+  const progress = (event, data) => { if (onProgress) onProgress(event, data); };
+
+  // fetch and extract the page (or its prerendered variant), then language, keyword and content type
+  const html = local ? localHtml : await fetchPageHtml(url);
+  progress('fetched', { url, bytes: Buffer.byteLength(html) });
+  const extracted = await loadPage(url, { html, prerendered: !local });
+  const { page, lang, keywords, main_keyword, keywordSource, relatedTerms, template } = analyzePage(extracted, { url, providedKeyword, requestedLanguage, contentType });
+  const { titleTag, metaDesc, h1, snippet } = page;
+  const language = lang.language;
+  progress('extracted', { language: lang, fields: page });
+  progress('keyword', { keyword: main_keyword, source: keywordSource, candidates: keywords.primary });
+
+  // competitors, prompt, providers and post-processing; a background refresh reports no progress
+  async function generate(onGenerateProgress) {
+    const report = (event, data) => { if (onGenerateProgress) onGenerateProgress(event, data); };
+    let competitors = null;
+    if (competitorUrls.length) {
+      competitors = analyzeCompetitors(await fetchCompetitors(competitorUrls), { keyword: main_keyword, language });
+      report('competitors', competitors.summary);
     }
 
-    const parsed = parseJsonFromModel(aiResp.raw);
-    // if parsed doesn't include expected fields, fall back to simple generator
+    // Build prompt for AI
+    const schemaChoice = full ? chooseSchemaType(page, { requested: requestedType }) : null;
+    const prompt = buildPromptForUrl({
+      main_keyword, page, schemaType: schemaChoice && schemaChoice.type, language, slugStyle, relatedTerms, profile, avoid, competitors, contentType: template.contentType
+    });
+    const outputSchema = urlOutputSchema({ language, slugStyle, profile, social: full });
+
+    // Call providers; invalid output is re-prompted with its violations
+    const hooks = progressHooks(onGenerateProgress, (field, text) => (field === 'titles'
+      ? adjustTitle(text, main_keyword, 'desktop', { profile, language }) : adjustMeta(text, main_keyword, { language, profile })));
+    const heuristic = { page, url, contentType: template.contentType, language, slugStyle, limits: heuristicLimits(profile) };
+    const aiResp = await generateOutput(prompt.text, outputSchema, {
+      keyword: main_keyword, generator, heuristic, onEvent: hooks.onEvent, onToken: hooks.onToken
+    });
+    hooks.finish(aiResp.parsed);
+
+    const parsed = aiResp.parsed;
+    // if parsed doesn't include expected fields, fill them in from the heuristic generator
     let titles = (parsed.titles && Array.isArray(parsed.titles)) ? parsed.titles.slice(0,5) : [];
     let metas = (parsed.metas && Array.isArray(parsed.metas)) ? parsed.metas.slice(0,3) : [];
     let slug = (parsed.slug && typeof parsed.slug === 'string') ? parsed.slug : '';
+    let filler = null;
+    const fill = () => filler || (filler = heuristicMeta({ keyword: main_keyword, ...heuristic }));
 
     // Post-process and ensure constraints
-    // If titles empty, create simple variants using title/h1 and keyword
-    if (titles.length === 0) {
-      const base = titleTag || h1 || snippet.split('.')[0] || main_keyword;
-      titles = [
-        `${main_keyword} – ${base}`.slice(0,60),
-        `${main_keyword}: Key Tips & Best Practices`.slice(0,60),
-        `How to ${main_keyword} – Complete Guide`.slice(0,60),
-        `Top ${main_keyword} Strategies`.slice(0,60),
-        `Best ${main_keyword} Resources`.slice(0,60),
-      ];
-    }
+    if (titles.length === 0) titles = fill().titles;
 
     // adjust each title
-    titles = titles.map(t => adjustTitle(String(t), main_keyword, 60));
+    titles = repairAll('title', titles, t => adjustTitle(t, main_keyword, 'desktop', { profile, language }));
 
-    // If metas empty, craft simple ones from snippet
+    let heuristicMetas = aiResp.provider === 'heuristic';
     if (metas.length === 0) {
-      const short = (metaDesc || snippet).replace(/\s+/g,' ').trim().slice(0,120);
-      metas = [
-        `${short} Improve results with ${main_keyword}. Learn key tips and best practices for better performance.`.slice(0,158),
-        `${short} Discover how ${main_keyword} can boost your outcomes. Get step-by-step guidance and best actions.`.slice(0,158),
-        `${short} Use practical ${main_keyword} strategies to increase effectiveness and ROI. Start today.`.slice(0,158)
-      ];
+      metas = fill().metas;
+      heuristicMetas = true;
     }
+    if (metas.length === 0) metas = [metaDesc || snippet.slice(0, 160) || main_keyword];
 
     // adjust metas to meet length and include keyword
-    metas = metas.map(m => adjustMeta(String(m), main_keyword, 158, 140, 160));
+    metas = repairAll('description', metas, m => adjustMeta(m, main_keyword, { language, profile, heuristic: heuristicMetas }));
 
     // ensure slug present
     if (!slug) {
-      slug = slugify(`${main_keyword} ${titleTag || h1 || ''}`, 80);
+      slug = slugify(`${main_keyword} ${titleTag || h1 || ''}`, 80, { language, style: slugStyle });
     } else {
-      slug = slugify(slug, 80);
+      slug = slugify(slug, 80, { language, style: slugStyle });
     }
 
+    const enforced = profile
+      ? enforceProfile(profile, { aiTitles: parsed.titles, aiMetas: parsed.metas, titles, metas, slug, language })
+      : null;
+    if (enforced) ({ titles, metas, slug } = enforced);
+
+    const ranked = rankOutput(aiResp.validation, { page, keyword: main_keyword, language, titles, metas, slug, exclude: enforced ? enforced.exclude : {} });
+    titles = ranked.titles;
+    metas = ranked.metas;
+
     const payload = {
       provider: aiResp.provider || 'unknown',
       main_keyword,
-      extracted: { titleTag, h1, metaDesc, snippet },
+      keywords: { source: keywordSource, primary: keywords.primary, secondary: keywords.secondary },
+      language: lang,
+      prompt: { ...template, version: prompt.version },
+      extracted: page,
+      warnings: pageWarnings(page),
       titles,
       metas,
       slug,
+      validation: ranked.validation,
+      scores: ranked.scores,
+      ...(enforced ? { profile: enforced.report } : {}),
       note: note || '',
       timestamp: Date.now()
     };
+    if (competitors) {
+      payload.competitors = {
+        keyword: main_keyword,
+        ...competitors,
+        candidates: compareCandidates({ titles, metas }, competitors, { language, threshold: COMPETITOR_SIMILARITY_MAX })
+      };
+    }
+    if (full) {
+      payload.social = buildSocialOutput({
+        page, url, fields: aiResp.validation.fields, titles, metas,
+        schemaType: schemaChoice.type, schemaReason: schemaChoice.reason
+      });
+    }
 
-    await setCache(cacheKey, payload);
-    return res.json(payload);
+    return payload;
+  }
 
-  } catch (err) {
-    console.error('meta-from-url error:', err);
-    return res.status(500).json({ error: err.message || 'internal error' });
+  // The key hashes the extracted page and names the template version, so a changed page or template is generated afresh
+  const cacheKey = sha1(`urlmeta:${url}::${sha1(JSON.stringify(page))}::${providedKeyword||''}::${note||''}${full ? `::full:${requestedType || ''}` : ''}::${requestedLanguage || ''}:${slugStyle}${profileCacheTag(profile)}${avoidCacheTag(avoid)}${competitorsCacheTag(competitorUrls)}${promptCacheTag(template.contentType)}`);
+  return cachedGeneration(cacheKey, ({ background }) => generate(background ? null : onProgress), { tags: { url }, bypass: local || generator === 'heuristic' });
+}
+
+// Keyword pipeline for batch jobs and /v1: same prompt as /api/meta-gen, but post-processed
+// into the flat titles/metas/slug shape used by the URL flow. onProgress as in generateFromUrl.
+async function generateFromKeyword({ keyword, note, language: requestedLanguage, slugStyle = 'ascii', profile: profileId, avoid: avoidList, contentType: requestedContentType, generator: requestedGenerator }, { onProgress } = {}) {
+  if (!keyword || typeof keyword !== 'string' || keyword.trim().length < 2) {
+    throw httpError(400, 'keyword is required and must be a short string');
   }
-});
+  checkLanguageOptions({ language: requestedLanguage, slugStyle });
+  const trimmedKeyword = keyword.trim().slice(0, 200);
+  const trimmedNote = (note || '').trim().slice(0, 1000);
+  const contentType = checkContentType(requestedContentType);
+  const generator = resolveGenerator(requestedGenerator);
+  const avoid = normalizeAvoid(avoidList);
+  const profile = await resolveProfile(profileId);
+
+  // prompt, providers and post-processing; a background refresh reports no progress
+  async function generate(onGenerateProgress) {
+    const lang = resolveLanguage({ requested: requestedLanguage, text: `${trimmedKeyword} ${trimmedNote}` });
+    const language = lang.language;
+    const prompt = buildPrompt(trimmedKeyword, trimmedNote, 60, 160, { language, slugStyle, profile, avoid, contentType: contentType || DEFAULT_CONTENT_TYPE });
+    const schema = schemaForProfile(schemaForLanguage(KEYWORD_OUTPUT_SCHEMA, { language, slugStyle }), profile);
+    const hooks = progressHooks(onGenerateProgress, (field, text) => (field === 'titles'
+      ? adjustTitle(text, trimmedKeyword, 'desktop', { profile, language }) : adjustMeta(text, trimmedKeyword, { language, profile })));
+    const heuristic = { note: trimmedNote, contentType: prompt.contentType, language, slugStyle, limits: heuristicLimits(profile) };
+    const aiResp = await generateOutput(prompt.text, schema, {
+      keyword: trimmedKeyword, generator, heuristic, onEvent: hooks.onEvent, onToken: hooks.onToken
+    });
+    hooks.finish(aiResp.parsed);
+
+    const parsed = aiResp.parsed;
+    let titles = repairAll('title', Array.isArray(parsed.titles) ? parsed.titles.slice(0, 5) : [],
+      t => adjustTitle(t, trimmedKeyword, 'desktop', { profile, language }));
+    let metas = repairAll('description', Array.isArray(parsed.metas) ? parsed.metas.slice(0, 3) : [],
+      m => adjustMeta(m, trimmedKeyword, { language, profile, heuristic: aiResp.provider === 'heuristic' }));
+    if (!titles.length && !metas.length) {
+      throw httpError(502, 'Model output could not be parsed', String(aiResp.raw || '').slice(0, 300));
+    }
+    let slug = slugify(typeof parsed.slug === 'string' && parsed.slug ? parsed.slug : trimmedKeyword, 80, { language, style: slugStyle });
+    const enforced = profile
+      ? enforceProfile(profile, { aiTitles: parsed.titles, aiMetas: parsed.metas, titles, metas, slug, language })
+      : null;
+    if (enforced) ({ titles, metas, slug } = enforced);
 
-// Root helpful message
-app.get('/', (req, res) => res.send('MetaGen Tool API is running. Use POST /api/meta-gen or POST /api/meta-from-url'));
+    const ranked = rankOutput(aiResp.validation, { keyword: trimmedKeyword, language, titles, metas, slug, exclude: enforced ? enforced.exclude : {} });
 
+    const payload = {
+      provider: aiResp.provider || 'unknown',
+      main_keyword: trimmedKeyword,
+      language: lang,
+      prompt: keywordPromptInfo(contentType, prompt),
+      titles: ranked.titles,
+      metas: ranked.metas,
+      slug,
+      validation: ranked.validation,
+      scores: ranked.scores,
+      ...(enforced ? { profile: enforced.report } : {}),
+      note: trimmedNote,
+      timestamp: Date.now()
+    };
+    return payload;
+  }
 
+  const cacheKey = sha1(`kwmeta:${trimmedKeyword}::${trimmedNote}::${requestedLanguage || ''}:${slugStyle}${profileCacheTag(profile)}${avoidCacheTag(avoid)}${promptCacheTag(contentType || DEFAULT_CONTENT_TYPE)}`);
+  return cachedGeneration(cacheKey, ({ background }) => generate(background ? null : onProgress), { tags: { keyword: trimmedKeyword }, bypass: generator === 'heuristic' });
+}
 
+// GenerationResult (lib/data/openapi-v1.json) from a generateFromUrl / generateFromKeyword payload.
+// `input` is what was asked for: { type: url|keyword, keyword, url }.
+function generationResult(payload, input) {
+  const report = payload.validation || {};
+  const scores = payload.scores || {};
+  const candidate = (text, reportItem, score) => ({
+    text,
+    score: score ? score.score : null,
+    source: reportItem ? reportItem.source : 'ai',
+    messages: score ? score.messages : [],
+    checks: score ? score.checks : {}
+  });
+  const candidates = (texts = [], reportItems = [], scoreItems = []) => texts.map((t, i) => candidate(t, reportItems[i], scoreItems[i]));
+  const page = payload.extracted;
+  return {
+    input: { type: input.type, keyword: input.keyword || null, url: input.url || null },
+    keyword: { value: payload.main_keyword, source: payload.keywords ? payload.keywords.source : 'provided' },
+    keywords: payload.keywords ? { primary: payload.keywords.primary, secondary: payload.keywords.secondary } : null,
+    language: payload.language,
+    provider: payload.provider,
+    prompt: payload.prompt || null,
+    cached: !!payload.fromCache,
+    titles: candidates(payload.titles, report.titles, scores.titles),
+    descriptions: candidates(payload.metas, report.metas, scores.metas),
+    slug: candidate(payload.slug, report.slug, scores.slug),
+    validation: { valid: !!report.valid, attempts: report.attempts || 0, violations: report.violations || [] },
+    profile: payload.profile || null,
+    social: payload.social || null,
+    page: page ? {
+      title: page.titleTag, description: page.metaDesc, h1: page.h1, canonical: page.canonical, lang: page.lang, wordCount: page.wordCount, spa: page.spa || null
+    } : null,
+    warnings: payload.warnings || [],
+    competitors: payload.competitors || null,
+    createdAt: new Date(payload.timestamp || Date.now()).toISOString()
+  };
+}
 
+// The one generation pipeline behind /v1: `url` input runs the URL flow (with `keyword` overriding
+// the extracted one), otherwise the keyword flow; `social` adds the "full" mode output.
+// Fresh results are kept in the history (filed under `project`); `historyId` points at the record.
+async function generate(input, { onProgress } = {}) {
+  const { keyword, url, note, language, slugStyle, profile, avoid, social, schemaType, contentType, generator, competitors } = input;
+  if (competitors !== undefined && !url) throw httpError(400, 'competitors needs the page\'s own url');
+  await resolveProject(input.project);
+  let result;
+  if (url) {
+    const payload = await generateFromUrl({
+      url, keyword, note, language, slugStyle, profile, avoid, schemaType, contentType, generator, competitors, mode: social ? 'full' : 'basic'
+    }, { onProgress });
+    result = generationResult(payload, { type: 'url', keyword, url });
+  } else {
+    const payload = await generateFromKeyword({ keyword, note, language, slugStyle, profile, avoid, contentType, generator }, { onProgress });
+    result = generationResult(payload, { type: 'keyword', keyword });
+  }
+  result.historyId = await saveGeneration(result, input);
+  return result;
+}
 
-/**
- * URL-based Meta Generator
- * Paste this at the END of server.js
- */
-const cheerio = require('cheerio');
+// -------------------- End helpers -------------------- //
 
-app.post('/api/meta-gen-url', async (req, res) => {
+// -------------------- API v1 -------------------- //
+// Routes below are registered twice: on the /v1 router, with request validation against the published
+// OpenAPI document (lib/data/openapi-v1.json), and under their old /api paths as deprecated aliases.
+
+const { loadSpec, createValidator } = require('./lib/openapi');
+const openapiSpec = loadSpec();
+const validate = createValidator(openapiSpec).request;
+const v1 = express.Router();
+
+// Mark a legacy route deprecated and point at its /v1 successor (":id" is filled from the request)
+function deprecated(successor) {
+  return (req, res, next) => {
+    const link = successor.replace(/:(\w+)/g, (m, name) => encodeURIComponent(req.params[name] || ''));
+    res.set({ Deprecation: 'true', Link: `<${link}>; rel="successor-version"` });
+    next();
+  };
+}
+
+// /v1 handlers pass their errors on; errorHandler answers with the envelope
+const v1Handler = handler => async (req, res, next) => {
   try {
-    const { url } = req.body || {};
-    if (!url || typeof url !== 'string') {
-      return res.status(400).json({ error: 'URL is required and must be a string' });
-    }
+    await handler(req, res);
+  } catch (err) {
+    next(err);
+  }
+};
 
-    // Step 1: Fetch the page
-    let html;
-    try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP status ${response.status}`);
-      html = await response.text();
-    } catch (fetchErr) {
-      console.error('Fetch error:', fetchErr.message);
-      return res.status(400).json({ error: 'Failed to fetch the provided URL' });
-    }
-
-    // Step 2: Load HTML into Cheerio
-    const $ = cheerio.load(html);
-    const pageTitle = $('title').text().trim() || '';
-    const metaDescription = $('meta[name="description"]').attr('content') || '';
-    const bodyText = $('body').text().replace(/\s+/g, ' ').trim().slice(0, 500); // optional sample text
-
-    // Step 3: Build prompt for AI
-    const promptText = `
-You are an expert SEO copywriter. Analyze the following page and generate:
-1) A meta title (<= 60 chars) that includes the main keywords.
-2) A meta description (<= 160 chars) optimized for Google.
-3) A slug suitable for a blog URL.
-
-Page details:
-Title: ${pageTitle}
-Meta Description: ${metaDescription}
-Content: ${bodyText}
-
-Return ONLY strict JSON:
-{"title":"...", "meta":"...", "slug":"..."}
-`;
+app.use('/v1', v1);
+app.use('/v1', (req, res) => res.status(404).json({ error: `No route for ${req.method} ${req.baseUrl}${req.path}`, code: 'NOT_FOUND' }));
+app.use('/v1', errorHandler('v1'));
 
-    // Step 4: Call AI (Google or OpenRouter fallback)
-    const aiResult = await (async () => {
-      try {
-        const g = await callGoogle(promptText);
-        return g.raw;
-      } catch (gErr) {
-        console.warn('Google failed, fallback to OpenRouter:', gErr.message || gErr);
-        const o = await callOpenRouter(promptText);
-        return o.raw;
-      }
-    })();
+v1.get('/openapi.json', (req, res) => res.json(openapiSpec));
 
-    // Step 5: Parse JSON from AI response
-    const parsed = parseJsonFromModel(aiResult);
+v1.post('/generate', validate('generate'), v1Handler(async (req, res) => {
+  res.json(await withQuota(() => generate(req.body)));
+}));
+
+// Health route
+app.get('/_health', (req, res) => res.json({ ok: true, env: process.env.NODE_ENV || 'production' }));
+
+// Provider chain with circuit-breaker state
+function providersRoute(req, res) {
+  res.json({ providers: providers.status() });
+}
+app.get('/api/providers', deprecated('/v1/providers'), providersRoute);
+v1.get('/providers', validate('listProviders'), providersRoute);
+
+// Prompt templates per content type and the version each one uses
+v1.get('/prompts', validate('listPrompts'), (req, res) => {
+  res.json({ fingerprint: promptLibrary.fingerprint, templates: promptLibrary.list() });
+});
+
+// Keyword flow of /api/meta-gen: returns the validated model output as-is (not post-processed).
+// Provider failures fall back to the heuristic generator; with generator "ai" (or the fallback
+// off) they are rethrown as a 500 "All providers failed" carrying the attempts.
+async function generateKeywordMeta({ keyword, note, language: requestedLanguage, slugStyle = 'ascii', profile: profileId, avoid: avoidList, contentType: requestedContentType, generator: requestedGenerator }, { onProgress } = {}) {
+  if (!keyword || typeof keyword !== 'string' || keyword.trim().length < 2) {
+    throw httpError(400, 'keyword is required and must be a short string');
+  }
+  checkLanguageOptions({ language: requestedLanguage, slugStyle });
+  const trimmedKeyword = keyword.trim().slice(0, 200);
+  const trimmedNote = (note || '').trim().slice(0, 1000);
+  const contentType = checkContentType(requestedContentType);
+  const generator = resolveGenerator(requestedGenerator);
+  const avoid = normalizeAvoid(avoidList);
+  const profile = await resolveProfile(profileId);
+
+  // prompt, providers and post-processing; a background refresh reports no progress
+  async function generate(onGenerateProgress) {
+    const lang = resolveLanguage({ requested: requestedLanguage, text: `${trimmedKeyword} ${trimmedNote}` });
+    const prompt = buildPrompt(trimmedKeyword, trimmedNote, 60, 160, { language: lang.language, slugStyle, profile, avoid, contentType: contentType || DEFAULT_CONTENT_TYPE });
+    const schema = schemaForProfile(schemaForLanguage(KEYWORD_OUTPUT_SCHEMA, { language: lang.language, slugStyle }), profile);
+    // without a profile, candidates are passed through as the model wrote them
+    const hooks = progressHooks(onGenerateProgress, profile ? (field, text) => (field === 'titles'
+      ? adjustTitle(text, trimmedKeyword, 'desktop', { profile, language: lang.language })
+      : adjustMeta(text, trimmedKeyword, { language: lang.language, profile })) : undefined);
+    let ai;
+    try {
+      ai = await generateOutput(prompt.text, schema, {
+        keyword: trimmedKeyword,
+        generator,
+        heuristic: { note: trimmedNote, contentType: prompt.contentType, language: lang.language, slugStyle, limits: heuristicLimits(profile) },
+        onEvent: hooks.onEvent,
+        onToken: hooks.onToken
+      });
+    } catch (err) {
+      logger.error('meta-gen providers failed', { err });
+      const e = httpError(500, 'All providers failed', err.detail);
+      e.code = 'PROVIDER_EXHAUSTED';
+      e.attempts = err.attempts;
+      throw e;
+    }
+    hooks.finish(ai.parsed);
+    const { valid, attempts, violations, fields } = ai.validation;
+    // parsed stays as the model returned it (unless a style profile is enforced on it);
+    // scores are best first with `index` into parsed.titles / parsed.metas
+    const strings = v => (Array.isArray(v) ? v.filter(x => typeof x === 'string') : []);
+    let parsed = ai.parsed;
+    let enforced = null;
+    if (profile) {
+      const titles = repairAll('title', strings(parsed.titles), t => adjustTitle(t, trimmedKeyword, 'desktop', { profile, language: lang.language }));
+      const metas = repairAll('description', strings(parsed.metas), m => adjustMeta(m, trimmedKeyword, { language: lang.language, profile, heuristic: ai.provider === 'heuristic' }));
+      const slug = typeof parsed.slug === 'string' ? parsed.slug : '';
+      enforced = enforceProfile(profile, { aiTitles: parsed.titles, aiMetas: parsed.metas, titles, metas, slug, language: lang.language });
+      parsed = {
+        ...parsed,
+        titles: enforced.titles.filter((t, i) => !enforced.exclude.titles.has(i)),
+        metas: enforced.metas.filter((m, i) => !enforced.exclude.metas.has(i)),
+        slug: enforced.slug
+      };
+    }
+    const ranked = rankCandidates({ keyword: trimmedKeyword, language: lang.language, titles: strings(parsed.titles), metas: strings(parsed.metas) });
+    const scores = {
+      titles: ranked.titles.map((sc, i) => ({ index: ranked.order.titles[i], ...sc })),
+      metas: ranked.metas.map((sc, i) => ({ index: ranked.order.metas[i], ...sc }))
+    };
+    const payload = { provider: ai.provider, language: lang, prompt: keywordPromptInfo(contentType, prompt), parsed, validation: { valid, attempts, violations, fields }, scores, meta: ai.meta };
+    if (enforced) payload.profile = enforced.report;
+    return payload;
+  }
 
-    // Step 6: Return result
-    res.json({ provider: 'url-based', parsed });
+  const key = sha1(`meta:${trimmedKeyword}::${trimmedNote}::${requestedLanguage || ''}:${slugStyle}${profileCacheTag(profile)}${avoidCacheTag(avoid)}${promptCacheTag(contentType || DEFAULT_CONTENT_TYPE)}`);
+  return cachedGeneration(key, ({ background }) => generate(background ? null : onProgress), { tags: { keyword: trimmedKeyword }, bypass: generator === 'heuristic' });
+}
 
+// Existing endpoint: keep original behavior (keyword -> meta-gen). Deprecated for POST /v1/generate.
+app.post('/api/meta-gen', deprecated('/v1/generate'), async (req, res) => {
+  try {
+    const payload = await withQuota(() => generateKeywordMeta(req.body || {}));
+    return res.json(payload);
   } catch (err) {
-    console.error('URL meta generation error:', err);
-    res.status(500).json({ error: err.message || 'Internal server error' });
+    if (err.code === 'QUOTA_EXCEEDED') return sendKeyError(res, err);
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    if (err.attempts) {
+      return res.status(500).json({ error: err.message, code: err.code, detail: err.detail, attempts: err.attempts });
+    }
+    logger.error('Internal error', { err });
+    return res.status(500).json({ error: err.message || 'server error' });
   }
 });
 
+// Create title/meta/slug from a URL. Deprecated for POST /v1/generate.
+app.post('/api/meta-from-url', deprecated('/v1/generate'), async (req, res) => {
+  try {
+    const payload = await withQuota(() => generateFromUrl(req.body || {}));
+    return res.json(payload);
+  } catch (err) {
+    if (err.code === 'QUOTA_EXCEEDED') return sendKeyError(res, err);
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ error: err.message, code: err.code, detail: err.detail });
+    }
+    logger.error('meta-from-url error', { err });
+    return res.status(500).json({ error: err.message || 'internal error', detail: err.detail });
+  }
+});
 
+// Server-Sent Events variant of a generation route. Input comes from the query string (GET,
+// for EventSource) or the JSON body (POST). Progress events stream as they happen; the run
+// ends with one "result" event (the normal JSON payload) or one "error" event; `envelope`
+// makes that the /v1 error envelope plus the HTTP status it would have had.
+function streamingRoute(label, run, { envelope = false } = {}) {
+  return async (req, res) => {
+    const input = req.method === 'GET' ? { ...req.query } : (req.body || {});
+    const stream = openEventStream(req, res);
+    try {
+      const payload = await withQuota(() => run(input, { onProgress: (event, data) => stream.send(event, data) }));
+      stream.send('result', payload);
+    } catch (err) {
+      const status = err.status || 500;
+      if (status >= 500 && !err.attempts) logger.error(`${label} stream error`, { err });
+      const body = { error: err.message || 'internal error', code: err.code, detail: err.detail, attempts: err.attempts };
+      if (envelope) {
+        const out = toEnvelope(status, body);
+        stream.send('error', { ...out.body, status: out.status });
+      } else {
+        stream.send('error', { ...body, status });
+      }
+    }
+    stream.close();
+  };
+}
 
+app.get('/api/meta-gen/stream', deprecated('/v1/generate/stream'), streamingRoute('meta-gen', generateKeywordMeta));
+app.post('/api/meta-gen/stream', deprecated('/v1/generate/stream'), streamingRoute('meta-gen', generateKeywordMeta));
+app.get('/api/meta-from-url/stream', deprecated('/v1/generate/stream'), streamingRoute('meta-from-url', generateFromUrl));
+app.post('/api/meta-from-url/stream', deprecated('/v1/generate/stream'), streamingRoute('meta-from-url', generateFromUrl));
+v1.get('/generate/stream', validate('generateStreamGet'), streamingRoute('generate', generate, { envelope: true }));
+v1.post('/generate/stream', validate('generateStream'), streamingRoute('generate', generate, { envelope: true }));
 
+// Grade user-written candidates against a page without calling a model.
+// Body: { url | html, keyword?, language?, titles?, descriptions? (or metas), slug? }
+const SCORE_MAX_CANDIDATES = 20;
 
+async function scoreRoute(req, res) {
+  try {
+    const body = req.body || {};
+    const { url, html, keyword, language: requestedLanguage } = body;
+    const list = (v, name) => {
+      if (v === undefined) return [];
+      const arr = Array.isArray(v) ? v : [v];
+      if (arr.some(x => typeof x !== 'string')) throw httpError(400, `${name} must be a string or an array of strings`);
+      if (arr.length > SCORE_MAX_CANDIDATES) throw httpError(400, `Too many ${name} (max ${SCORE_MAX_CANDIDATES})`);
+      return arr;
+    };
+    const titles = list(body.titles !== undefined ? body.titles : body.title, 'titles');
+    const metas = list(body.descriptions !== undefined ? body.descriptions : (body.metas !== undefined ? body.metas : body.description), 'descriptions');
+    if (body.slug !== undefined && typeof body.slug !== 'string') throw httpError(400, 'slug must be a string');
+    if (!titles.length && !metas.length && body.slug === undefined) {
+      throw httpError(400, 'Send at least one of "titles", "descriptions" or "slug" to score');
+    }
+    if (html !== undefined && typeof html !== 'string') throw httpError(400, 'html must be a string');
+    if (!html && (!url || typeof url !== 'string' || !/^https?:\/\//i.test(url))) {
+      throw httpError(400, 'Provide the page as "url" (full https://...) or "html"');
+    }
+    checkLanguageOptions({ language: requestedLanguage });
+
+    const page = html ? extractPage(html, { url: url || undefined }) : await loadPage(url);
+    const lang = resolveLanguage({
+      requested: requestedLanguage, htmlLang: page.lang, ogLocale: (page.openGraph || {}).locale, text: page.mainContent || page.snippet
+    });
+    let source = 'provided';
+    let main_keyword = typeof keyword === 'string' ? keyword.trim() : '';
+    if (!main_keyword) {
+      const top = extractKeywords(page, { url, language: lang.language }).primary[0];
+      main_keyword = top ? top.phrase : (deriveKeyword({ h1: page.h1, title: page.titleTag, meta: page.metaDesc, body: page.snippet, language: lang.language }) || '').trim();
+      source = top ? 'extracted' : 'heuristic';
+    }
 
+    const scores = scoreCandidates({ page, keyword: main_keyword, language: lang.language, titles, metas, slug: body.slug });
+    const best = list => (list.length ? list.reduce((b, s, i) => (s.score > list[b].score ? i : b), 0) : null);
+    return res.json({
+      url: url || null,
+      language: lang,
+      keyword: { keyword: main_keyword, source },
+      titles: scores.titles,
+      descriptions: scores.metas,
+      slug: scores.slug,
+      best: { title: best(scores.titles), description: best(scores.metas) }
+    });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ error: err.message, code: err.code, detail: err.detail });
+    }
+    logger.error('meta-score error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.post('/api/meta-score', deprecated('/v1/score'), scoreRoute);
+v1.post('/score', validate('score'), scoreRoute);
 
+// Keyword candidates for a URL without generating anything, so users can pick the main keyword
+// and send it back as `keyword` to /api/meta-from-url
+async function keywordsRoute(req, res) {
+  try {
+    const { url, language: requestedLanguage } = req.body || {};
+    if (!url || typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({ error: 'url is required (full https://...).' });
+    }
+    checkLanguageOptions({ language: requestedLanguage });
+    const page = await loadPage(url);
+    const lang = resolveLanguage({
+      requested: requestedLanguage, htmlLang: page.lang, ogLocale: (page.openGraph || {}).locale, text: page.mainContent
+    });
+    const keywords = extractKeywords(page, { url, language: lang.language });
+    return res.json({ url, language: lang, ...keywords });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ error: err.message, code: err.code, detail: err.detail });
+    }
+    logger.error('keywords error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.post('/api/keywords', deprecated('/v1/keywords'), keywordsRoute);
+v1.post('/keywords', validate('keywords'), keywordsRoute);
+
+// -------------------- SERP preview -------------------- //
+
+const SERP_PREVIEW_MAX = 20;
+
+// Pair title i with description i (falling back to the first description)
+function serpCandidates(body) {
+  const list = v => [].concat(v === undefined || v === null ? [] : v).map(x => String(x || '').trim());
+  const titles = list(body.titles !== undefined ? body.titles : body.title).filter(Boolean);
+  const descriptions = list(body.metas !== undefined ? body.metas : (body.descriptions !== undefined ? body.descriptions : body.description));
+  const count = Math.max(titles.length, descriptions.length);
+  return Array.from({ length: Math.min(count, SERP_PREVIEW_MAX) }, (v, i) => ({
+    url: String(body.url || 'https://example.com/'),
+    title: titles[i] || titles[0] || '',
+    description: descriptions[i] !== undefined ? descriptions[i] : (descriptions[0] || '')
+  }));
+}
 
+// Render how each title/description candidate appears in Google results (JSON, HTML or SVG)
+function serpPreviewRoute(req, res) {
+  const body = req.body || {};
+  const device = body.device || 'desktop';
+  const format = body.format || req.query.format || 'json';
+  if (!['desktop', 'mobile', 'both'].includes(device)) {
+    return res.status(400).json({ error: 'device must be desktop, mobile or both' });
+  }
+  if (!['json', 'html', 'svg'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json, html or svg' });
+  }
+  const candidates = serpCandidates(body);
+  if (!candidates.length) return res.status(400).json({ error: 'titles or metas are required' });
+  const devices = device === 'both' ? ['desktop', 'mobile'] : [device];
+
+  if (format === 'html') return res.type('text/html').send(renderPreviewHtml(candidates, devices));
+  if (format === 'svg') return res.type('image/svg+xml').send(renderPreviewSvg(candidates, devices));
+
+  const results = candidates.map(c => {
+    const out = { title: c.title, description: c.description };
+    devices.forEach(d => {
+      out[d] = { title: serpFit(c.title, 'title', d), description: serpFit(c.description, 'snippet', d) };
+    });
+    return out;
+  });
+  return res.json({ url: candidates[0].url, devices, candidates: results, html: renderPreviewHtml(candidates, devices) });
+}
+app.post('/api/serp-preview', deprecated('/v1/serp-preview'), serpPreviewRoute);
+v1.post('/serp-preview', validate('serpPreview'), serpPreviewRoute);
 
+// -------------------- Batch jobs -------------------- //
 
-// Start
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`MetaGen server listening on port ${PORT}`));
+const { createJobStore, runJob } = require('./lib/jobs');
+const { parseCsv, parseCsvObjects, toCsv } = require('./lib/csv');
 
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS || '500', 10);
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+const batchStore = createJobStore({
+  redis,
+  prefix: 'batch',
+  ttlSec: parseInt(process.env.BATCH_TTL_SEC || `${60 * 60 * 24 * 7}`, 10)
+});
 
+// Turn one raw batch entry (string or object) into a pipeline input; an unsupported per-item
+// language throws a 400 like the batch-level option does
+function normalizeBatchItem(raw, { type = 'auto', note = '', language, slugStyle, profile, project, contentType, generator } = {}) {
+  const obj = (raw && typeof raw === 'object') ? raw : { value: String(raw || '') };
+  const value = String(obj.url || obj.value || obj.keyword || '').trim();
+  if (!value) return null;
+  if (obj.language) checkLanguageOptions({ language: String(obj.language) });
+  const isUrl = type === 'url' || (type === 'auto' && (obj.url || /^https?:\/\//i.test(value)));
+  const itemNote = String(obj.note || note || '').slice(0, 1000);
+  const lang = normalizeLanguage(obj.language || language);
+  const extra = {};
+  if (lang) extra.language = lang;
+  if (SLUG_STYLES.includes(obj.slugStyle || slugStyle)) extra.slugStyle = obj.slugStyle || slugStyle;
+  if (obj.profile || profile) extra.profile = String(obj.profile || profile);
+  if (obj.project || project) extra.project = String(obj.project || project);
+  if (CONTENT_TYPES.includes(obj.contentType || contentType)) extra.contentType = obj.contentType || contentType;
+  if (GENERATORS.includes(obj.generator || generator)) extra.generator = obj.generator || generator;
+  if (isUrl) {
+    return { type: 'url', url: obj.url ? String(obj.url).trim() : value, keyword: obj.url ? String(obj.keyword || '').trim() : '', note: itemNote, ...extra };
+  }
+  return { type: 'keyword', keyword: value, note: itemNote, ...extra };
+}
 
+// Accept a CSV with a url/keyword/note header, or a bare one-column list
+function batchItemsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  if (header.includes('url') || header.includes('keyword')) return parseCsvObjects(text);
+  return rows.map(r => r[0]);
+}
 
+function batchProgress(job) {
+  const pending = Math.max(0, job.total - job.done - job.failed);
+  const percent = job.total ? Math.round(((job.done + job.failed) / job.total) * 100) : 100;
+  return { total: job.total, done: job.done, failed: job.failed, pending, percent };
+}
 
+// Items run in the async context of the request that queued them, so each one counts
+// against that request's API key quota (items past the quota fail with QUOTA_EXCEEDED)
+function batchWorker(input) {
+  return withQuota(async () => {
+    const payload = await (input.type === 'url' ? generateFromUrl(input) : generateFromKeyword(input));
+    await saveGeneration(generationResult(payload, input), input);
+    return payload;
+  });
+}
 
+// Batch and audit jobs are visible to the API key that started them (keyless requests see keyless
+// jobs), like publish records; another key's job id is a 404 as if it didn't exist
+function jobOwner() {
+  const key = currentApiKey();
+  return key ? key.id : null;
+}
 
+async function ownJob(store, id) {
+  const job = await store.get(id);
+  return job && (job.owner || null) === jobOwner() ? job : null;
+}
 
+// A job record as returned to clients
+const publicJob = ({ owner, ...job }) => job;
+
+// Create a batch job and run it in the background; status is polled via GET /api/meta-batch/:id
+async function startBatchJob(items, { type = 'auto', note = '', concurrency, source } = {}) {
+  const requested = parseInt(concurrency || BATCH_CONCURRENCY, 10);
+  const limit = Math.max(1, Math.min(isNaN(requested) ? BATCH_CONCURRENCY : requested, BATCH_CONCURRENCY));
+  const job = await batchStore.create(items, { type, note, concurrency: limit, source }, { owner: jobOwner() });
+
+  runJob(batchStore, job.id, batchWorker, { concurrency: limit })
+    .catch(async (err) => {
+      logger.error('Batch job crashed', { jobId: job.id, err });
+      await batchStore.update(job.id, { status: 'error', error: err.message || String(err), finishedAt: Date.now() }).catch(() => {});
+    });
+  return job;
+}
 
+// Links follow the API version of the request that created the job
+const batchBase = req => (req.baseUrl === '/v1' ? '/v1/batches' : '/api/meta-batch');
 
+function batchJobLinks(job, base = '/api/meta-batch') {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: batchProgress(job),
+    statusUrl: `${base}/${job.id}`,
+    exportUrl: `${base}/${job.id}/export`
+  };
+}
 
+// Create a batch job from a JSON array or an uploaded CSV of URLs / keywords
+async function createBatchRoute(req, res) {
+  try {
+    const body = req.body;
+    const opts = (body && typeof body === 'object') ? body : {};
+    const type = String(opts.type || req.query.type || 'auto').toLowerCase();
+    if (!['auto', 'url', 'keyword'].includes(type)) {
+      return res.status(400).json({ error: 'type must be one of auto, url, keyword' });
+    }
+    const note = String(opts.note || req.query.note || '').trim();
+    const language = opts.language || req.query.language;
+    const slugStyle = opts.slugStyle || req.query.slugStyle;
+    const profile = opts.profile || req.query.profile;
+    const project = opts.project || req.query.project;
+    const contentType = opts.contentType || req.query.contentType;
+    const generator = opts.generator || req.query.generator;
+    try {
+      checkLanguageOptions({ language, slugStyle });
+      checkContentType(contentType);
+      resolveGenerator(generator);
+    } catch (err) {
+      return res.status(err.status).json({ error: err.message });
+    }
 
-// Helper: build prompt for AI
-function buildPrompt(keyword, note = '', maxTitleChars = 60, maxMetaChars = 160) {
-  return `You are an expert SEO copywriter. Generate meta details for a blog post:
+    let rawItems;
+    if (typeof body === 'string') rawItems = batchItemsFromCsv(body);
+    else if (typeof opts.csv === 'string') rawItems = batchItemsFromCsv(opts.csv);
+    else if (Array.isArray(opts.items)) rawItems = opts.items;
+    else if (Array.isArray(body)) rawItems = body;
+    else return res.status(400).json({ error: 'Provide "items" (array of URLs or keywords), "csv", or upload a text/csv body' });
 
-Keyword: "${keyword}"
-Context: "${note}"
+    let items;
+    try {
+      items = rawItems.map(i => normalizeBatchItem(i, { type, note, language, slugStyle, profile, project, contentType, generator })).filter(Boolean);
+    } catch (err) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (!items.length) return res.status(400).json({ error: 'No usable items in batch' });
+    // unknown profiles / projects fail the whole batch now rather than every item later
+    try {
+      await Promise.all(Array.from(new Set(items.map(i => i.profile).filter(Boolean))).map(resolveProfile));
+      await Promise.all(Array.from(new Set(items.map(i => i.project).filter(Boolean))).map(resolveProject));
+    } catch (err) {
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({ error: `Batch too large: ${items.length} items (max ${BATCH_MAX_ITEMS})` });
+    }
+    if (req.apiKey) {
+      try {
+        await apiKeys.assertQuota(req.apiKey, items.length);
+      } catch (err) {
+        return sendKeyError(res, err);
+      }
+    }
 
-Requirements:
-- Generate an array "titles" of 5 meta titles, each <= ${maxTitleChars} characters, include the keyword.
-- Generate an array "metas" of 3 meta descriptions, each <= ${maxMetaChars} characters, include the keyword.
-- Generate a slug suggestion suitable for a URL.
-Return ONLY strict JSON like:
-{
-  "titles": ["...","..."],
-  "metas": ["...","..."],
-  "slug": "your-slug-here"
-}`;
+    const job = await startBatchJob(items, { type, note, concurrency: opts.concurrency || req.query.concurrency });
+    return res.status(202).json(batchJobLinks(job, batchBase(req)));
+  } catch (err) {
+    logger.error('meta-batch error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
 }
+app.post('/api/meta-batch', deprecated('/v1/batches'), createBatchRoute);
+v1.post('/batches', validate('createBatch'), createBatchRoute);
 
+// Job status + progress; ?results=1 includes finished item payloads (GenerationResults on /v1)
+async function batchStatusRoute(req, res) {
+  try {
+    const job = await ownJob(batchStore, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Batch job not found' });
+    const withResults = ['1', 'true'].includes(String(req.query.results || ''));
+    const isV1 = req.baseUrl === '/v1';
+    const items = (await batchStore.getItems(job.id)).map(i => {
+      const item = { index: i.index, input: i.input, status: i.status, error: i.error };
+      if (!withResults) return item;
+      if (!isV1) return i;
+      return { ...item, result: i.result ? generationResult(i.result, i.input) : null };
+    });
+    return res.json({ ...publicJob(job), progress: batchProgress(job), items });
+  } catch (err) {
+    logger.error('meta-batch status error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.get('/api/meta-batch/:id', deprecated('/v1/batches/:id'), batchStatusRoute);
+v1.get('/batches/:id', validate('getBatch'), batchStatusRoute);
 
+// Export results as CSV (default) or JSON
+async function batchExportRoute(req, res) {
+  try {
+    const job = await ownJob(batchStore, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Batch job not found' });
+    const items = await batchStore.getItems(job.id);
+    const format = String(req.query.format || 'csv').toLowerCase();
+
+    if (format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="meta-batch-${job.id}.json"`);
+      return res.json({ id: job.id, status: job.status, progress: batchProgress(job), items });
+    }
+    if (format !== 'csv') return res.status(400).json({ error: 'format must be csv or json' });
+
+    const columns = ['index', 'type', 'input', 'status', 'provider', 'language', 'main_keyword',
+      'title_1', 'title_2', 'title_3', 'title_4', 'title_5', 'meta_1', 'meta_2', 'meta_3', 'slug', 'error'];
+    const rows = items.map(i => {
+      const r = i.result || {};
+      const row = {
+        index: i.index,
+        type: i.input.type,
+        input: i.input.url || i.input.keyword,
+        status: i.status,
+        provider: r.provider || '',
+        language: r.language ? r.language.language : '',
+        main_keyword: r.main_keyword || '',
+        slug: r.slug || '',
+        error: i.error ? [i.error.message, i.error.detail].filter(Boolean).join(': ') : ''
+      };
+      (r.titles || []).slice(0, 5).forEach((t, n) => { row[`title_${n + 1}`] = t; });
+      (r.metas || []).slice(0, 3).forEach((m, n) => { row[`meta_${n + 1}`] = m; });
+      return row;
+    });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="meta-batch-${job.id}.csv"`);
+    return res.send(toCsv(rows, columns));
+  } catch (err) {
+    logger.error('meta-batch export error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.get('/api/meta-batch/:id/export', deprecated('/v1/batches/:id/export'), batchExportRoute);
+v1.get('/batches/:id/export', validate('exportBatch'), batchExportRoute);
+// -------------------- Site audit -------------------- //
+
+const { createCrawler } = require('./lib/crawler');
+const { pageRecord, buildAuditReport, DEFAULT_THRESHOLDS } = require('./lib/audit');
+
+const AUDIT_MAX_PAGES = parseInt(process.env.AUDIT_MAX_PAGES || '500', 10);
+const AUDIT_RATE_MS = parseInt(process.env.AUDIT_RATE_MS || '1000', 10);
+const AUDIT_MIN_RATE_MS = parseInt(process.env.AUDIT_MIN_RATE_MS || '250', 10);
+const AUDIT_CONCURRENCY = parseInt(process.env.AUDIT_CONCURRENCY || '2', 10);
+const auditStore = createJobStore({
+  redis,
+  prefix: 'audit',
+  ttlSec: parseInt(process.env.BATCH_TTL_SEC || `${60 * 60 * 24 * 7}`, 10)
+});
 
+// Page records for the finished items of an audit job
+async function auditRecords(jobId) {
+  const items = await auditStore.getItems(jobId);
+  return items
+    .filter(i => i.status === 'done' || i.status === 'failed')
+    .map(i => i.result || { url: i.input.url, error: (i.error && i.error.message) || 'failed' });
+}
 
+// Start an audit: discover pages from the sitemap, then crawl them in the background
+async function createAuditRoute(req, res) {
+  try {
+    const { sitemapUrl, rateMs, maxPages, thresholds } = req.body || {};
+    if (!sitemapUrl || typeof sitemapUrl !== 'string' || !/^https?:\/\//i.test(sitemapUrl)) {
+      return res.status(400).json({ error: 'sitemapUrl is required (full https://.../sitemap.xml)' });
+    }
+    const rate = Math.max(AUDIT_MIN_RATE_MS, parseInt(rateMs || AUDIT_RATE_MS, 10) || AUDIT_RATE_MS);
+    const limit = Math.max(1, Math.min(parseInt(maxPages || AUDIT_MAX_PAGES, 10) || AUDIT_MAX_PAGES, AUDIT_MAX_PAGES));
+    const t = {};
+    Object.keys(DEFAULT_THRESHOLDS).forEach(k => {
+      const v = thresholds && Number(thresholds[k]);
+      if (v > 0) t[k] = v;
+    });
+
+    const crawler = createCrawler({ rateMs: rate });
+    const found = await crawler.discover(sitemapUrl, { maxUrls: limit });
+    if (!found.urls.length) {
+      return res.status(400).json({ error: 'No page URLs found in sitemap', detail: found.errors });
+    }
 
+    const auditBase = req.baseUrl === '/v1' ? '/v1/audits' : '/api/audit';
+    const job = await auditStore.create(found.urls.map(url => ({ url })), {
+      sitemapUrl, rateMs: rate, thresholds: t, sitemaps: found.sitemaps, sitemapErrors: found.errors
+    }, { owner: jobOwner() });
+    const worker = async ({ url }) => pageRecord(url, await crawler.fetchPage(url));
+    runJob(auditStore, job.id, worker, { concurrency: AUDIT_CONCURRENCY })
+      .catch(async (err) => {
+        logger.error('Audit job crashed', { jobId: job.id, err });
+        await auditStore.update(job.id, { status: 'error', error: err.message || String(err), finishedAt: Date.now() }).catch(() => {});
+      });
+
+    return res.status(202).json({
+      id: job.id,
+      status: job.status,
+      pages: job.total,
+      sitemaps: found.sitemaps.length,
+      statusUrl: `${auditBase}/${job.id}`,
+      reportUrl: `${auditBase}/${job.id}/report`
+    });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
+    logger.error('audit error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.post('/api/audit', deprecated('/v1/audits'), createAuditRoute);
+v1.post('/audits', validate('createAudit'), createAuditRoute);
 
+async function auditStatusRoute(req, res) {
+  try {
+    const job = await ownJob(auditStore, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Audit not found' });
+    return res.json({ ...publicJob(job), progress: batchProgress(job) });
+  } catch (err) {
+    logger.error('audit status error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.get('/api/audit/:id', deprecated('/v1/audits/:id'), auditStatusRoute);
+v1.get('/audits/:id', validate('getAudit'), auditStatusRoute);
 
+// Audit report (JSON or CSV); partial while the crawl is still running
+async function auditReportRoute(req, res) {
+  try {
+    const job = await ownJob(auditStore, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Audit not found' });
+    const report = buildAuditReport(await auditRecords(job.id), job.options.thresholds);
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (format === 'csv') {
+      const rows = report.pages.map(p => ({
+        url: p.url,
+        status: p.skipped ? `skipped (${p.skipped})` : (p.error || p.status),
+        title: p.title,
+        title_length: p.title ? p.title.length : 0,
+        description: p.description,
+        description_length: p.description ? p.description.length : 0,
+        h1: p.h1,
+        canonical: p.canonical,
+        issues: p.issues.map(i => i.code).join(' ')
+      }));
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-${job.id}.csv"`);
+      return res.send(toCsv(rows, ['url', 'status', 'title', 'title_length', 'description', 'description_length', 'h1', 'canonical', 'issues']));
+    }
+    if (format !== 'json') return res.status(400).json({ error: 'format must be json or csv' });
+    return res.json({ id: job.id, status: job.status, partial: job.status !== 'completed', sitemapUrl: job.options.sitemapUrl, ...report });
+  } catch (err) {
+    logger.error('audit report error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.get('/api/audit/:id/report', deprecated('/v1/audits/:id/report'), auditReportRoute);
+v1.get('/audits/:id/report', validate('getAuditReport'), auditReportRoute);
 
+// Queue AI rewrites (as a batch job) for the pages whose title/description failed the audit
+async function auditRewriteRoute(req, res) {
+  try {
+    const job = await ownJob(auditStore, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Audit not found' });
+    const { urls, note } = req.body || {};
+    const only = Array.isArray(urls) && urls.length ? new Set(urls.map(String)) : null;
+
+    const report = buildAuditReport(await auditRecords(job.id), job.options.thresholds);
+    const failing = report.pages.filter(p => p.failing && (!only || only.has(p.url)));
+    if (!failing.length) return res.status(400).json({ error: 'No failing pages to rewrite' });
+    if (failing.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({ error: `Too many failing pages: ${failing.length} (max ${BATCH_MAX_ITEMS}); pass "urls" to pick a subset` });
+    }
 
+    const items = failing.map(p => ({ type: 'url', url: p.url, keyword: '', note: String(note || '').slice(0, 1000) }));
+    if (req.apiKey) {
+      try {
+        await apiKeys.assertQuota(req.apiKey, items.length);
+      } catch (err) {
+        return sendKeyError(res, err);
+      }
+    }
+    const batch = await startBatchJob(items, { type: 'url', note: note || '', source: { audit: job.id } });
+    return res.status(202).json({ ...batchJobLinks(batch, batchBase(req)), audit: job.id, pages: items.length });
+  } catch (err) {
+    logger.error('audit rewrite error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.post('/api/audit/:id/rewrite', deprecated('/v1/audits/:id/rewrite'), auditRewriteRoute);
+v1.post('/audits/:id/rewrite', validate('rewriteAudit'), auditRewriteRoute);
+
+// -------------------- Admin: API keys -------------------- //
+// Authenticated with ADMIN_TOKEN (Authorization: Bearer <token>); disabled when it isn't set.
+
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(404).json({ error: 'Admin API is disabled (set ADMIN_TOKEN)' });
+  const m = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  const given = Buffer.from(m ? m[1] : '');
+  const expected = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Invalid admin token', code: 'UNAUTHORIZED' });
+  }
+  return next();
+}
 
-const fetch = global.fetch || require('node-fetch');
+// Positive integer or null (unlimited) for rateLimitPerMin / monthlyQuota
+function optionalLimit(v, name) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) throw httpError(400, `${name} must be a positive integer`);
+  return n;
+}
 
-// Fetch page and extract main text (title, headings, meta description)
-async function scrapePage(url) {
+app.get('/api/admin/keys', requireAdmin, async (req, res) => {
   try {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP error: ${res.status}`);
-    const html = await res.text();
-    const $ = cheerio.load(html);
-
-    // Grab text content
-    const title = $('title').text() || '';
-    const metaDesc = $('meta[name="description"]').attr('content') || '';
-    const h1 = $('h1').first().text() || '';
-    const bodyText = $('body').text().replace(/\s+/g, ' ').trim().slice(0, 1000);
+    const keys = await apiKeys.list();
+    const withUsage = await Promise.all(keys.map(async k => ({ ...publicRecord(k), usage: await apiKeys.usage(k.id) })));
+    return res.json({ mode: API_KEY_MODE, backend: apiKeys.backend, keys: withUsage });
+  } catch (err) {
+    logger.error('admin keys error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+});
 
-    // Combine for AI prompt
-    const combined = [title, metaDesc, h1, bodyText].filter(Boolean).join('. ');
+// Issue a key; the plain key is only ever returned here
+app.post('/api/admin/keys', requireAdmin, async (req, res) => {
+  try {
+    const { id, name, generator } = req.body || {};
+    const rateLimitPerMin = optionalLimit((req.body || {}).rateLimitPerMin, 'rateLimitPerMin');
+    const monthlyQuota = optionalLimit((req.body || {}).monthlyQuota, 'monthlyQuota');
+    if (generator !== undefined && generator !== null && generator !== 'heuristic') {
+      throw httpError(400, 'generator may only be "heuristic" (keys without it use the providers)');
+    }
+    const { key, record } = await apiKeys.create({ id, name, rateLimitPerMin, monthlyQuota, generator });
+    return res.status(201).json({ key, ...publicRecord(record) });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message, code: err.code });
+    logger.error('admin create key error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+});
 
-    return combined;
+// Key details with usage; ?month=YYYY-MM for an earlier month
+app.get('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const month = req.query.month;
+    if (month !== undefined && !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+    const key = await apiKeys.get(req.params.id);
+    if (!key) return res.status(404).json({ error: 'API key not found' });
+    const usage = await apiKeys.usage(key.id, month);
+    const remaining = key.monthlyQuota && !month ? Math.max(0, key.monthlyQuota - usage.generations) : undefined;
+    return res.json({ ...publicRecord(key), usage, remaining });
   } catch (err) {
-    console.error('Scraper failed:', err.message);
-    throw new Error('Failed to fetch the provided URL');
+    logger.error('admin key error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
   }
-}
+});
 
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const key = await apiKeys.revoke(req.params.id);
+    if (!key) return res.status(404).json({ error: 'API key not found' });
+    return res.json(publicRecord(key));
+  } catch (err) {
+    logger.error('admin revoke key error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+});
 
+// -------------------- Admin: generation cache -------------------- //
 
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+  try {
+    return res.json(await generationCache.stats());
+  } catch (err) {
+    logger.error('admin cache error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+});
 
+// Body: exactly one of { url } (that page), { keyword } (keyword input, any case) or { prefix } (every URL starting with it)
+app.post('/api/admin/cache/purge', requireAdmin, async (req, res) => {
+  try {
+    const given = ['url', 'keyword', 'prefix'].filter(f => (req.body || {})[f] !== undefined);
+    if (given.length !== 1) throw httpError(400, 'Send exactly one of url, keyword or prefix');
+    const [field] = given;
+    const value = req.body[field];
+    if (typeof value !== 'string' || !value.trim()) throw httpError(400, `${field} must be a non-empty string`);
+    const purged = await generationCache.purge({ [field]: value });
+    logger.info('Generation cache purged', { [field]: value, purged });
+    return res.json({ [field]: value, purged });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message, code: err.code });
+    logger.error('admin cache purge error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+});
 
+// -------------------- Style profiles -------------------- //
 
+async function profilesRoute(req, res) {
+  try {
+    return res.json({ profiles: await profiles.list() });
+  } catch (err) {
+    logger.error('profiles error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.get('/api/profiles', deprecated('/v1/profiles'), profilesRoute);
+v1.get('/profiles', validate('listProfiles'), profilesRoute);
 
+async function profileRoute(req, res) {
+  try {
+    const profile = await profiles.get(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Style profile not found' });
+    return res.json(profile);
+  } catch (err) {
+    logger.error('profile error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.get('/api/profiles/:id', deprecated('/v1/profiles/:id'), profileRoute);
+v1.get('/profiles/:id', validate('getProfile'), profileRoute);
 
+// Create or replace a profile
+app.put('/api/admin/profiles/:id', requireAdmin, async (req, res) => {
+  try {
+    const { profile, created } = await profiles.put(req.params.id, req.body || {});
+    return res.status(created ? 201 : 200).json(profile);
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message, code: err.code });
+    logger.error('admin profile error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+});
 
+app.delete('/api/admin/profiles/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!(await profiles.remove(req.params.id))) return res.status(404).json({ error: 'Style profile not found' });
+    return res.json({ id: req.params.id, deleted: true });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message, code: err.code });
+    logger.error('admin profile error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+});
 
+// -------------------- WordPress publishing -------------------- //
+// Writes the chosen title / description / slug / Open Graph fields into Yoast SEO or Rank Math post meta.
+// Body: { site: { url, username, applicationPassword }, post: <ID or URL>, postType?, plugin?: auto|yoast|rankmath,
+//         fields?: { title, description, slug, ogTitle, ogDescription, ogImage },
+//         result?: <a /v1/generate or /api/meta-from-url response>, pick?: { title, description, slug }, dryRun? }
+
+const { createWordPressClient, createPublishLog, PLUGIN_FIELDS, PUBLISH_FIELDS } = require('./lib/wordpress');
+const publishLog = createPublishLog({ redis, ttlSec: parseInt(process.env.WP_PUBLISH_LOG_TTL_SEC || `${90 * 24 * 60 * 60}`, 10) });
+// Local development only: plain-http WordPress sites (application passwords would travel unencrypted)
+const WP_ALLOW_HTTP = process.env.WP_ALLOW_HTTP === '1';
+
+// A /v1/generate GenerationResult in the flat { titles, metas, slug, social } shape of /api/meta-from-url
+function flatResult(result) {
+  if (!result || typeof result !== 'object' || !Array.isArray(result.descriptions)) return result;
+  const texts = list => (Array.isArray(list) ? list.map(c => (c && typeof c === 'object' ? c.text : c)) : list);
+  return { ...result, titles: texts(result.titles), metas: texts(result.descriptions), slug: result.slug && result.slug.text };
+}
 
-// Endpoint: Generate meta from URL
-app.post('/api/meta-gen-url', async (req, res) => {
-  try {
-    const { url } = req.body || {};
-    if (!url || typeof url !== 'string') {
-      return res.status(400).json({ error: 'URL is required and must be a string' });
+// Fields to write, from a generation `result` (+ `pick` indexes) and/or explicit `fields` (which win)
+function publishFields({ result: given, pick = {}, fields = {} }) {
+  const out = {};
+  if (given !== undefined) {
+    const result = flatResult(given);
+    if (!result || typeof result !== 'object' || !Array.isArray(result.titles) || !Array.isArray(result.metas)) {
+      throw httpError(400, 'result must be a /v1/generate or /api/meta-from-url response');
     }
+    const listName = { title: 'titles', description: given.descriptions ? 'descriptions' : 'metas' };
+    const choose = (list, name) => {
+      const i = pick[name] === undefined ? 0 : Number(pick[name]);
+      if (!Number.isInteger(i) || i < 0 || i >= list.length) throw httpError(400, `pick.${name} must be an index into result.${listName[name]}`);
+      return list[i];
+    };
+    if (result.titles.length) out.title = choose(result.titles, 'title');
+    if (result.metas.length) out.description = choose(result.metas, 'description');
+    // a new slug changes the post's URL, so it's only taken from the result when asked for
+    if (pick.slug === true && result.slug) out.slug = result.slug;
+    const og = (result.social && result.social.og) || {};
+    if (og.title) out.ogTitle = og.title;
+    if (og.description) out.ogDescription = og.description;
+    if (og.image) out.ogImage = og.image;
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) throw httpError(400, 'fields must be an object');
+  PUBLISH_FIELDS.forEach(f => {
+    if (fields[f] === undefined) return;
+    if (typeof fields[f] !== 'string') throw httpError(400, `fields.${f} must be a string`);
+    out[f] = fields[f].trim();
+  });
+  if (out.slug !== undefined && !out.slug) throw httpError(400, 'slug cannot be empty');
+  if (!Object.keys(out).length) throw httpError(400, 'Nothing to publish: send "fields" or a generation "result"');
+  return out;
+}
 
-    // Scrape the page content
-    const content = await scrapePage(url);
+// Publish records are visible to the API key that made them (keyless requests see keyless records)
+const publishOwner = req => (req.apiKey ? req.apiKey.id : null);
 
-    // Build AI prompt using scraped content
-    const prompt = buildPrompt(content, 'Generate SEO metadata for this page');
+async function publishRoute(req, res) {
+  try {
+    const body = req.body || {};
+    const site = body.site && typeof body.site === 'object' ? body.site : {};
+    const plugin = body.plugin === undefined ? 'auto' : body.plugin;
+    if (plugin !== 'auto' && !PLUGIN_FIELDS[plugin]) {
+      throw httpError(400, `plugin must be "auto" or one of ${Object.keys(PLUGIN_FIELDS).join(', ')}`);
+    }
+    if (body.postType !== undefined && (typeof body.postType !== 'string' || !/^[a-z0-9_-]{1,64}$/.test(body.postType))) {
+      throw httpError(400, 'postType must be a REST base such as "posts", "pages" or "product"');
+    }
+    const page = (body.result && (body.result.extracted || body.result.page)) || {};
+    const postRef = body.post !== undefined ? body.post : page.canonical;
+    if (!postRef) throw httpError(400, 'post is required (post ID or URL)');
+    const fields = publishFields(body);
+
+    const wp = createWordPressClient({
+      url: site.url, username: site.username, applicationPassword: site.applicationPassword, allowHttp: WP_ALLOW_HTTP
+    });
+    const { post, type } = await wp.resolvePost(postRef, body.postType ? { types: [body.postType] } : undefined);
+    const seoPlugin = await wp.detectPlugin(post, plugin);
+    const changes = wp.diff(post, seoPlugin, fields);
+    const target = {
+      site: wp.base,
+      post: { id: post.id, type, link: post.link, title: (post.title && (post.title.raw || post.title.rendered)) || '' },
+      plugin: seoPlugin
+    };
+    const changed = changes.filter(c => c.changed).length;
+    if (body.dryRun || !changed) {
+      return res.json({ dryRun: !!body.dryRun, status: changed ? 'dry-run' : 'unchanged', ...target, changed, changes });
+    }
 
-    // Call Google AI first
+    const owner = publishOwner(req);
+    let applied;
     try {
-      const g = await callGoogle(prompt);
-      const parsed = parseJsonFromModel(g.raw);
-      return res.json({ provider: g.provider, parsed, meta: g.meta });
+      applied = await wp.apply(post, type, changes);
     } catch (err) {
-      console.warn('Google failed:', err.message);
-      // fallback to OpenRouter
-      const o = await callOpenRouter(prompt);
-      const parsed = parseJsonFromModel(o.raw);
-      return res.json({ provider: o.provider, parsed, meta: o.meta });
+      await publishLog.add({ apiKey: owner, ...target, status: 'failed', changes: changes.filter(c => c.changed), error: err.message });
+      throw err;
+    }
+    const status = applied.changes.every(c => !c.changed || c.applied) ? 'applied' : 'partial';
+    target.post.link = applied.post.link || target.post.link;
+    const record = await publishLog.add({ apiKey: owner, ...target, status, changes: applied.changes.filter(c => c.changed) });
+    return res.json({ dryRun: false, status, ...target, changed, changes: applied.changes, auditId: record.id });
+  } catch (err) {
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ error: err.message, code: err.code, detail: err.detail });
     }
+    logger.error('wp publish error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.post('/api/wp/publish', deprecated('/v1/wp/publish'), publishRoute);
+v1.post('/wp/publish', validate('publishToWordPress'), publishRoute);
+
+async function publishesRoute(req, res) {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 500);
+    const owner = publishOwner(req);
+    const records = await publishLog.list({
+      limit,
+      filter: r => r.apiKey === owner && (!req.query.site || r.site === String(req.query.site).replace(/\/+$/, ''))
+    });
+    return res.json({ publishes: records });
+  } catch (err) {
+    logger.error('wp publishes error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
+  }
+}
+app.get('/api/wp/publishes', deprecated('/v1/wp/publishes'), publishesRoute);
+v1.get('/wp/publishes', validate('listPublishes'), publishesRoute);
+
+async function publishRecordRoute(req, res) {
+  try {
+    const record = await publishLog.get(req.params.id);
+    if (!record || record.apiKey !== publishOwner(req)) return res.status(404).json({ error: 'Publish record not found' });
+    return res.json(record);
   } catch (err) {
-    console.error('URL meta-gen error', err);
-    res.status(500).json({ error: err.message });
+    logger.error('wp publish record error', { err });
+    return res.status(500).json({ error: err.message || 'internal error' });
   }
+}
+app.get('/api/wp/publishes/:id', deprecated('/v1/wp/publishes/:id'), publishRecordRoute);
+v1.get('/wp/publishes/:id', validate('getPublish'), publishRecordRoute);
+
+// -------------------- History and projects -------------------- //
+// Every fresh generation (/v1/generate, its stream, batch items) is kept with its input, extracted page
+// data, candidates and provider. Projects group them per client site: a generation is filed under the
+// `project` it names, or else under the project whose site matches its URL. SQLite by default (HISTORY_DB),
+// Redis when REDIS_URL is set and HISTORY_DB isn't. Like publish records, history is per API key.
+
+const { createHistoryStore, diffGenerations, siteOf } = require('./lib/history');
+const HISTORY_MAX = parseInt(process.env.HISTORY_MAX_RECORDS || '10000', 10);
+const history = createHistoryStore({
+  file: process.env.HISTORY_DB || (redis ? null : path.join(__dirname, 'data', 'history.db')),
+  redis,
+  maxRecords: HISTORY_MAX
 });
 
+function historyOwner() {
+  const key = currentApiKey();
+  return key ? key.id : null;
+}
 
+// `project` request parameter -> project record of the caller (null when not given)
+async function resolveProject(id) {
+  if (id === undefined || id === null || id === '') return null;
+  const project = typeof id === 'string' ? await history.getProject(id) : null;
+  if (!project || project.owner !== historyOwner()) {
+    const err = httpError(400, `Unknown project "${id}"`);
+    err.code = 'UNKNOWN_PROJECT';
+    throw err;
+  }
+  return project;
+}
 
+// Keep a fresh generation (a GenerationResult) in the history; resolves with the record id.
+// Cached results were recorded when they were generated. Failures are logged, never fatal.
+async function saveGeneration(result, input = {}) {
+  if (result.cached) return null;
+  try {
+    const owner = historyOwner();
+    const project = input.project
+      ? await resolveProject(input.project)
+      : (result.input.url ? await history.projectForUrl({ owner, url: result.input.url }) : null);
+    const candidate = c => ({ text: c.text, score: c.score, source: c.source });
+    const record = await history.add({
+      owner,
+      project: project ? project.id : null,
+      type: result.input.type,
+      url: result.input.url,
+      keyword: result.keyword.value,
+      input: ['keyword', 'url', 'note', 'language', 'slugStyle', 'profile', 'social', 'schemaType']
+        .reduce((o, k) => (input[k] === undefined || input[k] === '' ? o : { ...o, [k]: input[k] }), {}),
+      extracted: result.page ? { ...result.page, keywords: (result.keywords ? result.keywords.primary : []).slice(0, 5).map(k => k.phrase) } : null,
+      language: result.language.language,
+      provider: result.provider,
+      candidates: {
+        titles: result.titles.map(candidate),
+        descriptions: result.descriptions.map(candidate),
+        slug: candidate(result.slug)
+      }
+    });
+    return record.id;
+  } catch (err) {
+    logger.warn('History write failed', { err });
+    return null;
+  }
+}
 
+async function ownHistoryRecord(id) {
+  const record = await history.get(id);
+  return record && record.owner === historyOwner() ? record : null;
+}
 
+async function ownProject(id) {
+  const project = await history.getProject(id);
+  return project && project.owner === historyOwner() ? project : null;
+}
 
+// Text of the chosen title / description of a record, the best candidate when none was chosen
+function chosenText(record, field, list) {
+  const i = record.chosen[field] === null ? 0 : record.chosen[field];
+  return (record.candidates[list][i] || {}).text || '';
+}
 
+v1.get('/projects', validate('listProjects'), v1Handler(async (req, res) => {
+  res.json({ projects: await history.listProjects({ owner: historyOwner() }) });
+}));
+
+v1.post('/projects', validate('createProject'), v1Handler(async (req, res) => {
+  const { name, site } = req.body;
+  if (site !== undefined && !siteOf(site)) throw httpError(400, 'site must be a host name or URL such as "example.com"');
+  res.status(201).json(await history.createProject({ owner: historyOwner(), name: name.trim(), site }));
+}));
+
+v1.get('/projects/:id', validate('getProject'), v1Handler(async (req, res) => {
+  const project = await ownProject(req.params.id);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+  return res.json(project);
+}));
+
+// Client deliverable: every generation of the project, the chosen (or else best) title / description first
+v1.get('/projects/:id/export', validate('exportProject'), v1Handler(async (req, res) => {
+  const project = await ownProject(req.params.id);
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+  const records = await history.list({ owner: project.owner, project: project.id, limit: HISTORY_MAX });
+  const format = req.query.format || 'csv';
+  const filename = `project-${project.site || project.id}`;
+  if (format === 'json') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    return res.json({ project, generations: records });
+  }
+  const favourites = (r, list) => r.favourites[list].map(i => (r.candidates[list][i] || {}).text).filter(Boolean).join('\n');
+  const rows = records.map(r => {
+    const row = {
+      created_at: new Date(r.createdAt).toISOString(),
+      type: r.type,
+      url: r.url || '',
+      keyword: r.keyword,
+      language: r.language,
+      provider: r.provider,
+      title: chosenText(r, 'title', 'titles'),
+      description: chosenText(r, 'description', 'descriptions'),
+      slug: r.candidates.slug.text,
+      favourite_titles: favourites(r, 'titles'),
+      favourite_descriptions: favourites(r, 'descriptions'),
+      current_title: r.extracted ? r.extracted.title : '',
+      current_description: r.extracted ? r.extracted.description : '',
+      history_id: r.id
+    };
+    r.candidates.titles.slice(0, 5).forEach((c, n) => { row[`title_${n + 1}`] = c.text; });
+    r.candidates.descriptions.slice(0, 3).forEach((c, n) => { row[`description_${n + 1}`] = c.text; });
+    return row;
+  });
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  return res.send(toCsv(rows, ['created_at', 'type', 'url', 'keyword', 'language', 'provider', 'title', 'description', 'slug',
+    'favourite_titles', 'favourite_descriptions', 'current_title', 'current_description',
+    'title_1', 'title_2', 'title_3', 'title_4', 'title_5', 'description_1', 'description_2', 'description_3', 'history_id']));
+}));
+
+// Newest first; url / keyword match one page or keyword, q searches both
+v1.get('/history', validate('listHistory'), v1Handler(async (req, res) => {
+  const { url, keyword, q, project, favourites, limit = 50 } = req.query;
+  if (project && project !== 'none' && !(await ownProject(project))) return res.status(404).json({ error: 'Project not found' });
+  const records = await history.list({
+    owner: historyOwner(),
+    project: project === 'none' ? null : (project || undefined),
+    url, keyword, q, favourites, limit
+  });
+  return res.json({ history: records });
+}));
+
+v1.get('/history/:id', validate('getHistory'), v1Handler(async (req, res) => {
+  const record = await ownHistoryRecord(req.params.id);
+  if (!record) return res.status(404).json({ error: 'History record not found' });
+  return res.json(record);
+}));
+
+// Mark the chosen title / description (null clears), replace the favourite lists and record when the
+// chosen texts went live (appliedAt; changes published through /v1/wp/publish are known already)
+v1.patch('/history/:id', validate('updateHistory'), v1Handler(async (req, res) => {
+  const record = await ownHistoryRecord(req.params.id);
+  if (!record) return res.status(404).json({ error: 'History record not found' });
+  const { chosen, favourites, appliedAt } = req.body;
+  const appliedMs = appliedAt ? Date.parse(appliedAt) : appliedAt;
+  if (appliedAt && isNaN(appliedMs)) throw httpError(400, 'appliedAt must be a date such as "2024-05-01" or an ISO timestamp');
+  const lists = { title: 'titles', description: 'descriptions', titles: 'titles', descriptions: 'descriptions' };
+  const checkIndex = (i, field, at) => {
+    if (i !== null && i >= record.candidates[lists[field]].length) {
+      throw httpError(400, `${at} must be an index into ${lists[field]} (0-${record.candidates[lists[field]].length - 1})`);
+    }
+  };
+  Object.entries(chosen || {}).forEach(([field, i]) => checkIndex(i, field, `chosen.${field}`));
+  Object.entries(favourites || {}).forEach(([field, list]) => list.forEach((i, n) => checkIndex(i, field, `favourites.${field}[${n}]`)));
+  const dedupe = list => Array.from(new Set(list)).sort((a, b) => a - b);
+  const updated = await history.update(record, {
+    chosen,
+    favourites: favourites && Object.fromEntries(Object.entries(favourites).map(([field, list]) => [field, dedupe(list)])),
+    appliedAt: appliedMs
+  });
+  return res.json(updated);
+}));
+
+// Changes since the previous generation for the same page / keyword (or since `against`)
+v1.get('/history/:id/diff', validate('diffHistory'), v1Handler(async (req, res) => {
+  const record = await ownHistoryRecord(req.params.id);
+  if (!record) return res.status(404).json({ error: 'History record not found' });
+  const base = req.query.against ? await ownHistoryRecord(req.query.against) : await history.previous(record);
+  if (!base) {
+    return res.status(404).json({ error: req.query.against ? 'History record to compare against not found' : 'No earlier generation for this page or keyword' });
+  }
+  return res.json(diffGenerations(base, record));
+}));
+
+// -------------------- Search Console -------------------- //
+// Performance exports (CSV) uploaded into a project, joined with the title / meta changes applied to its
+// pages: WordPress publishes, and history records marked with appliedAt. The report compares CTR before and
+// after each page's last change and flags pages with many impressions but a low CTR for their position;
+// those can be queued for regeneration as a batch. Local files only, no Google API.
+
+const { parseSearchConsoleCsv, buildCtrReport, pageKey } = require('./lib/search-console');
+
+function searchConsoleSummary(imp) {
+  const { rows, pageQueries, ...summary } = imp;
+  const dim = imp.kind === 'pages' ? 'page' : 'query';
+  return {
+    ...summary,
+    rows: rows.length,
+    [imp.kind]: new Set(rows.map(r => r[dim])).size,
+    clicks: rows.reduce((n, r) => n + r.clicks, 0),
+    impressions: rows.reduce((n, r) => n + r.impressions, 0)
+  };
+}
 
+// Title / meta changes that went live on the project's pages: [{ url, at, source, id, title, description }]
+async function appliedChanges(project) {
+  const applied = (changes, field) => {
+    const c = changes.find(x => x.field === field && x.applied !== false);
+    return c ? c.after : null;
+  };
+  const published = await publishLog.list({
+    limit: 5000,
+    filter: r => r.apiKey === project.owner && r.status !== 'failed' && r.post && r.post.link
+  });
+  const fromWordPress = published
+    .map(r => ({ url: r.post.link, at: r.at, source: 'wordpress', id: r.id, title: applied(r.changes, 'title'), description: applied(r.changes, 'description') }))
+    .filter(c => c.title !== null || c.description !== null);
+  const records = await history.list({ owner: project.owner, project: project.id, limit: HISTORY_MAX });
+  const fromHistory = records.filter(r => r.appliedAt && r.url).map(r => ({
+    url: r.url, at: r.appliedAt, source: 'history', id: r.id,
+    title: chosenText(r, 'title', 'titles'), description: chosenText(r, 'description', 'descriptions')
+  }));
+  return fromWordPress.concat(fromHistory);
+}
 
+async function ctrReport(project, { windowDays = 28, minImpressions = 100 } = {}) {
+  const imports = await history.listSearchConsoleImports(project.id);
+  if (!imports.length) throw httpError(404, 'No Search Console data imported for this project');
+  const report = buildCtrReport({ imports, changes: await appliedChanges(project), windowDays, minImpressions });
+  return { project: { id: project.id, name: project.name, site: project.site }, imports: imports.length, ...report };
+}
 
+async function searchConsoleProject(req) {
+  const project = await ownProject(req.params.id);
+  if (!project) throw httpError(404, 'Project not found');
+  return project;
+}
 
+// Body: the export as text/csv, or { csv, startDate?, endDate?, name? } (also accepted as query parameters);
+// startDate / endDate are required for exports without a Date column
+v1.post('/projects/:id/search-console', validate('importSearchConsole'), v1Handler(async (req, res) => {
+  const project = await searchConsoleProject(req);
+  const opts = req.body && typeof req.body === 'object' ? req.body : {};
+  const csv = typeof req.body === 'string' ? req.body : opts.csv;
+  if (typeof csv !== 'string' || !csv.trim()) throw httpError(400, 'Upload the export as a text/csv body or send { "csv": "..." }');
+  const parsed = parseSearchConsoleCsv(csv, {
+    startDate: opts.startDate || req.query.startDate,
+    endDate: opts.endDate || req.query.endDate
+  });
+  const name = String(opts.name || req.query.name || '').trim().slice(0, 200) || null;
+  const imp = await history.addSearchConsoleImport({ project: project.id, name, ...parsed });
+  res.status(201).json(searchConsoleSummary(imp));
+}));
+
+v1.get('/projects/:id/search-console', validate('listSearchConsoleImports'), v1Handler(async (req, res) => {
+  const project = await searchConsoleProject(req);
+  res.json({ imports: (await history.listSearchConsoleImports(project.id)).map(searchConsoleSummary) });
+}));
+
+v1.delete('/projects/:id/search-console/:importId', validate('deleteSearchConsoleImport'), v1Handler(async (req, res) => {
+  const project = await searchConsoleProject(req);
+  if (!(await history.removeSearchConsoleImport(project.id, req.params.importId))) {
+    return res.status(404).json({ error: 'Search Console import not found' });
+  }
+  return res.status(204).end();
+}));
+
+// format=csv returns one section: pages (before / after per changed page) or opportunities
+v1.get('/projects/:id/search-console/report', validate('searchConsoleReport'), v1Handler(async (req, res) => {
+  const project = await searchConsoleProject(req);
+  const { windowDays, minImpressions, format = 'json', section = 'pages' } = req.query;
+  const report = await ctrReport(project, { windowDays, minImpressions });
+  if (format === 'json') return res.json(report);
+
+  const side = (row, name, t) => {
+    ['start', 'end', 'clicks', 'impressions', 'ctr', 'position'].forEach(k => { row[`${name}_${k}`] = t ? t[k] : ''; });
+    return row;
+  };
+  let rows;
+  let columns;
+  if (section === 'opportunities') {
+    rows = report.opportunities.map(o => ({
+      ...o, start: o.period.start, end: o.period.end, last_change: o.lastChange || '',
+      top_queries: (o.topQueries || []).map(q => q.query).join('\n')
+    }));
+    columns = ['url', 'start', 'end', 'clicks', 'impressions', 'ctr', 'position', 'expectedCtr', 'potentialClicks', 'last_change', 'top_queries'];
+  } else {
+    rows = report.pages.map(p => {
+      const row = {
+        url: p.url, changed_at: p.change.at, source: p.change.source, title: p.change.title || '', description: p.change.description || ''
+      };
+      side(row, 'before', p.before);
+      side(row, 'after', p.after);
+      return {
+        ...row,
+        ctr_change: p.delta ? p.delta.ctr : '',
+        verdict: p.verdict,
+        confidence: p.significance.confidence === null ? '' : p.significance.confidence,
+        hints: p.hints.join('\n')
+      };
+    });
+    columns = ['url', 'changed_at', 'source', 'title', 'description'];
+    ['before', 'after'].forEach(name => ['start', 'end', 'clicks', 'impressions', 'ctr', 'position'].forEach(k => columns.push(`${name}_${k}`)));
+    columns.push('ctr_change', 'verdict', 'confidence', 'hints');
+  }
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="ctr-${section}-${project.site || project.id}.csv"`);
+  return res.send(toCsv(rows, columns));
+}));
+
+// Queue the flagged pages (or the given `urls` among them) for regeneration, filed under the project.
+// Pages changed within the window the flag is based on are left out unless named in `urls`.
+v1.post('/projects/:id/search-console/regenerate', validate('regenerateFromSearchConsole'), v1Handler(async (req, res) => {
+  const project = await searchConsoleProject(req);
+  const { urls, limit = 20, windowDays, minImpressions, note = '', profile, language } = req.body || {};
+  if (profile) await resolveProfile(profile);
+  const report = await ctrReport(project, { windowDays, minImpressions });
+  const only = Array.isArray(urls) && urls.length ? new Set(urls.map(pageKey)) : null;
+  const picked = only
+    ? report.opportunities.filter(o => only.has(pageKey(o.url)))
+    : report.opportunities.filter(o => !o.changedSince).slice(0, limit);
+  if (!picked.length) return res.status(400).json({ error: 'No flagged pages to regenerate' });
+  if (picked.length > BATCH_MAX_ITEMS) {
+    return res.status(400).json({ error: `Too many pages: ${picked.length} (max ${BATCH_MAX_ITEMS}); pass "limit" or "urls"` });
+  }
+
+  const pct = n => `${Math.round(n * 1000) / 10}%`;
+  const items = picked.map(o => {
+    const queries = (o.topQueries || []).map(q => q.query);
+    const context = `Search Console: ${o.impressions} impressions, ${pct(o.ctr)} CTR at average position ${o.position}`
+      + (queries.length ? `; top queries: ${queries.join(', ')}` : '');
+    return normalizeBatchItem({ url: o.url }, {
+      type: 'url', note: [String(note).trim(), context].filter(Boolean).join('\n'), profile, language, project: project.id
+    });
+  });
+  if (req.apiKey) await apiKeys.assertQuota(req.apiKey, items.length);
+  const batch = await startBatchJob(items, { type: 'url', note, source: { searchConsole: project.id } });
+  return res.status(202).json({ ...batchJobLinks(batch, '/v1/batches'), project: project.id, pages: items.map(i => i.url) });
+}));
+
+// -------------------- Embed widget -------------------- //
+// public/embed.html in an iframe: <iframe src="https://<host>/embed?mode=url&theme=dark&origins=https://cms.example.com">.
+// Query: theme (light|dark|auto), mode (keyword|url), origins (comma-separated parent origins allowed to
+// frame it and exchange postMessages), plus key / profile / language passed on to the API.
+// EMBED_ALLOWED_ORIGINS limits which sites may frame the widget at all (default: any), and is the
+// messaging fallback for embeds that name no origins. With neither, the widget frames anywhere but never messages.
+
+const EMBED_ALLOWED_ORIGINS = parseOrigins(process.env.EMBED_ALLOWED_ORIGINS);
+const EMBED_HTML = fs.readFileSync(path.join(__dirname, 'public', 'embed.html'), 'utf8');
+
+// Valid "scheme://host[:port]" origins from a comma-separated list
+function parseOrigins(raw) {
+  return String(raw || '').split(',').map(s => s.trim()).filter(Boolean).map(o => {
+    try {
+      const u = new URL(o);
+      return /^https?:$/.test(u.protocol) ? u.origin : null;
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+// Parent origins the widget exchanges messages with: the requested ones, narrowed to EMBED_ALLOWED_ORIGINS
+// when set, else EMBED_ALLOWED_ORIGINS itself. Empty means no messaging (never "*").
+function embedOrigins(requested) {
+  if (!EMBED_ALLOWED_ORIGINS.length) return requested;
+  if (!requested.length) return EMBED_ALLOWED_ORIGINS;
+  return requested.filter(o => EMBED_ALLOWED_ORIGINS.includes(o));
+}
+
+// Sites that may frame the widget: its message origins; without any, anywhere unless EMBED_ALLOWED_ORIGINS is set
+function frameAncestors(origins) {
+  if (origins.length) return origins;
+  return EMBED_ALLOWED_ORIGINS.length ? ["'none'"] : ['*'];
+}
 
+app.get(['/embed', '/embed.html'], (req, res) => {
+  const origins = embedOrigins(parseOrigins(req.query.origins));
+  // helmet's defaults only allow same-origin framing; the widget is meant to be framed by other sites
+  res.removeHeader('X-Frame-Options');
+  res.set('Content-Security-Policy', [
+    "default-src 'self'", "script-src 'self'", "style-src 'self'", "img-src 'self' data:", "connect-src 'self'",
+    "base-uri 'self'", "form-action 'none'", "object-src 'none'", `frame-ancestors ${frameAncestors(origins).join(' ')}`
+  ].join('; '));
+  // public/embed.js reads the origins it may message from this tag (parsed origins hold no quotes or markup)
+  res.type('html').send(EMBED_HTML.replace('<meta name="metagen-origins" content="" />',
+    `<meta name="metagen-origins" content="${origins.join(' ')}" />`));
+});
+
+app.use(express.static(path.join(__dirname, 'public'), { index: false, maxAge: '1h' }));
+
+// Root helpful message
+app.get('/', (req, res) => res.send('MetaGen Tool API is running. Use POST /v1/generate; the API is described at GET /v1/openapi.json'));
+
+// Deprecated for POST /v1/generate: the URL pipeline with one title / meta / slug, in the shape
+// this route has always returned
+app.post('/api/meta-gen-url', deprecated('/v1/generate'), async (req, res) => {
+  try {
+    const { url, language, contentType, generator } = req.body || {};
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'URL is required and must be a string' });
+    }
+    const payload = await withQuota(() => generateFromUrl({ url, language, contentType, generator }));
+    return res.json({
+      provider: payload.provider,
+      parsed: { title: payload.titles[0] || '', meta: payload.metas[0] || '', slug: payload.slug },
+      language: payload.language,
+      keywords: { primary: payload.keywords.primary, secondary: payload.keywords.secondary },
+      extracted: payload.extracted,
+      warnings: payload.warnings
+    });
+  } catch (err) {
+    if (err.code === 'QUOTA_EXCEEDED') return sendKeyError(res, err);
+    if (err.status && err.status < 500) {
+      return res.status(err.status).json({ error: err.message, code: err.code, detail: err.detail });
+    }
+    logger.error('URL meta generation error', { err });
+    return res.status(500).json({ error: err.message || 'Internal server error', detail: err.detail });
+  }
+});
+
+// Start; bin/meta-gen.js requires this module for the generation pipeline without serving HTTP
+const PORT = process.env.PORT || 3000;
+if (require.main === module) app.listen(PORT, () => logger.info('MetaGen server listening', { port: PORT }));
 
+module.exports = { app, providers, generateFromUrl, generateFromKeyword, generationResult, normalizeBatchItem, batchItemsFromCsv, promptForPage };
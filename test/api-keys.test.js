@@ -0,0 +1,186 @@
+// API key store (lib/api-keys.js): lookup, revocation, rate limits, quotas and usage, and per-key
+// job scoping of the batch and audit routes
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApiKeyStore, hashKey, publicRecord, monthOf } = require('../lib/api-keys');
+
+const tmpKeysFile = keys => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'metagen-keys-')), 'keys.json');
+  fs.writeFileSync(file, JSON.stringify({ keys }));
+  return file;
+};
+
+const CONFIG_KEY = 'mgk_test_config';
+const keysFile = tmpKeysFile([{ id: 'acme', name: 'Acme Agency', hash: `sha256:${hashKey(CONFIG_KEY)}`, monthlyQuota: 2 }]);
+
+// keys the server loads (API_KEYS_FILE)
+const KEYS = { limited: 'mgk_test_limited', alice: 'mgk_test_alice', bob: 'mgk_test_bob' };
+process.env.API_KEYS_FILE = tmpKeysFile([
+  { id: 'limited', hash: `sha256:${hashKey(KEYS.limited)}`, monthlyQuota: 2 },
+  { id: 'alice', hash: `sha256:${hashKey(KEYS.alice)}` },
+  { id: 'bob', hash: `sha256:${hashKey(KEYS.bob)}` }
+]);
+process.env.HISTORY_DB = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeRedis } = require('./fixtures/fake-redis');
+const { app } = require('../server');
+
+for (const backend of ['memory', 'redis']) {
+  const newStore = (opts = {}) => createApiKeyStore({ redis: backend === 'redis' ? fakeRedis() : null, file: keysFile, ...opts });
+
+  test(`${backend}: issued and config-file keys resolve by their plain key only`, async () => {
+    const store = newStore({ defaults: { rateLimitPerMin: 60 } });
+    assert.equal(store.backend, backend);
+    assert.equal(store.configKeys, 1);
+
+    const { key, record } = await store.create({ id: 'client-1', name: 'Client', monthlyQuota: 100 });
+    assert.match(key, /^mgk_/);
+    assert.equal(record.hash, hashKey(key));
+    assert.equal(record.rateLimitPerMin, 60, 'defaults fill unset limits');
+    assert.equal(publicRecord(record).hash, undefined);
+
+    assert.equal((await store.lookup(` ${key} `)).id, 'client-1');
+    assert.equal((await store.lookup(CONFIG_KEY)).name, 'Acme Agency');
+    assert.equal(await store.lookup('mgk_unknown'), null);
+    assert.equal(await store.lookup(hashKey(key)), null);
+
+    await assert.rejects(store.create({ id: 'acme' }), { status: 409, code: 'KEY_EXISTS' });
+    await assert.rejects(store.create({ id: 'client-1' }), { status: 409 });
+    await assert.rejects(store.create({ id: 'bad id!' }), { status: 400, code: 'INVALID_INPUT' });
+    assert.deepEqual((await store.list()).map(r => r.id), ['acme', 'client-1']);
+  });
+
+  test(`${backend}: revocation sticks for stored and config-file keys`, async () => {
+    const store = newStore();
+    const { key } = await store.create({ id: 'gone' });
+    assert.ok((await store.revoke('gone')).revokedAt);
+    assert.ok((await store.lookup(key)).revokedAt);
+    assert.ok((await store.revoke('acme')).revokedAt);
+    assert.ok((await store.lookup(CONFIG_KEY)).revokedAt);
+    assert.equal(await store.revoke('missing'), null);
+  });
+
+  test(`${backend}: per-minute rate limit and monthly quota`, async () => {
+    const store = newStore();
+    const { record } = await store.create({ id: 'rl', rateLimitPerMin: 2 });
+    assert.equal((await store.hit(record)).remaining, 1);
+    assert.equal((await store.hit(record)).remaining, 0);
+    await assert.rejects(store.hit(record), err => err.status === 429 && err.code === 'RATE_LIMITED' && err.retryAfterSec >= 1);
+    assert.equal(await store.hit({ id: 'unlimited' }), null);
+
+    const acme = await store.get('acme');
+    await store.assertQuota(acme, 2);
+    await store.record('acme', { generations: 2, totalTokens: 812.4, bogus: 5 });
+    await assert.rejects(store.assertQuota(acme), err => err.code === 'QUOTA_EXCEEDED' &&
+      err.detail.used === 2 && err.detail.quota === 2 && /^\d{4}-\d{2}-01T00:00:00/.test(err.detail.resetsAt));
+    const usage = await store.usage('acme');
+    assert.equal(usage.month, monthOf());
+    assert.equal(usage.generations, 2);
+    assert.equal(usage.totalTokens, 812);
+    assert.equal(usage.bogus, undefined);
+    assert.equal((await store.usage('acme', '2001-01')).generations, 0);
+  });
+
+  test(`${backend}: reserve never lets concurrent generations past the quota`, async () => {
+    const store = newStore();
+    const { record } = await store.create({ id: 'k', monthlyQuota: 3 });
+    const results = await Promise.allSettled(Array.from({ length: 8 }, () => store.reserve(record)));
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 3);
+    results.filter(r => r.status === 'rejected').forEach(r => {
+      assert.equal(r.reason.code, 'QUOTA_EXCEEDED');
+      assert.equal(r.reason.detail.used, 3);
+    });
+    assert.equal((await store.usage('k')).generations, 3);
+
+    // a failed generation gives its reservation back, once
+    const reservation = results[0].value;
+    await reservation.release();
+    await reservation.release();
+    assert.equal((await store.usage('k')).generations, 2);
+    await store.reserve(record);
+    await assert.rejects(store.reserve(record), { code: 'QUOTA_EXCEEDED' });
+  });
+
+  test(`${backend}: reserve counts generations of keys without a quota`, async () => {
+    const store = newStore();
+    const { record } = await store.create({ id: 'free' });
+    await Promise.all([store.reserve(record), store.reserve(record, 2)]);
+    assert.equal((await store.usage('free')).generations, 3);
+  });
+}
+
+test('redis layout: hashed key index, TTLs on usage and rate counters', async () => {
+  const redis = fakeRedis();
+  const store = createApiKeyStore({ redis, prefix: 'apikey' });
+  const { key, record } = await store.create({ id: 'k1', rateLimitPerMin: 5 });
+  assert.equal(await redis.get(`apikey:hash:${hashKey(key)}`), 'k1');
+  assert.ok(!(await redis.get('apikey:key:k1')).includes(key), 'the plain key is never stored');
+
+  await store.record('k1', { requests: 1 });
+  assert.ok(await redis.ttl(`apikey:usage:k1:${monthOf()}`) > 300 * 24 * 60 * 60);
+  await store.hit(record);
+  const rateKey = [...redis.data.keys()].find(k => k.startsWith('apikey:rate:k1:'));
+  assert.equal(await redis.ttl(rateKey), 120);
+});
+
+async function withServer(fn) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, { key, body } = {}) => {
+    const headers = { 'content-type': 'application/json' };
+    if (key) headers.authorization = `Bearer ${key}`;
+    const r = await fetch(`${base}${route}`, { method, headers, body: body && JSON.stringify(body) });
+    const text = await r.text();
+    return { status: r.status, body: /json/.test(r.headers.get('content-type') || '') ? JSON.parse(text) : text };
+  };
+  try {
+    await fn(call);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('concurrent /v1/generate requests stop at the monthly quota', () => withServer(async call => {
+  const body = { keyword: 'espresso machine', generator: 'heuristic' };
+  const responses = await Promise.all(Array.from({ length: 5 }, () => call('POST', '/v1/generate', { key: KEYS.limited, body })));
+  assert.deepEqual(responses.map(r => r.status).sort(), [200, 200, 429, 429, 429]);
+  assert.ok(responses.filter(r => r.status === 429).every(r => r.body.code === 'QUOTA_EXCEEDED'));
+}));
+
+test('batch jobs are only visible to the key that started them', () => withServer(async call => {
+  const created = await call('POST', '/v1/batches', { key: KEYS.alice, body: { items: ['espresso machine'], generator: 'heuristic' } });
+  assert.equal(created.status, 202);
+  const { id } = created.body;
+
+  let own;
+  for (let i = 0; i < 50; i++) {
+    own = await call('GET', `/v1/batches/${id}`, { key: KEYS.alice });
+    if (own.body.status === 'completed') break;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.equal(own.status, 200);
+  assert.equal(own.body.status, 'completed');
+  assert.equal(own.body.owner, undefined);
+  assert.equal((await call('GET', `/v1/batches/${id}/export?format=csv`, { key: KEYS.alice })).status, 200);
+
+  assert.equal((await call('GET', `/v1/batches/${id}`, { key: KEYS.bob })).status, 404);
+  assert.equal((await call('GET', `/v1/batches/${id}?results=true`)).status, 404);
+  assert.equal((await call('GET', `/v1/batches/${id}/export?format=json`, { key: KEYS.bob })).status, 404);
+  assert.equal((await call('GET', `/api/meta-batch/${id}/export`, { key: KEYS.bob })).status, 404);
+
+  const keyless = await call('POST', '/api/meta-batch', { body: { items: ['espresso machine'], generator: 'heuristic' } });
+  assert.equal((await call('GET', `/api/meta-batch/${keyless.body.id}`)).status, 200);
+  assert.equal((await call('GET', `/api/meta-batch/${keyless.body.id}`, { key: KEYS.alice })).status, 404);
+}));
+
+test('audits are only visible to the key that started them', () => withServer(async call => {
+  for (const route of ['/v1/audits/unknown', '/v1/audits/unknown/report']) {
+    assert.equal((await call('GET', route, { key: KEYS.bob })).status, 404);
+  }
+  assert.equal((await call('POST', '/v1/audits/unknown/rewrite', { key: KEYS.bob, body: {} })).status, 404);
+}));
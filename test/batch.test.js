@@ -0,0 +1,93 @@
+// Batch job store and runner (lib/jobs.js) plus CSV import/export (lib/csv.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobStore, runJob } = require('../lib/jobs');
+const { parseCsv, parseCsvObjects, toCsv } = require('../lib/csv');
+const { fakeRedis } = require('./fixtures/fake-redis');
+
+const items = [
+  { type: 'keyword', keyword: 'running shoes', note: '' },
+  { type: 'url', url: 'https://example.com/broken', keyword: '', note: '' },
+  { type: 'keyword', keyword: 'trail shoes', note: '' }
+];
+
+async function worker(input) {
+  await new Promise(r => setTimeout(r, 5));
+  if (input.type === 'url') {
+    const err = new Error('Failed to fetch URL');
+    err.status = 502;
+    err.detail = 'HTTP 404';
+    throw err;
+  }
+  return { provider: 'test', main_keyword: input.keyword, titles: [`Best ${input.keyword}`], metas: ['Shop now.'], slug: input.keyword.replace(/ /g, '-') };
+}
+
+for (const backend of ['memory', 'redis']) {
+  test(`${backend} store runs a job to completion and records per-item failures`, async () => {
+    const redis = backend === 'redis' ? fakeRedis() : null;
+    const store = createJobStore({ redis, prefix: 'batch', ttlSec: 60 });
+    assert.equal(store.backend, backend);
+
+    const job = await store.create(items, { type: 'auto', concurrency: 2 });
+    assert.equal(job.status, 'queued');
+    assert.equal(job.total, 3);
+    assert.deepEqual((await store.getItems(job.id)).map(i => i.status), ['pending', 'pending', 'pending']);
+
+    const finished = await runJob(store, job.id, worker, { concurrency: 2 });
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.done, 2);
+    assert.equal(finished.failed, 1);
+    assert.ok(finished.startedAt && finished.finishedAt >= finished.startedAt);
+    assert.deepEqual(await store.get(job.id), finished);
+
+    const stored = await store.getItems(job.id);
+    assert.deepEqual(stored.map(i => i.status), ['done', 'failed', 'done']);
+    assert.equal(stored[0].result.slug, 'running-shoes');
+    assert.deepEqual(stored[1].error, { message: 'Failed to fetch URL', status: 502, detail: 'HTTP 404' });
+    assert.equal(await store.get('missing'), null);
+  });
+}
+
+test('redis store writes the job and its items in one transaction with a TTL', async () => {
+  const redis = fakeRedis();
+  const store = createJobStore({ redis, prefix: 'batch', ttlSec: 60 });
+  const job = await store.create(items);
+
+  assert.ok(redis.calls.some(c => c[0] === 'exec'));
+  assert.equal(await redis.ttl(`batch:${job.id}`), 60);
+  assert.equal(await redis.ttl(`batch:${job.id}:items`), 60);
+  assert.equal(await redis.hlen(`batch:${job.id}:items`), 3);
+
+  // status updates keep the original expiry
+  await store.update(job.id, { status: 'running' });
+  assert.equal(await redis.ttl(`batch:${job.id}`), 60);
+});
+
+test('runJob never has more items in flight than the concurrency limit', async () => {
+  const store = createJobStore();
+  const job = await store.create(Array.from({ length: 7 }, (_, i) => ({ type: 'keyword', keyword: `k${i}` })));
+  let active = 0;
+  let peak = 0;
+  await runJob(store, job.id, async () => {
+    peak = Math.max(peak, ++active);
+    await new Promise(r => setTimeout(r, 5));
+    active--;
+    return {};
+  }, { concurrency: 3 });
+  assert.equal(peak, 3);
+  assert.equal((await store.get(job.id)).done, 7);
+});
+
+test('CSV import reads headered and bare lists', () => {
+  assert.deepEqual(parseCsvObjects('URL,Note\r\nhttps://a.example/,"launch, spring"\n\nhttps://b.example/,\n'), [
+    { url: 'https://a.example/', note: 'launch, spring' },
+    { url: 'https://b.example/', note: '' }
+  ]);
+  assert.deepEqual(parseCsv('﻿running shoes\ntrail shoes\n'), [['running shoes'], ['trail shoes']]);
+});
+
+test('CSV export quotes fields with separators, quotes and newlines', () => {
+  const csv = toCsv([{ index: 0, title: 'Shoes, "fast"', meta: 'two\nlines', error: null }], ['index', 'title', 'meta', 'error']);
+  assert.equal(csv, 'index,title,meta,error\r\n0,"Shoes, ""fast""","two\nlines",\r\n');
+  assert.deepEqual(parseCsv(csv)[1], ['0', 'Shoes, "fast"', 'two\nlines', '']);
+});
@@ -0,0 +1,235 @@
+// Generation cache (lib/cache.js) and its use in the generation flows and /api/admin/cache,
+// with a mock OpenAI-compatible provider and a local page whose content the tests change
+process.env.SAFE_FETCH_ALLOW_PRIVATE = '1';
+process.env.HISTORY_DB = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+process.env.LLM_PROVIDERS = 'local';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createCache } = require('../lib/cache');
+const { mockLlm } = require('./fixtures/mock-llm');
+const { fakeRedis } = require('./fixtures/fake-redis');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('resolve computes on a miss, answers hits and evicts the least recently used', async () => {
+  const cache = createCache({ maxEntries: 2 });
+  let computed = 0;
+  const compute = value => async () => { computed += 1; return value; };
+
+  assert.deepEqual(await cache.resolve('a', compute('A')), { value: 'A', result: 'miss' });
+  assert.deepEqual(await cache.resolve('a', compute('other')), { value: 'A', result: 'hit' });
+  await cache.resolve('b', compute('B'));
+  await cache.resolve('a', compute('other')); // a is now the most recently used
+  await cache.resolve('c', compute('C'));
+  assert.equal((await cache.resolve('a', compute('other'))).result, 'hit');
+  assert.deepEqual(await cache.resolve('b', compute('B2')), { value: 'B2', result: 'miss' });
+  assert.equal(computed, 4);
+
+  // uncacheable results are returned but not stored
+  await cache.resolve('d', compute({ provider: 'heuristic' }), { cacheable: v => v.provider !== 'heuristic' });
+  assert.equal((await cache.resolve('d', compute({ provider: 'heuristic' }), { cacheable: () => false })).result, 'miss');
+
+  const stats = await cache.stats();
+  assert.equal(stats.backend, 'memory');
+  assert.equal(stats.entries, 2);
+  assert.equal(stats.hit, 3);
+  assert.equal(stats.miss, 6);
+  assert.equal(stats.hitRatio, 3 / 9);
+});
+
+test('identical concurrent misses share one computation', async () => {
+  const cache = createCache();
+  let computed = 0;
+  const compute = async () => { computed += 1; await sleep(20); return { n: computed }; };
+  const results = await Promise.all(Array.from({ length: 4 }, () => cache.resolve('k', compute)));
+  assert.equal(computed, 1);
+  assert.deepEqual(results.map(r => r.result).sort(), ['miss', 'shared', 'shared', 'shared']);
+  assert.ok(results.every(r => r.value.n === 1));
+
+  // a failed computation fails every caller waiting on it and isn't stored
+  const failing = async () => { await sleep(10); throw new Error('provider down'); };
+  const failed = await Promise.allSettled([cache.resolve('x', failing), cache.resolve('x', failing)]);
+  assert.ok(failed.every(r => r.status === 'rejected' && r.reason.message === 'provider down'));
+  assert.equal((await cache.resolve('x', async () => 'ok')).result, 'miss');
+});
+
+test('stale entries are served while one background call refreshes them', async () => {
+  const cache = createCache({ ttlSec: 0.05, staleSec: 60 });
+  const backgrounds = [];
+  let version = 0;
+  const compute = async ({ background }) => { backgrounds.push(background); version += 1; await sleep(10); return `v${version}`; };
+
+  await cache.resolve('k', compute);
+  await sleep(60);
+  const stale = await Promise.all([cache.resolve('k', compute), cache.resolve('k', compute)]);
+  assert.deepEqual(stale.map(r => [r.value, r.result]), [['v1', 'stale'], ['v1', 'stale']]);
+  await sleep(30);
+  assert.deepEqual(await cache.resolve('k', compute), { value: 'v2', result: 'hit' });
+  assert.deepEqual(backgrounds, [false, true]);
+
+  // past the stale window an entry is a miss
+  const short = createCache({ ttlSec: 0.01, staleSec: 0.01 });
+  await short.resolve('k', async () => 'old');
+  await sleep(40);
+  assert.deepEqual(await short.resolve('k', async () => 'new'), { value: 'new', result: 'miss' });
+});
+
+test('purge removes entries by URL, keyword or URL prefix', async () => {
+  const cache = createCache();
+  const value = async () => 'x';
+  await cache.resolve('1', value, { tags: { url: 'https://a.example/blog/one' } });
+  await cache.resolve('2', value, { tags: { url: 'https://a.example/blog/two' } });
+  await cache.resolve('3', value, { tags: { url: 'https://a.example/shop' } });
+  await cache.resolve('4', value, { tags: { keyword: 'Trail Shoes' } });
+  await cache.resolve('5', value, { tags: { keyword: 'trail shoes' } });
+
+  assert.equal(await cache.purge({ keyword: ' trail SHOES ' }), 2);
+  assert.equal(await cache.purge({ url: 'https://a.example/shop' }), 1);
+  assert.equal(await cache.purge({ url: 'https://a.example/blog' }), 0);
+  assert.equal(await cache.purge({ prefix: 'https://a.example/blog/' }), 2);
+  assert.equal((await cache.stats()).entries, 0);
+});
+
+test('redis: an entry and its index member are written in one MULTI, scored by expiry', async () => {
+  const redis = fakeRedis();
+  const cache = createCache({ redis, prefix: 'c', ttlSec: 60, staleSec: 30 });
+  const before = Date.now();
+  assert.equal((await cache.resolve('k1', async () => 'A', { tags: { url: 'https://a.example/x' } })).result, 'miss');
+  const after = Date.now();
+
+  assert.deepEqual(redis.calls.slice(-4).map(c => c[0]), ['set', 'zadd', 'zremrangebyscore', 'exec']);
+  assert.equal(redis.calls[redis.calls.length - 1][1], 3);
+  assert.equal(await redis.ttl('c:k1'), 90);
+  const score = await redis.zscore('c:index', JSON.stringify(['k1', 'https://a.example/x', null]));
+  assert.ok(score >= before + 90000 && score <= after + 90000);
+  assert.deepEqual(await cache.resolve('k1', async () => 'B'), { value: 'A', result: 'hit' });
+});
+
+test('redis: expired index members are pruned on write and never counted', async () => {
+  const redis = fakeRedis();
+  const cache = createCache({ redis, prefix: 'c' });
+  const dead = n => JSON.stringify([`dead${n}`, `https://a.example/old/${n}`, null]);
+  for (let n = 0; n < 3; n++) await redis.zadd('c:index', Date.now() - 1000 * (n + 1), dead(n));
+  await cache.resolve('live', async () => 'x', { tags: { keyword: 'Shoes' } });
+
+  assert.equal(await redis.zcard('c:index'), 1);
+  assert.deepEqual(await redis.zrangebyscore('c:index', '-inf', '+inf'), [JSON.stringify(['live', null, 'shoes'])]);
+
+  // stats count with ZCOUNT instead of reading the index
+  await redis.zadd('c:index', Date.now() - 1, dead(9));
+  redis.calls.length = 0;
+  assert.equal((await cache.stats()).entries, 1);
+  assert.deepEqual(redis.calls.map(c => c[0]), ['zcount']);
+});
+
+test('redis: purge deletes matching entries, returns the removed count and drops dead members', async () => {
+  const redis = fakeRedis();
+  const cache = createCache({ redis, prefix: 'c' });
+  const value = async () => 'x';
+  await cache.resolve('1', value, { tags: { url: 'https://a.example/blog/one' } });
+  await cache.resolve('2', value, { tags: { url: 'https://a.example/blog/two' } });
+  await cache.resolve('3', value, { tags: { url: 'https://a.example/shop' } });
+  await cache.resolve('4', value, { tags: { keyword: 'Trail Shoes' } });
+  // an expired member that would match is neither counted nor left behind
+  await redis.zadd('c:index', Date.now() - 1, JSON.stringify(['old', 'https://a.example/blog/old', null]));
+
+  assert.equal(await cache.purge({ prefix: 'https://a.example/blog/' }), 2);
+  assert.equal(await redis.get('c:1'), null);
+  assert.equal(await redis.get('c:2'), null);
+  assert.ok(await redis.get('c:3'));
+  assert.equal(await redis.zcard('c:index'), 2);
+
+  assert.equal(await cache.purge({ keyword: 'trail shoes' }), 1);
+  assert.equal(await cache.purge({ url: 'https://a.example/blog/one' }), 0);
+  assert.equal((await cache.stats()).entries, 1);
+});
+
+// Local page whose HTML the test can change
+function pageServer() {
+  let html = '';
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+    res.end(html);
+  });
+  return {
+    set html(v) { html = v; },
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const page = intro => `<!doctype html><html lang="en"><head><title>Descale an Espresso Machine | BrewLab</title>
+<meta name="description" content="How to descale an espresso machine at home."></head><body><main>
+<h1>Descale an Espresso Machine</h1><p>${intro}</p>
+<p>Limescale builds up inside every espresso machine that runs on tap water, and it slowly chokes the boiler and the pump.</p>
+</main></body></html>`;
+
+test('generation flows cache by page content, share concurrent generations, and the admin API purges them', async () => {
+  const llm = mockLlm({ delayMs: 30 });
+  process.env.OPENAI_COMPAT_BASE_URL = await llm.listen();
+  const site = pageServer();
+  const base = await site.listen();
+  const { app } = require('../server');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const api = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body, token = process.env.ADMIN_TOKEN) => {
+    const headers = { 'content-type': 'application/json' };
+    if (route.startsWith('/api/admin/')) headers.authorization = `Bearer ${token}`;
+    const r = await fetch(`${api}${route}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: r.status, body: await r.json() };
+  };
+  const generate = body => call('POST', '/v1/generate', body);
+
+  try {
+    const url = `${base}/descale`;
+    site.html = page('Descale an espresso machine every two to three months in hard water areas.');
+    const first = await generate({ url });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.provider, 'local');
+    assert.equal(first.body.cached, false);
+    const callsPerGeneration = llm.calls.length;
+    assert.equal((await generate({ url })).body.cached, true);
+    assert.equal(llm.calls.length, callsPerGeneration);
+
+    // a changed page is a new key; the old entry stays until it expires or is purged
+    site.html = page('Descale an espresso machine once a month if your water is very hard.');
+    assert.equal((await generate({ url })).body.cached, false);
+    assert.equal(llm.calls.length, 2 * callsPerGeneration);
+
+    // identical concurrent requests make one generation
+    const keywordCalls = llm.calls.length;
+    const concurrent = await Promise.all(Array.from({ length: 3 }, () => generate({ keyword: 'espresso machine' })));
+    assert.deepEqual(concurrent.map(r => r.status), [200, 200, 200]);
+    assert.deepEqual(concurrent.map(r => r.body.cached).sort(), [false, true, true]);
+    const perKeyword = llm.calls.length - keywordCalls;
+
+    const stats = await call('GET', '/api/admin/cache');
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.backend, 'memory');
+    assert.equal(stats.body.entries, 3);
+    assert.equal(stats.body.hit, 1);
+    assert.equal(stats.body.miss, 3);
+    assert.equal(stats.body.shared, 2);
+
+    assert.deepEqual((await call('POST', '/api/admin/cache/purge', { url })).body, { url, purged: 2 });
+    assert.equal((await generate({ url })).body.cached, false);
+    assert.deepEqual((await call('POST', '/api/admin/cache/purge', { prefix: `${base}/` })).body, { prefix: `${base}/`, purged: 1 });
+    assert.deepEqual((await call('POST', '/api/admin/cache/purge', { keyword: 'Espresso Machine' })).body, { keyword: 'Espresso Machine', purged: 1 });
+    const before = llm.calls.length;
+    assert.equal((await generate({ keyword: 'espresso machine' })).body.cached, false);
+    assert.equal(llm.calls.length - before, perKeyword);
+
+    assert.equal((await call('POST', '/api/admin/cache/purge', { url, keyword: 'x' })).status, 400);
+    assert.equal((await call('POST', '/api/admin/cache/purge', { prefix: ' ' })).status, 400);
+    assert.equal((await call('POST', '/api/admin/cache/purge', { url }, 'wrong-token')).status, 401);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await site.close();
+    await llm.close();
+  }
+});
@@ -0,0 +1,143 @@
+// Competitor comparison (lib/competitors.js and the `competitors` input of the URL flow),
+// with the competing pages served from test/fixtures/competitors
+process.env.SAFE_FETCH_ALLOW_PRIVATE = '1';
+process.env.HISTORY_DB = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractPage } = require('../lib/extract');
+const { analyzeCompetitors, competitorInstruction, compareCandidates, titleFormulas } = require('../lib/competitors');
+const { jaccard } = require('../lib/score');
+const { serveFixtures } = require('./fixtures/serve');
+
+const DIR = path.join(__dirname, 'fixtures', 'competitors');
+const KEYWORD = 'coffee grinder';
+
+function fixturePage(name) {
+  const page = extractPage(fs.readFileSync(path.join(DIR, `${name}.html`), 'utf8'), { url: `https://example.com/${name}` });
+  return { url: `https://example.com/${name}`, title: page.titleTag, description: page.metaDesc, h1: page.h1 };
+}
+
+const rivals = () => ['rival-1', 'rival-2', 'rival-3'].map(fixturePage)
+  .concat({ url: 'https://example.com/gone', error: 'Unable to fetch URL: status 404', code: 'HTTP_ERROR' });
+
+test('titleFormulas names the patterns a title follows', () => {
+  assert.deepEqual(titleFormulas('10 Best Coffee Grinders of 2026 - Grind Guide', KEYWORD), ['list', 'best-of', 'guide', 'year', 'brand-suffix']);
+  assert.deepEqual(titleFormulas('How to Choose a Coffee Grinder?', KEYWORD), ['how-to', 'question']);
+  assert.deepEqual(titleFormulas('Coffee Grinder: Buying Advice', KEYWORD), ['colon', 'keyword-first']);
+});
+
+test('analyzeCompetitors summarises the fixture pages', () => {
+  const { pages, summary } = analyzeCompetitors(rivals(), { keyword: KEYWORD, language: 'en' });
+  assert.equal(pages.length, 4);
+  assert.deepEqual(pages[3], { url: 'https://example.com/gone', ok: false, error: 'Unable to fetch URL: status 404', code: 'HTTP_ERROR' });
+  assert.equal(pages[0].title, 'Best Coffee Grinder 2026 | BrewLab');
+  assert.equal(pages[0].titleLength, 34);
+  assert.deepEqual(pages[0].keyword.title, { index: 5, at: 'middle' });
+  assert.equal(pages[0].keyword.h1, true);
+
+  assert.equal(summary.analyzed, 3);
+  assert.equal(summary.failed, 1);
+  assert.equal(summary.averages.titleLength, Math.round((34 + 45 + 43) / 3));
+  assert.equal(summary.keyword.inTitle, 3);
+  assert.equal(summary.keyword.inDescription, 3);
+  assert.equal(summary.keyword.inH1, 3);
+  // "10 Best Coffee Grinders" has the plural only
+  assert.equal(summary.keyword.atTitleStart, 0);
+
+  const phrases = summary.sharedPhrases.map(s => s.phrase);
+  assert.ok(phrases.includes('grind consistency'), phrases.join(', '));
+  assert.ok(!phrases.includes(KEYWORD));
+  assert.deepEqual(summary.sharedPhrases.find(s => s.phrase === 'grind consistency'), { phrase: 'grind consistency', pages: 2, fields: ['description'] });
+  const formulas = Object.fromEntries(summary.formulas.map(f => [f.formula, f.count]));
+  assert.equal(formulas['brand-suffix'], 3);
+  assert.equal(formulas['best-of'], 2);
+  assert.equal(formulas.year, 2);
+});
+
+test('competitorInstruction lists the competitors and what they share', () => {
+  const text = competitorInstruction(analyzeCompetitors(rivals(), { keyword: KEYWORD }));
+  assert.match(text, /Stand apart from them/);
+  assert.match(text, /"Best Coffee Grinder 2026 \| BrewLab" \/ "We tested/);
+  assert.match(text, /"grind consistency"/);
+  assert.match(text, /best-of \(2 of 3\)/);
+  assert.equal(competitorInstruction(null), '');
+  assert.equal(competitorInstruction(analyzeCompetitors([{ url: 'x', error: 'down' }])), '');
+});
+
+test('compareCandidates flags a title identical to a competitor as me-too', () => {
+  const analysis = analyzeCompetitors(rivals(), { keyword: KEYWORD });
+  const { titles, descriptions } = compareCandidates({
+    titles: ['Best Coffee Grinder 2026', 'Best Coffee Grinder 2026 | BrewLab', 'Folding Hand Coffee Grinder with Steel Burrs for Travel'],
+    metas: ['We tested the best coffee grinder models of 2026 for grind consistency, noise and price.']
+  }, analysis, { language: 'en', threshold: 0.6 });
+
+  assert.deepEqual(titles[0].similarity.map(s => s.url), ['https://example.com/rival-1', 'https://example.com/rival-2', 'https://example.com/rival-3']);
+  assert.equal(titles[0].similarity[0].similarity, 0.8);
+  assert.equal(titles[0].meToo, true);
+  assert.equal(titles[1].maxSimilarity, 1);
+  assert.equal(titles[1].meToo, true);
+  assert.ok(titles[2].maxSimilarity < 0.3, String(titles[2].maxSimilarity));
+  assert.equal(titles[2].meToo, false);
+  assert.equal(descriptions[0].maxSimilarity, 1);
+  assert.equal(descriptions[0].meToo, true);
+});
+
+test('compareCandidates keeps stopwords, numbers and the keyword', () => {
+  const analysis = analyzeCompetitors([{ url: 'a', title: 'The Best 2026', description: '', h1: '' }], { keyword: KEYWORD });
+  const { titles, descriptions } = compareCandidates({ titles: ['The Best 2026'], metas: ['Anything'] }, analysis);
+  assert.equal(titles[0].maxSimilarity, 1);
+  assert.equal(titles[0].meToo, true);
+  // no competitor description to compare with
+  assert.deepEqual(descriptions[0].similarity, []);
+  assert.equal(descriptions[0].meToo, false);
+});
+
+test('jaccard of two empty word lists is 1', () => {
+  assert.equal(jaccard([], []), 1);
+  assert.equal(jaccard(['a'], []), 0);
+  assert.equal(jaccard(['a', 'b'], ['b', 'c']), 1 / 3);
+});
+
+test('URL flow fetches the competitors and scores the candidates', async () => {
+  const site = serveFixtures(DIR);
+  const base = await site.listen();
+  const { generateFromUrl } = require('../server');
+  try {
+    const events = [];
+    const payload = await generateFromUrl({
+      url: `${base}/ours`,
+      keyword: KEYWORD,
+      generator: 'heuristic',
+      competitors: [`${base}/rival-1`, `${base}/rival-2`, `${base}/rival-3`, `${base}/missing`, `${base}/ours`]
+    }, { onProgress: (event, data) => events.push([event, data]) });
+
+    const { competitors } = payload;
+    assert.equal(competitors.keyword, KEYWORD);
+    assert.equal(competitors.summary.analyzed, 3);
+    assert.equal(competitors.summary.failed, 1);
+    assert.deepEqual(competitors.pages.map(p => p.url.replace(base, '')), ['/rival-1', '/rival-2', '/rival-3', '/missing']);
+    assert.equal(competitors.pages[3].code, 'HTTP_ERROR');
+    assert.equal(competitors.candidates.titles.length, payload.titles.length);
+    competitors.candidates.titles.forEach((c, i) => {
+      assert.equal(c.text, payload.titles[i]);
+      assert.equal(c.similarity.length, 3);
+      assert.equal(c.meToo, c.maxSimilarity >= 0.6);
+    });
+    assert.deepEqual(events.find(([event]) => event === 'competitors')[1], competitors.summary);
+  } finally {
+    await site.close();
+  }
+});
+
+test('competitors input is validated', async () => {
+  const { generateFromUrl } = require('../server');
+  const url = 'https://example.com/page';
+  await assert.rejects(generateFromUrl({ url, competitors: 'https://example.com/a' }), { status: 400 });
+  await assert.rejects(generateFromUrl({ url, competitors: ['not a url'] }), { status: 400 });
+  const eleven = Array.from({ length: 11 }, (_, i) => `https://example.com/${i}`);
+  await assert.rejects(generateFromUrl({ url, competitors: eleven }), { status: 400, message: /at most 10/ });
+});
@@ -0,0 +1,134 @@
+// Robots-aware sitemap crawler (lib/crawler.js) and the audit report (lib/audit.js)
+process.env.SAFE_FETCH_ALLOW_PRIVATE = '1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const { createCrawler, parseRobots, pickRobotsGroup, robotsAllows, parseSitemap } = require('../lib/crawler');
+const { pageRecord, buildAuditReport } = require('../lib/audit');
+
+const ROBOTS = [
+  'User-agent: *',
+  'Disallow: /',
+  '',
+  'User-agent: Googlebot',
+  'User-agent: MetaGenTool',
+  'Disallow: /private/',
+  'Allow: /private/press',
+  'Disallow: /*.pdf$',
+  'Disallow: /search?',
+  'Crawl-delay: 0.05 # seconds'
+].join('\n');
+
+// local site serving a fixed set of paths and recording each request
+async function siteServer(routes) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push({ url: req.url, ua: req.headers['user-agent'] });
+    const body = routes[req.url];
+    if (body === undefined) { res.writeHead(404); return res.end('not found'); }
+    const type = Buffer.isBuffer(body) ? 'application/x-gzip' : (/<html/i.test(body) ? 'text/html' : 'text/plain');
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(body);
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return {
+    seen,
+    origin: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(r => { server.closeAllConnections(); server.close(r); })
+  };
+}
+
+test('parseRobots groups consecutive user-agents and picks the most specific group', () => {
+  const groups = parseRobots(ROBOTS);
+  assert.equal(groups.length, 2);
+  assert.deepEqual(groups[1].agents, ['googlebot', 'metagentool']);
+  const ours = pickRobotsGroup(groups);
+  assert.equal(ours, groups[1]);
+  assert.equal(ours.crawlDelay, 0.05);
+  assert.equal(pickRobotsGroup(groups, 'otherbot'), groups[0]);
+  assert.equal(pickRobotsGroup(parseRobots('User-agent: bingbot\nDisallow: /')), null);
+});
+
+test('robotsAllows applies longest match, Allow on ties, wildcards and $ anchors', () => {
+  const group = pickRobotsGroup(parseRobots(ROBOTS));
+  assert.equal(robotsAllows(group, '/blog/post'), true);
+  assert.equal(robotsAllows(group, '/private/notes'), false);
+  assert.equal(robotsAllows(group, '/private/press-kit'), true);
+  assert.equal(robotsAllows(group, '/files/guide.pdf'), false);
+  assert.equal(robotsAllows(group, '/files/guide.pdf?v=2'), true);
+  assert.equal(robotsAllows(group, '/search?q=shoes'), false);
+  assert.equal(robotsAllows({ rules: [{ allow: false, path: '/a' }, { allow: true, path: '/a' }] }, '/a'), true);
+  assert.equal(robotsAllows(null, '/anything'), true);
+});
+
+test('parseSitemap reads url sets and indexes', () => {
+  assert.deepEqual(parseSitemap('<urlset><url><loc> https://x.example/a?b=1&amp;c=2 </loc></url><url><loc><![CDATA[https://x.example/b]]></loc></url></urlset>'),
+    { type: 'urlset', locs: ['https://x.example/a?b=1&c=2', 'https://x.example/b'] });
+  assert.deepEqual(parseSitemap('<sitemapindex><sitemap><loc>https://x.example/s1.xml</loc></sitemap></sitemapindex>'),
+    { type: 'index', locs: ['https://x.example/s1.xml'] });
+});
+
+test('crawler follows sitemap indexes, skips disallowed pages and spaces requests by Crawl-delay', async () => {
+  const routes = {
+    '/robots.txt': ROBOTS,
+    '/': '<html><head><title>Home</title></head><body><h1>Home</h1></body></html>'
+  };
+  const site = await siteServer(routes);
+  const { origin, seen } = site;
+  try {
+    // paths are served live, so the sitemaps can point back at the server's port
+    routes['/sitemap.xml'] = `<sitemapindex><sitemap><loc>${origin}/pages.xml.gz</loc></sitemap><sitemap><loc>${origin}/pages.xml.gz</loc></sitemap></sitemapindex>`;
+    routes['/pages.xml.gz'] = zlib.gzipSync(`<urlset><url><loc>${origin}/</loc></url><url><loc>${origin}/private/notes</loc></url><url><loc>ftp://x.example/f</loc></url></urlset>`);
+    const crawler = createCrawler({ rateMs: 0 });
+
+    const found = await crawler.discover(`${origin}/sitemap.xml`);
+    assert.deepEqual(found.urls, [`${origin}/`, `${origin}/private/notes`]);
+    assert.deepEqual(found.sitemaps, [`${origin}/sitemap.xml`, `${origin}/pages.xml.gz`]);
+
+    const started = Date.now();
+    const home = await crawler.fetchPage(`${origin}/`);
+    assert.equal(home.ok, true);
+    assert.deepEqual(await crawler.fetchPage(`${origin}/private/notes`), { url: `${origin}/private/notes`, skipped: 'robots' });
+    assert.equal((await crawler.fetchPage(`${origin}/about`)).status, 404);
+    assert.ok(Date.now() - started >= 50, 'Crawl-delay spaces requests to the host');
+
+    // robots.txt is fetched once per origin and every request carries our UA
+    assert.equal(seen.filter(s => s.url === '/robots.txt').length, 1);
+    assert.ok(seen.every(s => /MetaGenTool/.test(s.ua)));
+    assert.ok(!seen.some(s => s.url === '/private/notes'));
+  } finally {
+    await site.close();
+  }
+});
+
+test('crawler treats a missing robots.txt as allow-all and reports a failing sitemap', async () => {
+  const site = await siteServer({ '/page': '<html></html>' });
+  try {
+    const crawler = createCrawler({ rateMs: 0 });
+    assert.equal(await crawler.isAllowed(`${site.origin}/page`), true);
+    await assert.rejects(crawler.discover(`${site.origin}/sitemap.xml`), { status: 400, message: /status 404/ });
+  } finally {
+    await site.close();
+  }
+});
+
+test('audit report flags length, duplicate and H1 issues', () => {
+  const html = (title, meta, h1) => ({ ok: true, status: 200, contentType: 'text/html', url: 'u',
+    body: `<title>${title}</title><meta name="description" content="${meta}"><h1>${h1}</h1>` });
+  const goodMeta = 'A detailed guide to choosing trail running shoes, with fit advice, grip comparisons and the best picks for wet and rocky ground.';
+  const records = [
+    pageRecord('https://x.example/a', html('Trail Running Shoes: How to Pick the Right Pair', goodMeta, 'Trail running shoes')),
+    pageRecord('https://x.example/b', html('Shoes', goodMeta, 'Contact us')),
+    pageRecord('https://x.example/c', { skipped: 'robots' }),
+    pageRecord('https://x.example/d', { ok: false, status: 500 })
+  ];
+  const report = buildAuditReport(records);
+  assert.deepEqual(report.summary, {
+    pages: 4, crawled: 2, skipped: 1, errors: 1, failing: 2,
+    issues: { title_too_short: 1, meta_duplicate: 2, h1_title_mismatch: 1 }
+  });
+  assert.deepEqual(report.pages[0].issues.map(i => i.code), ['meta_duplicate']);
+  assert.equal(report.duplicates.descriptions[0].urls.length, 2);
+});
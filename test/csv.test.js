@@ -0,0 +1,25 @@
+// CSV helpers (lib/csv.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvObjects, toCsv, stripFormulaGuard } = require('../lib/csv');
+
+test('toCsv quotes fields with separators, quotes and newlines', () => {
+  const csv = toCsv([{ a: 'x, y', b: 'say "hi"', c: 'two\nlines', d: 3, e: null }], ['a', 'b', 'c', 'd', 'e']);
+  assert.equal(csv, 'a,b,c,d,e\r\n"x, y","say ""hi""","two\nlines",3,\r\n');
+  assert.deepEqual(parseCsv(csv), [['a', 'b', 'c', 'd', 'e'], ['x, y', 'say "hi"', 'two\nlines', '3', '']]);
+});
+
+test('toCsv neutralises text cells that would run as formulas', () => {
+  const rows = [{ title: '=HYPERLINK("http://evil.example","Click")', meta: '+1 555 0100', slug: '-10% off', h1: '@channel', n: -5 }];
+  const csv = toCsv(rows, ['title', 'meta', 'slug', 'h1', 'n']);
+  const [, cells] = parseCsv(csv);
+  assert.deepEqual(cells, ['\'=HYPERLINK("http://evil.example","Click")', "'+1 555 0100", "'-10% off", "'@channel", '-5']);
+  assert.equal(toCsv([{ t: '\tcmd' }], ['t']).split('\r\n')[1], "'\tcmd");
+});
+
+test('stripFormulaGuard restores cells written by toCsv', () => {
+  const rows = parseCsvObjects(toCsv([{ title: '-10% off everything', description: "'Tis the season" }], ['title', 'description']));
+  assert.equal(stripFormulaGuard(rows[0].title), '-10% off everything');
+  assert.equal(stripFormulaGuard(rows[0].description), "'Tis the season");
+  assert.equal(stripFormulaGuard(undefined), undefined);
+});
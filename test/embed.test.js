@@ -0,0 +1,139 @@
+// Embed widget: the /embed route (framing and message origins) and the postMessage origin checks of public/embed.js
+process.env.HISTORY_DB = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+delete process.env.EMBED_ALLOWED_ORIGINS;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { execFile } = require('child_process');
+
+const CMS = 'https://cms.example.com';
+const OTHER = 'https://evil.example';
+
+const frameAncestors = res => (res.headers.get('content-security-policy').match(/frame-ancestors ([^;]+)/) || [])[1];
+const originsMeta = html => (html.match(/<meta name="metagen-origins" content="([^"]*)" \/>/) || [])[1];
+
+async function embedPage(base, query) {
+  const res = await fetch(`${base}/embed${query}`);
+  return { status: res.status, ancestors: frameAncestors(res), frameOptions: res.headers.get('x-frame-options'), origins: originsMeta(await res.text()) };
+}
+
+test('/embed passes the requested origins to the page and its frame-ancestors', async () => {
+  const { app } = require('../server');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const named = await embedPage(base, `?origins=${CMS}/posts/, javascript:alert(1),ftp://files.example`);
+    assert.equal(named.status, 200);
+    assert.equal(named.frameOptions, null);
+    assert.equal(named.ancestors, CMS);
+    assert.equal(named.origins, CMS);
+
+    // no origins: it may be framed anywhere, but messaging stays off
+    const open = await embedPage(base, '');
+    assert.equal(open.ancestors, '*');
+    assert.equal(open.origins, '');
+    assert.equal((await embedPage(base, '?origins=%22%3E%3Cscript%3E')).origins, '');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('/embed narrows to EMBED_ALLOWED_ORIGINS and falls back to it', async () => {
+  // the allow-list is read at startup, so this runs against a server in its own process
+  const script = `
+    const { app } = require('./server');
+    const server = app.listen(0, '127.0.0.1', async () => {
+      const base = 'http://127.0.0.1:' + server.address().port;
+      const out = {};
+      for (const q of ['', '?origins=${CMS}', '?origins=${OTHER}']) {
+        const res = await fetch(base + '/embed' + q);
+        out[q] = { csp: res.headers.get('content-security-policy'), html: await res.text() };
+      }
+      process.stdout.write(JSON.stringify(out));
+      server.close(() => process.exit(0));
+    });`;
+  const stdout = await new Promise((resolve, reject) => execFile(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, EMBED_ALLOWED_ORIGINS: `${CMS}, https://www.example.com` },
+    timeout: 30000
+  }, (err, out) => (err ? reject(err) : resolve(out))));
+  const pages = JSON.parse(stdout);
+  const check = (q, ancestors, origins) => {
+    assert.equal(pages[q].csp.match(/frame-ancestors ([^;]+)/)[1], ancestors);
+    assert.equal(originsMeta(pages[q].html), origins);
+  };
+  check('', `${CMS} https://www.example.com`, `${CMS} https://www.example.com`);
+  check(`?origins=${CMS}`, CMS, CMS);
+  check(`?origins=${OTHER}`, "'none'", '');
+});
+
+// Runs public/embed.js against a stub DOM inside a frame whose parent records postMessage calls
+function loadWidget({ origins, embedded = true }) {
+  const element = () => {
+    const el = {
+      value: '', hidden: false, textContent: '', disabled: false,
+      classList: { toggle() {}, add() {}, remove() {} },
+      style: {},
+      setAttribute() {}, getAttribute: () => null, addEventListener() {},
+      querySelector: () => element(), querySelectorAll: () => [],
+      appendChild() {}, removeChild() {}
+    };
+    el.content = { firstElementChild: { cloneNode: () => element() } };
+    return el;
+  };
+  const elements = {};
+  const meta = origins === undefined ? null : { getAttribute: name => (name === 'content' ? origins : null) };
+  const document = {
+    documentElement: element(),
+    body: element(),
+    getElementById: id => elements[id] || (elements[id] = element()),
+    querySelector: sel => (sel === 'meta[name="metagen-origins"]' ? meta : null),
+    querySelectorAll: () => [],
+    createElement: () => element()
+  };
+  const sent = [];
+  const listeners = [];
+  const parent = { postMessage: (message, target) => sent.push({ type: message.type, target }) };
+  const window = {
+    addEventListener: (type, fn) => { if (type === 'message') listeners.push(fn); }
+  };
+  window.parent = embedded ? parent : window;
+  const context = { window, document, location: { search: '' }, URLSearchParams, URL, navigator: {}, setTimeout, clearTimeout, fetch: () => new Promise(() => {}) };
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'public', 'embed.js'), 'utf8'), context);
+  return {
+    sent,
+    field: id => document.getElementById(id).value,
+    receive: (origin, data, source = parent) => listeners.forEach(fn => fn({ origin, source, data }))
+  };
+}
+
+test('the widget only talks to the origins the server named', () => {
+  const widget = loadWidget({ origins: `${CMS} https://www.example.com` });
+  assert.deepEqual(widget.sent, [
+    { type: 'metagen:ready', target: CMS },
+    { type: 'metagen:ready', target: 'https://www.example.com' }
+  ]);
+
+  widget.receive(OTHER, { type: 'metagen:prefill', keyword: 'from elsewhere' });
+  widget.receive(CMS, { type: 'metagen:prefill', keyword: 'not the parent' }, {});
+  assert.equal(widget.field('mg-keyword'), '');
+  widget.receive(CMS, { type: 'metagen:prefill', keyword: 'espresso machine', note: 'home baristas' });
+  assert.equal(widget.field('mg-keyword'), 'espresso machine');
+  assert.equal(widget.field('mg-note'), 'home baristas');
+});
+
+test('without origins the widget neither posts to "*" nor accepts messages', () => {
+  for (const origins of ['', undefined]) {
+    const widget = loadWidget({ origins });
+    assert.deepEqual(widget.sent, []);
+    widget.receive(CMS, { type: 'metagen:prefill', keyword: 'espresso machine' });
+    assert.equal(widget.field('mg-keyword'), '');
+  }
+  // opened on its own (not framed) there is no parent to message
+  assert.deepEqual(loadWidget({ origins: CMS, embedded: false }).sent, []);
+});
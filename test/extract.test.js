@@ -0,0 +1,94 @@
+// cheerio-based page extraction (lib/extract.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPage, extractMainContent, extractRobots, extractJsonLd, stripTags } = require('../lib/extract');
+
+const PAGE = `<!doctype html>
+<html><head>
+  <base href="/shop/">
+  <title>
+    Trail Shoes &amp; Boots | Acme
+  </title>
+  <meta content="Grippy trail shoes for wet rock." NAME="Description">
+  <link href="trail-shoes?ref=canon" rel="Canonical">
+  <link rel="alternate" hreflang="de-DE" href="/de/trail-schuhe">
+  <link rel="stylesheet" hreflang="fr" href="/style.css">
+  <meta name="robots" content="noindex, follow">
+  <meta property="og:title" content="Trail Shoes">
+  <meta property="og:title" content="Second og:title is ignored">
+  <meta property="og:image:alt" content="A muddy shoe">
+  <meta name="twitter:card" content="summary_large_image">
+  <script type="application/ld+json">{"@context":"https://schema.org","@graph":[{"@type":"Product","name":"Trail Shoe"},{"@type":["BreadcrumbList","Thing"]}]}</script>
+  <script type="application/ld+json">{ not json }</script>
+</head><body>
+  <header class="site-header"><h1>Acme Store</h1></header>
+  <nav><ul><li>Home</li><li>Shop</li></ul></nav>
+  <div class="cookie-banner"><p>We use cookies to improve your experience on this website.</p></div>
+  <main>
+    <h1>Trail  running
+      shoes</h1>
+    <p>Our trail shoes grip wet rock and loose gravel.</p>
+    <h2>Sizing</h2>
+    <ul><li>Half sizes available</li><li>Wide fits on request</li></ul>
+    <div class="share-buttons"><p>Share on social</p></div>
+    <script>var tracking = "should not appear";</script>
+  </main>
+  <footer><p>Copyright Acme</p></footer>
+</body></html>`;
+
+test('extractPage reads head tags, resolving links against <base href>', () => {
+  const page = extractPage(PAGE, { url: 'https://acme.example/products/trail' });
+  assert.equal(page.titleTag, 'Trail Shoes & Boots | Acme');
+  assert.equal(page.metaDesc, 'Grippy trail shoes for wet rock.');
+  assert.equal(page.canonical, 'https://acme.example/shop/trail-shoes?ref=canon');
+  assert.deepEqual(page.hreflang, [{ lang: 'de-de', href: 'https://acme.example/de/trail-schuhe' }]);
+  assert.deepEqual(page.robots, { raw: 'noindex, follow', directives: ['noindex', 'follow'], index: false, follow: true });
+  assert.deepEqual(page.openGraph, { title: 'Trail Shoes', 'image:alt': 'A muddy shoe' });
+  assert.deepEqual(page.twitter, { card: 'summary_large_image' });
+  assert.deepEqual(page.jsonLdTypes, ['Product', 'BreadcrumbList', 'Thing']);
+  assert.equal(page.jsonLd.length, 2);
+});
+
+test('extractPage takes the first H1 and outline from the whole page', () => {
+  const page = extractPage(PAGE, { url: 'https://acme.example/' });
+  assert.equal(page.h1, 'Acme Store');
+  assert.deepEqual(page.headings, [
+    { level: 1, text: 'Acme Store' },
+    { level: 1, text: 'Trail running shoes' },
+    { level: 2, text: 'Sizing' }
+  ]);
+});
+
+test('main content drops navigation, boilerplate and scripts', () => {
+  const page = extractPage(PAGE, { url: 'https://acme.example/' });
+  assert.equal(page.mainContent, [
+    'Trail running shoes',
+    'Our trail shoes grip wet rock and loose gravel.',
+    'Sizing',
+    'Half sizes available',
+    'Wide fits on request',
+    // a page this thin also gets the text of its JSON-LD (lib/spa.js)
+    'Trail Shoe'
+  ].join('\n'));
+  assert.equal(page.wordCount, 22);
+  assert.deepEqual(page.spa, { framework: null, shell: false, sources: ['json-ld'], prerenderedUrl: null });
+  assert.equal(page.snippet, page.mainContent.replace(/\n/g, ' '));
+  assert.doesNotMatch(page.mainContent, /cookies|Copyright|tracking|Share on social|Home/);
+});
+
+test('without <main> the container with the most paragraph text wins', () => {
+  const long = 'This paragraph carries the actual article text about waterproof membranes. '.repeat(4);
+  const html = `<body><div id="promo"><p>Sale now on</p></div><div class="grid"><div class="col"><p>Short teaser.</p></div>
+    <div class="story"><p>${long}</p><p>${long}</p></div></div></body>`;
+  const text = extractMainContent(html);
+  assert.ok(text.startsWith('This paragraph carries'));
+  assert.doesNotMatch(text, /Short teaser|Sale now on/);
+  assert.ok(extractMainContent(html, 40).length <= 40);
+});
+
+test('robots, JSON-LD and tag stripping handle edge cases', () => {
+  assert.deepEqual(extractRobots('<meta name="googlebot" content="none">'), { raw: 'none', directives: ['none'], index: false, follow: false });
+  assert.deepEqual(extractRobots('<p>no meta</p>'), { raw: null, directives: [], index: true, follow: true });
+  assert.deepEqual(extractJsonLd('<script type="application/ld+json">[{"@type":"FAQPage"},"x"]</script>'), [{ '@type': 'FAQPage' }]);
+  assert.equal(stripTags('<b>Bold</b>   <i>text</i>'), 'Bold text');
+});
@@ -0,0 +1,184 @@
+// In-memory stand-in for the subset of the ioredis client the stores use.
+// Values are kept as strings like real Redis; `multi()` queues calls and
+// `exec()` resolves with ioredis-style [[err, reply], ...] pairs.
+
+function fakeRedis() {
+  const data = new Map();     // key -> string | Map (hash) | Map member->score (zset)
+  const types = new Map();    // key -> 'string' | 'hash' | 'zset'
+  const expiry = new Map();   // key -> epoch ms
+  const calls = [];
+
+  function alive(key) {
+    const at = expiry.get(key);
+    if (at !== undefined && at <= Date.now()) { data.delete(key); types.delete(key); expiry.delete(key); }
+    return data.has(key);
+  }
+
+  function typed(key, type, create) {
+    if (alive(key)) {
+      if (types.get(key) !== type) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+      return data.get(key);
+    }
+    if (!create) return null;
+    const v = new Map();
+    data.set(key, v);
+    types.set(key, type);
+    return v;
+  }
+
+  function score(v) {
+    if (v === '-inf') return -Infinity;
+    if (v === '+inf' || v === 'inf') return Infinity;
+    return Number(v);
+  }
+
+  // ZRANGEBYSCORE-style bounds: "(" makes one exclusive
+  function inRange(s, min, max) {
+    const open = v => typeof v === 'string' && v.startsWith('(');
+    const lo = score(open(min) ? min.slice(1) : min);
+    const hi = score(open(max) ? max.slice(1) : max);
+    return (open(min) ? s > lo : s >= lo) && (open(max) ? s < hi : s <= hi);
+  }
+
+  const commands = {
+    get(key) {
+      if (!alive(key)) return null;
+      if (types.get(key) !== 'string') throw new Error('WRONGTYPE');
+      return data.get(key);
+    },
+    set(key, value, ...opts) {
+      const keepTtl = opts.includes('KEEPTTL');
+      const ex = opts.indexOf('EX');
+      if (!keepTtl || !alive(key)) expiry.delete(key);
+      data.set(key, String(value));
+      types.set(key, 'string');
+      if (ex !== -1) expiry.set(key, Date.now() + Number(opts[ex + 1]) * 1000);
+      return 'OK';
+    },
+    del(...keys) {
+      let n = 0;
+      keys.flat().forEach(key => { if (alive(key)) { data.delete(key); types.delete(key); expiry.delete(key); n++; } });
+      return n;
+    },
+    exists(...keys) { return keys.flat().filter(alive).length; },
+    expire(key, sec) {
+      if (!alive(key)) return 0;
+      expiry.set(key, Date.now() + Number(sec) * 1000);
+      return 1;
+    },
+    ttl(key) {
+      if (!alive(key)) return -2;
+      return expiry.has(key) ? Math.ceil((expiry.get(key) - Date.now()) / 1000) : -1;
+    },
+    incr(key) { return commands.incrby(key, 1); },
+    incrby(key, by) {
+      const next = Number(commands.get(key) || 0) + Number(by);
+      data.set(key, String(next));
+      types.set(key, 'string');
+      return next;
+    },
+    hset(key, ...args) {
+      const pairs = args.length === 1 && typeof args[0] === 'object' ? Object.entries(args[0]).flat() : args;
+      const h = typed(key, 'hash', true);
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!h.has(String(pairs[i]))) added++;
+        h.set(String(pairs[i]), String(pairs[i + 1]));
+      }
+      return added;
+    },
+    hget(key, field) {
+      const h = typed(key, 'hash', false);
+      return h && h.has(String(field)) ? h.get(String(field)) : null;
+    },
+    hgetall(key) {
+      const h = typed(key, 'hash', false);
+      return h ? Object.fromEntries(h) : {};
+    },
+    hdel(key, ...fields) {
+      const h = typed(key, 'hash', false);
+      if (!h) return 0;
+      const n = fields.flat().filter(f => h.delete(String(f))).length;
+      if (!h.size) commands.del(key);
+      return n;
+    },
+    hlen(key) {
+      const h = typed(key, 'hash', false);
+      return h ? h.size : 0;
+    },
+    hincrby(key, field, by) {
+      const h = typed(key, 'hash', true);
+      const next = Number(h.get(String(field)) || 0) + Number(by);
+      h.set(String(field), String(next));
+      return next;
+    },
+    zadd(key, ...args) {
+      const z = typed(key, 'zset', true);
+      let added = 0;
+      for (let i = 0; i < args.length; i += 2) {
+        if (!z.has(String(args[i + 1]))) added++;
+        z.set(String(args[i + 1]), score(args[i]));
+      }
+      return added;
+    },
+    zscore(key, member) {
+      const z = typed(key, 'zset', false);
+      return z && z.has(String(member)) ? String(z.get(String(member))) : null;
+    },
+    zrem(key, ...members) {
+      const z = typed(key, 'zset', false);
+      if (!z) return 0;
+      const n = members.flat().filter(m => z.delete(String(m))).length;
+      if (!z.size) commands.del(key);
+      return n;
+    },
+    zcard(key) {
+      const z = typed(key, 'zset', false);
+      return z ? z.size : 0;
+    },
+    zcount(key, min, max) {
+      const z = typed(key, 'zset', false);
+      if (!z) return 0;
+      return [...z.values()].filter(s => inRange(s, min, max)).length;
+    },
+    zrangebyscore(key, min, max) {
+      const z = typed(key, 'zset', false);
+      if (!z) return [];
+      return [...z].filter(([, s]) => inRange(s, min, max)).sort((a, b) => a[1] - b[1]).map(([m]) => m);
+    },
+    zremrangebyscore(key, min, max) {
+      const gone = commands.zrangebyscore(key, min, max);
+      return gone.length ? commands.zrem(key, ...gone) : 0;
+    },
+    scan(cursor, ...opts) {
+      const m = opts.indexOf('MATCH');
+      const re = m === -1 ? null : new RegExp(`^${opts[m + 1].split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+      return ['0', [...data.keys()].filter(k => alive(k) && (!re || re.test(k)))];
+    }
+  };
+
+  const client = { calls, data, expiry };
+  for (const [name, fn] of Object.entries(commands)) {
+    client[name] = async (...args) => { calls.push([name, ...args]); return fn(...args); };
+  }
+  client.multi = () => {
+    const queue = [];
+    const tx = {
+      exec: async () => {
+        calls.push(['exec', queue.length]);
+        return queue.map(([name, args]) => {
+          try { return [null, commands[name](...args)]; } catch (err) { return [err, null]; }
+        });
+      }
+    };
+    for (const name of Object.keys(commands)) {
+      tx[name] = (...args) => { calls.push([name, ...args]); queue.push([name, args]); return tx; };
+    }
+    return tx;
+  };
+  client.quit = async () => 'OK';
+  client.on = () => client;
+  return client;
+}
+
+module.exports = { fakeRedis };
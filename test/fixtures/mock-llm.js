@@ -0,0 +1,61 @@
+// OpenAI-compatible /chat/completions endpoint answering every prompt with valid output for the
+// keyword it names. `calls` holds every request body; `delayMs` holds each answer back so concurrent
+// requests overlap.
+const http = require('http');
+
+const USAGE = { prompt_tokens: 400, completion_tokens: 120 };
+const FILLER = 'what it is, how it works, what to look out for and how to get it right the first time, with practical tips, common mistakes and answers to the questions readers ask most often';
+
+// Output meeting the limits both prompts state: 5 titles, 3 descriptions of 150-160 characters, a slug
+function answer(prompt) {
+  const match = prompt.match(/(?:Main keyword|Keyword): "([^"]+)"/);
+  const keyword = match ? match[1] : 'this page';
+  const Keyword = keyword.charAt(0).toUpperCase() + keyword.slice(1);
+  const meta = lead => {
+    const text = `${lead} ${FILLER}`;
+    return `${text.slice(0, text.lastIndexOf(' ', 157))}.`;
+  };
+  return {
+    main_keyword: keyword,
+    titles: [`${Keyword}: A Practical Guide`, `${Keyword} Explained`, `How to Get ${Keyword} Right`, `${Keyword} Tips`, `${Keyword} FAQ`],
+    metas: [meta(`${Keyword} explained:`), meta(`Our guide to ${keyword}:`), meta(`Everything about ${keyword}:`)],
+    slug: keyword.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+  };
+}
+
+function mockLlm({ delayMs = 0 } = {}) {
+  const calls = [];
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'not found' } }));
+    }
+    const request = JSON.parse(body);
+    calls.push(request);
+    const raw = JSON.stringify(answer(request.messages[0].content));
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    const id = `mock-${calls.length}`;
+    if (request.stream) {
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      res.write(`data: ${JSON.stringify({ id, model: request.model, choices: [{ delta: { content: raw } }] })}\n\n`);
+      res.write(`data: ${JSON.stringify({ id, model: request.model, choices: [], usage: USAGE })}\n\n`);
+      return res.end('data: [DONE]\n\n');
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    return res.end(JSON.stringify({ id, model: request.model, choices: [{ message: { role: 'assistant', content: raw } }], usage: USAGE }));
+  });
+  let base = '';
+  return {
+    calls,
+    get url() { return base; },
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}/v1`;
+      resolve(base);
+    })),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { mockLlm };
@@ -0,0 +1,59 @@
+// A WordPress REST API stand-in: posts and pages in memory, Basic auth, the SEO plugin's
+// namespace in the index and its post meta exposed (or not) per post.
+const http = require('http');
+
+const USER = 'editor';
+const PASSWORD = 'abcd efgh ijkl mnop';
+
+function mockWordPress({ namespaces = ['wp/v2'], posts = [] } = {}) {
+  const store = posts.map(p => JSON.parse(JSON.stringify(p)));
+  const requests = [];
+  let base = '';
+  const auth = `Basic ${Buffer.from(`${USER}:${PASSWORD.replace(/\s+/g, '')}`).toString('base64')}`;
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  const view = p => ({ ...p, link: `${base}${p.path}` });
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      const url = new URL(req.url, base);
+      requests.push({ method: req.method, path: url.pathname, search: url.search, body: body ? JSON.parse(body) : null });
+      if (req.headers.authorization !== auth) return send(res, 401, { code: 'incorrect_password', message: 'The provided password is an invalid application password.' });
+      if (url.pathname === '/wp-json/') return send(res, 200, { name: 'Mock', namespaces });
+      const m = url.pathname.match(/^\/wp-json\/wp\/v2\/(posts|pages)(?:\/(\d+))?$/);
+      if (!m) return send(res, 404, { code: 'rest_no_route', message: 'No route was found matching the URL and request method.' });
+      const [, type, id] = m;
+      const ofType = store.filter(p => p.type === type);
+      if (!id) {
+        const slug = url.searchParams.get('slug');
+        return send(res, 200, ofType.filter(p => !slug || p.slug === slug).map(view));
+      }
+      const post = ofType.find(p => p.id === Number(id));
+      if (!post) return send(res, 404, { code: 'rest_post_invalid_id', message: 'Invalid post ID.' });
+      if (req.method === 'POST') {
+        const update = JSON.parse(body || '{}');
+        if (update.slug) post.slug = update.slug.toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+        // like register_post_meta: only registered (exposed) keys are written
+        Object.entries(update.meta || {}).forEach(([k, v]) => { if (post.meta && k in post.meta) post.meta[k] = v; });
+      }
+      return send(res, 200, view(post));
+    });
+  });
+
+  return {
+    store,
+    requests,
+    get url() { return base; },
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      resolve(base);
+    })),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { mockWordPress, USER, PASSWORD };
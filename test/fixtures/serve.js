@@ -0,0 +1,28 @@
+// Static server for the HTML fixtures: /<name> serves <dir>/<name>.html, anything else is a 404
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+function serveFixtures(dir) {
+  const server = http.createServer((req, res) => {
+    const name = decodeURIComponent(new URL(req.url, 'http://x').pathname).replace(/^\/+|\/+$/g, '') || 'index';
+    const file = path.join(dir, `${name}.html`);
+    if (!/^[\w-]+$/.test(name) || !fs.existsSync(file)) {
+      res.writeHead(404, { 'content-type': 'text/html' });
+      return res.end('<h1>Not found</h1>');
+    }
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+    return res.end(fs.readFileSync(file));
+  });
+  let base = '';
+  return {
+    get url() { return base; },
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      resolve(base);
+    })),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { serveFixtures };
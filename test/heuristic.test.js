@@ -0,0 +1,55 @@
+// Heuristic metas (lib/heuristic.js) after adjustMeta: no filler padding, cut at a sentence/clause end
+process.env.HISTORY_DB = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { fitSerpWidth, measureText, maxSerpWidth, SERP_LAYOUT } = require('../lib/serp');
+const { generateFromUrl, generateFromKeyword } = require('../server');
+
+const PAGES = path.join(__dirname, 'fixtures', 'pages');
+const FILLER = /Learn more about/;
+const size = SERP_LAYOUT.desktop.snippet.size;
+// a width limit that a word cut of longer text ends exactly after `text`
+const upTo = text => measureText(`${text} a`, size);
+
+test('fitSerpWidth atBoundary keeps whole sentences, else whole clauses', () => {
+  const sentences = 'Descale your espresso machine every two months. Read the full guide. Find out more about the best descaling products';
+  const limit = upTo('Descale your espresso machine every two months. Read the full guide. Find out more');
+  assert.equal(fitSerpWidth(sentences, 'snippet', 'desktop', limit), 'Descale your espresso machine every two months. Read the full guide. Find out more');
+  assert.equal(fitSerpWidth(sentences, 'snippet', 'desktop', limit, { atBoundary: true }), 'Descale your espresso machine every two months. Read the full guide.');
+
+  const clauses = 'Our conical steel burr grinders give an even grind, adjustable settings and a quiet motor for every brewing method';
+  const clauseLimit = upTo('Our conical steel burr grinders give an even grind, adjustable settings and a quiet motor');
+  assert.equal(fitSerpWidth(clauses, 'snippet', 'desktop', clauseLimit, { atBoundary: true }), 'Our conical steel burr grinders give an even grind');
+
+  // a boundary that would drop more than half the text is not used
+  const early = 'Hi. A long sentence without any breaks that goes on and on about grinders and burrs';
+  const earlyLimit = upTo('Hi. A long sentence without any breaks that goes on and on');
+  assert.equal(fitSerpWidth(early, 'snippet', 'desktop', earlyLimit, { atBoundary: true }), 'Hi. A long sentence without any breaks that goes on and on');
+  assert.equal(fitSerpWidth('Short. Text', 'snippet', 'desktop', undefined, { atBoundary: true }), 'Short. Text');
+});
+
+test('heuristic metas of the URL flow are not padded with filler', async () => {
+  for (const name of ['blog-post', 'product', 'index']) {
+    const html = fs.readFileSync(path.join(PAGES, `${name}.html`), 'utf8');
+    const { metas, provider } = await generateFromUrl({ url: `https://example.com/${name}`, generator: 'heuristic' }, { html });
+    assert.equal(provider, 'heuristic');
+    metas.forEach(meta => {
+      assert.doesNotMatch(meta, FILLER, meta);
+      assert.match(meta, /[.!?]$/, meta);
+      assert.ok(measureText(meta, size) <= maxSerpWidth('snippet'), meta);
+    });
+  }
+});
+
+test('heuristic metas of the keyword flow are not padded with filler', async () => {
+  const { metas } = await generateFromKeyword({ keyword: 'espresso machine', generator: 'heuristic' });
+  assert.ok(metas.length > 0);
+  metas.forEach(meta => {
+    assert.doesNotMatch(meta, FILLER, meta);
+    assert.match(meta, /[.!?]$/, meta);
+  });
+});
@@ -0,0 +1,58 @@
+// Local RAKE / TF-IDF keyword extraction (lib/keywords.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractKeywords } = require('../lib/keywords');
+const { extractPage } = require('../lib/extract');
+
+const URL = 'https://shop.example/guides/running-shoes-flat-feet';
+const HTML = `<html><head><title>Running Shoes for Flat Feet: The Ultimate Guide</title>
+<meta name="description" content="Find the best running shoes for flat feet with stability, arch support and cushioning."></head>
+<body><main><h1>Running shoes for flat feet</h1>
+<p>Flat feet need running shoes with arch support. Stability shoes keep the foot from rolling inward.</p>
+<h2>Why arch support matters</h2>
+<p>Good arch support spreads the load. Without arch support, overpronation strains the knees.</p>
+<h2>Stability vs cushioning</h2>
+<p>Stability shoes use a firmer medial post, while cushioning helps on long runs. Many runners with flat feet mix stability shoes and neutral shoes.</p>
+<p>Try running shoes for flat feet late in the day, when feet are largest. Check the arch support and the heel counter.</p>
+<p>Updated review: 2024 prices from $120.</p>
+</main></body></html>`;
+
+function keywords(opts) {
+  return extractKeywords(extractPage(HTML, { url: URL }), { url: URL, ...opts });
+}
+
+test('the repeated title and H1 phrase is the main keyword, keeping its interior stopword', () => {
+  const { primary } = keywords();
+  assert.equal(primary[0].phrase, 'running shoes for flat feet');
+  assert.equal(primary[0].count, 4);
+  assert.deepEqual(primary[0].fields, ['title', 'h1', 'meta', 'content']);
+  assert.ok(primary.some(p => p.phrase === 'flat feet' && p.score === 1), 'scores are normalised to the best candidate');
+  assert.ok(primary.every(p => p.score > 0 && p.score <= 1));
+});
+
+test('phrases spread over the page rank above one-off and generic words', () => {
+  const { primary, secondary } = keywords();
+  const phrases = primary.map(p => p.phrase);
+  assert.ok(phrases.indexOf('arch support') !== -1 && phrases.indexOf('arch support') < phrases.indexOf('cushioning'));
+  // subsumed fragments, generic words and numbers never stand alone
+  ['running shoes', 'running', 'ultimate', 'guide', 'review', 'updated', '2024', '120', 'heel counter'].forEach(w => {
+    assert.ok(!phrases.includes(w), w);
+  });
+  // secondary terms exclude the words of the main keyword
+  assert.deepEqual(secondary.map(s => s.term), ['arch support', 'stability', 'cushioning']);
+});
+
+test('English plurals fold onto one candidate', () => {
+  const page = { titleTag: 'Trail shoes buying advice', mainContent: 'A trail shoe grips.\nTrail shoes drain water.\nPick trail shoes by terrain.' };
+  const { primary } = extractKeywords(page, { language: 'en' });
+  // the most common surface form is reported
+  const trail = primary.find(p => /^trail shoes?$/.test(p.phrase));
+  assert.equal(trail.phrase, 'trail shoes');
+  assert.equal(trail.count, 4);
+});
+
+test('limits and empty pages', () => {
+  assert.equal(keywords({ maxPrimary: 2, maxSecondary: 1 }).primary.length, 2);
+  assert.equal(keywords({ maxSecondary: 1 }).secondary.length, 1);
+  assert.deepEqual(extractKeywords({}, {}), { primary: [], secondary: [] });
+});
@@ -0,0 +1,65 @@
+// Language options (lib/language.js and the `language` request parameter, batch items included)
+process.env.HISTORY_DB = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeLanguage, isSupportedLanguage, resolveLanguage } = require('../lib/language');
+const { app, normalizeBatchItem } = require('../server');
+
+test('isSupportedLanguage accepts the languages of languages.json with any region', () => {
+  assert.equal(isSupportedLanguage('de'), true);
+  assert.equal(isSupportedLanguage('pt-BR'), true);
+  assert.equal(isSupportedLanguage('en_US'), true);
+  assert.equal(normalizeLanguage('zz-invalid'), 'zz');
+  assert.equal(isSupportedLanguage('zz-invalid'), false);
+  assert.equal(isSupportedLanguage('toString'), false);
+  assert.equal(isSupportedLanguage(''), false);
+});
+
+test('pages in other languages still resolve', () => {
+  assert.equal(resolveLanguage({ htmlLang: 'fi' }).language, 'fi');
+});
+
+test('/v1/generate rejects unsupported language codes', async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const post = async body => {
+    const r = await fetch(`http://127.0.0.1:${server.address().port}/v1/generate`, {
+      method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body)
+    });
+    return { status: r.status, body: await r.json() };
+  };
+  try {
+    const bad = await post({ keyword: 'espresso machine', language: 'zz-invalid', generator: 'heuristic' });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.code, 'INVALID_INPUT');
+    assert.match(bad.body.error, /language "zz-invalid" is not supported/);
+
+    const ok = await post({ keyword: 'Espressomaschine', language: 'de-AT', generator: 'heuristic' });
+    assert.equal(ok.status, 200);
+    assert.deepEqual([ok.body.language.language, ok.body.language.name], ['de', 'German']);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('batch items with an unsupported language are rejected', async () => {
+  assert.equal(normalizeBatchItem({ keyword: 'Espressomaschine', language: 'de-AT' }).language, 'de');
+  assert.throws(() => normalizeBatchItem({ keyword: 'espresso machine', language: 'zz-invalid' }),
+    err => err.status === 400 && /language "zz-invalid" is not supported; use one of .*\bde\b/.test(err.message));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const r = await fetch(`http://127.0.0.1:${server.address().port}/v1/batches`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ items: ['espresso machine', { keyword: 'milk frother', language: 'zz-invalid' }], generator: 'heuristic' })
+    });
+    assert.equal(r.status, 400);
+    assert.match((await r.json()).error, /language "zz-invalid" is not supported/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,113 @@
+// Prometheus exposition (lib/metrics.js), JSON logs with request IDs (lib/log.js) and GET /metrics
+process.env.HISTORY_DB = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+process.env.LLM_PROVIDERS = 'local';
+process.env.METRICS_TOKEN = 'scrape-token';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics, CONTENT_TYPE } = require('../lib/metrics');
+const { logger, requestContext, serializeError } = require('../lib/log');
+const { mockLlm } = require('./fixtures/mock-llm');
+
+test('registry renders counters, gauges and cumulative histogram buckets', () => {
+  const metrics = createMetrics({ prefix: 'app_' });
+  const calls = metrics.counter('calls_total', 'Calls\nby outcome', ['provider', 'outcome']);
+  calls.inc({ provider: 'say "hi"\\', outcome: 'ok' });
+  calls.inc({ provider: 'local', outcome: 'ok' }, 2);
+  calls.inc({ provider: 'local', outcome: 'ok' }, 0);
+  calls.inc({ provider: 'local' });
+  assert.equal(calls.get({ provider: 'local', outcome: 'ok' }), 2);
+  let collected = 0;
+  metrics.gauge('up', 'Up', [], g => g.set({}, ++collected));
+  const latency = metrics.histogram('latency_seconds', 'Latency', ['route'], [0.1, 1]);
+  [0.05, 0.5, 3].forEach(v => latency.observe({ route: '/x' }, v));
+
+  assert.equal(metrics.render(), [
+    '# HELP app_calls_total Calls\\nby outcome',
+    '# TYPE app_calls_total counter',
+    'app_calls_total{provider="say \\"hi\\"\\\\",outcome="ok"} 1',
+    'app_calls_total{provider="local",outcome="ok"} 2',
+    'app_calls_total{provider="local",outcome=""} 1',
+    '# HELP app_up Up',
+    '# TYPE app_up gauge',
+    'app_up 1',
+    '# HELP app_latency_seconds Latency',
+    '# TYPE app_latency_seconds histogram',
+    'app_latency_seconds_bucket{route="/x",le="0.1"} 1',
+    'app_latency_seconds_bucket{route="/x",le="1"} 2',
+    'app_latency_seconds_bucket{route="/x",le="+Inf"} 3',
+    'app_latency_seconds_sum{route="/x"} 3.55',
+    'app_latency_seconds_count{route="/x"} 3',
+    ''
+  ].join('\n'));
+  assert.match(metrics.render(), /^app_up 2$/m);
+  assert.equal(CONTENT_TYPE, 'text/plain; version=0.0.4; charset=utf-8');
+});
+
+test('logs are JSON lines tagged with the request ID, filtered by LOG_LEVEL', (t) => {
+  const lines = { stdout: [], stderr: [] };
+  t.mock.method(process.stdout, 'write', line => lines.stdout.push(JSON.parse(line)));
+  t.mock.method(process.stderr, 'write', line => lines.stderr.push(JSON.parse(line)));
+  t.after(() => { process.env.LOG_LEVEL = 'silent'; });
+
+  process.env.LOG_LEVEL = 'info';
+  logger.debug('hidden');
+  requestContext.run({ requestId: 'req-1' }, () => logger.info('Batch started', { items: 3, skipped: undefined }));
+  const notFound = Object.assign(new Error('No such page'), { status: 404, code: 'NOT_FOUND' });
+  logger.warn('Fetch failed', { err: notFound });
+  logger.error('Crashed', new Error('boom'));
+
+  assert.equal(lines.stdout.length, 1);
+  assert.deepEqual({ ...lines.stdout[0], time: undefined }, { time: undefined, level: 'info', msg: 'Batch started', requestId: 'req-1', items: 3 });
+  assert.deepEqual(lines.stderr[0].err, { message: 'No such page', name: 'Error', code: 'NOT_FOUND', status: 404 });
+  assert.equal(lines.stderr[1].level, 'error');
+  assert.match(lines.stderr[1].err.stack, /boom/);
+  assert.equal(serializeError('plain'), 'plain');
+});
+
+test('GET /metrics needs the token and counts requests, provider calls, tokens and cache lookups', async () => {
+  const llm = mockLlm();
+  process.env.OPENAI_COMPAT_BASE_URL = await llm.listen();
+  const { app } = require('../server');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const api = `http://127.0.0.1:${server.address().port}`;
+  const scrape = async (token = 'scrape-token') => fetch(`${api}/metrics`, { headers: { authorization: `Bearer ${token}` } });
+  const generate = headers => fetch(`${api}/v1/generate`, {
+    method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify({ keyword: 'espresso machine' })
+  });
+  try {
+    assert.equal((await fetch(`${api}/metrics`)).status, 401);
+    assert.equal((await scrape('wrong')).status, 401);
+
+    const first = await generate({ 'x-request-id': 'req-12345678' });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-request-id'), 'req-12345678');
+    const second = await generate({ 'x-request-id': 'not an id' });
+    assert.match(second.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    assert.equal((await second.json()).cached, true);
+
+    const res = await scrape();
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/plain; charset=utf-8; version=0.0.4');
+    const text = await res.text();
+    const sample = name => {
+      const line = text.split('\n').find(l => l.startsWith(`${name} `));
+      return line ? Number(line.slice(name.length + 1)) : undefined;
+    };
+    assert.equal(sample('metagen_http_requests_total{method="POST",route="/v1/generate",status="200"}'), 2);
+    assert.equal(sample('metagen_http_request_duration_seconds_count{method="POST",route="/v1/generate"}'), 2);
+    assert.equal(sample('metagen_provider_calls_total{provider="local",model="llama3.1",outcome="ok"}'), 1);
+    assert.equal(sample('metagen_provider_tokens_total{provider="local",model="llama3.1",type="prompt"}'), 400);
+    assert.equal(sample('metagen_provider_tokens_total{provider="local",model="llama3.1",type="completion"}'), 120);
+    assert.equal(sample('metagen_cache_lookups_total{result="miss"}'), 1);
+    assert.equal(sample('metagen_cache_lookups_total{result="hit"}'), 1);
+    assert.equal(sample('metagen_cache_hit_ratio'), 0.5);
+    assert.ok(sample('metagen_process_resident_memory_bytes') > 0);
+    assert.equal(sample('metagen_http_requests_total{method="GET",route="/metrics",status="401"}'), 2);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await llm.close();
+  }
+});
@@ -0,0 +1,82 @@
+// Brand style profiles (lib/profiles.js) and the validate rules that enforce them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProfileStore, normalizeProfile, applyCase, scrubBannedWords, findBannedWords } = require('../lib/profiles');
+const { validateOutput } = require('../lib/validate');
+const { measureText } = require('../lib/serp');
+const { fakeRedis } = require('./fixtures/fake-redis');
+
+const profilesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'metagen-profiles-')), 'profiles.json');
+fs.writeFileSync(profilesFile, JSON.stringify({ profiles: [{ id: 'acme', name: 'Acme Outdoor', titleSuffix: ' | Acme', titleCase: 'title' }] }));
+
+test('normalizeProfile fills defaults and rejects bad definitions', () => {
+  assert.deepEqual(normalizeProfile({ titleSuffix: ' | Acme  ', bannedWords: [' cheap ', ''] }, 'acme'), {
+    id: 'acme', name: 'acme', titleSuffix: ' | Acme', titleMaxWidth: null, metaMaxWidth: null, titleCase: 'none',
+    tone: '', bannedWords: ['cheap'], requiredCta: [], instructions: ''
+  });
+  const bad = [
+    [{}, 'bad id!'],
+    [[], 'acme'],
+    [{ titleCase: 'camel' }, 'acme'],
+    [{ bannedWords: 'cheap' }, 'acme'],
+    [{ titleMaxWidth: 50 }, 'acme'],
+    [{ tone: 5 }, 'acme']
+  ];
+  bad.forEach(([raw, id]) => assert.throws(() => normalizeProfile(raw, id), { status: 400, code: 'INVALID_PROFILE' }));
+});
+
+test('applyCase styles titles but keeps words with inner capitals (SEO, iPhone)', () => {
+  const title = 'the best trail shoes for SEO fans: a guide to iPhone apps';
+  assert.equal(applyCase(title, 'title'), 'The Best Trail Shoes for SEO Fans: A Guide to iPhone Apps');
+  assert.equal(applyCase(title, 'sentence'), 'The best trail shoes for SEO fans: a guide to iPhone apps');
+  assert.equal(applyCase('Trail shoes', 'upper'), 'TRAIL SHOES');
+  assert.equal(applyCase('Trail Shoes', 'lower'), 'trail shoes');
+  assert.equal(applyCase('Trail shoes', 'none'), 'Trail shoes');
+});
+
+test('banned words match whole words only and are scrubbed cleanly', () => {
+  const banned = ['cheap', 'best ever'];
+  assert.deepEqual(findBannedWords('Cheap trail shoes, the best ever!', banned), ['cheap', 'best ever']);
+  assert.deepEqual(findBannedWords('Cheapest trail shoes', banned), []);
+  assert.equal(scrubBannedWords('Cheap trail shoes , the best ever!', banned), 'trail shoes, the!');
+  assert.equal(scrubBannedWords('Trail shoes that last', banned), 'Trail shoes that last');
+});
+
+test('validate rules enforce a profile budget and banned words', () => {
+  const schema = { titles: { type: 'array', items: 1, serpWidth: 'title', maxWidth: 300, banned: ['cheap'] } };
+  const title = 'Cheap waterproof trail running shoes';
+  const width = measureText(title, 20);
+  assert.ok(width > 300 && width < 600);
+  assert.deepEqual(validateOutput({ titles: [title] }, schema).violations.map(v => v.message), [
+    `renders ${width}px wide, must stay within 300px`,
+    'uses banned word: cheap'
+  ]);
+  assert.equal(validateOutput({ titles: ['Trail shoes'] }, schema).valid, true);
+});
+
+for (const backend of ['memory', 'redis']) {
+  test(`${backend}: stored profiles sit next to read-only config profiles`, async () => {
+    const redis = backend === 'redis' ? fakeRedis() : null;
+    const store = createProfileStore({ redis, file: profilesFile });
+    assert.equal(store.backend, backend);
+    assert.equal((await store.get('acme')).source, 'config');
+
+    const first = await store.put('outdoor-co', { name: 'Outdoor Co', bannedWords: ['cheap'] });
+    assert.equal(first.created, true);
+    assert.equal(first.profile.source, 'admin');
+    assert.equal((await store.put('outdoor-co', { name: 'Outdoor Co.' })).created, false);
+    assert.equal((await store.get('outdoor-co')).name, 'Outdoor Co.');
+    if (redis) assert.ok(await redis.get('profile:outdoor-co'));
+
+    assert.deepEqual((await store.list()).map(p => p.id), ['acme', 'outdoor-co']);
+    await assert.rejects(store.put('acme', {}), { status: 409, code: 'PROFILE_READ_ONLY' });
+    await assert.rejects(store.remove('acme'), { status: 409 });
+    await assert.rejects(store.put('bad id', {}), { status: 400 });
+    assert.equal(await store.remove('outdoor-co'), true);
+    assert.equal(await store.remove('outdoor-co'), false);
+    assert.equal(await store.get('../etc'), null);
+  });
+}
@@ -0,0 +1,78 @@
+// Prompt templates (lib/prompts.js) and the offline eval (lib/prompt-eval.js, `meta-gen eval`)
+process.env.HISTORY_DB = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { loadPromptLibrary, renderTemplate } = require('../lib/prompts');
+const { evaluatePrompts, createMockProvider } = require('../lib/prompt-eval');
+const { promptForPage } = require('../server');
+
+const PAGES = path.join(__dirname, 'fixtures', 'pages');
+const CLI = path.join(__dirname, '..', 'bin', 'meta-gen.js');
+const fixtures = fs.readdirSync(PAGES).filter(f => f.endsWith('.html')).sort().map(f => ({
+  name: f,
+  url: `https://example.com/${f === 'index.html' ? '' : f}`,
+  html: fs.readFileSync(path.join(PAGES, f), 'utf8')
+}));
+
+test('renderTemplate fills variables and sections', () => {
+  const body = 'Keyword: {{keyword}}\n{{#page}}\nPage: {{page}}\n{{/page}}\n{{^page}}\nNo page\n{{/page}}\n';
+  assert.equal(renderTemplate(body, { keyword: 'tea', page: 'x' }), 'Keyword: tea\nPage: x\n');
+  assert.equal(renderTemplate(body, { keyword: 'tea', page: '' }), 'Keyword: tea\nNo page\n');
+  assert.throws(() => renderTemplate('{{nope}}', {}), /unknown variable "nope"/);
+  assert.throws(() => renderTemplate('{{#page}}open', { page: 'x' }), /never closed/);
+});
+
+test('every version of every template renders for the fixture pages', () => {
+  const library = loadPromptLibrary();
+  const versions = library.list().flatMap(t => t.versions.map(version => ({ contentType: t.contentType, version })));
+  assert.ok(versions.length >= 5);
+  versions.forEach(({ contentType, version }) => {
+    fixtures.forEach(fixture => {
+      const prompt = promptForPage(fixture.html, { url: fixture.url, contentType, version, library });
+      assert.equal(prompt.contentType, contentType);
+      assert.equal(prompt.version, version);
+      assert.doesNotMatch(prompt.text, /\{\{/, `${contentType}@v${version} left a tag in the prompt`);
+      assert.ok(prompt.text.includes(prompt.keyword), `${contentType}@v${version} has no keyword for ${fixture.name}`);
+    });
+  });
+});
+
+test('evaluatePrompts scores every template with the mock provider', async () => {
+  const library = loadPromptLibrary();
+  const targets = library.list().map(t => ({ contentType: t.contentType, version: t.current }));
+  const report = await evaluatePrompts({
+    fixtures,
+    targets,
+    provider: createMockProvider(),
+    preparePrompt: (fixture, target) => promptForPage(fixture.html, { url: fixture.url, ...target, library })
+  });
+  assert.equal(report.provider, 'mock');
+  assert.equal(report.runs, fixtures.length * targets.length);
+  assert.equal(report.missing, 0);
+  assert.equal(report.templates.length, targets.length);
+  report.templates.forEach(t => {
+    assert.equal(t.errors, 0, t.template);
+    assert.equal(t.parsedRate, 1, t.template);
+    assert.ok(t.score >= 0.9, `${t.template} scored ${t.score}`);
+  });
+});
+
+test('meta-gen eval reports on a fixture folder', async () => {
+  const { code, stdout } = await new Promise(resolve => {
+    execFile(process.execPath, [CLI, 'eval', PAGES, '--format', 'json', '--quiet', '--min-score', '50'], { timeout: 60000 }, (err, out) => {
+      resolve({ code: err ? err.code : 0, stdout: out });
+    });
+  });
+  assert.equal(code, 0);
+  const report = JSON.parse(stdout);
+  assert.equal(report.fixtures.length, fixtures.length);
+  assert.ok(report.fingerprint);
+  const detected = Object.fromEntries(report.fixtures.map(f => [f.fixture.split('/').pop(), f.detected && f.detected.contentType]));
+  assert.equal(detected['product.html'], 'product');
+  assert.equal(detected['index.html'], 'homepage');
+});
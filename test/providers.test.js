@@ -0,0 +1,125 @@
+// Provider registry (lib/providers.js): fallback chain, retries and the circuit breaker
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createProviderRegistry } = require('../lib/providers');
+
+// OpenAI-compatible endpoint answering with the statuses queued in `script`
+// (then 200s); `hangMs` delays every response.
+async function chatServer({ script = [], hangMs = 0, text = 'ok' } = {}) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      calls.push({ url: req.url, body: JSON.parse(body || '{}'), auth: req.headers.authorization || null });
+      const status = script.length ? script.shift() : 200;
+      setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(status === 200 ? JSON.stringify({ choices: [{ message: { content: text } }] }) : '{"error":"nope"}');
+      }, hangMs);
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return {
+    calls,
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    close: () => new Promise(r => { server.closeAllConnections(); server.close(r); })
+  };
+}
+
+function registry(providers, defaults = {}) {
+  return createProviderRegistry({
+    defaults: { timeoutMs: 2000, retries: 0, backoffMs: 1, breaker: { threshold: 3, cooldownMs: 60000 }, ...defaults },
+    providers
+  });
+}
+
+test.beforeEach(t => t.mock.method(console, 'warn', () => {}));
+
+test('falls back to the next provider and reports every attempt', async () => {
+  const down = await chatServer({ script: [500] });
+  const up = await chatServer({ text: '{"titles":[]}' });
+  try {
+    const reg = registry([
+      { name: 'primary', type: 'openai-compatible', baseUrl: down.baseUrl, model: 'm1' },
+      { name: 'nokey', type: 'openai-compatible', baseUrl: up.baseUrl, apiKeyEnv: 'METAGEN_TEST_UNSET_KEY', requireApiKey: true },
+      { name: 'backup', type: 'openai-compatible', baseUrl: up.baseUrl, model: 'm2', apiKey: 'sk-test' }
+    ]);
+    const out = await reg.generate('prompt text');
+    assert.equal(out.provider, 'backup');
+    assert.equal(out.model, 'm2');
+    assert.equal(out.raw, '{"titles":[]}');
+    assert.deepEqual(out.attempts.map(a => [a.provider, a.ok]), [['primary', false], ['nokey', false], ['backup', true]]);
+    assert.match(out.attempts[0].error, /API error 500/);
+    assert.equal(up.calls.length, 1);
+    assert.equal(up.calls[0].url, '/v1/chat/completions');
+    assert.equal(up.calls[0].auth, 'Bearer sk-test');
+    assert.deepEqual(up.calls[0].body.messages, [{ role: 'user', content: 'prompt text' }]);
+    // a provider without its key is skipped without counting towards the breaker
+    assert.equal(reg.status().find(s => s.name === 'nokey').failures, 0);
+    assert.equal(reg.status().find(s => s.name === 'primary').circuit, 'degraded');
+  } finally {
+    await down.close();
+    await up.close();
+  }
+});
+
+test('retries retryable errors with backoff but not client errors', async () => {
+  const flaky = await chatServer({ script: [503, 429] });
+  const bad = await chatServer({ script: [400, 400] });
+  try {
+    const out = await registry([{ name: 'flaky', type: 'openai-compatible', baseUrl: flaky.baseUrl, retries: 2 }]).generate('p');
+    assert.equal(out.provider, 'flaky');
+    assert.equal(flaky.calls.length, 3);
+    assert.deepEqual(out.attempts.map(a => a.ok), [false, false, true]);
+
+    await assert.rejects(
+      registry([{ name: 'bad', type: 'openai-compatible', baseUrl: bad.baseUrl, retries: 2 }]).generate('p'),
+      err => err.status === 500 && err.message === 'All providers failed' && /API error 400/.test(err.detail) && err.attempts.length === 1
+    );
+    assert.equal(bad.calls.length, 1);
+  } finally {
+    await flaky.close();
+    await bad.close();
+  }
+});
+
+test('times out slow providers and treats the timeout as retryable', async () => {
+  const slow = await chatServer({ hangMs: 300 });
+  try {
+    const reg = registry([{ name: 'slow', type: 'openai-compatible', baseUrl: slow.baseUrl, timeoutMs: 50, retries: 1 }]);
+    await assert.rejects(reg.generate('p'), err => /timed out/.test(err.detail) && err.attempts.length === 2);
+  } finally {
+    await slow.close();
+  }
+});
+
+test('opens the circuit after repeated failures and skips the provider while it cools down', async () => {
+  const down = await chatServer({ script: [500, 500] });
+  const up = await chatServer();
+  try {
+    const reg = registry([
+      { name: 'down', type: 'openai-compatible', baseUrl: down.baseUrl, breaker: { threshold: 2, cooldownMs: 100 } },
+      { name: 'up', type: 'openai-compatible', baseUrl: up.baseUrl }
+    ]);
+    await reg.generate('p');
+    await reg.generate('p');
+    assert.equal(reg.status()[0].circuit, 'open');
+
+    const skipped = await reg.generate('p');
+    assert.deepEqual(skipped.attempts[0], { provider: 'down', ok: false, skipped: 'circuit_open' });
+    assert.equal(down.calls.length, 2);
+
+    // after the cool-down the provider gets another try, and a success closes the circuit
+    await new Promise(r => setTimeout(r, 120));
+    down.calls.length = 0;
+    const recovered = await reg.generate('p');
+    assert.equal(recovered.provider, 'down');
+    assert.equal(down.calls.length, 1);
+    assert.equal(reg.status()[0].circuit, 'closed');
+  } finally {
+    await down.close();
+    await up.close();
+  }
+});
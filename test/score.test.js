@@ -0,0 +1,86 @@
+// LLM-free candidate scorer (lib/score.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreCandidates, rankCandidates } = require('../lib/score');
+
+const PAGE = {
+  titleTag: 'Running Shoes for Flat Feet | Acme',
+  h1: 'Running shoes for flat feet',
+  headings: [{ level: 2, text: 'Arch support' }],
+  mainContent: 'Flat feet need running shoes with arch support and stability. Our guide compares cushioning, fit and price for runners with flat feet.'
+};
+const KEYWORD = 'running shoes';
+
+function score(input) {
+  return scoreCandidates({ page: PAGE, keyword: KEYWORD, ...input });
+}
+
+test('a well-formed title scores 100 with no messages', () => {
+  const [t] = score({ titles: ['Running Shoes for Flat Feet: Best Stability Picks and Arch Support'] }).titles;
+  assert.equal(t.score, 100);
+  assert.deepEqual(t.messages, []);
+  assert.equal(t.checks.keyword.match, 'exact');
+  assert.equal(t.checks.position.offsetPx, 0);
+  assert.deepEqual(t.checks.powerWords.found, ['best']);
+});
+
+test('each weak point costs points and explains the fix, worst first', () => {
+  const [copy, late, shouty] = score({
+    titles: ['Running shoes for flat feet', 'Arch support and stability guide for runners who need running shoes', 'CHEAP SHOES!!! BUY NOW']
+  }).titles;
+
+  assert.equal(copy.checks.duplication.against, 'H1');
+  assert.equal(copy.checks.duplication.score, 0.3);
+  assert.match(copy.messages[0], /^Near-copy of the page's H1/);
+  assert.match(copy.checks.length.message, /^Only [\d.]+px of 600px/);
+
+  assert.equal(late.checks.truncation.score, 0, 'the keyword falls past the desktop cut');
+  assert.match(late.messages[0], /keyword is lost/);
+  assert.equal(late.checks.position.score, 0.5);
+
+  assert.equal(shouty.checks.keyword.match, 'partial');
+  assert.match(shouty.checks.readability.message, /shouting; repeated "!" or "\?"/);
+  assert.deepEqual(shouty.checks.relevance.message.match(/"\w+"/g), ['"cheap"', '"buy"', '"now"']);
+  assert.ok(shouty.score < late.score && late.score < copy.score && copy.score < 100);
+});
+
+test('metas are graded on width, call to action and mobile truncation', () => {
+  const [good, short] = score({
+    metas: [
+      'Discover the best running shoes for flat feet: compare stability, arch support and cushioning, and find the right fit for your stride. Shop our picks today.',
+      'Shoes.'
+    ]
+  }).metas;
+  assert.deepEqual(good.checks.cta.found.sort(), ['compare', 'discover', 'find', 'shop']);
+  assert.equal(good.checks.truncation.mobile, true);
+  assert.equal(good.checks.truncation.score, 0.8);
+  assert.equal(good.checks.length.score, 1);
+  assert.match(short.checks.length.message, /aim for at least \d+px/);
+  assert.match(short.checks.cta.message, /^No call to action/);
+  assert.ok(good.score > short.score);
+});
+
+test('slugs lose points for length, stopwords and years', () => {
+  const { slug } = score({ slug: 'best-running-shoes-for-the-flat-feet-2024' });
+  assert.equal(slug.checks.keyword.score, 1);
+  assert.equal(slug.checks.length.score, 0.6);
+  assert.equal(slug.checks.format.score, 0.7);
+  assert.match(slug.checks.stopwords.message, /best, for, the/);
+  assert.equal(score({ slug: 'running-shoes-flat-feet' }).slug.score, 100);
+  assert.equal(score({ slug: 'Running_Shoes' }).slug.checks.format.score, 0);
+  assert.match(score({ slug: 'flat-feet' }).slug.checks.keyword.message, /running, shoes/);
+});
+
+test('checks that need a keyword or page content are skipped without them', () => {
+  const [t] = scoreCandidates({ titles: ['Running Shoes for Flat Feet: Best Stability Picks and Arch Support'] }).titles;
+  assert.equal(t.checks.keyword.skipped, 'no keyword');
+  assert.equal(t.checks.relevance.skipped, 'no page content');
+  assert.equal(scoreCandidates({ titles: ['x'], language: 'xx' }).titles[0].checks.powerWords.skipped, 'no word list for "xx"');
+});
+
+test('rankCandidates orders best first and reports the original indexes', () => {
+  const titles = ['CHEAP SHOES!!! BUY NOW', 'Running Shoes for Flat Feet: Best Stability Picks and Arch Support', 'Running shoes for flat feet'];
+  const ranked = rankCandidates({ page: PAGE, keyword: KEYWORD, titles, metas: [] });
+  assert.deepEqual(ranked.order.titles, [1, 2, 0]);
+  assert.deepEqual(ranked.titles.map(t => t.text), [titles[1], titles[2], titles[0]]);
+});
@@ -0,0 +1,124 @@
+// Search Console CSV imports and the CTR before/after report (lib/search-console.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchConsoleCsv, buildCtrReport, expectedCtr, ctrSignificance, pageKey, isoDate } = require('../lib/search-console');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = n => new Date(Date.UTC(2026, 4, 1) + n * DAY_MS).toISOString().slice(0, 10);
+
+// Daily pages export: one row per page and day for days [from, to)
+function dailyCsv(pages, from, to) {
+  const lines = ['Date,Page,Clicks,Impressions,CTR,Position'];
+  for (let d = from; d < to; d++) {
+    pages.forEach(p => {
+      const { clicks, impressions, position } = p.at(d);
+      lines.push(`${day(d)},${p.url},${clicks},${impressions},${((clicks / impressions) * 100).toFixed(2)}%,${position}`);
+    });
+  }
+  return lines.join('\n');
+}
+
+test('period exports: numbers in any locale, URL variants merged, dates required', () => {
+  const csv = [
+    'Top pages,Clicks,Impressions,CTR,Position',
+    'https://www.acme.example/shoes/,"1,200","24,000","5,0 %","3,5"',
+    'https://acme.example/shoes,300,6000,5%,4.5',
+    'https://acme.example/boots,,1000,2.5%,8'
+  ].join('\n');
+  assert.throws(() => parseSearchConsoleCsv(csv), { status: 400, code: 'INVALID_CSV' });
+  assert.throws(() => parseSearchConsoleCsv(csv, { startDate: '2026-05-31', endDate: '2026-05-01' }), /startDate is after endDate/);
+
+  const parsed = parseSearchConsoleCsv(csv, { startDate: '2026-05-01', endDate: '2026-05-28' });
+  assert.equal(parsed.kind, 'pages');
+  assert.equal(parsed.daily, false);
+  assert.deepEqual([parsed.startDate, parsed.endDate], ['2026-05-01', '2026-05-28']);
+  assert.deepEqual(parsed.rows, [
+    { page: 'https://www.acme.example/shoes/', date: null, clicks: 1500, impressions: 30000, position: 3.7 },
+    { page: 'https://acme.example/boots', date: null, clicks: 25, impressions: 1000, position: 8 }
+  ]);
+});
+
+test('page + query exports keep top queries; unreadable rows are reported by line', () => {
+  const parsed = parseSearchConsoleCsv([
+    'Date,Landing Page,Query,Url Clicks,Url Impressions',
+    '20260501,https://acme.example/shoes,trail shoes,10,400',
+    '20260501,https://acme.example/shoes,running shoes,5,900',
+    '20260502,https://acme.example/shoes,trail shoes,8,300'
+  ].join('\n'));
+  assert.equal(parsed.daily, true);
+  assert.deepEqual([parsed.startDate, parsed.endDate], ['2026-05-01', '2026-05-02']);
+  assert.deepEqual(parsed.rows.map(r => [r.date, r.clicks, r.impressions]), [['2026-05-01', 15, 1300], ['2026-05-02', 8, 300]]);
+  assert.deepEqual(parsed.pageQueries['https://acme.example/shoes'].map(q => [q.query, q.impressions]), [['running shoes', 900], ['trail shoes', 700]]);
+
+  assert.throws(() => parseSearchConsoleCsv('Date,Page,Clicks,Impressions\n2026-05-01,/shoes,1,10\n2026-02-30,https://acme.example/,1,10'),
+    err => err.code === 'INVALID_CSV' && err.detail.errors.length === 2 &&
+      /line 2: "\/shoes" is not a page URL/.test(err.detail.errors[0]) && /line 3: unreadable date/.test(err.detail.errors[1]));
+  assert.throws(() => parseSearchConsoleCsv('Keyword,Volume\nshoes,100'), /Not a Search Console performance export/);
+  assert.throws(() => parseSearchConsoleCsv('Page,Clicks,Impressions'), /no data rows/);
+});
+
+test('helpers: dates, page keys, expected CTR curve and significance', () => {
+  assert.equal(isoDate('2026-05-01T10:00:00Z'), '2026-05-01');
+  assert.equal(isoDate('20260501'), '2026-05-01');
+  assert.equal(isoDate('2026-02-30'), null);
+  assert.equal(isoDate(Date.UTC(2026, 4, 1, 23)), '2026-05-01');
+  assert.equal(pageKey('https://WWW.Acme.example/shoes/?c=1'), 'acme.example/shoes?c=1');
+  assert.equal(expectedCtr(1), 0.28);
+  assert.ok(Math.abs(expectedCtr(1.5) - 0.215) < 1e-9);
+  assert.equal(expectedCtr(25), 0.01);
+  assert.equal(ctrSignificance({ clicks: 1, impressions: 50 }, { clicks: 5, impressions: 500 }).level, 'insufficient-data');
+  assert.equal(ctrSignificance({ clicks: 40, impressions: 2000 }, { clicks: 120, impressions: 2000 }).level, 'significant');
+  assert.equal(ctrSignificance({ clicks: 40, impressions: 2000 }, { clicks: 42, impressions: 2000 }).level, 'not-significant');
+});
+
+test('report compares CTR around the last change and flags low-CTR pages', () => {
+  const changeDay = 28;
+  const shoes = { url: 'https://acme.example/shoes', at: d => ({ clicks: d < changeDay ? 4 : 10, impressions: 100, position: 2 }) };
+  const boots = { url: 'https://acme.example/boots', at: () => ({ clicks: 1, impressions: 200, position: 1.2 }) };
+  const socks = { url: 'https://acme.example/socks', at: () => ({ clicks: 30, impressions: 100, position: 1 }) };
+  const imp = { ...parseSearchConsoleCsv(dailyCsv([shoes, boots, socks], 0, 56)), importedAt: 1 };
+  const report = buildCtrReport({
+    imports: [imp],
+    changes: [
+      { url: 'https://www.acme.example/shoes/', at: Date.parse(`${day(10)}T12:00:00Z`), source: 'history', id: 'h0', title: 'Older' },
+      { url: 'https://www.acme.example/shoes/', at: Date.parse(`${day(changeDay)}T12:00:00Z`), source: 'history', id: 'h1', title: 'Trail Shoes' }
+    ]
+  });
+
+  assert.deepEqual(report.range, { start: day(0), end: day(55) });
+  assert.equal(report.pages.length, 1);
+  const [shoesReport] = report.pages;
+  assert.equal(shoesReport.change.id, 'h1');
+  assert.equal(shoesReport.earlierChanges, 1);
+  assert.deepEqual([shoesReport.before.days, shoesReport.before.ctr, shoesReport.after.days, shoesReport.after.ctr], [28, 0.04, 27, 0.1]);
+  assert.equal(shoesReport.verdict, 'improved');
+  assert.equal(shoesReport.significance.level, 'significant');
+  assert.equal(shoesReport.delta.ctr, 0.06);
+  assert.ok(shoesReport.hints.some(h => /Only 27 day\(s\) of data after the change/.test(h)));
+  assert.ok(shoesReport.hints.some(h => /CTR rose from 4% to 10%/.test(h)));
+
+  // boots: 0.5% CTR at position 1.2 where ~25% is expected; socks and the improved shoes page are fine
+  assert.deepEqual(report.opportunities.map(o => o.url), ['https://acme.example/boots']);
+  const [flagged] = report.opportunities;
+  assert.deepEqual(flagged.period, { start: day(28), end: day(55) });
+  assert.equal(flagged.impressions, 5600);
+  assert.equal(flagged.changedSince, false);
+  assert.ok(flagged.potentialClicks > 1000);
+});
+
+test('later imports replace the same days and period exports compare whole periods', () => {
+  const page = 'https://acme.example/shoes';
+  const period = (start, end, clicks) => ({
+    ...parseSearchConsoleCsv(`Page,Clicks,Impressions,Position\n${page},${clicks},1000,3`, { startDate: start, endDate: end }),
+    importedAt: Date.parse(end)
+  });
+  const report = buildCtrReport({
+    imports: [period('2026-05-01', '2026-05-28', 20), period('2026-06-01', '2026-06-28', 90), period('2026-06-01', '2026-06-28', 100)],
+    changes: [{ url: page, at: Date.parse('2026-05-30T08:00:00Z'), source: 'wordpress', id: 'p1' }],
+    minImpressions: 500
+  });
+  const [shoes] = report.pages;
+  assert.deepEqual([shoes.before.clicks, shoes.after.clicks], [20, 100]);
+  assert.equal(shoes.verdict, 'improved');
+  assert.deepEqual(report.opportunities, []);
+});
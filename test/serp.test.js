@@ -0,0 +1,75 @@
+// SERP pixel-width fitting and preview rendering (lib/serp.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { measureText, maxSerpWidth, truncateToWidth, serpFit, fitSerpWidth, renderPreviewHtml, renderPreviewSvg } = require('../lib/serp');
+const { validateOutput } = require('../lib/validate');
+
+test('measureText uses per-glyph widths, not character counts', () => {
+  assert.ok(measureText('WWWWWWWWWW') > 2 * measureText('iiiiiiiiii'));
+  assert.equal(measureText('café'), measureText('cafe'));
+  assert.equal(measureText('é'), measureText('e'));
+  assert.equal(measureText('靴靴', 20), 2 * measureText('靴', 20));
+  assert.ok(Math.abs(measureText('abc', 28) - 2 * measureText('abc', 14)) < 0.15);
+  assert.equal(measureText(''), 0);
+});
+
+test('the same character count fits or not depending on the letters', () => {
+  const narrow = 'Ill fill little lilies till it is still light in Illinois'.slice(0, 55);
+  const wide = 'MMMM WWWW MMMM WWWW MMMM WWWW MMMM WWWW MMMM WWWW MMMM W'.slice(0, 55);
+  assert.equal(narrow.length, wide.length);
+  assert.equal(serpFit(narrow, 'title').fits, true);
+  const fit = serpFit(wide, 'title');
+  assert.equal(fit.fits, false);
+  assert.equal(fit.truncated, true);
+  assert.ok(fit.display.endsWith(' ...'));
+  assert.ok(measureText(fit.display, 20) <= maxSerpWidth('title'));
+});
+
+test('truncateToWidth cuts at a word boundary and strips trailing separators', () => {
+  const text = 'Trail running shoes for wet rock – grippy, light and waterproof options for every runner';
+  const r = truncateToWidth(text, 300, 20);
+  assert.equal(r.truncated, true);
+  assert.ok(r.width <= 300);
+  assert.ok(text.startsWith(r.text));
+  assert.match(r.text, /\w$/);
+  assert.equal(text[r.text.length], ' ');
+  assert.deepEqual(truncateToWidth('short', 300, 20), { text: 'short', truncated: false, width: measureText('short', 20) });
+});
+
+test('device layouts differ: mobile titles wrap to two narrower lines', () => {
+  assert.equal(maxSerpWidth('title', 'desktop'), 600);
+  assert.equal(maxSerpWidth('title', 'mobile'), 640);
+  assert.equal(maxSerpWidth('snippet', 'mobile'), 740);
+  const title = 'Waterproof Trail Running Shoes for Winter Races and Muddy Hill Trails';
+  assert.equal(serpFit(title, 'title', 'desktop').fits, false);
+  assert.equal(serpFit(title, 'title', 'mobile').fits, true);
+});
+
+test('fitSerpWidth trims without an ellipsis and honours a narrower limit', () => {
+  const meta = 'Compare grippy trail running shoes for wet rock, mud and loose gravel. Sizing advice, drop and stack explained, plus our favourite picks for long ultra races this season.';
+  const fitted = fitSerpWidth(meta, 'snippet');
+  assert.ok(measureText(fitted, 14) <= maxSerpWidth('snippet'));
+  assert.ok(!fitted.endsWith('...'));
+  assert.ok(measureText(fitSerpWidth(meta, 'snippet', 'desktop', 500), 14) <= 500);
+  assert.equal(fitSerpWidth('Short', 'title'), 'Short');
+});
+
+test('serpWidth schema rule reports the rendered width', () => {
+  const schema = { titles: { type: 'array', items: 1, serpWidth: 'title' } };
+  const ok = validateOutput({ titles: ['Trail shoes'] }, schema);
+  assert.equal(ok.valid, true);
+  assert.equal(ok.fields.titles[0].width, measureText('Trail shoes', 20));
+  const tooWide = validateOutput({ titles: ['W'.repeat(40)] }, schema);
+  assert.match(tooWide.violations[0].message, /^renders [\d.]+px wide, Google truncates titles beyond 600px$/);
+});
+
+test('previews escape markup and render one column per device', () => {
+  const c = { url: 'https://www.acme.example/shoes/trail%20x', title: 'Shoes <b>& more</b>', description: 'Grip "everywhere".' };
+  const html = renderPreviewHtml([c], ['desktop', 'mobile']);
+  assert.match(html, /acme\.example<span[^>]*> › shoes › trail x<\/span>/);
+  assert.match(html, /Shoes &lt;b&gt;&amp; more&lt;\/b&gt;/);
+  assert.equal((html.match(/class="serp-result/g) || []).length, 2);
+  const svg = renderPreviewSvg([c], ['desktop', 'mobile']);
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="1056"/);
+  assert.doesNotMatch(svg, /<b>/);
+});
@@ -0,0 +1,144 @@
+// Content of JavaScript app shells (lib/spa.js through lib/extract.js) and the SPA / thin-content warnings
+process.env.SAFE_FETCH_ALLOW_PRIVATE = '1';
+process.env.HISTORY_DB = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+process.env.LLM_PROVIDERS = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { extractPage } = require('../lib/extract');
+const { harvest } = require('../lib/spa');
+const { mockLlm } = require('./fixtures/mock-llm');
+
+const NEXT = `<!doctype html><html lang="en"><head><title>Trail Running Shoes | Stride</title></head><body><div id="__next"></div>
+<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({
+  props: {
+    pageProps: {
+      post: {
+        title: 'How to choose trail running shoes',
+        excerpt: 'A practical guide to picking trail running shoes for mud, rock and long distances.',
+        author: { name: 'Jane Doe' },
+        content: '<p>Trail running shoes need more grip than road shoes. Look for deep lugs and a rock plate on sharp terrain.</p><h2>Fit</h2><p>Leave a thumb width at the toe for downhill running and choose a secure heel.</p>'
+      },
+      _nextI18Next: { initialI18nStore: { en: { common: { footer: 'Sign up for our newsletter to get the latest news and offers.' } } } }
+    }
+  },
+  page: '/blog/[slug]',
+  buildId: 'abc'
+})}</script>
+<script src="/_next/static/chunks/main.js"></script></body></html>`;
+
+const NUXT = `<html><head><title>Cafe Roma</title></head><body><div id="__nuxt"></div><script>window.__NUXT__=(function(a,b){return {layout:"default",data:[{page:{heading:"Cafe Roma \\u2013 Italian coffee in Leeds",blurb:"Freshly roasted Italian coffee, homemade pastries and a quiet place to work in central Leeds.",hours:a}}],state:{}}}("Open daily from 7am to 6pm, including bank holidays and weekends.",null));</script></body></html>`;
+
+const APOLLO = `<html><head><title>Shop</title></head><body><div id="root"></div><noscript>You need to enable JavaScript to run this app.</noscript>
+<script>window.__APOLLO_STATE__={"Product:1":{"__typename":"Product","name":"Ridge Boot","description":"Waterproof leather hiking boot with a grippy Vibram sole and a lifetime resoling service.","category":{"__ref":"Category:2"}},"Category:2":{"__typename":"Category","name":"Boots"}};</script></body></html>`;
+
+const NOSCRIPT = `<html><head><title>Docs</title></head><body><div id="app"></div><noscript><article><h1>Installing the CLI</h1>
+<p>Install the command line tool with npm and run it from any project directory to lint your metadata.</p></article></noscript></body></html>`;
+
+const FRAGMENT_SHELL = '<html><head><title>App</title><meta name="fragment" content="!"></head><body><div id="root"></div></body></html>';
+const SNAPSHOT = `<html lang="en"><head><title>Mountain Huts Guide</title></head><body><main><h1>Mountain huts in the Alps</h1>
+<p>${'Staying in mountain huts is the best way to do a multi-day hike in the Alps without carrying a tent. '.repeat(3)}</p>
+<p>Book early in July and August, bring a sleeping bag liner and cash, and expect shared dormitories with simple hot meals.</p></main></body></html>`;
+
+test('Next.js shells are read from __NEXT_DATA__ page props, skipping translations and build config', () => {
+  const page = extractPage(NEXT, { url: 'https://stride.example/blog/trail-shoes' });
+  assert.deepEqual(page.spa, { framework: 'next', shell: true, sources: ['__NEXT_DATA__'], prerenderedUrl: null });
+  assert.equal(page.h1, 'How to choose trail running shoes');
+  assert.equal(page.mainContent.split('\n')[0], 'How to choose trail running shoes');
+  assert.match(page.mainContent, /A practical guide to picking trail running shoes/);
+  assert.match(page.mainContent, /Leave a thumb width at the toe/);
+  assert.doesNotMatch(page.mainContent, /newsletter|Jane Doe|<p>/);
+  assert.ok(page.wordCount > 30);
+});
+
+test('Nuxt and Apollo state are read from script literals and plain JSON', () => {
+  const nuxt = extractPage(NUXT, { url: 'https://roma.example/' });
+  assert.equal(nuxt.spa.framework, 'nuxt');
+  assert.deepEqual(nuxt.spa.sources, ['__NUXT__']);
+  assert.match(nuxt.mainContent, /Cafe Roma – Italian coffee in Leeds/);
+  assert.match(nuxt.mainContent, /Open daily from 7am to 6pm/);
+
+  const apollo = extractPage(APOLLO, { url: 'https://shop.example/boots/ridge' });
+  assert.equal(apollo.spa.framework, 'react');
+  // the "enable JavaScript" notice is not content
+  assert.deepEqual(apollo.spa.sources, ['__APOLLO_STATE__']);
+  assert.equal(apollo.mainContent, 'Waterproof leather hiking boot with a grippy Vibram sole and a lifetime resoling service.');
+});
+
+test('noscript fallbacks count as content; full pages are left alone', () => {
+  const docs = extractPage(NOSCRIPT, { url: 'https://docs.example/cli' });
+  assert.deepEqual(docs.spa, { framework: 'vue', shell: true, sources: ['noscript'], prerenderedUrl: null });
+  assert.match(docs.mainContent, /Install the command line tool with npm/);
+
+  assert.equal(extractPage(SNAPSHOT, { url: 'https://huts.example/' }).spa, null);
+});
+
+test('prerendered variants are reported for AJAX-crawling and AMP pages', () => {
+  const fragment = extractPage(FRAGMENT_SHELL, { url: 'https://huts.example/guide?lang=en' });
+  assert.equal(fragment.spa.prerenderedUrl, 'https://huts.example/guide?lang=en&_escaped_fragment_=');
+  assert.deepEqual(fragment.spa.sources, []);
+  const amp = extractPage('<html><head><link rel="amphtml" href="/amp/guide"></head><body><div id="root"></div></body></html>', { url: 'https://huts.example/guide' });
+  assert.equal(amp.spa.prerenderedUrl, 'https://huts.example/amp/guide');
+});
+
+test('harvest sorts strings by key and shape', () => {
+  const out = harvest({
+    seo: { metaTitle: 'Ridge Boot by Northway', metaDescription: 'A waterproof hiking boot made to be resoled.' },
+    slug: 'ridge-boot',
+    icon: 'https://cdn.example/icon.svg',
+    body: ['Every pair is stitched by hand in our workshop and checked before it ships.', 'const x = () => {};'],
+    config: { banner: 'This text sits in app configuration and is never page content.' }
+  });
+  assert.deepEqual(out, {
+    titles: ['Ridge Boot by Northway'],
+    descriptions: ['A waterproof hiking boot made to be resoled.'],
+    texts: ['Every pair is stitched by hand in our workshop and checked before it ships.']
+  });
+});
+
+test('URL generation reads the prerendered variant and warns about shells and thin pages', async () => {
+  const llm = mockLlm();
+  process.env.OPENAI_COMPAT_BASE_URL = await llm.listen();
+  const pages = {
+    '/guide': FRAGMENT_SHELL,
+    '/guide?_escaped_fragment_=': SNAPSHOT,
+    '/hello': '<html><head><title>Hello</title></head><body><p>Welcome to our new website.</p></body></html>'
+  };
+  const site = http.createServer((req, res) => {
+    const html = pages[req.url];
+    res.writeHead(html ? 200 : 404, { 'content-type': 'text/html; charset=utf-8' });
+    res.end(html || '');
+  });
+  await new Promise(resolve => site.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${site.address().port}`;
+  const { app } = require('../server');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const generate = async body => {
+    const r = await fetch(`http://127.0.0.1:${server.address().port}/v1/generate`, {
+      method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body)
+    });
+    return { status: r.status, body: await r.json() };
+  };
+
+  try {
+    const shell = await generate({ url: `${base}/guide` });
+    assert.equal(shell.status, 200);
+    assert.equal(shell.body.page.h1, 'Mountain huts in the Alps');
+    assert.deepEqual(shell.body.page.spa, { framework: 'react', shell: true, sources: ['prerendered'], prerenderedUrl: `${base}/guide?_escaped_fragment_=` });
+    assert.deepEqual(shell.body.warnings.map(w => w.code), ['SPA_SHELL']);
+    assert.match(shell.body.warnings[0].message, /read from the prerendered variant/);
+
+    const thin = await generate({ url: `${base}/hello`, keyword: 'new website' });
+    assert.equal(thin.status, 200);
+    assert.equal(thin.body.page.spa, null);
+    assert.deepEqual(thin.body.warnings.map(w => w.code), ['THIN_CONTENT']);
+    assert.match(thin.body.warnings[0].message, /^Only 5 words of content found/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => site.close(resolve));
+    await llm.close();
+  }
+});
@@ -0,0 +1,114 @@
+// Server-Sent Events framing (lib/sse.js) and token streaming through the provider registry
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { openEventStream, createCandidateTracker } = require('../lib/sse');
+const { createProviderRegistry } = require('../lib/providers');
+
+async function listen(handler) {
+  const server = http.createServer(handler);
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(r => { server.closeAllConnections(); server.close(r); })
+  };
+}
+
+// Split an event stream into { id, event, data } records (comments and retry lines skipped)
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const ev = {};
+    block.split('\n').forEach(line => {
+      const m = line.match(/^(id|event|data): (.*)$/);
+      if (m) ev[m[1]] = m[1] === 'data' ? JSON.parse(m[2]) : m[2];
+    });
+    return ev;
+  }).filter(ev => ev.event);
+}
+
+test('openEventStream frames numbered events with JSON data and event-stream headers', async () => {
+  const app = express();
+  app.get('/stream', (req, res) => {
+    const stream = openEventStream(req, res);
+    stream.send('status', { stage: 'fetching' });
+    stream.send('candidate', { field: 'titles', index: 0, text: 'Line one\nline "two"' });
+    stream.send('done');
+    stream.close();
+    stream.send('late', { dropped: true });
+  });
+  const srv = await listen(app);
+  try {
+    const res = await fetch(`${srv.url}/stream`);
+    assert.equal(res.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    assert.equal(res.headers.get('cache-control'), 'no-cache, no-transform');
+    assert.equal(res.headers.get('x-accel-buffering'), 'no');
+    const text = await res.text();
+    assert.ok(text.startsWith('retry: 5000\n\n'));
+    assert.deepEqual(parseEvents(text), [
+      { id: '1', event: 'status', data: { stage: 'fetching' } },
+      { id: '2', event: 'candidate', data: { field: 'titles', index: 0, text: 'Line one\nline "two"' } },
+      { id: '3', event: 'done', data: {} }
+    ]);
+    // a newline inside a value never splits the data line
+    assert.equal(text.split('\n').filter(l => l.startsWith('data: ')).length, 3);
+  } finally {
+    await srv.close();
+  }
+});
+
+test('candidate tracker reports each completed item once as JSON streams in', () => {
+  const seen = [];
+  const tracker = createCandidateTracker(['titles', 'metas'], c => seen.push(c));
+  const json = JSON.stringify({ titles: ['First "quoted" title', 'Second, with \\ backslash'], metas: ['Only meta'], slug: 'x' });
+  for (let i = 0; i < json.length; i += 7) tracker.push(json.slice(i, i + 7));
+  assert.deepEqual(seen, [
+    { field: 'titles', index: 0, text: 'First "quoted" title' },
+    { field: 'titles', index: 1, text: 'Second, with \\ backslash' },
+    { field: 'metas', index: 0, text: 'Only meta' }
+  ]);
+
+  // finish() adds what a non-streamed answer had beyond what was seen
+  tracker.finish({ titles: ['First "quoted" title', 'Second, with \\ backslash', 'Third'] });
+  assert.deepEqual(seen.slice(3), [{ field: 'titles', index: 2, text: 'Third' }]);
+
+  // a new provider attempt starts over
+  tracker.reset();
+  tracker.push('{"titles":["Again"]');
+  assert.deepEqual(seen[4], { field: 'titles', index: 0, text: 'Again' });
+});
+
+test('OpenAI-compatible providers stream deltas to onToken and report attempt events', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const chunks = ['{"titles":', '["A"', ']}'];
+  const bodies = [];
+  const llm = await listen((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      bodies.push(JSON.parse(body));
+      if (bodies.length === 1) { res.writeHead(503); return res.end('busy'); }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      chunks.forEach((c, i) => res.write(`data: ${JSON.stringify({ id: 'c1', choices: [{ delta: { content: c } }] })}\n\n${i === 0 ? ': keep-alive\n\n' : ''}`));
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  try {
+    const reg = createProviderRegistry({
+      defaults: { timeoutMs: 2000, retries: 1, backoffMs: 1, breaker: { threshold: 3, cooldownMs: 1000 } },
+      providers: [{ name: 'local', type: 'openai-compatible', baseUrl: llm.url }]
+    });
+    const tokens = [];
+    const events = [];
+    const out = await reg.generate('p', { onToken: tok => tokens.push(tok), onEvent: e => events.push(e) });
+    assert.deepEqual(tokens, chunks);
+    assert.equal(out.raw, '{"titles":["A"]}');
+    assert.deepEqual(out.meta, { streamed: true, id: 'c1' });
+    assert.equal(bodies[1].stream, true);
+    assert.deepEqual(events.map(e => e.type), ['attempt', 'failed', 'attempt', 'succeeded']);
+    assert.equal(events[1].retrying, true);
+    assert.equal(events[3].streamed, true);
+  } finally {
+    await llm.close();
+  }
+});
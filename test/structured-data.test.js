@@ -0,0 +1,77 @@
+// Open Graph / Twitter / JSON-LD helpers for full mode (lib/structured-data.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chooseSchemaType, buildJsonLd, validateJsonLd, buildHeadHtml, fitToLimit } = require('../lib/structured-data');
+const { validateOutput } = require('../lib/validate');
+
+test('chooseSchemaType prefers the request, then declared JSON-LD, then content signals', () => {
+  assert.deepEqual(chooseSchemaType({ jsonLdTypes: ['Product'] }, { requested: 'FAQPage' }), { type: 'FAQPage', reason: 'requested' });
+  assert.equal(chooseSchemaType({ jsonLdTypes: ['BlogPosting'] }).type, 'Article');
+  assert.equal(chooseSchemaType({ jsonLdTypes: ['Dentist'] }).type, 'LocalBusiness');
+  assert.equal(chooseSchemaType({ mainContent: 'Trail shoe $129.00 In stock. Add to cart' }).reason, 'price and purchase signals');
+
+  const faq = {
+    headings: ['Do they run small?', 'Are they waterproof?', 'How long do they last?'].map(text => ({ level: 2, text })),
+    mainContent: 'Do they run small?\nNo, true to size.\nAre they waterproof?\nYes.\nHow long do they last?\nAbout 800 km.'
+  };
+  assert.equal(chooseSchemaType(faq).type, 'FAQPage');
+  assert.equal(chooseSchemaType({ wordCount: 450 }).type, 'Article');
+  assert.equal(chooseSchemaType({ wordCount: 20 }).type, 'BreadcrumbList');
+});
+
+test('buildJsonLd merges model fields with the page and drops empty values', () => {
+  const page = {
+    h1: 'Trail Shoe X',
+    openGraph: { image: 'https://acme.example/x.jpg' },
+    jsonLd: [{ '@type': 'Product', name: 'Old name', sku: 'X-1', offers: { '@type': 'Offer', price: '129' } }]
+  };
+  const product = buildJsonLd('Product', { page, url: 'https://acme.example/x', fields: { name: 'Trail Shoe X' }, title: 'T', description: 'D' });
+  assert.deepEqual(product, {
+    '@context': 'https://schema.org', '@type': 'Product', name: 'Trail Shoe X', description: 'D',
+    image: 'https://acme.example/x.jpg', sku: 'X-1', offers: { '@type': 'Offer', price: '129' }
+  });
+  assert.deepEqual(validateJsonLd(product), { type: 'Product', valid: true, missing: [], warnings: ['recommended property brand is missing'] });
+
+  const crumbs = buildJsonLd('BreadcrumbList', { page: { h1: 'Trail Shoe X' }, url: 'https://acme.example/mens-shoes/trail-x' });
+  assert.deepEqual(crumbs.itemListElement.map(i => [i.position, i.name, i.item]), [
+    [1, 'Home', 'https://acme.example/'],
+    [2, 'Mens shoes', 'https://acme.example/mens-shoes'],
+    [3, 'Trail Shoe X', 'https://acme.example/mens-shoes/trail-x']
+  ]);
+});
+
+test('validateJsonLd reports missing required properties per type', () => {
+  assert.deepEqual(validateJsonLd({ '@type': 'Product', name: 'X' }).missing, ['one of offers / review / aggregateRating']);
+  assert.deepEqual(validateJsonLd({ '@type': 'FAQPage', mainEntity: [{ name: 'Q?' }] }).missing, ['mainEntity[0].acceptedAnswer.text']);
+  assert.deepEqual(validateJsonLd({ '@type': 'Restaurant', name: 'Cafe' }).missing, ['address']);
+  const article = validateJsonLd({ '@type': 'NewsArticle', headline: 'h'.repeat(120) });
+  assert.equal(article.valid, true);
+  assert.ok(article.warnings.includes('headline is longer than 110 characters'));
+  assert.equal(validateJsonLd({ '@type': 'Recipe' }).valid, false);
+});
+
+test('buildHeadHtml escapes attributes and keeps JSON-LD from closing its script tag', () => {
+  const html = buildHeadHtml({
+    title: 'Shoes & "Boots"',
+    description: 'Grip <everywhere>',
+    og: { title: 'Shoes', image: '' },
+    twitter: { card: 'summary' },
+    jsonLd: { '@type': 'Thing', name: '</script><script>alert(1)</script>' }
+  });
+  assert.match(html, /^<title>Shoes &amp; &quot;Boots&quot;<\/title>/);
+  assert.match(html, /<meta name="description" content="Grip &lt;everywhere&gt;">/);
+  assert.match(html, /<meta property="og:title" content="Shoes">/);
+  assert.doesNotMatch(html, /og:image/);
+  assert.equal(html.match(/<\/script>/g).length, 1);
+  assert.match(html, /\\u003c\/script>/);
+});
+
+test('fitToLimit cuts at a word boundary and the object rule validates model fields', () => {
+  assert.equal(fitToLimit('Waterproof trail running shoes for winter', 25), 'Waterproof trail running');
+  assert.equal(fitToLimit('short', 25), 'short');
+  const schema = { schema: { type: 'object', optional: true }, og_title: { type: 'string', maxLength: 10, optional: true } };
+  assert.equal(validateOutput({ schema: ['not', 'an', 'object'] }, schema).valid, true);
+  assert.deepEqual(validateOutput({ schema: 'x', og_title: 'Far too long a title' }, schema).violations, [
+    { path: 'og_title', message: '20 characters, must be at most 10' }
+  ]);
+});
@@ -0,0 +1,76 @@
+// Model output parsing, schema validation and repair re-prompting (lib/validate.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJsonFromModel, validateOutput, buildRepairPrompt, generateValidated } = require('../lib/validate');
+
+const SCHEMA = {
+  titles: { type: 'array', items: 2, maxLength: 40, keyword: true },
+  slug: { type: 'slug', maxLength: 30 }
+};
+const GOOD = { titles: ['Trail Shoes for Wet Rock', 'Best Trail Shoes of 2026'], slug: 'trail-shoes' };
+
+// provider registry stand-in that answers with the queued outputs in order
+function scripted(outputs) {
+  const prompts = [];
+  return {
+    prompts,
+    generate: async prompt => {
+      prompts.push(prompt);
+      const next = outputs.shift();
+      if (next instanceof Error) throw next;
+      return { provider: 'mock', raw: typeof next === 'string' ? next : JSON.stringify(next) };
+    }
+  };
+}
+
+test('parseJsonFromModel reads fenced, bare and embedded objects', () => {
+  assert.deepEqual(parseJsonFromModel('```json\n{"a":1}\n```'), { a: 1 });
+  assert.deepEqual(parseJsonFromModel('Sure! {"a":"}{"} and then {"b":2}'), { a: '}{' });
+  assert.deepEqual(parseJsonFromModel('{broken} then {"b":2}'), { b: 2 });
+  assert.deepEqual(parseJsonFromModel('no json here'), { raw: 'no json here' });
+});
+
+test('validateOutput reports per-item checks and violation paths', () => {
+  const result = validateOutput({ titles: ['Trail shoes', 'Road running shoes that are far too long for this'], slug: 'Trail Shoes' }, SCHEMA, { keyword: 'trail shoes' });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.violations.map(v => v.path), ['titles[1]', 'titles[1]', 'slug']);
+  assert.deepEqual(result.fields.titles[0], { value: 'Trail shoes', checks: { maxLength: true, keyword: true }, pass: true });
+  assert.deepEqual(result.fields.titles[1].checks, { maxLength: false, keyword: false });
+  assert.equal(result.fields.slug.checks.format, false);
+
+  assert.deepEqual(validateOutput({ raw: 'x' }, SCHEMA).violations, [{ path: '$', message: 'output is not a valid JSON object' }]);
+  assert.match(validateOutput({ titles: ['a'], slug: 'a' }, SCHEMA).violations[0].message, /expected 2 items, got 1/);
+});
+
+test('generateValidated re-prompts with the violations and stops once the output is valid', async () => {
+  const llm = scripted([{ titles: ['Shoes'], slug: 'trail-shoes' }, GOOD]);
+  const out = await generateValidated(llm, 'PROMPT', SCHEMA, { keyword: 'trail shoes', maxRepairs: 2 });
+  assert.equal(out.validation.valid, true);
+  assert.equal(out.validation.attempts, 2);
+  assert.deepEqual(out.parsed, GOOD);
+  assert.equal(llm.prompts.length, 2);
+  assert.ok(llm.prompts[1].startsWith('PROMPT'));
+  assert.match(llm.prompts[1], /- titles: expected 2 items, got 1/);
+  assert.match(llm.prompts[1], /- titles\[0\]: must contain the keyword "trail shoes"/);
+  assert.match(llm.prompts[1], /Return ONLY the corrected JSON object/);
+});
+
+test('generateValidated keeps the attempt with the fewest violations', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const closer = { titles: ['Trail shoes', 'Shoes'], slug: 'trail-shoes' };
+  const llm = scripted([closer, 'not json at all', new Error('provider down')]);
+  const out = await generateValidated(llm, 'P', SCHEMA, { keyword: 'trail shoes', maxRepairs: 2 });
+  assert.deepEqual(out.parsed, closer);
+  assert.equal(out.validation.valid, false);
+  assert.equal(out.validation.attempts, 2);
+  assert.equal(llm.prompts.length, 3);
+
+  // a failure on the first call has nothing to fall back to
+  await assert.rejects(generateValidated(scripted([new Error('all down')]), 'P', SCHEMA), /all down/);
+});
+
+test('buildRepairPrompt caps the echoed output', () => {
+  const prompt = buildRepairPrompt('P', 'x'.repeat(5000), [{ path: 'slug', message: 'bad' }]);
+  assert.ok(prompt.length < 3200);
+  assert.match(prompt, /- slug: bad/);
+});
@@ -0,0 +1,144 @@
+// WordPress publishing (lib/wordpress.js and /v1/wp/publish) against a local mock of the REST API
+process.env.SAFE_FETCH_ALLOW_PRIVATE = '1';
+process.env.WP_ALLOW_HTTP = '1';
+process.env.HISTORY_DB = ':memory:';
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWordPressClient, createPublishLog } = require('../lib/wordpress');
+const { mockWordPress, USER, PASSWORD } = require('./fixtures/mock-wordpress');
+
+const YOAST_META = { '_yoast_wpseo_title': 'Old title', '_yoast_wpseo_metadesc': 'Old description', '_yoast_wpseo_opengraph-title': '', '_yoast_wpseo_opengraph-description': '', '_yoast_wpseo_opengraph-image': '' };
+const RANKMATH_META = { rank_math_title: 'Rank title', rank_math_description: 'Rank description', rank_math_facebook_title: '', rank_math_facebook_description: '', rank_math_facebook_image: '' };
+
+const posts = () => [
+  { id: 7, type: 'posts', slug: 'descale-espresso', path: '/blog/descale-espresso/', title: { raw: 'Descaling' }, meta: { ...YOAST_META } },
+  { id: 8, type: 'pages', slug: 'about', path: '/about/', title: { raw: 'About' }, meta: { ...RANKMATH_META } },
+  { id: 9, type: 'posts', slug: 'no-seo', path: '/no-seo/', title: { raw: 'Plain' }, meta: {} }
+];
+
+async function withSite(options, fn) {
+  const wp = mockWordPress({ posts: posts(), ...options });
+  await wp.listen();
+  try {
+    await fn(wp, createWordPressClient({ url: wp.url, username: USER, applicationPassword: PASSWORD, allowHttp: true }));
+  } finally {
+    await wp.close();
+  }
+}
+
+test('createWordPressClient requires https unless allowed', () => {
+  assert.throws(() => createWordPressClient({ url: 'http://example.com', username: USER, applicationPassword: PASSWORD }), { code: 'INVALID_INPUT' });
+  assert.throws(() => createWordPressClient({ url: 'https://example.com', username: USER }), { code: 'INVALID_INPUT' });
+});
+
+test('resolvePost finds posts by id and by URL', () => withSite({}, async (wp, client) => {
+  const byId = await client.resolvePost(8);
+  assert.equal(byId.type, 'pages');
+  assert.equal(byId.post.slug, 'about');
+
+  const byUrl = await client.resolvePost(`${wp.url}/blog/descale-espresso/`);
+  assert.equal(byUrl.type, 'posts');
+  assert.equal(byUrl.post.id, 7);
+  assert.ok(wp.requests.some(r => r.search.includes('slug=descale-espresso')));
+
+  await assert.rejects(client.resolvePost(404), { code: 'WP_NOT_FOUND', status: 404 });
+  await assert.rejects(client.resolvePost('https://elsewhere.example/blog/descale-espresso/'), { code: 'INVALID_INPUT' });
+  await assert.rejects(client.resolvePost('descale-espresso'), { code: 'INVALID_INPUT' });
+}));
+
+test('bad credentials are WP_AUTH_FAILED', async () => {
+  const wp = mockWordPress({ posts: posts() });
+  await wp.listen();
+  try {
+    const client = createWordPressClient({ url: wp.url, username: USER, applicationPassword: 'wrong', allowHttp: true });
+    await assert.rejects(client.resolvePost(7), { code: 'WP_AUTH_FAILED' });
+  } finally {
+    await wp.close();
+  }
+});
+
+test('detectPlugin reads Yoast and Rank Math from the exposed meta', () => withSite({ namespaces: ['wp/v2', 'yoast/v1'] }, async (wp, client) => {
+  assert.equal(await client.detectPlugin((await client.resolvePost(7)).post), 'yoast');
+  assert.equal(await client.detectPlugin((await client.resolvePost(8)).post), 'rankmath');
+  assert.equal(await client.detectPlugin((await client.resolvePost(9)).post, 'rankmath'), 'rankmath');
+  // installed, but its meta isn't registered for REST
+  await assert.rejects(client.detectPlugin((await client.resolvePost(9)).post), { code: 'WP_META_NOT_EXPOSED' });
+  await assert.rejects(client.detectPlugin({ meta: { ...YOAST_META, ...RANKMATH_META } }), { code: 'INVALID_INPUT' });
+}));
+
+test('detectPlugin without either plugin is WP_PLUGIN_NOT_FOUND', () => withSite({}, async (wp, client) => {
+  await assert.rejects(client.detectPlugin((await client.resolvePost(9)).post), { code: 'WP_PLUGIN_NOT_FOUND' });
+}));
+
+test('diff compares the fields with the post (dry run)', () => withSite({}, async (wp, client) => {
+  const { post } = await client.resolvePost(7);
+  const changes = client.diff(post, 'yoast', { title: 'Old title', description: 'New description', slug: 'descale' });
+  assert.deepEqual(changes, [
+    { field: 'title', key: '_yoast_wpseo_title', before: 'Old title', after: 'Old title', changed: false },
+    { field: 'description', key: '_yoast_wpseo_metadesc', before: 'Old description', after: 'New description', changed: true },
+    { field: 'slug', key: 'slug', before: 'descale-espresso', after: 'descale', changed: true }
+  ]);
+  assert.ok(wp.requests.every(r => r.method === 'GET'));
+  assert.throws(() => client.diff(post, 'rankmath', { title: 'x' }), { code: 'WP_META_NOT_EXPOSED' });
+}));
+
+test('apply writes the changed fields and the publish log keeps the record', () => withSite({}, async (wp, client) => {
+  const { post, type } = await client.resolvePost(8);
+  const changes = client.diff(post, 'rankmath', { title: 'Rank title', description: 'About our team', ogTitle: 'About us' });
+  const applied = await client.apply(post, type, changes);
+  const write = wp.requests.find(r => r.method === 'POST');
+  assert.equal(write.path, '/wp-json/wp/v2/pages/8');
+  assert.deepEqual(write.body, { meta: { rank_math_description: 'About our team', rank_math_facebook_title: 'About us' } });
+  assert.equal(wp.store.find(p => p.id === 8).meta.rank_math_description, 'About our team');
+  assert.deepEqual(applied.changes.map(c => [c.field, c.changed, c.applied]), [['title', false, undefined], ['description', true, true], ['ogTitle', true, true]]);
+
+  const log = createPublishLog();
+  const record = await log.add({ apiKey: 'k1', site: client.base, post: { id: 8 }, status: 'applied', changes: applied.changes.filter(c => c.changed) });
+  await log.add({ apiKey: 'k2', site: client.base, post: { id: 7 }, status: 'failed', changes: [] });
+  assert.equal(log.backend, 'memory');
+  assert.deepEqual(await log.get(record.id), record);
+  assert.equal(await log.get('missing'), null);
+  assert.deepEqual((await log.list()).map(r => r.apiKey), ['k2', 'k1']);
+  assert.deepEqual((await log.list({ filter: r => r.apiKey === 'k1' })).map(r => r.id), [record.id]);
+}));
+
+test('/v1/wp/publish: dry run, apply and the publish record', () => withSite({}, async wp => {
+  const { app } = require('../server');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const api = `http://127.0.0.1:${server.address().port}/v1`;
+  const call = async (method, path, body) => {
+    const r = await fetch(`${api}${path}`, { method, headers: { 'content-type': 'application/json' }, body: body && JSON.stringify(body) });
+    return { status: r.status, body: await r.json() };
+  };
+  try {
+    const request = { site: { url: wp.url, username: USER, applicationPassword: PASSWORD }, post: 7, fields: { title: 'Descale an Espresso Machine in 30 Minutes' } };
+    const dry = await call('POST', '/wp/publish', { ...request, dryRun: true });
+    assert.equal(dry.status, 200);
+    assert.equal(dry.body.status, 'dry-run');
+    assert.equal(dry.body.plugin, 'yoast');
+    assert.equal(dry.body.changes[0].before, 'Old title');
+    assert.equal(wp.store.find(p => p.id === 7).meta._yoast_wpseo_title, 'Old title');
+
+    const done = await call('POST', '/wp/publish', request);
+    assert.equal(done.status, 200);
+    assert.equal(done.body.status, 'applied');
+    assert.equal(wp.store.find(p => p.id === 7).meta._yoast_wpseo_title, 'Descale an Espresso Machine in 30 Minutes');
+
+    const record = await call('GET', `/wp/publishes/${done.body.auditId}`);
+    assert.equal(record.status, 200);
+    assert.equal(record.body.status, 'applied');
+    assert.equal(record.body.changes[0].after, 'Descale an Espresso Machine in 30 Minutes');
+
+    const again = await call('POST', '/wp/publish', request);
+    assert.equal(again.body.status, 'unchanged');
+
+    const badAuth = await call('POST', '/wp/publish', { ...request, site: { ...request.site, applicationPassword: 'nope' } });
+    assert.equal(badAuth.status, 422);
+    assert.equal(badAuth.body.reason, 'WP_AUTH_FAILED');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}));